@@ -201,6 +201,39 @@ class Modal {
     });
   }
 
+  /**
+   * Show a dialog offering several choices
+   * @param {Object} options - Dialog configuration
+   * @param {string} options.title - Dialog title
+   * @param {string} options.message - Question to ask, as plain text
+   * @param {Array} options.choices - Array of { value, label } objects
+   * @returns {Promise<*>} Resolves with the chosen value, or null if cancelled
+   */
+  choose({ title = 'Choose', message = '', choices = [] } = {}) {
+    return new Promise(resolve => {
+      let chosen = null;
+
+      this.show({
+        title,
+        content: '<p></p>',
+        buttons: [
+          { text: 'Cancel', className: 'btn-secondary', action: 'cancel' },
+          ...choices.map((choice, index) => ({
+            text: choice.label,
+            className: index === choices.length - 1 ? 'btn-primary' : 'btn-secondary',
+            action: `choice-${index}`,
+            primary: index === 0,
+            onClick: () => { chosen = choice.value; }
+          }))
+        ],
+        onClose: () => resolve(chosen)
+      });
+
+      // Messages quote user data such as imported event titles
+      this.modalElement.querySelector('.modal-body p').textContent = message;
+    });
+  }
+
   /**
    * Handle keyboard events for accessibility
    * @param {KeyboardEvent} e - Keyboard event
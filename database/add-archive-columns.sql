@@ -0,0 +1,22 @@
+-- Migration: Add archiving for Kanban cards and columns
+-- Archived cards and columns are hidden from the board but kept, so they can be
+-- restored and finished cards still count in board analytics.
+-- An archived item keeps its column_id and order_index, which is where it is restored to.
+
+-- When a card was archived (NULL while on the board)
+ALTER TABLE kanban_cards
+ADD COLUMN IF NOT EXISTS archived_at TIMESTAMP WITH TIME ZONE;
+
+-- When a column was archived (NULL while on the board)
+ALTER TABLE kanban_columns
+ADD COLUMN IF NOT EXISTS archived_at TIMESTAMP WITH TIME ZONE;
+
+-- Archive browser lists archived items per board
+CREATE INDEX IF NOT EXISTS idx_kanban_cards_archived ON kanban_cards(board_id, archived_at)
+    WHERE archived_at IS NOT NULL;
+
+-- Verify the columns were added
+SELECT table_name, column_name, data_type, is_nullable
+FROM information_schema.columns
+WHERE column_name = 'archived_at'
+  AND table_name IN ('kanban_cards', 'kanban_columns');
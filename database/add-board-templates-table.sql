@@ -0,0 +1,60 @@
+-- Migration: Add kanban_board_templates table
+-- Custom board templates saved from existing boards, offered next to the
+-- built-in templates when a board is created
+-- Run this in your Supabase SQL Editor
+--
+-- definition holds the board layout in the same shape as the built-in
+-- BOARD_TEMPLATES in js/kanban-service.js:
+--   { columns: [{ title, order_index, wip_limit, lane_wip_limit, color }],
+--     labels: [{ name, color }], settings: { swimlanes },
+--     cards: [{ column_index, title, description, priority, labels, checklist }] }
+
+-- ============================================================================
+-- KANBAN BOARD TEMPLATES TABLE
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS kanban_board_templates (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  name TEXT NOT NULL,
+  description TEXT,
+  definition JSONB NOT NULL DEFAULT '{}'::jsonb,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE kanban_board_templates ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view their own board templates" ON kanban_board_templates;
+DROP POLICY IF EXISTS "Users can insert their own board templates" ON kanban_board_templates;
+DROP POLICY IF EXISTS "Users can update their own board templates" ON kanban_board_templates;
+DROP POLICY IF EXISTS "Users can delete their own board templates" ON kanban_board_templates;
+
+CREATE POLICY "Users can view their own board templates"
+  ON kanban_board_templates FOR SELECT
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert their own board templates"
+  ON kanban_board_templates FOR INSERT
+  WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update their own board templates"
+  ON kanban_board_templates FOR UPDATE
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete their own board templates"
+  ON kanban_board_templates FOR DELETE
+  USING (auth.uid() = user_id);
+
+DROP TRIGGER IF EXISTS update_kanban_board_templates_updated_at ON kanban_board_templates;
+CREATE TRIGGER update_kanban_board_templates_updated_at
+  BEFORE UPDATE ON kanban_board_templates
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+CREATE INDEX IF NOT EXISTS idx_board_templates_user ON kanban_board_templates(user_id);
+
+-- Verify the table was created
+SELECT column_name, data_type
+FROM information_schema.columns
+WHERE table_name = 'kanban_board_templates'
+ORDER BY ordinal_position;
@@ -0,0 +1,101 @@
+-- Migration: Add calendar_feeds table and calendar-feeds storage bucket
+-- Enables the subscribable calendar feed: the app regenerates an .ics file
+-- whenever planner data changes and stores it under a secret path, so calendar
+-- apps can subscribe to a signed URL that stays the same until it is rotated.
+-- Run this in your Supabase SQL Editor
+
+-- ============================================================================
+-- CALENDAR FEEDS TABLE
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS calendar_feeds (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL UNIQUE,
+  enabled BOOLEAN DEFAULT FALSE,
+  sources TEXT[] DEFAULT '{timeBlocks,calendarEvents,cards,goals}',
+  categories TEXT[],            -- NULL includes every category
+  secret TEXT,                  -- Part of the storage path; rotating it retires the old URL
+  feed_url TEXT,                -- Signed URL calendar apps subscribe to
+  last_generated_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE calendar_feeds ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view their own calendar feed" ON calendar_feeds;
+DROP POLICY IF EXISTS "Users can insert their own calendar feed" ON calendar_feeds;
+DROP POLICY IF EXISTS "Users can update their own calendar feed" ON calendar_feeds;
+DROP POLICY IF EXISTS "Users can delete their own calendar feed" ON calendar_feeds;
+
+CREATE POLICY "Users can view their own calendar feed"
+  ON calendar_feeds FOR SELECT
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert their own calendar feed"
+  ON calendar_feeds FOR INSERT
+  WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update their own calendar feed"
+  ON calendar_feeds FOR UPDATE
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete their own calendar feed"
+  ON calendar_feeds FOR DELETE
+  USING (auth.uid() = user_id);
+
+DROP TRIGGER IF EXISTS update_calendar_feeds_updated_at ON calendar_feeds;
+CREATE TRIGGER update_calendar_feeds_updated_at
+  BEFORE UPDATE ON calendar_feeds
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================================================
+-- STORAGE BUCKET
+-- Feed files live at calendar-feeds/{user_id}/{secret}.ics
+-- ============================================================================
+INSERT INTO storage.buckets (id, name, public, file_size_limit)
+VALUES ('calendar-feeds', 'calendar-feeds', false, 5242880)
+ON CONFLICT (id) DO NOTHING;
+
+DROP POLICY IF EXISTS "Users can upload their own calendar feed" ON storage.objects;
+DROP POLICY IF EXISTS "Users can update their own calendar feed" ON storage.objects;
+DROP POLICY IF EXISTS "Users can read their own calendar feed" ON storage.objects;
+DROP POLICY IF EXISTS "Users can delete their own calendar feed" ON storage.objects;
+
+CREATE POLICY "Users can upload their own calendar feed"
+ON storage.objects FOR INSERT
+TO authenticated
+WITH CHECK (
+    bucket_id = 'calendar-feeds'
+    AND (storage.foldername(name))[1] = auth.uid()::text
+);
+
+CREATE POLICY "Users can update their own calendar feed"
+ON storage.objects FOR UPDATE
+TO authenticated
+USING (
+    bucket_id = 'calendar-feeds'
+    AND (storage.foldername(name))[1] = auth.uid()::text
+);
+
+CREATE POLICY "Users can read their own calendar feed"
+ON storage.objects FOR SELECT
+TO authenticated
+USING (
+    bucket_id = 'calendar-feeds'
+    AND (storage.foldername(name))[1] = auth.uid()::text
+);
+
+CREATE POLICY "Users can delete their own calendar feed"
+ON storage.objects FOR DELETE
+TO authenticated
+USING (
+    bucket_id = 'calendar-feeds'
+    AND (storage.foldername(name))[1] = auth.uid()::text
+);
+
+-- Verify the table was created
+SELECT column_name, data_type
+FROM information_schema.columns
+WHERE table_name = 'calendar_feeds'
+ORDER BY ordinal_position;
@@ -0,0 +1,78 @@
+-- Migration: Add kanban_card_dependencies table
+-- Lets a card be blocked by other cards ("API card blocks UI card")
+-- Run this in your Supabase SQL Editor
+--
+-- A row means card_id cannot be finished until blocker_card_id is done.
+-- The app rejects dependencies that would form a cycle.
+
+-- ============================================================================
+-- KANBAN CARD DEPENDENCIES TABLE
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS kanban_card_dependencies (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    card_id UUID REFERENCES kanban_cards(id) ON DELETE CASCADE NOT NULL,
+    blocker_card_id UUID REFERENCES kanban_cards(id) ON DELETE CASCADE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(card_id, blocker_card_id),
+    CHECK (card_id <> blocker_card_id)
+);
+
+-- Enable Row Level Security
+ALTER TABLE kanban_card_dependencies ENABLE ROW LEVEL SECURITY;
+
+-- Drop existing policies if they exist (safe to re-run)
+DROP POLICY IF EXISTS "Users can view dependencies of their cards" ON kanban_card_dependencies;
+DROP POLICY IF EXISTS "Users can insert dependencies between their cards" ON kanban_card_dependencies;
+DROP POLICY IF EXISTS "Users can delete dependencies of their cards" ON kanban_card_dependencies;
+
+-- RLS Policy: Users can view dependencies of their own cards
+CREATE POLICY "Users can view dependencies of their cards"
+    ON kanban_card_dependencies FOR SELECT
+    USING (
+        EXISTS (
+            SELECT 1 FROM kanban_cards c
+            JOIN kanban_boards b ON c.board_id = b.id
+            WHERE c.id = kanban_card_dependencies.card_id
+            AND b.user_id = auth.uid()
+        )
+    );
+
+-- RLS Policy: Both cards must belong to the user
+CREATE POLICY "Users can insert dependencies between their cards"
+    ON kanban_card_dependencies FOR INSERT
+    WITH CHECK (
+        EXISTS (
+            SELECT 1 FROM kanban_cards c
+            JOIN kanban_boards b ON c.board_id = b.id
+            WHERE c.id = kanban_card_dependencies.card_id
+            AND b.user_id = auth.uid()
+        )
+        AND EXISTS (
+            SELECT 1 FROM kanban_cards c
+            JOIN kanban_boards b ON c.board_id = b.id
+            WHERE c.id = kanban_card_dependencies.blocker_card_id
+            AND b.user_id = auth.uid()
+        )
+    );
+
+-- RLS Policy: Users can delete dependencies of their own cards
+CREATE POLICY "Users can delete dependencies of their cards"
+    ON kanban_card_dependencies FOR DELETE
+    USING (
+        EXISTS (
+            SELECT 1 FROM kanban_cards c
+            JOIN kanban_boards b ON c.board_id = b.id
+            WHERE c.id = kanban_card_dependencies.card_id
+            AND b.user_id = auth.uid()
+        )
+    );
+
+-- Indexes for performance
+CREATE INDEX IF NOT EXISTS idx_card_dependencies_card ON kanban_card_dependencies(card_id);
+CREATE INDEX IF NOT EXISTS idx_card_dependencies_blocker ON kanban_card_dependencies(blocker_card_id);
+
+-- Verify the table was created
+SELECT column_name, data_type
+FROM information_schema.columns
+WHERE table_name = 'kanban_card_dependencies'
+ORDER BY ordinal_position;
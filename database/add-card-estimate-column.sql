@@ -0,0 +1,14 @@
+-- Migration: Add estimate column for Kanban cards
+-- Cards carry an estimate in story points or pomodoros. Which unit a board uses is
+-- stored in kanban_boards.settings.estimate_unit ('points' or 'pomodoros').
+-- Estimate changes are logged as 'card_estimated' activity entries, which the
+-- burndown and burnup charts replay to get the scope of each day.
+
+-- Estimate of a card in the board's unit (NULL when not estimated)
+ALTER TABLE kanban_cards
+ADD COLUMN IF NOT EXISTS estimate NUMERIC CHECK (estimate >= 0);
+
+-- Verify the column was added
+SELECT table_name, column_name, data_type, is_nullable
+FROM information_schema.columns
+WHERE table_name = 'kanban_cards' AND column_name = 'estimate';
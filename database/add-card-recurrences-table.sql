@@ -0,0 +1,99 @@
+-- Migration: Add kanban_card_recurrences table
+-- Recurring Kanban cards (chores, weekly reviews) that the app creates on a schedule
+-- Run this in your Supabase SQL Editor
+--
+-- A recurrence keeps its first occurrence in "start_date" and an iCalendar RRULE
+-- (e.g. FREQ=WEEKLY;BYDAY=MO) in "recurrence_rule", like recurring time blocks.
+-- When a board is opened or the app starts, every occurrence up to today after
+-- "last_generated_date" becomes a card in "column_id". Skipped occurrences are
+-- listed in "recurrence_exceptions". Generated cards point back to their
+-- recurrence through kanban_cards.recurrence_id and recurrence_date.
+
+-- ============================================================================
+-- KANBAN CARD RECURRENCES TABLE
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS kanban_card_recurrences (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    board_id UUID REFERENCES kanban_boards(id) ON DELETE CASCADE NOT NULL,
+    column_id UUID REFERENCES kanban_columns(id) ON DELETE SET NULL,
+    title TEXT NOT NULL,
+    description TEXT,
+    priority TEXT CHECK (priority IN ('high', 'medium', 'low')),
+    labels JSONB DEFAULT '[]',
+    checklist JSONB DEFAULT '[]',
+    recurrence_rule TEXT NOT NULL,
+    start_date DATE NOT NULL,
+    recurrence_exceptions DATE[] DEFAULT '{}',
+    last_generated_date DATE,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Cards created from a recurrence
+ALTER TABLE kanban_cards
+ADD COLUMN IF NOT EXISTS recurrence_id UUID REFERENCES kanban_card_recurrences(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS recurrence_date DATE;
+
+-- Enable Row Level Security
+ALTER TABLE kanban_card_recurrences ENABLE ROW LEVEL SECURITY;
+
+-- Drop existing policies if they exist (safe to re-run)
+DROP POLICY IF EXISTS "Users can view recurrences of their boards" ON kanban_card_recurrences;
+DROP POLICY IF EXISTS "Users can insert recurrences in their boards" ON kanban_card_recurrences;
+DROP POLICY IF EXISTS "Users can update recurrences of their boards" ON kanban_card_recurrences;
+DROP POLICY IF EXISTS "Users can delete recurrences of their boards" ON kanban_card_recurrences;
+
+-- RLS Policy: Users can view recurrences of their own boards
+CREATE POLICY "Users can view recurrences of their boards"
+    ON kanban_card_recurrences FOR SELECT
+    USING (
+        EXISTS (
+            SELECT 1 FROM kanban_boards b
+            WHERE b.id = kanban_card_recurrences.board_id
+            AND b.user_id = auth.uid()
+        )
+    );
+
+-- RLS Policy: Users can insert recurrences in their own boards
+CREATE POLICY "Users can insert recurrences in their boards"
+    ON kanban_card_recurrences FOR INSERT
+    WITH CHECK (
+        EXISTS (
+            SELECT 1 FROM kanban_boards b
+            WHERE b.id = kanban_card_recurrences.board_id
+            AND b.user_id = auth.uid()
+        )
+    );
+
+-- RLS Policy: Users can update recurrences of their own boards
+CREATE POLICY "Users can update recurrences of their boards"
+    ON kanban_card_recurrences FOR UPDATE
+    USING (
+        EXISTS (
+            SELECT 1 FROM kanban_boards b
+            WHERE b.id = kanban_card_recurrences.board_id
+            AND b.user_id = auth.uid()
+        )
+    );
+
+-- RLS Policy: Users can delete recurrences of their own boards
+CREATE POLICY "Users can delete recurrences of their boards"
+    ON kanban_card_recurrences FOR DELETE
+    USING (
+        EXISTS (
+            SELECT 1 FROM kanban_boards b
+            WHERE b.id = kanban_card_recurrences.board_id
+            AND b.user_id = auth.uid()
+        )
+    );
+
+-- Indexes for performance
+CREATE INDEX IF NOT EXISTS idx_card_recurrences_board ON kanban_card_recurrences(board_id);
+CREATE INDEX IF NOT EXISTS idx_kanban_cards_recurrence ON kanban_cards(recurrence_id, recurrence_date);
+
+-- Verify the table was created
+SELECT column_name, data_type
+FROM information_schema.columns
+WHERE table_name = 'kanban_card_recurrences'
+ORDER BY ordinal_position;
@@ -0,0 +1,62 @@
+-- Migration: Add kanban_card_templates table
+-- Reusable card templates (title pattern, description, labels, priority,
+-- checklist and a due date relative to the day the card is created)
+-- Run this in your Supabase SQL Editor
+--
+-- Templates belong to the user rather than a board or profile, so they can be
+-- picked on any board. title_pattern may contain {date}, {weekday}, {month}
+-- and {year}, which are filled in when a card is created from the template.
+
+-- ============================================================================
+-- KANBAN CARD TEMPLATES TABLE
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS kanban_card_templates (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  name TEXT NOT NULL,
+  title_pattern TEXT NOT NULL,
+  description TEXT,
+  priority TEXT CHECK (priority IN ('high', 'medium', 'low')),
+  labels JSONB DEFAULT '[]'::jsonb,
+  checklist JSONB DEFAULT '[]'::jsonb,  -- Checklist item texts, in order
+  due_in_days INTEGER CHECK (due_in_days >= 0),  -- NULL leaves the due date empty
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE kanban_card_templates ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view their own card templates" ON kanban_card_templates;
+DROP POLICY IF EXISTS "Users can insert their own card templates" ON kanban_card_templates;
+DROP POLICY IF EXISTS "Users can update their own card templates" ON kanban_card_templates;
+DROP POLICY IF EXISTS "Users can delete their own card templates" ON kanban_card_templates;
+
+CREATE POLICY "Users can view their own card templates"
+  ON kanban_card_templates FOR SELECT
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert their own card templates"
+  ON kanban_card_templates FOR INSERT
+  WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update their own card templates"
+  ON kanban_card_templates FOR UPDATE
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete their own card templates"
+  ON kanban_card_templates FOR DELETE
+  USING (auth.uid() = user_id);
+
+DROP TRIGGER IF EXISTS update_kanban_card_templates_updated_at ON kanban_card_templates;
+CREATE TRIGGER update_kanban_card_templates_updated_at
+  BEFORE UPDATE ON kanban_card_templates
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+CREATE INDEX IF NOT EXISTS idx_card_templates_user ON kanban_card_templates(user_id);
+
+-- Verify the table was created
+SELECT column_name, data_type
+FROM information_schema.columns
+WHERE table_name = 'kanban_card_templates'
+ORDER BY ordinal_position;
@@ -0,0 +1,13 @@
+-- Migration: Add a reminder time to daily_habits
+-- Habits with a reminder_time get a local notification at that time of day while
+-- they are still open. Quiet hours and the evening summary are per-device settings
+-- kept in the browser, so they need no columns.
+
+-- Add the reminder column to daily_habits
+ALTER TABLE daily_habits
+ADD COLUMN IF NOT EXISTS reminder_time TIME;
+
+-- Verify the column was added
+SELECT table_name, column_name, data_type, is_nullable
+FROM information_schema.columns
+WHERE table_name = 'daily_habits' AND column_name = 'reminder_time';
@@ -0,0 +1,14 @@
+-- Migration: Add schedule column to daily_habits table
+-- This allows habits that are not due every day (specific weekdays, X times per
+-- week or month, every N days) with optional start and end dates.
+-- NULL means the habit is due every day. See js/habit-schedule.js for the shape:
+-- {"type": "weekdays", "weekdays": [1, 3, 5], "start_date": "2026-01-05", "end_date": null}
+
+-- Add the schedule column to daily_habits
+ALTER TABLE daily_habits
+ADD COLUMN IF NOT EXISTS schedule JSONB DEFAULT NULL;
+
+-- Verify the column was added
+SELECT column_name, data_type, is_nullable
+FROM information_schema.columns
+WHERE table_name = 'daily_habits' AND column_name = 'schedule';
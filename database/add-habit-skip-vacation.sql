@@ -0,0 +1,57 @@
+-- Migration: Add skipped/frozen habit days and habit vacations
+-- Skipped and frozen days are stored on daily_habit_completions.status and do not
+-- count as missed. Vacations pause every habit of a profile between two dates.
+-- Run this in your Supabase SQL Editor
+
+-- ============================================================================
+-- COMPLETION STATUS
+-- NULL for a normal day; 'skipped' or 'frozen' (spends a streak freeze)
+-- ============================================================================
+ALTER TABLE daily_habit_completions
+ADD COLUMN IF NOT EXISTS status TEXT CHECK (status IN ('skipped', 'frozen'));
+
+-- ============================================================================
+-- HABIT VACATIONS TABLE
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS habit_vacations (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  profile_id UUID REFERENCES sub_profiles(id) ON DELETE CASCADE,
+  start_date DATE NOT NULL,
+  end_date DATE NOT NULL,
+  note TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CHECK (end_date >= start_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_habit_vacations_profile ON habit_vacations(profile_id);
+
+ALTER TABLE habit_vacations ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view their own habit vacations" ON habit_vacations;
+DROP POLICY IF EXISTS "Users can insert their own habit vacations" ON habit_vacations;
+DROP POLICY IF EXISTS "Users can update their own habit vacations" ON habit_vacations;
+DROP POLICY IF EXISTS "Users can delete their own habit vacations" ON habit_vacations;
+
+CREATE POLICY "Users can view their own habit vacations"
+  ON habit_vacations FOR SELECT
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert their own habit vacations"
+  ON habit_vacations FOR INSERT
+  WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update their own habit vacations"
+  ON habit_vacations FOR UPDATE
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete their own habit vacations"
+  ON habit_vacations FOR DELETE
+  USING (auth.uid() = user_id);
+
+DROP TRIGGER IF EXISTS update_habit_vacations_updated_at ON habit_vacations;
+CREATE TRIGGER update_habit_vacations_updated_at
+  BEFORE UPDATE ON habit_vacations
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,22 @@
+-- Migration: Add daily targets to daily_habits and logged values to completions
+-- This allows measurable habits such as "read 20 pages" or "at most 2 coffees".
+-- A habit is measurable when target_value is set; completions store the day's
+-- value in count_value (the same name challenge_completions uses) and are marked
+-- completed only when the target is met.
+
+-- Add the target columns to daily_habits
+ALTER TABLE daily_habits
+ADD COLUMN IF NOT EXISTS target_value NUMERIC CHECK (target_value > 0),
+ADD COLUMN IF NOT EXISTS unit TEXT,
+ADD COLUMN IF NOT EXISTS target_comparison TEXT DEFAULT 'at_least'
+    CHECK (target_comparison IN ('at_least', 'at_most'));
+
+-- Add the logged value to daily_habit_completions
+ALTER TABLE daily_habit_completions
+ADD COLUMN IF NOT EXISTS count_value NUMERIC CHECK (count_value >= 0);
+
+-- Verify the columns were added
+SELECT table_name, column_name, data_type, is_nullable
+FROM information_schema.columns
+WHERE (table_name = 'daily_habits' AND column_name IN ('target_value', 'unit', 'target_comparison'))
+   OR (table_name = 'daily_habit_completions' AND column_name = 'count_value');
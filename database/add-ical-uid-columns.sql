@@ -0,0 +1,28 @@
+-- Migration: Add iCalendar UID columns to time_blocks and calendar_events
+-- Enables .ics import: re-importing a calendar updates the rows it created
+-- instead of duplicating them. Requires add-recurrence-columns.sql.
+-- Run this in your Supabase SQL Editor
+
+-- UID of the imported VEVENT (shared by a series and its edited occurrences,
+-- which are told apart by recurrence_date)
+ALTER TABLE time_blocks
+ADD COLUMN IF NOT EXISTS ical_uid TEXT;
+
+ALTER TABLE calendar_events
+ADD COLUMN IF NOT EXISTS ical_uid TEXT;
+
+-- Event descriptions for imported time blocks
+ALTER TABLE time_blocks
+ADD COLUMN IF NOT EXISTS notes TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_time_blocks_ical_uid
+  ON time_blocks(user_id, ical_uid) WHERE ical_uid IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_calendar_events_ical_uid
+  ON calendar_events(user_id, ical_uid) WHERE ical_uid IS NOT NULL;
+
+-- Verify the columns were added
+SELECT table_name, column_name, data_type
+FROM information_schema.columns
+WHERE table_name IN ('time_blocks', 'calendar_events')
+  AND column_name IN ('ical_uid', 'notes')
+ORDER BY table_name, column_name;
@@ -0,0 +1,44 @@
+-- Migration: Add recurrence columns to time_blocks and calendar_events
+-- Enables recurring time blocks and calendar events (RRULE support)
+-- Run this in your Supabase SQL Editor
+--
+-- A recurring row keeps its first occurrence in "date" and an iCalendar RRULE
+-- (e.g. FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR) in "recurrence_rule". Occurrences are
+-- expanded by the app. Skipped dates go in "recurrence_exceptions"; an edited
+-- occurrence is stored as its own row pointing at the series through
+-- "recurrence_parent_id", with the date it replaces in "recurrence_date".
+
+-- ============================================================================
+-- TIME BLOCKS
+-- ============================================================================
+ALTER TABLE time_blocks
+ADD COLUMN IF NOT EXISTS recurrence_rule TEXT,
+ADD COLUMN IF NOT EXISTS recurrence_exceptions DATE[] DEFAULT '{}',
+ADD COLUMN IF NOT EXISTS recurrence_parent_id UUID REFERENCES time_blocks(id) ON DELETE CASCADE,
+ADD COLUMN IF NOT EXISTS recurrence_date DATE;
+
+CREATE INDEX IF NOT EXISTS idx_time_blocks_recurring
+  ON time_blocks(user_id, date) WHERE recurrence_rule IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_time_blocks_recurrence_parent
+  ON time_blocks(recurrence_parent_id);
+
+-- ============================================================================
+-- CALENDAR EVENTS
+-- ============================================================================
+ALTER TABLE calendar_events
+ADD COLUMN IF NOT EXISTS recurrence_rule TEXT,
+ADD COLUMN IF NOT EXISTS recurrence_exceptions DATE[] DEFAULT '{}',
+ADD COLUMN IF NOT EXISTS recurrence_parent_id UUID REFERENCES calendar_events(id) ON DELETE CASCADE,
+ADD COLUMN IF NOT EXISTS recurrence_date DATE;
+
+CREATE INDEX IF NOT EXISTS idx_calendar_events_recurring
+  ON calendar_events(user_id, date) WHERE recurrence_rule IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_calendar_events_recurrence_parent
+  ON calendar_events(recurrence_parent_id);
+
+-- Verify the columns were added
+SELECT table_name, column_name, data_type
+FROM information_schema.columns
+WHERE table_name IN ('time_blocks', 'calendar_events')
+  AND column_name LIKE 'recurrence_%'
+ORDER BY table_name, column_name;
@@ -0,0 +1,17 @@
+-- Migration: Add swimlane columns for Kanban boards
+-- Boards group their cards into horizontal swimlanes by priority, label, linked goal
+-- or a custom lane. Which field a board uses is stored in kanban_boards.settings.swimlanes.
+
+-- Custom lane of a card (only used by boards with custom swimlanes)
+ALTER TABLE kanban_cards
+ADD COLUMN IF NOT EXISTS swimlane TEXT;
+
+-- WIP limit for each swimlane of a column
+ALTER TABLE kanban_columns
+ADD COLUMN IF NOT EXISTS lane_wip_limit INTEGER CHECK (lane_wip_limit > 0);
+
+-- Verify the columns were added
+SELECT table_name, column_name, data_type, is_nullable
+FROM information_schema.columns
+WHERE (table_name = 'kanban_cards' AND column_name = 'swimlane')
+   OR (table_name = 'kanban_columns' AND column_name = 'lane_wip_limit');
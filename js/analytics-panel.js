@@ -6,6 +6,7 @@
  */
 
 import analyticsService from './analytics-service.js';
+import { ESTIMATE_UNITS } from './kanban-service.js';
 import { AnalyticsLineChart, AnalyticsBarChart, CumulativeFlowChart, CHART_THEME } from './analytics-charts.js';
 
 class AnalyticsPanel {
@@ -75,6 +76,8 @@ class AnalyticsPanel {
         this.charts.cumulativeFlow = new CumulativeFlowChart('cumulative-flow-chart');
         this.charts.throughput = new AnalyticsLineChart('throughput-chart');
         this.charts.burnup = new AnalyticsLineChart('burnup-chart');
+        this.charts.estimateBurndown = new AnalyticsLineChart('estimate-burndown-chart');
+        this.charts.estimateBurnup = new AnalyticsLineChart('estimate-burnup-chart');
     }
 
     /**
@@ -164,11 +167,13 @@ class AnalyticsPanel {
         document.getElementById('total-completed-val').textContent = data.completion.totalCompleted;
         document.getElementById('completion-rate-val').textContent = Math.round(data.completion.completionRate);
         document.getElementById('avg-cycle-time-val').textContent = (data.cycleTime.avgCycleTimeMs / (1000 * 60 * 60 * 24)).toFixed(1);
+        document.getElementById('avg-blocked-time-val').textContent = (data.cycleTime.avgBlockedTimeMs / (1000 * 60 * 60 * 24)).toFixed(1);
 
         // Render Charts
         this.renderCompletionCharts(data.completion);
         this.renderCycleTimeCharts(data.cycleTime);
         this.renderThroughputCharts(data.throughput);
+        this.renderEstimateCharts(data.estimates);
     }
 
     updateHealthCards(health) {
@@ -296,6 +301,59 @@ class AnalyticsPanel {
             ]
         );
     }
+
+    /**
+     * Render the estimate burndown and burnup, or hide them on boards without estimates
+     * @param {EstimateMetrics} estimates
+     */
+    renderEstimateCharts(estimates) {
+        const section = this.container.querySelector('#estimate-section');
+        if (!section) return;
+        section.style.display = estimates.hasEstimates ? 'block' : 'none';
+        if (!estimates.hasEstimates) return;
+
+        const unitLabel = estimates.unit === ESTIMATE_UNITS.POMODOROS ? 'Pomodoros' : 'Points';
+        const latest = estimates.daily[estimates.daily.length - 1] || { remaining: 0, scope: 0 };
+        this.container.querySelector('#estimate-remaining-val').textContent = latest.remaining;
+        this.container.querySelector('#estimate-scope-val').textContent = latest.scope;
+        this.container.querySelector('#estimate-unit-val').textContent = unitLabel.toLowerCase();
+
+        const dates = estimates.daily.map(d => d.date);
+
+        // Burndown
+        this.charts.estimateBurndown.render(dates, [
+            {
+                label: `Remaining ${unitLabel}`,
+                data: estimates.daily.map(d => d.remaining),
+                borderColor: CHART_THEME.colors.primary,
+                backgroundColor: CHART_THEME.colors.primary + '22',
+                fill: true
+            },
+            {
+                label: 'Ideal',
+                data: estimates.daily.map(d => Number(d.ideal.toFixed(1))),
+                borderColor: CHART_THEME.colors.gray,
+                borderDash: [5, 5]
+            }
+        ]);
+
+        // Burnup
+        this.charts.estimateBurnup.render(dates, [
+            {
+                label: `Scope (${unitLabel})`,
+                data: estimates.daily.map(d => d.scope),
+                borderColor: CHART_THEME.colors.gray,
+                borderDash: [2, 2]
+            },
+            {
+                label: `Completed ${unitLabel}`,
+                data: estimates.daily.map(d => d.completed),
+                borderColor: CHART_THEME.colors.secondary,
+                backgroundColor: CHART_THEME.colors.secondary + '22',
+                fill: true
+            }
+        ]);
+    }
 }
 
 const analyticsPanel = new AnalyticsPanel();
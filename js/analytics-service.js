@@ -17,6 +17,8 @@
 /**
  * @typedef {Object} CycleTimeMetrics
  * @property {number} avgCycleTimeMs - Average cycle time in milliseconds
+ * @property {number} avgBlockedTimeMs - Average part of the cycle time spent blocked by other cards
+ * @property {number} avgActiveTimeMs - Average cycle time excluding blocked time
  * @property {Array<{columnId: string, columnTitle: string, avgTimeMs: number}>} columnTimes
  * @property {Array<{date: string, avgTimeMs: number}>} trends - Cycle time over time
  * @property {Array<string>} bottleneckColumnIds - Columns exceeding 1.5x average
@@ -42,12 +44,21 @@
  * @property {Array<{id: string, title: string, current: number, limit: number}>} wipViolations
  */
 
+/**
+ * @typedef {Object} EstimateMetrics
+ * @property {string} unit - Estimate unit of the board (points or pomodoros)
+ * @property {boolean} hasEstimates - Whether any card of the board has an estimate
+ * @property {Array<{date: string, scope: number, completed: number, remaining: number, ideal: number}>} daily
+ *   Estimate totals at the end of each day, replayed from the activity log
+ */
+
 /**
  * @typedef {Object} BoardAnalytics
  * @property {CompletionMetrics} completion
  * @property {CycleTimeMetrics} cycleTime
  * @property {ThroughputMetrics} throughput
  * @property {BoardHealthMetrics} health
+ * @property {EstimateMetrics} estimates
  */
 
 import dataService from './data-service.js';
@@ -70,20 +81,22 @@ class AnalyticsService {
             return this.cache.get(cacheKey);
         }
 
-        const [completion, cycleTime, throughput, health] = await Promise.all([
+        const [completion, cycleTime, throughput, health, estimates] = await Promise.all([
             this.getCompletionMetrics(boardId, dateRange),
             this.getCycleTimeMetrics(boardId, dateRange),
             this.getThroughputMetrics(boardId, dateRange),
-            this.getBoardHealthMetrics(boardId)
+            this.getBoardHealthMetrics(boardId),
+            this.getEstimateMetrics(boardId, dateRange)
         ]);
 
-        const analytics = { completion, cycleTime, throughput, health };
+        const analytics = { completion, cycleTime, throughput, health, estimates };
         this.cache.set(cacheKey, analytics);
         return analytics;
     }
 
     /**
      * Get cards for a board within date range
+     * Archived cards are included, so finished cards still count after they are archived.
      * @param {string} boardId - Board ID
      * @param {DateRange} dateRange - Date range
      * @returns {Promise<Array>}
@@ -91,7 +104,11 @@ class AnalyticsService {
     async getCardsForBoard(boardId, dateRange) {
         // Fetch all cards for the board (filtering by date range can be done locally or in query)
         // For simplicity and cache efficiency, we fetch all and filter
-        const cards = await kanbanService.getBoard(boardId).then(b => b?.cards || []);
+        const cards = await kanbanService.getBoard(boardId).then(b => (b ? [
+            ...b.cards,
+            ...b.archivedCards,
+            ...b.archivedColumns.flatMap(column => column.cards)
+        ] : []));
 
         return cards.filter(card => {
             const created = new Date(card.created_at);
@@ -117,12 +134,12 @@ class AnalyticsService {
     }
 
     /**
-     * Get columns for a board
+     * Get columns for a board, archived columns last
      * @param {string} boardId - Board ID
      * @returns {Promise<Array>}
      */
     async getColumnsForBoard(boardId) {
-        return await kanbanService.getBoard(boardId).then(b => b?.columns || []);
+        return await kanbanService.getBoard(boardId).then(b => (b ? [...b.columns, ...b.archivedColumns] : []));
     }
 
     /**
@@ -274,7 +291,9 @@ class AnalyticsService {
         ]);
 
         const doneColumn = this.findDoneColumn(columns);
-        if (!doneColumn) return { avgCycleTimeMs: 0, columnTimes: [], trends: [], bottleneckColumnIds: [] };
+        if (!doneColumn) {
+            return { avgCycleTimeMs: 0, avgBlockedTimeMs: 0, avgActiveTimeMs: 0, columnTimes: [], trends: [], bottleneckColumnIds: [] };
+        }
 
         const completionLogs = activities.filter(log =>
             log.action_type === 'card_moved' &&
@@ -287,6 +306,7 @@ class AnalyticsService {
         });
 
         let totalCycleTime = 0;
+        let totalBlockedTime = 0;
         let completedCount = 0;
         const dailyAvgCycleTime = {}; // { date: { total: 0, count: 0 } }
 
@@ -315,8 +335,17 @@ class AnalyticsService {
             let lastColumnId = cardLogs.length > 0 && cardLogs[0].action_type === 'card_created'
                 ? cardLogs[0].action_data.column_id
                 : card.column_id; // Approximation if missing create log
+            let blockedSince = null;
 
             cardLogs.forEach(entry => {
+                // Blocked time runs from 'card_blocked' to 'card_unblocked' (or completion)
+                if (entry.action_type === 'card_blocked' && !blockedSince) {
+                    blockedSince = new Date(entry.created_at);
+                } else if (entry.action_type === 'card_unblocked' && blockedSince) {
+                    totalBlockedTime += new Date(entry.created_at) - blockedSince;
+                    blockedSince = null;
+                }
+
                 if (entry.action_type === 'card_moved') {
                     const currentTime = new Date(entry.created_at);
                     const duration = currentTime - lastTime;
@@ -330,9 +359,14 @@ class AnalyticsService {
                     lastColumnId = entry.action_data.to_column_id;
                 }
             });
+
+            if (blockedSince) {
+                totalBlockedTime += completionTime - blockedSince;
+            }
         });
 
         const avgCycleTimeMs = completedCount > 0 ? totalCycleTime / completedCount : 0;
+        const avgBlockedTimeMs = completedCount > 0 ? totalBlockedTime / completedCount : 0;
 
         const columnTimes = columns.map(col => ({
             columnId: col.id,
@@ -353,6 +387,8 @@ class AnalyticsService {
 
         return {
             avgCycleTimeMs,
+            avgBlockedTimeMs,
+            avgActiveTimeMs: avgCycleTimeMs - avgBlockedTimeMs,
             columnTimes,
             trends,
             bottleneckColumnIds
@@ -443,6 +479,114 @@ class AnalyticsService {
         };
     }
 
+    /**
+     * Get estimate burndown and burnup metrics
+     * Each day is a snapshot of the estimated scope and the part of it in done columns.
+     * The ideal line burns the first day's remaining estimate down to zero by the last day.
+     * @param {string} boardId - Board ID
+     * @param {DateRange} dateRange - Date range
+     * @returns {Promise<EstimateMetrics>}
+     */
+    async getEstimateMetrics(boardId, dateRange) {
+        // Include the whole last day, so today's cards and changes show up
+        const [board, activities] = await Promise.all([
+            kanbanService.getBoard(boardId),
+            dataService.getKanbanActivityLogRange(boardId, dateRange.startDate, `${dateRange.endDate}T23:59:59.999Z`)
+        ]);
+
+        const cards = board
+            ? [...board.cards, ...board.archivedCards, ...board.archivedColumns.flatMap(column => column.cards)]
+            : [];
+        const columns = board ? [...board.columns, ...board.archivedColumns] : [];
+        const doneColumnIds = new Set(columns.filter(col => kanbanService.isDoneColumn(col)).map(col => col.id));
+        const snapshots = this.getEstimateSnapshots(cards, activities || [], doneColumnIds, this.getDaysInRange(dateRange));
+
+        const startRemaining = snapshots[0]?.remaining || 0;
+        const lastIndex = Math.max(snapshots.length - 1, 1);
+
+        return {
+            unit: kanbanService.getEstimateUnit(board),
+            hasEstimates: cards.some(card => card.estimate !== null && card.estimate !== undefined),
+            daily: snapshots.map((snapshot, index) => ({
+                ...snapshot,
+                ideal: Math.max(0, startRemaining * (1 - index / lastIndex))
+            }))
+        };
+    }
+
+    /**
+     * Replay the activity log to get each day's estimated scope and completed estimate
+     * The log may start after a card was created or end before today, so values not
+     * covered by it come from the next logged change (its from value) or the card itself.
+     * @param {Array} cards - Cards of the board
+     * @param {Array} activities - Activity log entries of the cards
+     * @param {Set<string>} doneColumnIds - IDs of done columns
+     * @param {Array<string>} days - Days (YYYY-MM-DD)
+     * @returns {Array<{date: string, scope: number, completed: number, remaining: number}>}
+     */
+    getEstimateSnapshots(cards, activities, doneColumnIds, days) {
+        const logsByCard = new Map();
+        [...activities]
+            .sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
+            .forEach(log => {
+                if (!logsByCard.has(log.card_id)) logsByCard.set(log.card_id, []);
+                logsByCard.get(log.card_id).push(log);
+            });
+
+        return days.map(day => {
+            const endOfDay = new Date(`${day}T23:59:59.999Z`);
+            let scope = 0;
+            let completed = 0;
+
+            cards.forEach(card => {
+                if (new Date(card.created_at) > endOfDay) return;
+
+                const logs = logsByCard.get(card.id) || [];
+                const before = logs.filter(log => new Date(log.created_at) <= endOfDay);
+                const after = logs.filter(log => new Date(log.created_at) > endOfDay);
+
+                const estimate = Number(this._getValueAtDate(before, after, {
+                    card_estimated: { at: 'to', from: 'from' },
+                    card_created: { at: 'estimate' }
+                }, card.estimate)) || 0;
+                if (estimate === 0) return;
+
+                const columnId = this._getValueAtDate(before, after, {
+                    card_moved: { at: 'to_column_id', from: 'from_column_id' },
+                    card_created: { at: 'column_id' }
+                }, card.column_id);
+
+                scope += estimate;
+                if (doneColumnIds.has(columnId)) completed += estimate;
+            });
+
+            return { date: day, scope, completed, remaining: scope - completed };
+        });
+    }
+
+    /**
+     * Get a card field as it was at a point in time from its activity log
+     * @param {Array} before - Log entries up to the point in time, oldest first
+     * @param {Array} after - Log entries after it, oldest first
+     * @param {Object} fields - Per action type, the action_data keys holding the value
+     *   after the change (at) and before it (from)
+     * @param {*} current - Current value, used when the log says nothing
+     * @returns {*} Value at the point in time
+     * @private
+     */
+    _getValueAtDate(before, after, fields, current) {
+        const hasValue = (log, key) => key && fields[log.action_type] && log.action_data
+            && Object.prototype.hasOwnProperty.call(log.action_data, key);
+
+        const last = [...before].reverse().find(log => hasValue(log, fields[log.action_type]?.at));
+        if (last) return last.action_data[fields[last.action_type].at];
+
+        const next = after.find(log => hasValue(log, fields[log.action_type]?.from));
+        if (next) return next.action_data[fields[next.action_type].from];
+
+        return current;
+    }
+
     /**
      * Get board health metrics
      * @param {string} boardId - Board ID
@@ -520,10 +664,7 @@ class AnalyticsService {
      */
     findDoneColumn(columns) {
         if (!columns) return null;
-        return columns.find(col => {
-            const title = col.title?.toLowerCase() || '';
-            return title === 'done' || title === 'completed' || title === 'finished';
-        });
+        return columns.find(col => kanbanService.isDoneColumn(col));
     }
 
     /**
@@ -577,6 +577,26 @@ class App {
             // Check if user should be reminded to export data
             this.checkExportReminder();
 
+            // Keep the subscribable calendar feed up to date (loaded lazily, like the views)
+            import('./calendar-feed-service.js')
+                .then(({ default: calendarFeedService }) => calendarFeedService.init())
+                .catch(error => console.warn('Calendar feed service failed to start:', error));
+
+            // Remind about habits that are still open (loaded lazily, like the views)
+            import('./habit-reminder-service.js')
+                .then(({ default: habitReminderService }) => habitReminderService.init())
+                .catch(error => console.warn('Habit reminders failed to start:', error));
+
+            // Create recurring kanban cards that came due while the app was closed,
+            // then run the due date automations of the boards
+            import('./kanban-service.js')
+                .then(async ({ default: kanbanService }) => {
+                    await kanbanService.generateAllRecurringCards()
+                        .catch(error => console.warn('Recurring cards could not be created:', error));
+                    await kanbanService.runAllDueAutomations();
+                })
+                .catch(error => console.warn('Kanban automations could not run:', error));
+
             console.log('Application initialized successfully');
         } catch (error) {
             ErrorHandler.handle(error, 'Application Initialization');
@@ -1303,6 +1323,21 @@ class App {
                 }, 100);
                 break;
 
+            case 'add-card':
+                // Navigate to kanban view and open the card modal, where a template can be picked
+                if (currentView !== 'kanban') {
+                    this.router.navigate('kanban');
+                }
+                setTimeout(() => {
+                    const addBtn = document.getElementById('add-card-btn');
+                    if (addBtn && addBtn.style.display !== 'none') {
+                        addBtn.click();
+                    } else {
+                        this.showToast('Select a board to add a card');
+                    }
+                }, 100);
+                break;
+
             case 'add-timeblock':
                 // Navigate to weekly view - user can click on time slot
                 if (currentView !== 'weekly') {
@@ -0,0 +1,149 @@
+/**
+ * Kanban Board Export - Writes one board as CSV, Markdown or JSON
+ * KanbanService.getBoardExport collects the board into the shape js/board-import.js
+ * produces, plus what only an export has:
+ *   { title, description, columns: [{ title, is_done }],
+ *     cards: [{ column_index, is_backlog, title, description, priority, due_date, labels: [{ name, color }],
+ *               checklist: [{ text, is_completed }], comments: [text], pomodoro_count }] }
+ * Backlog cards have is_backlog set and a null column_index; they come after the column cards.
+ * The JSON file wraps that shape, so the board importer can read it back.
+ */
+
+// Column name of backlog cards in CSV files and heading of their Markdown section
+const BACKLOG_TITLE = 'Backlog';
+
+// Identifies board export files (see parseBoardExport in js/board-import.js)
+export const BOARD_EXPORT_FILE_TYPE = 'kanban-board';
+export const BOARD_EXPORT_FILE_VERSION = 1;
+
+// Export formats offered in the board export modal
+export const BOARD_EXPORT_FORMATS = {
+    csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv;charset=utf-8' },
+    markdown: { label: 'Markdown', extension: 'md', mimeType: 'text/markdown;charset=utf-8' },
+    json: { label: 'JSON', extension: 'json', mimeType: 'application/json' }
+};
+
+// CSV headers; the first seven use names the CSV importer recognises
+const CSV_HEADERS = ['Title', 'Column', 'Description', 'Priority', 'Labels', 'Due Date', 'Checklist',
+    'Checklist Progress', 'Pomodoros'];
+
+/**
+ * Quote a CSV field when it contains a delimiter, quote or line break
+ * Text starting with =, +, - or @ gets a leading single quote so spreadsheets
+ * show it instead of running it as a formula.
+ * @param {*} value - Field value
+ * @returns {string} Field as written to the file
+ */
+export function escapeCSVField(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (/^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Label names of a card, whether labels are stored as strings or objects
+ * @param {Object} card - Exported card
+ * @returns {Array<string>} Label names
+ */
+function labelNames(card) {
+    return (card.labels || [])
+        .map(label => (typeof label === 'string' ? label : label?.name))
+        .filter(Boolean);
+}
+
+/**
+ * Write a board as CSV, one row per card
+ * Checklist items are joined with semicolons, the way the CSV importer splits them.
+ * @param {Object} board - Exported board (see KanbanService.getBoardExport)
+ * @returns {string} CSV content with a header row
+ */
+export function buildBoardCSV(board) {
+    const rows = board.cards.map(card => {
+        const done = card.checklist.filter(item => item.is_completed).length;
+        return [
+            card.title,
+            card.is_backlog ? BACKLOG_TITLE : board.columns[card.column_index]?.title,
+            card.description,
+            card.priority,
+            labelNames(card).join(', '),
+            card.due_date,
+            card.checklist.map(item => item.text).join('; '),
+            card.checklist.length > 0 ? `${done}/${card.checklist.length}` : '',
+            card.pomodoro_count || 0
+        ];
+    });
+
+    return [CSV_HEADERS, ...rows]
+        .map(row => row.map(escapeCSVField).join(','))
+        .join('\r\n') + '\r\n';
+}
+
+/**
+ * Write a board as Markdown: a heading per column and a task list of its cards
+ * Cards in done columns are checked off. Backlog cards follow in a section of
+ * their own when there are any.
+ * @param {Object} board - Exported board (see KanbanService.getBoardExport)
+ * @returns {string} Markdown content
+ */
+export function buildBoardMarkdown(board) {
+    const lines = [`# ${board.title}`, ''];
+    if (board.description) {
+        lines.push(board.description, '');
+    }
+
+    const sections = board.columns.map((column, index) => ({
+        title: column.title,
+        isDone: column.is_done,
+        cards: board.cards.filter(card => !card.is_backlog && card.column_index === index)
+    }));
+    const backlogCards = board.cards.filter(card => card.is_backlog);
+    if (backlogCards.length > 0) {
+        sections.push({ title: BACKLOG_TITLE, isDone: false, cards: backlogCards });
+    }
+
+    sections.forEach(({ title, isDone, cards }) => {
+        lines.push(`## ${title}`, '');
+
+        if (cards.length === 0) {
+            lines.push('_No cards_', '');
+            return;
+        }
+
+        cards.forEach(card => {
+            lines.push(`- [${isDone ? 'x' : ' '}] ${card.title.replace(/\s*\n\s*/g, ' ')}`);
+
+            // Indented lines stay part of the list item
+            const details = [
+                card.due_date ? `Due ${card.due_date}` : null,
+                card.priority ? `${card.priority.charAt(0).toUpperCase()}${card.priority.slice(1)} priority` : null,
+                labelNames(card).length > 0 ? `Labels: ${labelNames(card).join(', ')}` : null,
+                card.pomodoro_count ? `${card.pomodoro_count} pomodoro${card.pomodoro_count === 1 ? '' : 's'}` : null
+            ].filter(Boolean);
+            if (details.length > 0) lines.push(`  ${details.join(' · ')}`);
+
+            if (card.description) {
+                card.description.split(/\r?\n/).forEach(line => lines.push(line.trim() ? `  ${line}` : ''));
+            }
+            card.checklist.forEach(item => {
+                lines.push(`  - [${item.is_completed ? 'x' : ' '}] ${item.text}`);
+            });
+        });
+        lines.push('');
+    });
+
+    return lines.join('\n');
+}
+
+/**
+ * Wrap a board in the JSON export file format
+ * @param {Object} board - Exported board (see KanbanService.getBoardExport)
+ * @returns {Object} File contents, ready for JSON.stringify
+ */
+export function buildBoardJSON(board) {
+    return {
+        type: BOARD_EXPORT_FILE_TYPE,
+        version: BOARD_EXPORT_FILE_VERSION,
+        exported_at: new Date().toISOString(),
+        board
+    };
+}
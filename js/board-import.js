@@ -0,0 +1,428 @@
+/**
+ * Kanban Board Import - Reads Trello JSON exports, CSV spreadsheets and the
+ * planner's own board exports (js/board-export.js)
+ * All formats are turned into the same board shape, which KanbanService.importBoard
+ * writes with its regular create methods:
+ *   { title, description, columns: [{ title }],
+ *     cards: [{ column_index, title, description, priority, due_date, labels: [{ name, color }],
+ *               checklist: [{ text, is_completed }], comments: [text], pomodoro_count }] }
+ * (pomodoro_count and is_backlog, set on backlog cards, are only carried by the planner's own exports)
+ * Anything the planner has no place for is reported in `warnings` instead of being dropped silently.
+ */
+
+import { formatDate } from './utils.js';
+import { BOARD_EXPORT_FILE_TYPE, BOARD_EXPORT_FILE_VERSION } from './board-export.js';
+
+// Trello label colors (the _light and _dark variants use the same base color)
+const TRELLO_COLORS = {
+    green: '#61bd4f',
+    yellow: '#f2d600',
+    orange: '#ff9f1a',
+    red: '#eb5a46',
+    purple: '#c377e0',
+    blue: '#0079bf',
+    sky: '#00c2e0',
+    lime: '#51e898',
+    pink: '#ff78cb',
+    black: '#344563'
+};
+
+// Color of labels without one (matches the card modal's default)
+const DEFAULT_LABEL_COLOR = '#6366f1';
+
+// Card fields a CSV column can be mapped to
+export const CSV_FIELDS = ['title', 'column', 'description', 'due_date', 'priority', 'labels', 'checklist'];
+
+// Header names recognised for each CSV field (compared lowercase, without spaces or underscores)
+const CSV_HEADER_NAMES = {
+    title: ['title', 'name', 'card', 'cardname', 'task', 'summary', 'subject'],
+    column: ['column', 'list', 'listname', 'status', 'stage', 'state'],
+    description: ['description', 'desc', 'details', 'notes', 'body'],
+    due_date: ['duedate', 'due', 'deadline', 'duedatetime'],
+    priority: ['priority', 'importance'],
+    labels: ['labels', 'label', 'tags', 'tag'],
+    checklist: ['checklist', 'checklistitems', 'subtasks', 'todo']
+};
+
+// Priority spellings found in spreadsheets
+const PRIORITY_NAMES = {
+    high: 'high', urgent: 'high', critical: 'high', p1: 'high', 1: 'high',
+    medium: 'medium', normal: 'medium', p2: 'medium', 2: 'medium',
+    low: 'low', minor: 'low', p3: 'low', 3: 'low'
+};
+
+/**
+ * Describe a count of things that were left out
+ * @param {number} count - How many
+ * @param {string} noun - Singular noun
+ * @param {string} reason - Rest of the sentence
+ * @returns {string} e.g. "3 attachments were not imported"
+ */
+function skipped(count, noun, reason) {
+    return `${count} ${noun}${count === 1 ? '' : 's'} ${count === 1 ? 'was' : 'were'} ${reason}`;
+}
+
+// ==================== TRELLO ====================
+
+/**
+ * Map a Trello label color to a hex color
+ * @param {string|null} color - Trello color name, e.g. "green" or "green_dark"
+ * @returns {string} Hex color
+ */
+export function trelloLabelColor(color) {
+    return TRELLO_COLORS[(color || '').split('_')[0]] || DEFAULT_LABEL_COLOR;
+}
+
+/**
+ * Read a Trello board export (Board menu > Print, export and share > Export as JSON)
+ * Archived lists and cards are left out.
+ * @param {Object|string} json - Parsed or raw export
+ * @returns {Object} { board, warnings }
+ */
+export function parseTrelloBoard(json) {
+    let data = json;
+    if (typeof json === 'string') {
+        try {
+            data = JSON.parse(json);
+        } catch {
+            throw new Error('Not a Trello board export');
+        }
+    }
+    if (!data || !Array.isArray(data.lists) || !Array.isArray(data.cards)) {
+        throw new Error('Not a Trello board export');
+    }
+
+    const warnings = [];
+    const byPosition = (a, b) => (a.pos ?? 0) - (b.pos ?? 0);
+
+    const lists = data.lists.filter(list => !list.closed).sort(byPosition);
+    const listIndex = new Map(lists.map((list, index) => [list.id, index]));
+    const closedLists = data.lists.length - lists.length;
+    if (closedLists > 0) warnings.push(skipped(closedLists, 'archived list', 'not imported'));
+
+    const labelsById = new Map((data.labels || []).map(label => [label.id, label]));
+    const toLabel = label => ({
+        // Trello allows labels that are only a color
+        name: label.name || (label.color ? label.color.charAt(0).toUpperCase() + label.color.slice(1).split('_')[0] : 'Label'),
+        color: trelloLabelColor(label.color)
+    });
+
+    const checklistsByCard = new Map();
+    (data.checklists || []).forEach(checklist => {
+        if (!checklistsByCard.has(checklist.idCard)) checklistsByCard.set(checklist.idCard, []);
+        checklistsByCard.get(checklist.idCard).push(checklist);
+    });
+
+    // Actions are newest first; comments read best oldest first
+    const commentsByCard = new Map();
+    (data.actions || [])
+        .filter(action => action.type === 'commentCard' && action.data?.card?.id && action.data.text)
+        .sort((a, b) => (a.date || '').localeCompare(b.date || ''))
+        .forEach(action => {
+            const author = action.memberCreator?.fullName;
+            const text = author ? `${author}: ${action.data.text}` : action.data.text;
+            if (!commentsByCard.has(action.data.card.id)) commentsByCard.set(action.data.card.id, []);
+            commentsByCard.get(action.data.card.id).push(text);
+        });
+
+    const counts = { archived: 0, attachments: 0, members: 0, customFields: 0, startDates: 0, dueComplete: 0, mergedChecklists: 0 };
+    const cards = data.cards
+        .filter(card => {
+            if (card.closed || !listIndex.has(card.idList)) {
+                counts.archived++;
+                return false;
+            }
+            return true;
+        })
+        .sort((a, b) => listIndex.get(a.idList) - listIndex.get(b.idList) || byPosition(a, b))
+        .map(card => {
+            counts.attachments += card.attachments?.length || card.badges?.attachments || 0;
+            if (card.idMembers?.length) counts.members++;
+            if (card.customFieldItems?.length) counts.customFields++;
+            if (card.start) counts.startDates++;
+            if (card.dueComplete) counts.dueComplete++;
+
+            const checklists = [...(checklistsByCard.get(card.id) || [])].sort(byPosition);
+            if (checklists.length > 1) counts.mergedChecklists++;
+
+            const labels = card.labels?.length
+                ? card.labels
+                : (card.idLabels || []).map(id => labelsById.get(id)).filter(Boolean);
+
+            return {
+                column_index: listIndex.get(card.idList),
+                title: card.name || 'Untitled card',
+                description: card.desc || null,
+                priority: null,
+                due_date: card.due ? formatDate(new Date(card.due)) : null,
+                labels: labels.map(toLabel),
+                checklist: checklists.flatMap(checklist => [...(checklist.checkItems || [])]
+                    .filter(item => item.name?.trim())
+                    .sort(byPosition)
+                    .map(item => ({ text: item.name, is_completed: item.state === 'complete' }))),
+                comments: commentsByCard.get(card.id) || []
+            };
+        });
+
+    if (counts.archived > 0) warnings.push(skipped(counts.archived, 'archived card', 'not imported'));
+    if (counts.attachments > 0) warnings.push(skipped(counts.attachments, 'attachment', 'not imported (Trello exports only link to them)'));
+    if (counts.members > 0) warnings.push(skipped(counts.members, 'card', 'assigned to members; assignments were not imported'));
+    if (counts.customFields > 0) warnings.push(skipped(counts.customFields, 'card', 'using custom fields; their values were not imported'));
+    if (counts.startDates > 0) warnings.push(skipped(counts.startDates, 'start date', 'not imported'));
+    if (counts.dueComplete > 0) warnings.push(skipped(counts.dueComplete, 'card', 'marked "due complete"; that mark was not imported'));
+    if (counts.mergedChecklists > 0) warnings.push(skipped(counts.mergedChecklists, 'card', 'using several checklists; they were merged into one'));
+
+    return {
+        board: {
+            title: data.name || 'Imported board',
+            description: data.desc || null,
+            columns: lists.map(list => ({ title: list.name || 'Untitled list' })),
+            cards
+        },
+        warnings
+    };
+}
+
+// ==================== PLANNER EXPORTS ====================
+
+/**
+ * Read a board exported from the planner as JSON
+ * @param {Object} data - Parsed export file
+ * @returns {Object} { board, warnings }
+ */
+export function parseBoardExport(data) {
+    if (data?.type !== BOARD_EXPORT_FILE_TYPE || !data.board || !Array.isArray(data.board.columns)) {
+        throw new Error('Not a board export file');
+    }
+    if (data.version > BOARD_EXPORT_FILE_VERSION) {
+        throw new Error('This board was exported by a newer version of the planner');
+    }
+
+    const { board } = data;
+    const columns = board.columns.map(column => ({ title: column?.title ? String(column.title) : 'Untitled column' }));
+    const text = value => (typeof value === 'string' && value.trim() ? value : null);
+
+    let invalid = 0;
+    const cards = (Array.isArray(board.cards) ? board.cards : []).filter(card => {
+        const valid = card?.title && (card.is_backlog === true
+            || (Number.isInteger(card.column_index) && card.column_index >= 0 && card.column_index < columns.length));
+        if (!valid) invalid++;
+        return valid;
+    }).map(card => ({
+        column_index: card.is_backlog === true ? null : card.column_index,
+        is_backlog: card.is_backlog === true,
+        title: String(card.title),
+        description: text(card.description),
+        priority: ['high', 'medium', 'low'].includes(card.priority) ? card.priority : null,
+        due_date: /^\d{4}-\d{2}-\d{2}$/.test(card.due_date) ? card.due_date : null,
+        labels: (Array.isArray(card.labels) ? card.labels : [])
+            .map(label => (typeof label === 'string' ? { name: label, color: DEFAULT_LABEL_COLOR } : label))
+            .filter(label => label?.name)
+            .map(label => ({ name: String(label.name), color: label.color || DEFAULT_LABEL_COLOR })),
+        checklist: (Array.isArray(card.checklist) ? card.checklist : [])
+            .filter(item => text(item?.text))
+            .map(item => ({ text: item.text, is_completed: item.is_completed === true })),
+        comments: (Array.isArray(card.comments) ? card.comments : []).filter(text),
+        pomodoro_count: Number.isInteger(card.pomodoro_count) && card.pomodoro_count > 0 ? card.pomodoro_count : 0
+    }));
+
+    const warnings = [];
+    if (invalid > 0) warnings.push(skipped(invalid, 'card', 'skipped because its title or column is missing'));
+
+    return {
+        board: {
+            title: text(board.title) || 'Imported board',
+            description: text(board.description),
+            columns,
+            cards
+        },
+        warnings
+    };
+}
+
+/**
+ * Read a JSON board file: a planner board export or a Trello export
+ * @param {string} json - File content
+ * @returns {Object} { board, warnings }
+ */
+export function parseBoardJSON(json) {
+    let data;
+    try {
+        data = JSON.parse(json);
+    } catch {
+        throw new Error('The file is not valid JSON');
+    }
+    return data?.type === BOARD_EXPORT_FILE_TYPE ? parseBoardExport(data) : parseTrelloBoard(data);
+}
+
+// ==================== CSV ====================
+
+/**
+ * Split CSV text into rows, handling quoted fields with commas, quotes and line breaks
+ * The delimiter (comma, semicolon or tab) is taken from the header line.
+ * @param {string} text - CSV content
+ * @returns {Object} { headers, rows } with rows as arrays of strings
+ */
+export function parseCSV(text) {
+    const content = text.replace(/^\uFEFF/, '');
+    const firstLine = content.split(/\r?\n/, 1)[0];
+    const delimiter = [',', ';', '\t']
+        .map(candidate => ({ candidate, count: firstLine.split(candidate).length }))
+        .sort((a, b) => b.count - a.count)[0].candidate;
+
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+        if (quoted) {
+            if (char === '"' && content[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && content[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    const nonEmpty = rows.filter(r => r.some(value => value.trim() !== ''));
+    if (nonEmpty.length === 0) {
+        throw new Error('The CSV file is empty');
+    }
+
+    return {
+        headers: nonEmpty[0].map(header => header.trim()),
+        rows: nonEmpty.slice(1)
+    };
+}
+
+/**
+ * Guess which CSV column holds which card field from the header names
+ * @param {Array<string>} headers - CSV headers
+ * @returns {Object} Column index by field (see CSV_FIELDS); unmatched fields are left out
+ */
+export function guessCSVMapping(headers) {
+    const mapping = {};
+    const normalized = headers.map(header => header.toLowerCase().replace(/[\s_-]/g, ''));
+
+    CSV_FIELDS.forEach(field => {
+        const index = normalized.findIndex((header, i) =>
+            CSV_HEADER_NAMES[field].includes(header) && !Object.values(mapping).includes(i));
+        if (index >= 0) mapping[field] = index;
+    });
+    return mapping;
+}
+
+/**
+ * Read a spreadsheet date as YYYY-MM-DD
+ * Accepts ISO dates and anything Date understands (e.g. "03/14/2026")
+ * @param {string} value - Cell value
+ * @returns {string|null} Date, or null if not understood
+ */
+export function parseCSVDate(value) {
+    const text = value.trim();
+    const iso = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+    if (iso) {
+        return `${iso[1]}-${iso[2].padStart(2, '0')}-${iso[3].padStart(2, '0')}`;
+    }
+    const date = new Date(text);
+    return isNaN(date.getTime()) ? null : formatDate(date);
+}
+
+/**
+ * Turn CSV rows into a board using a column mapping
+ * Columns are created in the order their names first appear.
+ * @param {Object} csv - { headers, rows } from parseCSV
+ * @param {Object} mapping - Column index by field (see guessCSVMapping); title is required
+ * @param {Object} [options] - { title, defaultColumn }
+ * @returns {Object} { board, warnings }
+ */
+export function mapCSVBoard({ headers, rows }, mapping, { title = 'Imported board', defaultColumn = 'To Do' } = {}) {
+    if (mapping.title === undefined || mapping.title === null) {
+        throw new Error('Choose the CSV column that holds the card titles');
+    }
+
+    const warnings = [];
+    const cell = (row, field) => {
+        const index = mapping[field];
+        return index === undefined || index === null ? '' : (row[index] || '').trim();
+    };
+
+    const columnTitles = [];
+    const cards = [];
+    const badDates = [];
+    const badPriorities = [];
+    let untitled = 0;
+
+    rows.forEach((row, i) => {
+        const cardTitle = cell(row, 'title');
+        if (!cardTitle) {
+            untitled++;
+            return;
+        }
+
+        const columnTitle = cell(row, 'column') || defaultColumn;
+        if (!columnTitles.includes(columnTitle)) columnTitles.push(columnTitle);
+
+        // Row numbers count the header line, like the spreadsheet does
+        const dueText = cell(row, 'due_date');
+        const dueDate = dueText ? parseCSVDate(dueText) : null;
+        if (dueText && !dueDate) badDates.push(`row ${i + 2} ("${dueText}")`);
+
+        const priorityText = cell(row, 'priority').toLowerCase();
+        const priority = PRIORITY_NAMES[priorityText] || null;
+        if (priorityText && !priority) badPriorities.push(`row ${i + 2} ("${priorityText}")`);
+
+        cards.push({
+            column_index: columnTitles.indexOf(columnTitle),
+            title: cardTitle,
+            description: cell(row, 'description') || null,
+            priority,
+            due_date: dueDate,
+            labels: cell(row, 'labels').split(/[,;]/).map(name => name.trim()).filter(Boolean)
+                .map(name => ({ name, color: DEFAULT_LABEL_COLOR })),
+            checklist: cell(row, 'checklist').split(/[;\n]/).map(text => text.trim()).filter(Boolean)
+                .map(text => ({ text, is_completed: false })),
+            comments: []
+        });
+    });
+
+    if (untitled > 0) warnings.push(skipped(untitled, 'row', 'skipped because the title is empty'));
+    if (badDates.length > 0) warnings.push(`Due dates not understood, left empty: ${badDates.join(', ')}`);
+    if (badPriorities.length > 0) warnings.push(`Priorities not understood, left empty: ${badPriorities.join(', ')}`);
+
+    const mappedIndexes = Object.values(mapping).filter(index => index !== undefined && index !== null);
+    const unmapped = headers.filter((header, index) => header && !mappedIndexes.includes(index));
+    if (unmapped.length > 0) warnings.push(`CSV columns not imported: ${unmapped.join(', ')}`);
+
+    return {
+        board: {
+            title,
+            description: null,
+            columns: (columnTitles.length ? columnTitles : [defaultColumn]).map(columnTitle => ({ title: columnTitle })),
+            cards
+        },
+        warnings
+    };
+}
@@ -77,11 +77,110 @@ const STORES = {
   challengeCompletions: 'challenge_completions'
 };
 
+// Database tables queued operations refer to, mapped to their cache store
+const TABLE_STORES = {
+  annual_goals: STORES.goals,
+  daily_habits: STORES.habits,
+  daily_habit_completions: STORES.habitLogs,
+  time_blocks: STORES.timeBlocks,
+  custom_categories: STORES.categories,
+  reading_list: STORES.readingList,
+  weekly_goals: STORES.weeklyGoals,
+  weekly_habits: STORES.weeklyHabits,
+  weekly_habit_completions: STORES.weeklyHabitLogs,
+  monthly_data: STORES.monthlyData,
+  daily_entries: STORES.dailyEntries,
+  action_plans: STORES.actionPlans,
+  mood_tracker: STORES.moodEntries,
+  sleep_tracker: STORES.sleepEntries,
+  water_tracker: STORES.waterEntries,
+  calendar_events: STORES.calendarEvents,
+  canvas_documents: STORES.canvasDocuments,
+  kanban_boards: STORES.kanbanBoards,
+  kanban_columns: STORES.kanbanColumns,
+  kanban_cards: STORES.kanbanCards,
+  kanban_checklist_items: STORES.checklistItems,
+  kanban_attachments: STORES.attachments,
+  kanban_comments: STORES.comments,
+  kanban_activity_log: STORES.activityLog,
+  interval_challenges: STORES.intervalChallenges,
+  challenge_habits: STORES.challengeHabits,
+  challenge_completions: STORES.challengeCompletions,
+  sub_profiles: STORES.subProfiles
+};
+
+// Pending operation states. Conflicts and failed (dead-letter) operations stay
+// in the queue until the user resolves them from the settings sync panel.
+// Blocked is never stored: getSyncIssues reports it for operations waiting on
+// an offline create that is itself stuck.
+const SYNC_STATUS = {
+  pending: 'pending',
+  conflict: 'conflict',
+  failed: 'failed',
+  blocked: 'blocked'
+};
+
+// Retry policy for operations that error while syncing
+const SYNC_MAX_ATTEMPTS = 5;
+const SYNC_RETRY_BASE_DELAY = 5 * 1000;      // 5 seconds, doubled per attempt
+const SYNC_RETRY_MAX_DELAY = 5 * 60 * 1000;  // 5 minutes
+
+// Prefix of client-generated IDs for rows created offline
+const TEMP_ID_PREFIX = 'temp_';
+const TEMP_ID_MAP_KEY = 'stillmove_temp_id_map';
+
+/**
+ * Replace every occurrence of an ID in a value (objects and arrays are walked)
+ * @returns {*} The same value if nothing changed, otherwise a copy
+ */
+function replaceId(value, fromId, toId) {
+  if (value === fromId) return toId;
+  if (Array.isArray(value)) {
+    const mapped = value.map(v => replaceId(v, fromId, toId));
+    return mapped.some((v, i) => v !== value[i]) ? mapped : value;
+  }
+  if (value && typeof value === 'object') {
+    let changed = false;
+    const mapped = {};
+    for (const [key, v] of Object.entries(value)) {
+      mapped[key] = replaceId(v, fromId, toId);
+      if (mapped[key] !== v) changed = true;
+    }
+    return changed ? mapped : value;
+  }
+  return value;
+}
+
+/**
+ * Collect the temporary IDs referenced anywhere in a value
+ */
+function collectTempIds(value, found = new Set()) {
+  if (typeof value === 'string' && value.startsWith(TEMP_ID_PREFIX)) {
+    found.add(value);
+  } else if (Array.isArray(value)) {
+    value.forEach(v => collectTempIds(v, found));
+  } else if (value && typeof value === 'object') {
+    Object.values(value).forEach(v => collectTempIds(v, found));
+  }
+  return found;
+}
+
+/**
+ * Check whether a queued operation waits on the user (conflict or dead-letter)
+ */
+function isStuck(op) {
+  return op.status === SYNC_STATUS.conflict || op.status === SYNC_STATUS.failed;
+}
+
 class CacheService {
   constructor() {
     this.db = null;
     this.isOnline = navigator.onLine;
     this.syncInProgress = false;
+    // Set by DataService for the local backend, which never needs the network
+    this.localOnly = false;
+    this.syncRetryTimer = null;
+    this.syncListeners = new Set();
     this.cacheMetadata = this.loadCacheMetadata();
 
     // Listen for online/offline events
@@ -439,22 +538,222 @@ class CacheService {
 
   /**
    * Add operation to pending sync queue
+   * Updates and deletes record the server version they were made against
+   * (baseUpdatedAt) so syncWithServer can detect conflicting server edits.
    */
   async addPendingSync(operation) {
+    // A view may still hold a temporary ID that has since been synced
+    operation = this.applyResolvedTempIds(operation);
+
+    // Deleting a row that never reached the server just cancels its queued work
+    if (operation.type === 'delete' && this.isTempId(operation.itemId)) {
+      await this.cancelTempRow(operation.itemId);
+      return null;
+    }
+
     const pending = {
       id: `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
       ...operation,
-      timestamp: new Date().toISOString()
+      timestamp: new Date().toISOString(),
+      status: SYNC_STATUS.pending,
+      attempts: 0
     };
+
+    if ((operation.type === 'update' || operation.type === 'delete') && pending.baseUpdatedAt === undefined) {
+      pending.baseUpdatedAt = await this.getBaseVersion(operation);
+    }
+
     await this.put(STORES.pendingSync, pending);
+    this.notifySyncStatus();
     return pending;
   }
 
   /**
-   * Get all pending sync operations
+   * Find the server version a queued update/delete was made against
+   * @param {Object} operation - Operation being queued
+   * @returns {Promise<string|null>} updated_at of the row, or null if unknown
+   */
+  async getBaseVersion(operation) {
+    try {
+      // Later edits to the same row share the version of the first queued edit
+      const queued = await this.getPendingSync();
+      const earlier = queued.find(op => op.store === operation.store && op.itemId === operation.itemId);
+      if (earlier) return earlier.baseUpdatedAt || null;
+
+      const storeName = TABLE_STORES[operation.store];
+      if (!storeName || this.isTempId(operation.itemId)) return null;
+
+      const cached = await this.get(storeName, operation.itemId);
+      // Ignore a timestamp the edit itself just wrote into the cache
+      if (cached && cached.updated_at && cached.updated_at !== operation.data?.updated_at) {
+        return cached.updated_at;
+      }
+    } catch (e) {
+      console.warn('[Cache] Failed to read base version:', e);
+    }
+    return null;
+  }
+
+  /**
+   * Generate a temporary ID for a row created offline
+   * Replaced by the server ID when the create is synced (see reconcileTempId).
+   * @returns {string} Temporary ID
+   */
+  createTempId() {
+    return `${TEMP_ID_PREFIX}${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  /**
+   * Check whether an ID is a temporary (not yet synced) ID
+   * @param {*} id - ID to check
+   * @returns {boolean} True for temporary IDs
+   */
+  isTempId(id) {
+    return typeof id === 'string' && id.startsWith(TEMP_ID_PREFIX);
+  }
+
+  /**
+   * Get the server ID a temporary ID was replaced with
+   * @param {string} id - Any ID
+   * @returns {string} Server ID if the temporary ID has been synced, otherwise the ID itself
+   */
+  resolveId(id) {
+    if (!this.isTempId(id)) return id;
+    return this.loadTempIdMap()[id] || id;
+  }
+
+  /**
+   * Load the map of synced temporary IDs from localStorage
+   */
+  loadTempIdMap() {
+    try {
+      return JSON.parse(localStorage.getItem(TEMP_ID_MAP_KEY)) || {};
+    } catch (e) {
+      return {};
+    }
+  }
+
+  /**
+   * Swap already-synced temporary IDs in an operation for their server IDs
+   */
+  applyResolvedTempIds(operation) {
+    const map = this.loadTempIdMap();
+    let result = operation;
+    for (const tempId of collectTempIds(operation)) {
+      if (map[tempId] && tempId !== operation.tempId) {
+        result = replaceId(result, tempId, map[tempId]);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Drop queued operations for a row that was created and deleted while offline,
+   * including queued creates of its children
+   * @param {string} tempId - Temporary ID of the deleted row
+   */
+  async cancelTempRow(tempId) {
+    const cancelled = new Set([tempId]);
+    const pending = await this.getPendingSync();
+
+    // Children created offline under a cancelled row are cancelled too
+    for (const op of pending) {
+      const refs = collectTempIds({ itemId: op.itemId, data: op.data });
+      const dependsOnCancelled = [...refs].some(id => cancelled.has(id)) || cancelled.has(op.tempId);
+      if (!dependsOnCancelled) continue;
+
+      if (op.tempId) {
+        cancelled.add(op.tempId);
+        const storeName = TABLE_STORES[op.store];
+        if (storeName) await this.delete(storeName, op.tempId);
+      }
+      await this.removePendingSync(op.id);
+    }
+
+    this.notifySyncStatus();
+  }
+
+  /**
+   * Replace a temporary ID with the server ID in every cache store and in the
+   * remaining queued operations
+   * @param {string} tempId - Temporary ID
+   * @param {Object} serverRow - Row returned by the server for the synced create
+   * @param {string} storeName - Cache store of the created row
+   * @param {Array} queued - In-memory queue of the running sync, updated in place
+   */
+  async reconcileTempId(tempId, serverRow, storeName, queued = []) {
+    const realId = serverRow.id;
+
+    const map = this.loadTempIdMap();
+    map[tempId] = realId;
+    localStorage.setItem(TEMP_ID_MAP_KEY, JSON.stringify(map));
+
+    if (storeName) {
+      await this.delete(storeName, tempId);
+      await this.put(storeName, serverRow);
+    }
+
+    // Foreign keys (and nested references such as activity data) in other rows
+    for (const store of new Set(Object.values(TABLE_STORES))) {
+      const rows = await this.getAll(store);
+      const changed = rows
+        .map(row => replaceId(row, tempId, realId))
+        .filter((row, i) => row !== rows[i]);
+      if (changed.length > 0) await this.putAll(store, changed);
+    }
+
+    // Follow-up operations that referenced the temporary ID
+    for (let i = 0; i < queued.length; i++) {
+      const op = queued[i];
+      const wasTempRow = op.itemId === tempId;
+      let updated = replaceId(op, tempId, realId);
+      if (updated === op) continue;
+
+      // Skip operations the running sync has already completed
+      if (!(await this.get(STORES.pendingSync, op.id))) continue;
+
+      if (wasTempRow) {
+        // Edits made before the row existed on the server can't conflict with it.
+        // The first is based on the created row; rebaseQueuedEdits moves the rest
+        // on as each one syncs.
+        updated = { ...updated, baseUpdatedAt: serverRow.updated_at || null };
+      }
+      queued[i] = updated;
+      await this.put(STORES.pendingSync, updated);
+    }
+  }
+
+  /**
+   * Move the remaining queued edits of a row onto the version an edit just synced,
+   * so the server's bump of updated_at is not mistaken for someone else's change
+   * @param {Object} synced - Operation that was just applied
+   * @param {string} updatedAt - updated_at of the row after the operation
+   * @param {Array} queued - In-memory queue of the running sync, updated in place
+   */
+  async rebaseQueuedEdits(synced, updatedAt, queued = []) {
+    for (let i = 0; i < queued.length; i++) {
+      const op = queued[i];
+      if (op.id === synced.id || op.store !== synced.store || op.itemId !== synced.itemId) continue;
+
+      // Skip operations the running sync has already completed
+      if (!(await this.get(STORES.pendingSync, op.id))) continue;
+
+      queued[i] = { ...op, baseUpdatedAt: updatedAt };
+      await this.put(STORES.pendingSync, queued[i]);
+    }
+
+    // Edits queued from now on read their base version from the cached row
+    const storeName = TABLE_STORES[synced.store];
+    const cached = storeName ? await this.get(storeName, synced.itemId) : null;
+    if (cached) await this.put(storeName, { ...cached, updated_at: updatedAt });
+  }
+
+  /**
+   * Get all pending sync operations, oldest first
    */
   async getPendingSync() {
-    return this.getAll(STORES.pendingSync);
+    const pending = await this.getAll(STORES.pendingSync);
+    return pending.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
   }
 
   /**
@@ -464,6 +763,161 @@ class CacheService {
     return this.delete(STORES.pendingSync, id);
   }
 
+  /**
+   * Get operations that need the user's attention: conflicts, dead-letter and
+   * operations blocked behind either (see findBlockedOperations)
+   * @returns {Promise<Array>} Stuck operations, oldest first
+   */
+  async getSyncIssues() {
+    const pending = await this.getPendingSync();
+    const blocked = new Map(this.findBlockedOperations(pending).map(op => [op.id, op]));
+    return pending
+      .filter(op => isStuck(op) || blocked.has(op.id))
+      .map(op => blocked.get(op.id) || op);
+  }
+
+  /**
+   * Find queued operations that can't sync because a row they point at was
+   * created offline and that create is a conflict, dead-lettered, blocked
+   * itself, or no longer queued
+   * @param {Array} pending - Queue, oldest first
+   * @returns {Array} Copies of the operations with status 'blocked' and
+   *   blockedBy set to the ID of the stuck create (null when it is gone)
+   */
+  findBlockedOperations(pending) {
+    const creates = new Map(pending.filter(op => op.type === 'create' && op.tempId).map(op => [op.tempId, op]));
+    const synced = this.loadTempIdMap();
+    const stuckTempIds = new Set(pending.filter(op => op.tempId && isStuck(op)).map(op => op.tempId));
+    const blocked = [];
+
+    // Parents are queued before their children, so one pass catches chains
+    for (const op of pending) {
+      if (isStuck(op)) continue;
+
+      const waitingOn = [...collectTempIds({ itemId: op.itemId, data: op.data })]
+        .find(id => id !== op.tempId && !synced[id] && (!creates.has(id) || stuckTempIds.has(id)));
+      if (!waitingOn) continue;
+
+      blocked.push({ ...op, status: SYNC_STATUS.blocked, blockedBy: creates.get(waitingOn)?.id || null });
+      if (op.tempId) stuckTempIds.add(op.tempId);
+    }
+    return blocked;
+  }
+
+  /**
+   * Get a summary of the sync queue
+   * @returns {Promise<Object>} { online, syncing, lastSync, pending, conflicts, failed, blocked }
+   */
+  async getSyncStatus() {
+    const pending = await this.getPendingSync();
+    const blocked = this.findBlockedOperations(pending).length;
+    return {
+      online: this.online,
+      syncing: this.syncInProgress,
+      lastSync: this.getLastSync(),
+      pending: pending.filter(op => !isStuck(op)).length - blocked,
+      conflicts: pending.filter(op => op.status === SYNC_STATUS.conflict).length,
+      failed: pending.filter(op => op.status === SYNC_STATUS.failed).length,
+      blocked
+    };
+  }
+
+  /**
+   * Register a callback for sync queue changes
+   * @param {Function} callback - Called with the result of getSyncStatus()
+   * @returns {Function} Unsubscribe function
+   */
+  onSyncStatusChange(callback) {
+    this.syncListeners.add(callback);
+    return () => this.syncListeners.delete(callback);
+  }
+
+  /**
+   * Notify sync status listeners
+   */
+  async notifySyncStatus() {
+    if (this.syncListeners.size === 0) return;
+    try {
+      const status = await this.getSyncStatus();
+      this.syncListeners.forEach(callback => callback(status));
+    } catch (e) {
+      console.warn('[Cache] Failed to notify sync status:', e);
+    }
+  }
+
+  /**
+   * Resolve a conflicting or failed operation
+   * 'mine' applies the queued change over the server row; 'server' discards it
+   * and refreshes the cached row from the server.
+   * @param {string} id - Pending operation ID
+   * @param {string} choice - 'mine' or 'server'
+   */
+  async resolveSyncIssue(id, choice) {
+    const op = await this.get(STORES.pendingSync, id);
+    if (!op) return;
+
+    const { default: dataService } = await import('./data-service.js');
+    const storeName = TABLE_STORES[op.store];
+
+    // Later queued edits to the same row follow the chosen side
+    const related = op.itemId
+      ? (await this.getPendingSync()).filter(other =>
+        other.id !== op.id && other.store === op.store && other.itemId === op.itemId)
+      : [];
+
+    if (choice === 'mine') {
+      const unresolved = collectTempIds({ itemId: op.itemId, data: op.data });
+      if (op.tempId) unresolved.delete(op.tempId);
+      if (unresolved.size > 0) {
+        throw new Error('This change depends on another change that has not synced yet');
+      }
+
+      let result;
+      if (op.type === 'update' && op.conflict && op.conflict.serverData === null) {
+        // Row was deleted on the server - recreate it from the local copy
+        const cached = storeName ? await this.get(storeName, op.itemId) : null;
+        result = await dataService.createDirect(op.store, { ...cached, ...op.data, id: op.itemId });
+      } else {
+        result = await this.processPendingOperation(dataService, op);
+      }
+      await this.removePendingSync(op.id);
+
+      if (op.type === 'create' && op.tempId && result) {
+        await this.reconcileTempId(op.tempId, result, storeName, await this.getPendingSync());
+      }
+
+      const baseUpdatedAt = result?.updated_at || new Date().toISOString();
+      for (const other of related) {
+        await this.put(STORES.pendingSync, { ...other, baseUpdatedAt });
+      }
+    } else if (choice === 'server' && op.type === 'create' && op.tempId) {
+      // The row never reached the server - drop it and anything created under it
+      await this.cancelTempRow(op.tempId);
+    } else if (choice === 'server') {
+      await this.removePendingSync(op.id);
+      for (const other of related) {
+        await this.removePendingSync(other.id);
+      }
+
+      // A row that never reached the server has nothing to refresh from
+      if (storeName && op.itemId && !this.isTempId(op.itemId)) {
+        const serverRow = op.conflict?.serverData !== undefined
+          ? op.conflict.serverData
+          : await dataService.getDirect(op.store, op.itemId);
+        if (serverRow) {
+          await this.put(storeName, serverRow);
+        } else {
+          await this.delete(storeName, op.itemId);
+        }
+      }
+    } else {
+      throw new Error(`Unknown resolution: ${choice}`);
+    }
+
+    this.notifySyncStatus();
+    if (related.length > 0) this.syncWithServer();
+  }
+
   /**
    * Get last sync timestamp
    */
@@ -486,7 +940,7 @@ class CacheService {
     this.isOnline = true;
     this.syncWithServer();
 
-    if (window.Toast) {
+    if (window.Toast && !this.localOnly) {
       window.Toast.success('Back online - syncing data...');
     }
   }
@@ -498,18 +952,24 @@ class CacheService {
     console.log('[Cache] Gone offline');
     this.isOnline = false;
 
-    if (window.Toast) {
+    if (window.Toast && !this.localOnly) {
       window.Toast.warning('You are offline. Changes will sync when back online.');
     }
   }
 
   /**
    * Sync pending changes with server
+   * Operations run oldest first. An operation whose row changed on the server
+   * since it was queued becomes a conflict; failing operations are retried with
+   * exponential backoff and moved to the dead-letter list after SYNC_MAX_ATTEMPTS.
+   * Later operations on a blocked row wait so edits are never applied out of order.
    */
   async syncWithServer() {
     if (this.syncInProgress || !this.isOnline) return;
 
     this.syncInProgress = true;
+    clearTimeout(this.syncRetryTimer);
+    this.syncRetryTimer = null;
     console.log('[Cache] Starting sync...');
 
     try {
@@ -521,15 +981,67 @@ class CacheService {
         // Import dataService dynamically to avoid circular dependency
         const { default: dataService } = await import('./data-service.js');
 
-        for (const op of pending) {
+        const blockedRows = new Set();
+        let nextRetryAt = null;
+
+        for (let i = 0; i < pending.length; i++) {
+          // Read by index: reconcileTempId rewrites later entries in place
+          const op = pending[i];
+          const rowKey = op.itemId ? `${op.store}:${op.itemId}` : null;
+
+          if (isStuck(op)) {
+            if (rowKey) blockedRows.add(rowKey);
+            continue;
+          }
+          if (rowKey && blockedRows.has(rowKey)) continue;
+
+          // Wait until every row this operation points at has a server ID.
+          // If that create is stuck, getSyncIssues reports this operation as blocked.
+          const unresolved = collectTempIds({ itemId: op.itemId, data: op.data });
+          if (op.tempId) unresolved.delete(op.tempId);
+          if (unresolved.size > 0) continue;
+
+          if (op.nextAttemptAt && Date.parse(op.nextAttemptAt) > Date.now()) {
+            if (rowKey) blockedRows.add(rowKey);
+            nextRetryAt = Math.min(nextRetryAt ?? Infinity, Date.parse(op.nextAttemptAt));
+            continue;
+          }
+
           try {
-            await this.processPendingOperation(dataService, op);
+            const conflict = await this.detectConflict(dataService, op);
+            if (conflict) {
+              console.warn('[Cache] Sync conflict:', op, conflict);
+              await this.put(STORES.pendingSync, {
+                ...op,
+                status: SYNC_STATUS.conflict,
+                conflict: { ...conflict, detectedAt: new Date().toISOString() }
+              });
+              if (rowKey) blockedRows.add(rowKey);
+              continue;
+            }
+
+            const result = await this.processPendingOperation(dataService, op);
             await this.removePendingSync(op.id);
+
+            if (op.type === 'create' && op.tempId && result) {
+              await this.reconcileTempId(op.tempId, result, TABLE_STORES[op.store], pending);
+            } else if (op.type === 'update' && op.itemId) {
+              await this.rebaseQueuedEdits(op, result?.updated_at || new Date().toISOString(), pending);
+            }
           } catch (error) {
             console.error('[Cache] Failed to sync operation:', op, error);
-            // Keep in queue for retry
+            const failed = this.recordSyncFailure(op, error);
+            await this.put(STORES.pendingSync, failed);
+            if (rowKey) blockedRows.add(rowKey);
+            if (failed.nextAttemptAt) {
+              nextRetryAt = Math.min(nextRetryAt ?? Infinity, Date.parse(failed.nextAttemptAt));
+            }
           }
         }
+
+        if (nextRetryAt !== null) {
+          this.scheduleSyncRetry(nextRetryAt - Date.now());
+        }
       }
 
       this.setLastSync(new Date().toISOString());
@@ -538,25 +1050,85 @@ class CacheService {
       console.error('[Cache] Sync failed:', error);
     } finally {
       this.syncInProgress = false;
+      this.notifySyncStatus();
     }
   }
 
+  /**
+   * Compare a queued update/delete with the current server row
+   * @returns {Promise<Object|null>} { reason, serverData } when the server changed
+   *   since the operation was queued, otherwise null
+   */
+  async detectConflict(dataService, op) {
+    if ((op.type !== 'update' && op.type !== 'delete') || !op.itemId) return null;
+
+    const serverRow = await dataService.getDirect(op.store, op.itemId);
+
+    if (!serverRow) {
+      // Deleting a row that is already gone is not a conflict
+      return op.type === 'update'
+        ? { reason: 'deleted on server', serverData: null }
+        : null;
+    }
+
+    const since = op.baseUpdatedAt || op.timestamp;
+    if (serverRow.updated_at && since && Date.parse(serverRow.updated_at) > Date.parse(since)) {
+      return { reason: 'changed on server', serverData: serverRow };
+    }
+
+    return null;
+  }
+
+  /**
+   * Record a failed attempt, scheduling a retry or dead-lettering the operation
+   * @returns {Object} Updated operation
+   */
+  recordSyncFailure(op, error) {
+    const attempts = (op.attempts || 0) + 1;
+    const updated = {
+      ...op,
+      attempts,
+      lastError: error?.message || String(error),
+      lastAttemptAt: new Date().toISOString()
+    };
+
+    if (attempts >= SYNC_MAX_ATTEMPTS) {
+      updated.status = SYNC_STATUS.failed;
+      updated.nextAttemptAt = null;
+    } else {
+      const delay = Math.min(SYNC_RETRY_BASE_DELAY * 2 ** (attempts - 1), SYNC_RETRY_MAX_DELAY);
+      updated.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+    }
+
+    return updated;
+  }
+
+  /**
+   * Run syncWithServer again once the earliest backoff expires
+   * @param {number} delay - Milliseconds to wait
+   */
+  scheduleSyncRetry(delay) {
+    clearTimeout(this.syncRetryTimer);
+    this.syncRetryTimer = setTimeout(() => {
+      this.syncRetryTimer = null;
+      this.syncWithServer();
+    }, Math.max(delay, 0));
+  }
+
   /**
    * Process a single pending operation
+   * @returns {Promise<Object|undefined>} Server row for creates and updates
    */
   async processPendingOperation(dataService, op) {
     const { type, store, data, itemId } = op;
 
     switch (type) {
       case 'create':
-        await dataService.createDirect(store, data);
-        break;
+        return dataService.createDirect(store, data);
       case 'update':
-        await dataService.updateDirect(store, itemId, data);
-        break;
+        return dataService.updateDirect(store, itemId, data);
       case 'delete':
-        await dataService.deleteDirect(store, itemId);
-        break;
+        return dataService.deleteDirect(store, itemId);
       default:
         console.warn('[Cache] Unknown operation type:', type);
     }
@@ -566,11 +1138,11 @@ class CacheService {
    * Check if we're online
    */
   get online() {
-    return this.isOnline;
+    return this.localOnly || this.isOnline;
   }
 }
 
 // Export singleton
 const cacheService = new CacheService();
 export default cacheService;
-export { STORES, CACHE_TTL };
+export { STORES, CACHE_TTL, TABLE_STORES, SYNC_STATUS, TEMP_ID_PREFIX };
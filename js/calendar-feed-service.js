@@ -0,0 +1,207 @@
+/**
+ * CalendarFeedService - Publishes a read-only .ics feed of the planner
+ * Calendar apps subscribe to a signed URL of a file stored through StorageService.
+ * The file is rebuilt a few seconds after planner data changes and always lives at
+ * {user_id}/{secret}.ics, so the URL stays the same until the secret is rotated.
+ */
+
+import dataService from './data-service.js';
+import integrationService, { CALENDAR_EXPORT_SOURCES } from './integration-service.js';
+import storageService from './storage-service.js';
+import cacheService from './cache-service.js';
+import { isLocalBackend } from './supabase-client.js';
+import { addDays } from './recurrence.js';
+import { formatDate } from './utils.js';
+
+// Tables whose changes show up in the feed
+const FEED_TABLES = ['time_blocks', 'calendar_events', 'annual_goals', 'kanban_cards'];
+
+// Wait for a burst of edits to settle before rebuilding the feed
+const REGENERATE_DELAY = 5000;
+
+// The feed covers a rolling window around today
+const FEED_PAST_DAYS = 90;
+const FEED_FUTURE_DAYS = 365;
+
+// Rebuild on start-up when the window has moved on since the last build
+const FEED_MAX_AGE = 24 * 60 * 60 * 1000;
+
+class CalendarFeedService {
+    constructor() {
+        this.feed = null;
+        this.regenerateTimer = null;
+        this.unsubscribers = [];
+        this.pendingSync = 0;
+    }
+
+    /**
+     * Whether feeds can be published from this backend
+     * (the local backend has no URL other apps can reach)
+     * @returns {boolean}
+     */
+    isAvailable() {
+        return !isLocalBackend();
+    }
+
+    /**
+     * Start rebuilding the feed when planner data changes
+     */
+    async init() {
+        if (!this.isAvailable() || this.unsubscribers.length > 0) return;
+
+        this.unsubscribers.push(dataService.onDataChange(table => {
+            if (FEED_TABLES.includes(table)) this.scheduleRegeneration();
+        }));
+
+        // Offline edits reach the server when the sync queue drains
+        this.unsubscribers.push(cacheService.onSyncStatusChange(status => {
+            if (this.pendingSync > 0 && status.pending === 0) this.scheduleRegeneration();
+            this.pendingSync = status.pending;
+        }));
+
+        try {
+            await this.getFeed();
+            const age = Date.now() - new Date(this.feed?.last_generated_at || 0).getTime();
+            if (this.feed?.enabled && age > FEED_MAX_AGE) {
+                await this.regenerate();
+            }
+        } catch (error) {
+            console.warn('Calendar feed unavailable:', error.message);
+        }
+    }
+
+    /**
+     * Stop listening for changes
+     */
+    destroy() {
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+        clearTimeout(this.regenerateTimer);
+    }
+
+    /**
+     * Get the feed settings
+     * @returns {Promise<Object|null>} Feed row or null if never set up
+     */
+    async getFeed() {
+        this.feed = await dataService.getCalendarFeed();
+        return this.feed;
+    }
+
+    /**
+     * Turn the feed on and publish it
+     * @param {Object} settings - { sources, categories } (categories null for all)
+     * @returns {Promise<Object>} Feed row with its URL
+     */
+    async enableFeed({ sources, categories = null }) {
+        const previous = this.feed || await this.getFeed();
+        this.feed = await dataService.saveCalendarFeed({
+            enabled: true,
+            sources,
+            categories,
+            secret: (previous?.enabled && previous.secret) || this.createSecret()
+        });
+        return this.regenerate();
+    }
+
+    /**
+     * Change what the feed includes and republish it at the same URL
+     * @param {Object} settings - { sources, categories } (categories null for all)
+     * @returns {Promise<Object>} Feed row
+     */
+    async updateFeed({ sources, categories = null }) {
+        this.feed = await dataService.saveCalendarFeed({ sources, categories });
+        return this.feed.enabled ? this.regenerate() : this.feed;
+    }
+
+    /**
+     * Turn the feed off and delete the published file, so the URL stops working
+     * The secret is cleared too: turning the feed back on publishes it at a new URL
+     * instead of reviving the signed URLs handed out before.
+     * @returns {Promise<Object>} Feed row
+     */
+    async disableFeed() {
+        const feed = this.feed || await this.getFeed();
+        clearTimeout(this.regenerateTimer);
+
+        if (feed?.secret) {
+            await storageService.deleteCalendarFeed(this.getFeedPath(feed));
+        }
+        this.feed = await dataService.saveCalendarFeed({ enabled: false, secret: null, feed_url: null });
+        return this.feed;
+    }
+
+    /**
+     * Publish the feed under a new secret URL and retire the old one
+     * @returns {Promise<Object>} Feed row with the new URL
+     */
+    async rotateSecret() {
+        const previous = this.feed || await this.getFeed();
+        if (!previous?.enabled) throw new Error('Calendar feed is not enabled');
+
+        this.feed = await dataService.saveCalendarFeed({ secret: this.createSecret(), feed_url: null });
+        const feed = await this.regenerate();
+
+        await storageService.deleteCalendarFeed(this.getFeedPath(previous));
+        return feed;
+    }
+
+    /**
+     * Rebuild the feed shortly, once edits stop coming in
+     */
+    scheduleRegeneration() {
+        if (!this.feed?.enabled) return;
+
+        clearTimeout(this.regenerateTimer);
+        this.regenerateTimer = setTimeout(() => {
+            this.regenerate().catch(error => console.warn('Calendar feed update failed:', error.message));
+        }, REGENERATE_DELAY);
+    }
+
+    /**
+     * Build the feed from current planner data and upload it
+     * @returns {Promise<Object>} Feed row with its URL and build time
+     */
+    async regenerate() {
+        const feed = this.feed;
+        if (!feed?.enabled || !feed.secret) return feed;
+
+        const today = formatDate(new Date());
+        const { content } = await integrationService.buildCalendarICal({
+            sources: feed.sources || CALENDAR_EXPORT_SOURCES.map(source => source.value),
+            categories: feed.categories,
+            startDate: addDays(today, -FEED_PAST_DAYS),
+            endDate: addDays(today, FEED_FUTURE_DAYS)
+        });
+
+        const path = this.getFeedPath(feed);
+        await storageService.uploadCalendarFeed(path, content);
+
+        this.feed = await dataService.saveCalendarFeed({
+            feed_url: feed.feed_url || await storageService.getCalendarFeedUrl(path),
+            last_generated_at: new Date().toISOString()
+        });
+        return this.feed;
+    }
+
+    /**
+     * Storage path of a feed file
+     * @param {Object} feed - Feed row
+     * @returns {string} Path inside the calendar-feeds bucket
+     */
+    getFeedPath(feed) {
+        return `${feed.user_id}/${feed.secret}.ics`;
+    }
+
+    /**
+     * Create an unguessable secret for the feed path
+     * @returns {string} 32 hex characters
+     */
+    createSecret() {
+        const bytes = crypto.getRandomValues(new Uint8Array(16));
+        return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+}
+
+const calendarFeedService = new CalendarFeedService();
+export default calendarFeedService;
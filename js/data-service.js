@@ -4,8 +4,18 @@
  * Now with cache-first strategy for offline support and reduced API calls
  */
 
-import { getSupabaseClient } from './supabase-client.js';
-import cacheService, { STORES } from './cache-service.js';
+import { getSupabaseClient, isLocalBackend } from './supabase-client.js';
+import cacheService, { STORES, TABLE_STORES } from './cache-service.js';
+import {
+    RECURRENCE_SCOPES,
+    addDays,
+    daysBetween,
+    expandRecurringItems,
+    getOccurrenceFields,
+    shiftRecurrence,
+    splitRRule
+} from './recurrence.js';
+import { parseICal } from './ical.js';
 
 // Map table names to cache store names
 const TABLE_TO_STORE = {
@@ -22,10 +32,179 @@ const TABLE_TO_STORE = {
     'challenge_completions': STORES.challengeCompletions
 };
 
+// Current JSON export format version
+const EXPORT_VERSION = '2.0';
+
+// Rows requested per page when exporting a table
+const EXPORT_PAGE_SIZE = 1000;
+
+// Tables included in the JSON export, keyed by their field in exportData.data.
+// Order matters: parents come before children, and children that the Supabase
+// client does not scope to the active profile name their parent so the export
+// only contains rows belonging to exported parents. `store` is the cache store
+// that imported rows are written to.
+const EXPORT_TABLES = [
+    { key: 'customCategories', table: 'custom_categories', store: STORES.categories },
+    { key: 'annualGoals', table: 'annual_goals', store: STORES.goals },
+    { key: 'readingList', table: 'reading_list', store: STORES.readingList },
+    { key: 'monthlyData', table: 'monthly_data', store: STORES.monthlyData },
+    { key: 'weeklyGoals', table: 'weekly_goals', store: STORES.weeklyGoals },
+    { key: 'actionPlans', table: 'action_plans', store: STORES.actionPlans },
+    { key: 'timeBlocks', table: 'time_blocks', store: STORES.timeBlocks },
+    { key: 'calendarEvents', table: 'calendar_events', store: STORES.calendarEvents },
+    { key: 'dailyEntries', table: 'daily_entries', store: STORES.dailyEntries },
+    { key: 'dailyHabits', table: 'daily_habits', store: STORES.habits },
+    { key: 'dailyHabitCompletions', table: 'daily_habit_completions', store: STORES.habitLogs },
+    { key: 'habitVacations', table: 'habit_vacations' },
+    { key: 'weeklyHabits', table: 'weekly_habits', store: STORES.weeklyHabits },
+    { key: 'weeklyHabitCompletions', table: 'weekly_habit_completions', store: STORES.weeklyHabitLogs },
+    { key: 'moodEntries', table: 'mood_tracker', store: STORES.moodEntries },
+    { key: 'sleepEntries', table: 'sleep_tracker', store: STORES.sleepEntries },
+    { key: 'waterEntries', table: 'water_tracker', store: STORES.waterEntries },
+    { key: 'pomodoroSessions', table: 'pomodoro_sessions' },
+    { key: 'intervalChallenges', table: 'interval_challenges', store: STORES.intervalChallenges },
+    { key: 'challengeHabits', table: 'challenge_habits', store: STORES.challengeHabits, parent: { key: 'intervalChallenges', column: 'challenge_id' } },
+    { key: 'challengeCompletions', table: 'challenge_completions', store: STORES.challengeCompletions, parent: { key: 'intervalChallenges', column: 'challenge_id' } },
+    { key: 'canvasDocuments', table: 'canvas_documents', store: STORES.canvasDocuments },
+    { key: 'kanbanBoards', table: 'kanban_boards', store: STORES.kanbanBoards },
+    { key: 'kanbanColumns', table: 'kanban_columns', store: STORES.kanbanColumns, parent: { key: 'kanbanBoards', column: 'board_id' } },
+    { key: 'kanbanCardRecurrences', table: 'kanban_card_recurrences', parent: { key: 'kanbanBoards', column: 'board_id' } },
+    { key: 'kanbanCards', table: 'kanban_cards', store: STORES.kanbanCards, parent: { key: 'kanbanBoards', column: 'board_id' } },
+    { key: 'kanbanChecklistItems', table: 'kanban_checklist_items', store: STORES.checklistItems, parent: { key: 'kanbanCards', column: 'card_id' } },
+    { key: 'kanbanAttachments', table: 'kanban_attachments', store: STORES.attachments, parent: { key: 'kanbanCards', column: 'card_id' } },
+    { key: 'kanbanComments', table: 'kanban_comments', store: STORES.comments, parent: { key: 'kanbanCards', column: 'card_id' } },
+    { key: 'kanbanActivityLog', table: 'kanban_activity_log', store: STORES.activityLog, parent: { key: 'kanbanCards', column: 'card_id' } },
+    { key: 'kanbanCardDependencies', table: 'kanban_card_dependencies', parent: { key: 'kanbanCards', column: 'card_id' } },
+    // Card and board templates belong to the user, not a profile, so every export carries them
+    // and replacing one profile's data keeps them
+    { key: 'kanbanCardTemplates', table: 'kanban_card_templates', userLevel: true },
+    { key: 'kanbanBoardTemplates', table: 'kanban_board_templates', userLevel: true },
+    { key: 'mindmaps', table: 'mindmaps' },
+    { key: 'mindmapNodes', table: 'mindmap_nodes', parent: { key: 'mindmaps', column: 'mindmap_id' } },
+    { key: 'flowcharts', table: 'flowcharts' },
+    { key: 'flowchartNodes', table: 'flowchart_nodes', parent: { key: 'flowcharts', column: 'flowchart_id' } },
+    { key: 'flowchartEdges', table: 'flowchart_edges', parent: { key: 'flowcharts', column: 'flowchart_id' } }
+];
+
+// Foreign keys rewritten on import: column -> export key of the referenced table.
+// A reference to the table itself (mindmap parent_id) is resolved after all of
+// its rows have been created.
+const IMPORT_REFERENCES = {
+    dailyHabits: { linked_goal_id: 'annualGoals' },
+    dailyHabitCompletions: { habit_id: 'dailyHabits' },
+    weeklyHabitCompletions: { habit_id: 'weeklyHabits' },
+    timeBlocks: { recurrence_parent_id: 'timeBlocks' },
+    calendarEvents: { recurrence_parent_id: 'calendarEvents' },
+    pomodoroSessions: { linked_goal_id: 'annualGoals', linked_time_block_id: 'timeBlocks' },
+    challengeHabits: { challenge_id: 'intervalChallenges' },
+    challengeCompletions: { challenge_id: 'intervalChallenges', habit_id: 'challengeHabits' },
+    kanbanBoards: { category_id: 'customCategories' },
+    kanbanColumns: { board_id: 'kanbanBoards' },
+    kanbanCardRecurrences: { board_id: 'kanbanBoards', column_id: 'kanbanColumns' },
+    kanbanCards: { board_id: 'kanbanBoards', column_id: 'kanbanColumns', linked_goal_id: 'annualGoals', linked_habit_id: 'dailyHabits', recurrence_id: 'kanbanCardRecurrences' },
+    kanbanChecklistItems: { card_id: 'kanbanCards' },
+    kanbanAttachments: { card_id: 'kanbanCards' },
+    kanbanComments: { card_id: 'kanbanCards' },
+    kanbanActivityLog: { card_id: 'kanbanCards' },
+    kanbanCardDependencies: { card_id: 'kanbanCards', blocker_card_id: 'kanbanCards' },
+    mindmapNodes: { mindmap_id: 'mindmaps', parent_id: 'mindmapNodes' },
+    flowchartNodes: { flowchart_id: 'flowcharts' },
+    flowchartEdges: { flowchart_id: 'flowcharts', source_node_id: 'flowchartNodes', target_node_id: 'flowchartNodes' }
+};
+
+// IDs stored inside kanban_activity_log.action_data (see KanbanService.logActivity callers)
+const ACTIVITY_DATA_REFERENCES = {
+    column_id: 'kanbanColumns',
+    from_column_id: 'kanbanColumns',
+    to_column_id: 'kanbanColumns',
+    item_id: 'kanbanChecklistItems',
+    blocker_card_id: 'kanbanCards',
+    recurrence_id: 'kanbanCardRecurrences'
+};
+
+// Reference columns that cannot be null; rows whose parent was not imported are skipped
+const REQUIRED_REFERENCE_COLUMNS = [
+    'board_id', 'card_id', 'blocker_card_id', 'habit_id', 'challenge_id',
+    'mindmap_id', 'flowchart_id', 'source_node_id', 'target_node_id'
+];
+
+// Date-keyed tables are upserted on their unique key instead of inserted
+const IMPORT_UPSERT_KEYS = {
+    monthlyData: 'user_id,year,month',
+    dailyEntries: 'user_id,date',
+    dailyHabitCompletions: 'habit_id,date',
+    weeklyHabitCompletions: 'habit_id,date',
+    challengeCompletions: 'habit_id,date',
+    moodEntries: 'user_id,date',
+    sleepEntries: 'user_id,date',
+    waterEntries: 'user_id,date'
+};
+
+// Natural keys used by merge imports to recognise rows that already exist.
+// Compared after foreign keys are remapped, so children match within their
+// (possibly pre-existing) parent. Date-keyed tables listed in IMPORT_UPSERT_KEYS
+// are updated on a match; every other table keeps the existing row.
+const IMPORT_NATURAL_KEYS = {
+    customCategories: ['name'],
+    annualGoals: ['title', 'year'],
+    readingList: ['book_title', 'year'],
+    monthlyData: ['year', 'month'],
+    weeklyGoals: ['year', 'week_number', 'goal_text'],
+    actionPlans: ['year', 'month', 'life_area', 'specific_action'],
+    timeBlocks: ['date', 'start_time', 'activity'],
+    calendarEvents: ['date', 'title'],
+    dailyEntries: ['date'],
+    dailyHabits: ['habit_name'],
+    dailyHabitCompletions: ['habit_id', 'date'],
+    habitVacations: ['start_date', 'end_date'],
+    weeklyHabits: ['habit_name'],
+    weeklyHabitCompletions: ['habit_id', 'date'],
+    moodEntries: ['date'],
+    sleepEntries: ['date'],
+    waterEntries: ['date'],
+    pomodoroSessions: ['started_at'],
+    intervalChallenges: ['title', 'start_date'],
+    challengeHabits: ['challenge_id', 'habit_name'],
+    challengeCompletions: ['habit_id', 'date'],
+    canvasDocuments: ['title', 'created_at'],
+    kanbanBoards: ['title'],
+    kanbanColumns: ['board_id', 'title'],
+    kanbanCardRecurrences: ['board_id', 'title'],
+    kanbanCards: ['board_id', 'title'],
+    kanbanChecklistItems: ['card_id', 'text'],
+    kanbanAttachments: ['card_id', 'file_path'],
+    kanbanComments: ['card_id', 'text', 'created_at'],
+    kanbanActivityLog: ['card_id', 'action_type', 'created_at'],
+    kanbanCardDependencies: ['card_id', 'blocker_card_id'],
+    kanbanCardTemplates: ['name'],
+    kanbanBoardTemplates: ['name'],
+    mindmaps: ['title'],
+    mindmapNodes: ['mindmap_id', 'label', 'x', 'y'],
+    flowcharts: ['title'],
+    flowchartNodes: ['flowchart_id', 'label', 'x', 'y'],
+    flowchartEdges: ['flowchart_id', 'source_node_id', 'target_node_id']
+};
+
+// Rows sent per insert request during import
+const IMPORT_BATCH_SIZE = 100;
+
+// IDs sent per `in` filter, which travels in the request URL
+const ID_FILTER_BATCH_SIZE = 100;
+
+// CRUD methods used to edit recurring series, by table
+const RECURRING_TABLES = {
+    time_blocks: { create: 'createTimeBlock', update: 'updateTimeBlock', remove: 'deleteTimeBlock', store: STORES.timeBlocks },
+    calendar_events: { create: 'createCalendarEvent', update: 'updateCalendarEvent', remove: 'deleteCalendarEvent' }
+};
+
 class DataService {
     constructor() {
         this.supabase = getSupabaseClient();
         this.cacheEnabled = true;
+        this.changeListeners = new Set();
+
+        // The local backend is always reachable, so nothing is queued for sync
+        if (isLocalBackend()) cacheService.localOnly = true;
     }
 
     /**
@@ -39,6 +218,30 @@ class DataService {
         throw new Error(`${context}: ${error.message || 'Unknown error'}`);
     }
 
+    /**
+     * Register a callback for writes that reached the server
+     * @param {Function} callback - Called with the table name
+     * @returns {Function} Unsubscribe function
+     */
+    onDataChange(callback) {
+        this.changeListeners.add(callback);
+        return () => this.changeListeners.delete(callback);
+    }
+
+    /**
+     * Notify data change listeners
+     * @param {string} table - Table that was written
+     */
+    notifyDataChange(table) {
+        this.changeListeners.forEach(callback => {
+            try {
+                callback(table);
+            } catch (error) {
+                console.warn('Data change listener failed:', error);
+            }
+        });
+    }
+
     /**
      * Get data with cache-first strategy
      * Returns cached data immediately, then syncs with server in background
@@ -100,6 +303,12 @@ class DataService {
      * Writes to cache immediately, then syncs to server
      */
     async saveWithCache(storeName, item, serverFn) {
+        // New rows get a temporary ID so they can be edited and linked before syncing
+        const isNew = item && !item.id;
+        if (isNew && !cacheService.online) {
+            item = { ...item, id: cacheService.createTempId() };
+        }
+
         // Save to cache immediately for instant UI update
         if (this.cacheEnabled && item) {
             try {
@@ -112,6 +321,13 @@ class DataService {
         // If offline, queue for later sync
         if (!cacheService.online) {
             console.log('[Cache] Offline - queuing operation');
+            const table = Object.keys(TABLE_STORES).find(t => TABLE_STORES[t] === storeName);
+            if (table) {
+                const { id, ...data } = item;
+                await cacheService.addPendingSync(isNew
+                    ? { type: 'create', store: table, data, tempId: id }
+                    : { type: 'update', store: table, itemId: id, data });
+            }
             return item;
         }
 
@@ -123,6 +339,11 @@ class DataService {
      * Direct database operations (used by cache sync)
      */
     async createDirect(table, data) {
+        // Temporary IDs are client-side only; the server assigns the real ID
+        if (cacheService.isTempId(data.id)) {
+            const { id, ...rest } = data;
+            data = rest;
+        }
         const { data: result, error } = await this.supabase
             .from(table)
             .insert([data])
@@ -131,6 +352,16 @@ class DataService {
         return result[0];
     }
 
+    async getDirect(table, id) {
+        const { data, error } = await this.supabase
+            .from(table)
+            .select('*')
+            .eq('id', id)
+            .single();
+        if (error && error.code !== 'PGRST116') throw error;
+        return data || null;
+    }
+
     async updateDirect(table, id, data) {
         const { data: result, error } = await this.supabase
             .from(table)
@@ -211,14 +442,15 @@ class DataService {
             if (!cacheService.online) {
                 const tempGoal = {
                     ...goalWithUser,
-                    id: `temp_${Date.now()}`,
+                    id: cacheService.createTempId(),
                     created_at: new Date().toISOString()
                 };
                 await cacheService.put(STORES.goals, tempGoal);
                 await cacheService.addPendingSync({
                     type: 'create',
                     store: 'annual_goals',
-                    data: goalWithUser
+                    data: goalWithUser,
+                    tempId: tempGoal.id
                 });
                 return tempGoal;
             }
@@ -235,6 +467,7 @@ class DataService {
                 await cacheService.put(STORES.goals, data[0]);
             }
 
+            this.notifyDataChange('annual_goals');
             return data[0];
         } catch (error) {
             this.handleError(error, 'createAnnualGoal');
@@ -276,6 +509,7 @@ class DataService {
                 .select();
 
             if (error) throw error;
+            this.notifyDataChange('annual_goals');
             return data[0];
         } catch (error) {
             this.handleError(error, 'updateAnnualGoal');
@@ -310,6 +544,7 @@ class DataService {
                 .eq('id', id);
 
             if (error) throw error;
+            this.notifyDataChange('annual_goals');
         } catch (error) {
             this.handleError(error, 'deleteAnnualGoal');
         }
@@ -369,9 +604,9 @@ class DataService {
             const bookWithUser = { ...book, user_id: user.id };
 
             if (!cacheService.online) {
-                const tempBook = { ...bookWithUser, id: `temp_${Date.now()}`, created_at: new Date().toISOString() };
+                const tempBook = { ...bookWithUser, id: cacheService.createTempId(), created_at: new Date().toISOString() };
                 await cacheService.put(STORES.readingList, tempBook);
-                await cacheService.addPendingSync({ type: 'create', store: 'reading_list', data: bookWithUser });
+                await cacheService.addPendingSync({ type: 'create', store: 'reading_list', data: bookWithUser, tempId: tempBook.id });
                 return tempBook;
             }
 
@@ -496,9 +731,14 @@ class DataService {
             const dataWithUser = { ...monthlyData, user_id: user.id };
 
             if (!cacheService.online) {
-                const tempData = { ...dataWithUser, id: dataWithUser.id || `temp_${Date.now()}` };
+                const tempData = { ...dataWithUser, id: dataWithUser.id || cacheService.createTempId() };
                 await cacheService.put(STORES.monthlyData, tempData);
-                await cacheService.addPendingSync({ type: 'create', store: 'monthly_data', data: dataWithUser });
+                await cacheService.addPendingSync({
+                    type: 'create',
+                    store: 'monthly_data',
+                    data: dataWithUser,
+                    tempId: dataWithUser.id ? undefined : tempData.id
+                });
                 return tempData;
             }
 
@@ -567,9 +807,9 @@ class DataService {
             const goalWithUser = { ...goal, user_id: user.id };
 
             if (!cacheService.online) {
-                const tempGoal = { ...goalWithUser, id: `temp_${Date.now()}`, created_at: new Date().toISOString() };
+                const tempGoal = { ...goalWithUser, id: cacheService.createTempId(), created_at: new Date().toISOString() };
                 await cacheService.put(STORES.weeklyGoals, tempGoal);
-                await cacheService.addPendingSync({ type: 'create', store: 'weekly_goals', data: goalWithUser });
+                await cacheService.addPendingSync({ type: 'create', store: 'weekly_goals', data: goalWithUser, tempId: tempGoal.id });
                 return tempGoal;
             }
 
@@ -645,87 +885,47 @@ class DataService {
     // ==================== TIME BLOCKS ====================
 
     /**
-     * Get time blocks for a specific date
+     * Get time blocks for a specific date, including occurrences of recurring blocks
      * @param {string} date - Date in YYYY-MM-DD format
      * @returns {Promise<Array>} Array of time blocks
      */
     async getTimeBlocks(date) {
-        try {
-            // Try cache first
-            if (this.cacheEnabled) {
-                const cached = await cacheService.getAll(STORES.timeBlocks);
-                const dateBlocks = cached.filter(b => b.date === date);
-                if (dateBlocks.length > 0 || cached.length > 0) {
-                    if (cacheService.online) {
-                        this.syncInBackground(STORES.timeBlocks, async () => {
-                            const { data } = await this.supabase.from('time_blocks').select('*').eq('date', date);
-                            return data;
-                        });
-                    }
-                    return dateBlocks.sort((a, b) => a.start_time.localeCompare(b.start_time));
-                }
-            }
-
-            const { data, error } = await this.supabase
-                .from('time_blocks')
-                .select('*')
-                .eq('date', date)
-                .order('start_time');
-
-            if (error) throw error;
-
-            if (this.cacheEnabled && data) {
-                await cacheService.putAll(STORES.timeBlocks, data);
-            }
-
-            return data || [];
-        } catch (error) {
-            this.handleError(error, 'getTimeBlocks');
-        }
+        return this.getTimeBlocksRange(date, date);
     }
 
     /**
-     * Get time blocks for a date range
+     * Get time blocks for a date range.
+     * Recurring blocks are expanded into one item per occurrence (see js/recurrence.js).
      * @param {string} startDate - Start date in YYYY-MM-DD format
      * @param {string} endDate - End date in YYYY-MM-DD format
      * @returns {Promise<Array>} Array of time blocks
      */
     async getTimeBlocksRange(startDate, endDate) {
+        const sortBlocks = blocks => blocks.sort((a, b) =>
+            a.date.localeCompare(b.date) || (a.start_time || '').localeCompare(b.start_time || ''));
+
         try {
             // Try cache first
             if (this.cacheEnabled) {
                 const cached = await cacheService.getAll(STORES.timeBlocks);
-                const rangeBlocks = cached.filter(b => b.date >= startDate && b.date <= endDate);
+                const rangeBlocks = cached.filter(b =>
+                    (b.date >= startDate && b.date <= endDate) || (b.recurrence_rule && b.date <= endDate));
                 if (rangeBlocks.length > 0) {
                     if (cacheService.online) {
-                        this.syncInBackground(STORES.timeBlocks, async () => {
-                            const { data } = await this.supabase
-                                .from('time_blocks')
-                                .select('*')
-                                .gte('date', startDate)
-                                .lte('date', endDate);
-                            return data;
-                        });
+                        this.syncInBackground(STORES.timeBlocks, () =>
+                            this.fetchRecurringRange('time_blocks', startDate, endDate));
                     }
-                    return rangeBlocks.sort((a, b) => a.date.localeCompare(b.date) || a.start_time.localeCompare(b.start_time));
+                    return sortBlocks(expandRecurringItems(rangeBlocks, startDate, endDate));
                 }
             }
 
-            const { data, error } = await this.supabase
-                .from('time_blocks')
-                .select('*')
-                .gte('date', startDate)
-                .lte('date', endDate)
-                .order('date')
-                .order('start_time');
-
-            if (error) throw error;
+            const data = await this.fetchRecurringRange('time_blocks', startDate, endDate);
 
             if (this.cacheEnabled && data) {
                 await cacheService.putAll(STORES.timeBlocks, data);
             }
 
-            return data || [];
+            return sortBlocks(expandRecurringItems(data, startDate, endDate));
         } catch (error) {
             this.handleError(error, 'getTimeBlocksRange');
         }
@@ -747,14 +947,15 @@ class DataService {
             if (!cacheService.online) {
                 const tempBlock = {
                     ...blockWithUser,
-                    id: `temp_${Date.now()}`,
+                    id: cacheService.createTempId(),
                     created_at: new Date().toISOString()
                 };
                 await cacheService.put(STORES.timeBlocks, tempBlock);
                 await cacheService.addPendingSync({
                     type: 'create',
                     store: 'time_blocks',
-                    data: blockWithUser
+                    data: blockWithUser,
+                    tempId: tempBlock.id
                 });
                 return tempBlock;
             }
@@ -770,6 +971,7 @@ class DataService {
                 await cacheService.put(STORES.timeBlocks, data[0]);
             }
 
+            this.notifyDataChange('time_blocks');
             return data[0];
         } catch (error) {
             this.handleError(error, 'createTimeBlock');
@@ -808,6 +1010,7 @@ class DataService {
                 .select();
 
             if (error) throw error;
+            this.notifyDataChange('time_blocks');
             return data[0];
         } catch (error) {
             this.handleError(error, 'updateTimeBlock');
@@ -840,6 +1043,7 @@ class DataService {
                 .eq('id', id);
 
             if (error) throw error;
+            this.notifyDataChange('time_blocks');
         } catch (error) {
             this.handleError(error, 'deleteTimeBlock');
         }
@@ -849,42 +1053,27 @@ class DataService {
     // For unscheduled events, full-day events, and events without specific times
 
     /**
-     * Get calendar events for a specific date
+     * Get calendar events for a specific date, including occurrences of recurring events
      * @param {string} date - Date in YYYY-MM-DD format
      * @returns {Promise<Array>} Array of calendar events
      */
     async getCalendarEvents(date) {
-        try {
-            const { data, error } = await this.supabase
-                .from('calendar_events')
-                .select('*')
-                .eq('date', date)
-                .order('created_at', { ascending: true });
-
-            if (error) throw error;
-            return data || [];
-        } catch (error) {
-            this.handleError(error, 'getCalendarEvents');
-        }
+        return this.getCalendarEventsRange(date, date);
     }
 
     /**
-     * Get calendar events for a date range
+     * Get calendar events for a date range.
+     * Recurring events are expanded into one item per occurrence (see js/recurrence.js).
      * @param {string} startDate - Start date in YYYY-MM-DD format
      * @param {string} endDate - End date in YYYY-MM-DD format
      * @returns {Promise<Array>} Array of calendar events
      */
     async getCalendarEventsRange(startDate, endDate) {
         try {
-            const { data, error } = await this.supabase
-                .from('calendar_events')
-                .select('*')
-                .gte('date', startDate)
-                .lte('date', endDate)
-                .order('date', { ascending: true });
+            const data = await this.fetchRecurringRange('calendar_events', startDate, endDate);
 
-            if (error) throw error;
-            return data || [];
+            return expandRecurringItems(data, startDate, endDate).sort((a, b) =>
+                a.date.localeCompare(b.date) || (a.created_at || '').localeCompare(b.created_at || ''));
         } catch (error) {
             this.handleError(error, 'getCalendarEventsRange');
         }
@@ -908,6 +1097,7 @@ class DataService {
                 .select();
 
             if (error) throw error;
+            this.notifyDataChange('calendar_events');
             return data[0];
         } catch (error) {
             this.handleError(error, 'createCalendarEvent');
@@ -929,6 +1119,7 @@ class DataService {
                 .select();
 
             if (error) throw error;
+            this.notifyDataChange('calendar_events');
             return data[0];
         } catch (error) {
             this.handleError(error, 'updateCalendarEvent');
@@ -948,11 +1139,294 @@ class DataService {
                 .eq('id', id);
 
             if (error) throw error;
+            this.notifyDataChange('calendar_events');
         } catch (error) {
             this.handleError(error, 'deleteCalendarEvent');
         }
     }
 
+    // ==================== RECURRING SERIES ====================
+    // Time blocks and calendar events can carry an RRULE. Occurrences are expanded on read;
+    // editing one occurrence either adds an exception plus an override row ("this"),
+    // splits the series ("this and following") or changes the series row ("all").
+
+    /**
+     * Fetch the rows of a recurring table that can produce items in a date range:
+     * rows dated inside the range plus recurring rows starting before it ends
+     * @param {string} table - 'time_blocks' or 'calendar_events'
+     * @param {string} startDate - Start date in YYYY-MM-DD format
+     * @param {string} endDate - End date in YYYY-MM-DD format
+     * @returns {Promise<Array>} Stored rows (not expanded)
+     */
+    async fetchRecurringRange(table, startDate, endDate) {
+        const [single, recurring] = await Promise.all([
+            this.supabase.from(table).select('*').gte('date', startDate).lte('date', endDate),
+            this.supabase.from(table).select('*').not('recurrence_rule', 'is', null).lte('date', endDate)
+        ]);
+
+        if (single.error) throw single.error;
+
+        // Databases without database/add-recurrence-columns.sql still show one-off items
+        if (recurring.error) {
+            console.warn(`Recurring ${table} unavailable:`, recurring.error.message);
+            return single.data || [];
+        }
+
+        const ids = new Set((single.data || []).map(row => row.id));
+        return [...(single.data || []), ...(recurring.data || []).filter(row => !ids.has(row.id))];
+    }
+
+    /**
+     * Get the stored row of a recurring series
+     * @param {string} table - 'time_blocks' or 'calendar_events'
+     * @param {string} id - Series ID
+     * @returns {Promise<Object>} Series row
+     */
+    async getRecurringSeries(table, id) {
+        const { store } = RECURRING_TABLES[table];
+        const series = (store && this.cacheEnabled && await cacheService.get(store, id))
+            || (cacheService.online ? await this.getDirect(table, id) : null);
+
+        if (!series) throw new Error('Recurring series not found');
+        return series;
+    }
+
+    /**
+     * Get the edited occurrences (override rows) of a series
+     * @param {string} table - 'time_blocks' or 'calendar_events'
+     * @param {string} seriesId - Series ID
+     * @returns {Promise<Array>} Override rows
+     */
+    async getRecurrenceOverrides(table, seriesId) {
+        const { store } = RECURRING_TABLES[table];
+
+        if (!cacheService.online) {
+            const cached = store ? await cacheService.getAll(store) : [];
+            return cached.filter(row => row.recurrence_parent_id === seriesId);
+        }
+
+        const { data, error } = await this.supabase
+            .from(table)
+            .select('*')
+            .eq('recurrence_parent_id', seriesId);
+
+        if (error) throw error;
+        return data || [];
+    }
+
+    /**
+     * Update a time block that may be an occurrence of a recurring series
+     * @param {Object} block - Time block as returned by getTimeBlocksRange
+     * @param {Object} updates - Fields to update
+     * @param {string} scope - 'this', 'following' or 'all' (ignored for one-off blocks)
+     * @returns {Promise<Object>} Updated or created row
+     */
+    async updateTimeBlockOccurrence(block, updates, scope = RECURRENCE_SCOPES.ALL) {
+        try {
+            return await this.updateOccurrence('time_blocks', block, updates, scope);
+        } catch (error) {
+            this.handleError(error, 'updateTimeBlockOccurrence');
+        }
+    }
+
+    /**
+     * Delete a time block that may be an occurrence of a recurring series
+     * @param {Object} block - Time block as returned by getTimeBlocksRange
+     * @param {string} scope - 'this', 'following' or 'all' (ignored for one-off blocks)
+     * @returns {Promise<void>}
+     */
+    async deleteTimeBlockOccurrence(block, scope = RECURRENCE_SCOPES.ALL) {
+        try {
+            await this.deleteOccurrence('time_blocks', block, scope);
+        } catch (error) {
+            this.handleError(error, 'deleteTimeBlockOccurrence');
+        }
+    }
+
+    /**
+     * Update a calendar event that may be an occurrence of a recurring series
+     * @param {Object} event - Event as returned by getCalendarEventsRange
+     * @param {Object} updates - Fields to update
+     * @param {string} scope - 'this', 'following' or 'all' (ignored for one-off events)
+     * @returns {Promise<Object>} Updated or created row
+     */
+    async updateCalendarEventOccurrence(event, updates, scope = RECURRENCE_SCOPES.ALL) {
+        try {
+            return await this.updateOccurrence('calendar_events', event, updates, scope);
+        } catch (error) {
+            this.handleError(error, 'updateCalendarEventOccurrence');
+        }
+    }
+
+    /**
+     * Delete a calendar event that may be an occurrence of a recurring series
+     * @param {Object} event - Event as returned by getCalendarEventsRange
+     * @param {string} scope - 'this', 'following' or 'all' (ignored for one-off events)
+     * @returns {Promise<void>}
+     */
+    async deleteCalendarEventOccurrence(event, scope = RECURRENCE_SCOPES.ALL) {
+        try {
+            await this.deleteOccurrence('calendar_events', event, scope);
+        } catch (error) {
+            this.handleError(error, 'deleteCalendarEventOccurrence');
+        }
+    }
+
+    /**
+     * Apply an edit to one occurrence, the following occurrences or the whole series
+     */
+    async updateOccurrence(table, item, updates, scope) {
+        const methods = RECURRING_TABLES[table];
+        const seriesId = item.series_id || item.recurrence_parent_id;
+
+        if (!seriesId) {
+            // One-off row, or a series row edited directly
+            return this[methods.update](item.id, updates);
+        }
+
+        const occurrenceDate = item.occurrence_date || item.recurrence_date;
+        const isOverride = Boolean(item.recurrence_parent_id);
+
+        if (scope === RECURRENCE_SCOPES.THIS) {
+            if (isOverride) {
+                return this[methods.update](item.id, updates);
+            }
+
+            const series = await this.getRecurringSeries(table, seriesId);
+            await this[methods.update](seriesId, {
+                recurrence_exceptions: [...(series.recurrence_exceptions || []), occurrenceDate]
+            });
+            return this[methods.create]({
+                ...getOccurrenceFields(series),
+                date: occurrenceDate,
+                ...updates,
+                recurrence_parent_id: seriesId,
+                recurrence_date: occurrenceDate
+            });
+        }
+
+        // Moving an occurrence by N days moves every affected occurrence by N days
+        const { date: newDate, ...fields } = updates;
+        const shiftDays = newDate ? daysBetween(item.date, newDate) : 0;
+
+        if (isOverride) {
+            await this[methods.update](item.id, fields);
+        }
+
+        const series = await this.getRecurringSeries(table, seriesId);
+
+        if (scope === RECURRENCE_SCOPES.FOLLOWING && occurrenceDate > series.date) {
+            return this.splitRecurringSeries(table, series, occurrenceDate, fields, shiftDays);
+        }
+
+        return this[methods.update](seriesId, {
+            ...fields,
+            ...(shiftDays ? shiftRecurrence(series, shiftDays) : {})
+        });
+    }
+
+    /**
+     * Delete one occurrence, the following occurrences or the whole series
+     */
+    async deleteOccurrence(table, item, scope) {
+        const methods = RECURRING_TABLES[table];
+        const seriesId = item.series_id || item.recurrence_parent_id;
+
+        if (!seriesId) {
+            await this.deleteSeriesOverrides(table, item);
+            await this[methods.remove](item.id);
+            return;
+        }
+
+        const occurrenceDate = item.occurrence_date || item.recurrence_date;
+
+        if (scope === RECURRENCE_SCOPES.THIS) {
+            if (item.recurrence_parent_id) {
+                // The series already skips this date
+                await this[methods.remove](item.id);
+                return;
+            }
+
+            const series = await this.getRecurringSeries(table, seriesId);
+            await this[methods.update](seriesId, {
+                recurrence_exceptions: [...(series.recurrence_exceptions || []), occurrenceDate]
+            });
+            return;
+        }
+
+        const series = await this.getRecurringSeries(table, seriesId);
+
+        if (scope === RECURRENCE_SCOPES.FOLLOWING && occurrenceDate > series.date) {
+            const { before } = splitRRule(series.recurrence_rule, series.date, occurrenceDate);
+            await this[methods.update](seriesId, {
+                recurrence_rule: before,
+                recurrence_exceptions: (series.recurrence_exceptions || []).filter(date => date < occurrenceDate)
+            });
+
+            const overrides = await this.getRecurrenceOverrides(table, seriesId);
+            for (const override of overrides.filter(o => o.recurrence_date >= occurrenceDate)) {
+                await this[methods.remove](override.id);
+            }
+            return;
+        }
+
+        await this.deleteSeriesOverrides(table, series);
+        await this[methods.remove](seriesId);
+    }
+
+    /**
+     * Delete the override rows of a series before the series itself, so the
+     * cache does not keep rows the database removes by cascade
+     */
+    async deleteSeriesOverrides(table, row) {
+        if (!row.recurrence_rule) return;
+
+        const overrides = await this.getRecurrenceOverrides(table, row.id);
+        for (const override of overrides) {
+            await this[RECURRING_TABLES[table].remove](override.id);
+        }
+    }
+
+    /**
+     * End a series the day before fromDate and continue it as a new series with the given changes
+     * @returns {Promise<Object|null>} The new series row, or null when COUNT leaves nothing to continue
+     */
+    async splitRecurringSeries(table, series, fromDate, updates, shiftDays = 0) {
+        const methods = RECURRING_TABLES[table];
+        const { before, after } = splitRRule(series.recurrence_rule, series.date, fromDate);
+        const exceptions = series.recurrence_exceptions || [];
+
+        await this[methods.update](series.id, {
+            recurrence_rule: before,
+            recurrence_exceptions: exceptions.filter(date => date < fromDate)
+        });
+
+        if (!after) return null;
+
+        const following = {
+            ...getOccurrenceFields(series),
+            ...updates,
+            date: fromDate,
+            recurrence_rule: after,
+            recurrence_exceptions: exceptions.filter(date => date >= fromDate)
+        };
+        const created = await this[methods.create]({
+            ...following,
+            ...(shiftDays ? shiftRecurrence(following, shiftDays) : {})
+        });
+
+        // Edited occurrences from the split date on now belong to the new series
+        const overrides = await this.getRecurrenceOverrides(table, series.id);
+        for (const override of overrides.filter(o => o.recurrence_date >= fromDate)) {
+            await this[methods.update](override.id, {
+                recurrence_parent_id: created.id,
+                recurrence_date: addDays(override.recurrence_date, shiftDays)
+            });
+        }
+
+        return created;
+    }
+
     // ==================== POMODORO SESSIONS ====================
 
     /**
@@ -1204,14 +1678,15 @@ class DataService {
             if (!cacheService.online) {
                 const tempHabit = {
                     ...habitWithUser,
-                    id: `temp_${Date.now()}`,
+                    id: cacheService.createTempId(),
                     created_at: new Date().toISOString()
                 };
                 await cacheService.put(STORES.habits, tempHabit);
                 await cacheService.addPendingSync({
                     type: 'create',
                     store: 'daily_habits',
-                    data: habitWithUser
+                    data: habitWithUser,
+                    tempId: tempHabit.id
                 });
                 return tempHabit;
             }
@@ -1227,6 +1702,7 @@ class DataService {
                 await cacheService.put(STORES.habits, data[0]);
             }
 
+            this.notifyDataChange('daily_habits');
             return data[0];
         } catch (error) {
             this.handleError(error, 'createDailyHabit');
@@ -1266,6 +1742,7 @@ class DataService {
                 .select();
 
             if (error) throw error;
+            this.notifyDataChange('daily_habits');
             return data[0];
         } catch (error) {
             this.handleError(error, 'updateDailyHabit');
@@ -1298,6 +1775,7 @@ class DataService {
                 .eq('id', id);
 
             if (error) throw error;
+            this.notifyDataChange('daily_habits');
         } catch (error) {
             this.handleError(error, 'deleteDailyHabit');
         }
@@ -1348,6 +1826,7 @@ class DataService {
 
     /**
      * Toggle daily habit completion
+     * Clears a skipped or frozen mark on the date.
      * @param {string} habitId - Habit ID
      * @param {string} date - Date in YYYY-MM-DD format
      * @param {boolean} completed - Completion status
@@ -1361,16 +1840,44 @@ class DataService {
 
             const { data, error } = await this.supabase
                 .from('daily_habit_completions')
-                .upsert([{ habit_id: habitId, date, completed, user_id: user.id }], { onConflict: 'habit_id,date' })
+                .upsert([{ habit_id: habitId, date, completed, status: null, user_id: user.id }], { onConflict: 'habit_id,date' })
                 .select();
 
             if (error) throw error;
+            this.notifyDataChange('daily_habit_completions');
             return data[0];
         } catch (error) {
             this.handleError(error, 'toggleDailyHabitCompletion');
         }
     }
 
+    /**
+     * Log the value of a measurable daily habit for a date
+     * Clears a skipped or frozen mark on the date.
+     * @param {string} habitId - Habit ID
+     * @param {string} date - Date in YYYY-MM-DD format
+     * @param {number|null} value - Logged value (null clears it)
+     * @param {boolean} completed - Whether the value meets the habit's target
+     * @returns {Promise<Object>} Created or updated completion
+     */
+    async setDailyHabitValue(habitId, date, value, completed) {
+        try {
+            const { data: { user } } = await this.supabase.auth.getUser();
+            if (!user) throw new Error('User not authenticated');
+
+            const { data, error } = await this.supabase
+                .from('daily_habit_completions')
+                .upsert([{ habit_id: habitId, date, count_value: value, completed, status: null, user_id: user.id }], { onConflict: 'habit_id,date' })
+                .select();
+
+            if (error) throw error;
+            this.notifyDataChange('daily_habit_completions');
+            return data[0];
+        } catch (error) {
+            this.handleError(error, 'setDailyHabitValue');
+        }
+    }
+
     /**
      * Update habit note for a specific date
      * @param {string} habitId - Habit ID
@@ -1395,6 +1902,94 @@ class DataService {
         }
     }
 
+    /**
+     * Mark a daily habit as skipped or frozen for a date, or clear the mark
+     * Either way the day is no longer completed.
+     * @param {string} habitId - Habit ID
+     * @param {string} date - Date in YYYY-MM-DD format
+     * @param {string|null} status - 'skipped', 'frozen' or null
+     * @returns {Promise<Object>} Created or updated completion
+     */
+    async setDailyHabitStatus(habitId, date, status) {
+        try {
+            const { data: { user } } = await this.supabase.auth.getUser();
+            if (!user) throw new Error('User not authenticated');
+
+            const { data, error } = await this.supabase
+                .from('daily_habit_completions')
+                .upsert([{ habit_id: habitId, date, status, completed: false, count_value: null, user_id: user.id }], { onConflict: 'habit_id,date' })
+                .select();
+
+            if (error) throw error;
+            this.notifyDataChange('daily_habit_completions');
+            return data[0];
+        } catch (error) {
+            this.handleError(error, 'setDailyHabitStatus');
+        }
+    }
+
+    // ==================== HABIT VACATIONS ====================
+
+    /**
+     * Get the vacations that pause all habits for the active profile
+     * @returns {Promise<Array>} Vacations ordered by start date
+     */
+    async getHabitVacations() {
+        try {
+            const { data, error } = await this.supabase
+                .from('habit_vacations')
+                .select('*')
+                .order('start_date');
+
+            if (error) throw error;
+            return data || [];
+        } catch (error) {
+            this.handleError(error, 'getHabitVacations');
+        }
+    }
+
+    /**
+     * Create a vacation
+     * @param {Object} vacation - Vacation with start_date, end_date and optional note
+     * @returns {Promise<Object>} Created vacation
+     */
+    async createHabitVacation(vacation) {
+        try {
+            const { data: { user } } = await this.supabase.auth.getUser();
+            if (!user) throw new Error('User not authenticated');
+
+            const { data, error } = await this.supabase
+                .from('habit_vacations')
+                .insert([{ ...vacation, user_id: user.id }])
+                .select();
+
+            if (error) throw error;
+            this.notifyDataChange('habit_vacations');
+            return data[0];
+        } catch (error) {
+            this.handleError(error, 'createHabitVacation');
+        }
+    }
+
+    /**
+     * Delete a vacation
+     * @param {string} id - Vacation ID
+     * @returns {Promise<void>}
+     */
+    async deleteHabitVacation(id) {
+        try {
+            const { error } = await this.supabase
+                .from('habit_vacations')
+                .delete()
+                .eq('id', id);
+
+            if (error) throw error;
+            this.notifyDataChange('habit_vacations');
+        } catch (error) {
+            this.handleError(error, 'deleteHabitVacation');
+        }
+    }
+
     // ==================== WEEKLY HABITS ====================
 
     /**
@@ -2171,83 +2766,123 @@ class DataService {
         }
     }
 
+    // ==================== CALENDAR FEED ====================
+
+    /**
+     * Get the user's calendar feed settings
+     * @returns {Promise<Object|null>} Feed row or null if never set up
+     */
+    async getCalendarFeed() {
+        try {
+            const { data: { user } } = await this.supabase.auth.getUser();
+            if (!user) return null;
+
+            const { data, error } = await this.supabase
+                .from('calendar_feeds')
+                .select('*')
+                .eq('user_id', user.id)
+                .maybeSingle();
+
+            if (error) throw error;
+            return data || null;
+        } catch (error) {
+            this.handleError(error, 'getCalendarFeed');
+        }
+    }
+
+    /**
+     * Create or update the user's calendar feed settings
+     * @param {Object} feed - Any of enabled, sources, categories, secret, feed_url, last_generated_at
+     * @returns {Promise<Object>} Saved feed row
+     */
+    async saveCalendarFeed(feed) {
+        try {
+            const { data: { user } } = await this.supabase.auth.getUser();
+            if (!user) throw new Error('User not authenticated');
+
+            const { data, error } = await this.supabase
+                .from('calendar_feeds')
+                .upsert([{ ...feed, user_id: user.id }], { onConflict: 'user_id' })
+                .select();
+
+            if (error) throw error;
+            return data[0];
+        } catch (error) {
+            this.handleError(error, 'saveCalendarFeed');
+        }
+    }
+
     // ==================== DATA EXPORT AND IMPORT ====================
 
+    /**
+     * Fetch every row of a table, paging through results so large accounts
+     * stay under the server's row limit and request timeout
+     * @param {string} table - Table name
+     * @param {number} pageSize - Rows per request
+     * @returns {Promise<Array>} All rows visible to the current user/profile
+     */
+    async fetchAllRows(table, pageSize = EXPORT_PAGE_SIZE) {
+        const rows = [];
+        let from = 0;
+
+        while (true) {
+            const { data, error } = await this.supabase
+                .from(table)
+                .select('*')
+                .order('id')
+                .range(from, from + pageSize - 1);
+
+            if (error) throw error;
+            if (data && data.length > 0) rows.push(...data);
+            if (!data || data.length < pageSize) break;
+
+            from += pageSize;
+        }
+
+        return rows;
+    }
+
     /**
      * Export all user data to JSON format
+     * Covers every table in EXPORT_TABLES across all years (format version 2.0)
+     * @param {Function} onProgress - Optional callback ({ key, table, index, total })
      * @returns {Promise<Object>} Complete user data export
      */
-    async exportAllData() {
+    async exportAllData(onProgress = null) {
         try {
             const { data: { user } } = await this.supabase.auth.getUser();
             if (!user) throw new Error('User not authenticated');
 
-            // Get current year and month for context
-            const now = new Date();
-            const currentYear = now.getFullYear();
-            const currentMonth = now.getMonth() + 1;
-
-            // Fetch all data in parallel
-            const [
-                profile,
-                annualGoals,
-                readingList,
-                monthlyData,
-                weeklyGoals,
-                timeBlocks,
-                dailyEntries,
-                dailyHabits,
-                dailyHabitCompletions,
-                weeklyHabits,
-                weeklyHabitCompletions,
-                moodEntries,
-                sleepEntries,
-                waterEntries,
-                actionPlans
-            ] = await Promise.all([
-                this.getUserProfile(),
-                this.getAnnualGoals(currentYear),
-                this.getReadingList(currentYear),
-                this.getMonthlyData(currentYear, currentMonth),
-                this.getWeeklyGoals(currentYear, 1), // Get all weeks for current year
-                this.getTimeBlocksRange(`${currentYear}-01-01`, `${currentYear}-12-31`),
-                this.getDailyEntry(`${currentYear}-${String(currentMonth).padStart(2, '0')}-01`), // Sample
-                this.getDailyHabits(),
-                this.getDailyHabitCompletions(`${currentYear}-01-01`, `${currentYear}-12-31`),
-                this.getWeeklyHabits(),
-                this.getWeeklyHabitCompletions(`${currentYear}-01-01`, `${currentYear}-12-31`),
-                this.getMoodEntries(`${currentYear}-01-01`, `${currentYear}-12-31`),
-                this.getSleepEntries(`${currentYear}-01-01`, `${currentYear}-12-31`),
-                this.getWaterEntries(`${currentYear}-01-01`, `${currentYear}-12-31`),
-                this.getActionPlans(currentYear, currentMonth)
-            ]);
-
-            // Construct export object
-            const exportData = {
-                version: '1.0',
+            const profile = await this.getUserProfile();
+            const data = { profile };
+            const counts = {};
+
+            // Fetch tables one at a time; parents are listed before their children
+            for (let i = 0; i < EXPORT_TABLES.length; i++) {
+                const { key, table, parent } = EXPORT_TABLES[i];
+                if (onProgress) onProgress({ key, table, index: i, total: EXPORT_TABLES.length });
+
+                let rows = await this.fetchAllRows(table);
+
+                // Child tables are not profile-scoped by the client, so keep
+                // only rows that belong to an exported parent
+                if (parent) {
+                    const parentIds = new Set(data[parent.key].map(row => row.id));
+                    rows = rows.filter(row => parentIds.has(row[parent.column]));
+                }
+
+                data[key] = rows;
+                counts[key] = rows.length;
+            }
+
+            return {
+                version: EXPORT_VERSION,
                 exportDate: new Date().toISOString(),
                 userId: user.id,
                 userEmail: user.email,
-                data: {
-                    profile,
-                    annualGoals,
-                    readingList,
-                    monthlyData,
-                    weeklyGoals,
-                    timeBlocks,
-                    dailyEntries,
-                    dailyHabits,
-                    dailyHabitCompletions,
-                    weeklyHabits,
-                    weeklyHabitCompletions,
-                    moodEntries,
-                    sleepEntries,
-                    waterEntries,
-                    actionPlans
-                }
+                counts,
+                data
             };
-
-            return exportData;
         } catch (error) {
             this.handleError(error, 'exportAllData');
         }
@@ -2288,56 +2923,18 @@ class DataService {
     }
 
     /**
-     * Export time blocks as iCal file
-     * @param {Array} timeBlocks - Array of time blocks to export
-     * @param {string} filename - Optional filename
+     * Download .ics content as a file
+     * @param {string} content - .ics content (see buildICal in js/ical.js)
+     * @param {string} filename - Optional filename (default: planner-calendar-YYYY-MM-DD.ics)
      */
-    exportToICal(timeBlocks, filename = null) {
+    downloadICalFile(content, filename = null) {
         try {
             if (!filename) {
                 const date = new Date().toISOString().split('T')[0];
-                filename = `planner-schedule-${date}.ics`;
+                filename = `planner-calendar-${date}.ics`;
             }
 
-            // Generate iCal content
-            let icalContent = [
-                'BEGIN:VCALENDAR',
-                'VERSION:2.0',
-                'PRODID:-//Stillmove Planner//EN',
-                'CALSCALE:GREGORIAN',
-                'METHOD:PUBLISH',
-                'X-WR-CALNAME:Stillmove Planner Schedule'
-            ];
-
-            timeBlocks.forEach(block => {
-                if (!block.date || !block.start_time) return;
-
-                // Parse date and time
-                const dateStr = block.date.replace(/-/g, '');
-                const startTime = block.start_time.replace(/:/g, '').substring(0, 4) + '00';
-                const endTime = block.end_time
-                    ? block.end_time.replace(/:/g, '').substring(0, 4) + '00'
-                    : this.addMinutesToTime(block.start_time, 30).replace(/:/g, '') + '00';
-
-                const uid = `${block.id}@stillmove-planner`;
-                const now = new Date().toISOString().replace(/[-:]/g, '').split('.')[0] + 'Z';
-
-                icalContent.push(
-                    'BEGIN:VEVENT',
-                    `UID:${uid}`,
-                    `DTSTAMP:${now}`,
-                    `DTSTART:${dateStr}T${startTime}`,
-                    `DTEND:${dateStr}T${endTime}`,
-                    `SUMMARY:${this.escapeICalText(block.activity || 'Time Block')}`,
-                    `CATEGORIES:${block.category || 'Personal'}`,
-                    'END:VEVENT'
-                );
-            });
-
-            icalContent.push('END:VCALENDAR');
-
-            // Create and download file
-            const blob = new Blob([icalContent.join('\r\n')], { type: 'text/calendar;charset=utf-8' });
+            const blob = new Blob([content], { type: 'text/calendar;charset=utf-8' });
             const url = URL.createObjectURL(blob);
             const link = document.createElement('a');
             link.href = url;
@@ -2347,33 +2944,184 @@ class DataService {
             link.click();
             document.body.removeChild(link);
             URL.revokeObjectURL(url);
-
-            return true;
         } catch (error) {
-            throw new Error(`Failed to export iCal: ${error.message}`);
+            throw new Error(`Failed to download calendar file: ${error.message}`);
         }
     }
 
     /**
-     * Helper to add minutes to a time string
+     * Download text content (CSV, Markdown, ...) as a file
+     * @param {string} content - File content
+     * @param {string} filename - File name
+     * @param {string} mimeType - MIME type, e.g. 'text/csv;charset=utf-8'
      */
-    addMinutesToTime(timeStr, minutes) {
-        const [hours, mins] = timeStr.split(':').map(Number);
-        const totalMins = hours * 60 + mins + minutes;
-        const newHours = Math.floor(totalMins / 60) % 24;
-        const newMins = totalMins % 60;
-        return `${String(newHours).padStart(2, '0')}:${String(newMins).padStart(2, '0')}`;
+    downloadTextFile(content, filename, mimeType = 'text/plain;charset=utf-8') {
+        try {
+            const blob = new Blob([content], { type: mimeType });
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = filename;
+
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            throw new Error(`Failed to download file: ${error.message}`);
+        }
     }
 
     /**
-     * Escape special characters for iCal format
+     * Import events from .ics content into calendar_events (all-day) and time_blocks (timed).
+     * Events keep their UID in ical_uid, so importing the same calendar again updates
+     * the rows it created instead of duplicating them.
+     * @param {string} text - .ics file content
+     * @param {Object} options - Import options
+     * @param {string} options.defaultCategory - Category for events whose CATEGORIES match none of ours
+     * @param {string} options.timeZone - IANA zone to convert times into (default: the browser's)
+     * @param {boolean} options.dryRun - Count what would change without writing
+     * @returns {Promise<Object>} { events, created, updated, skipped, timeBlocks, calendarEvents, warnings, errors, dryRun }
      */
-    escapeICalText(text) {
-        return text
-            .replace(/\\/g, '\\\\')
-            .replace(/;/g, '\\;')
-            .replace(/,/g, '\\,')
-            .replace(/\n/g, '\\n');
+    async importICal(text, { defaultCategory = 'Personal', timeZone, dryRun = false } = {}) {
+        try {
+            const { events, warnings } = parseICal(text, timeZone ? { timeZone } : undefined);
+            const stats = {
+                events: events.length,
+                created: 0,
+                updated: 0,
+                skipped: 0,
+                timeBlocks: 0,
+                calendarEvents: 0,
+                warnings: [...warnings],
+                errors: [],
+                dryRun
+            };
+
+            let categoryNames = [];
+            try {
+                categoryNames = (await this.getCustomCategories() || []).map(c => c.name);
+            } catch (error) {
+                console.warn('Categories unavailable for iCal import:', error);
+            }
+            const mapCategory = event => {
+                const match = event.categories
+                    .map(name => categoryNames.find(c => c.toLowerCase() === name.toLowerCase()))
+                    .find(Boolean);
+                return match || defaultCategory;
+            };
+
+            // Rows from earlier imports, keyed by UID and replaced occurrence date
+            const existing = new Map();
+            for (const table of ['time_blocks', 'calendar_events']) {
+                const { data, error } = await this.supabase
+                    .from(table)
+                    .select('*')
+                    .not('ical_uid', 'is', null);
+                if (error) throw error;
+                (data || []).forEach(row => existing.set(`${row.ical_uid}|${row.recurrence_date || ''}`, { table, row }));
+            }
+
+            const toRow = (event, table) => {
+                const description = [event.description, event.location && `Location: ${event.location}`]
+                    .filter(Boolean).join('\n') || null;
+                const shared = { date: event.date, category: mapCategory(event), ical_uid: event.uid };
+                return table === 'calendar_events'
+                    ? { ...shared, title: event.summary, description, is_all_day: event.allDay }
+                    : { ...shared, start_time: event.startTime, end_time: event.endTime, activity: event.summary, notes: description };
+            };
+
+            // Write a row unless an earlier import already holds the same values
+            const save = async (table, row, key) => {
+                const previous = existing.get(key);
+                const methods = RECURRING_TABLES[table];
+
+                if (previous && previous.table === table) {
+                    const changed = Object.keys(row).some(column =>
+                        JSON.stringify(row[column] ?? null) !== JSON.stringify(previous.row[column] ?? null));
+                    if (!changed) {
+                        stats.skipped++;
+                        return previous.row;
+                    }
+                }
+
+                stats[previous ? 'updated' : 'created']++;
+                stats[table === 'time_blocks' ? 'timeBlocks' : 'calendarEvents']++;
+
+                if (dryRun) {
+                    return { ...previous?.row, ...row, id: previous?.row.id || `pending:${key}` };
+                }
+                if (previous && previous.table === table) {
+                    return this[methods.update](previous.row.id, row);
+                }
+                // Switched between all-day and timed since the last import
+                if (previous) {
+                    await this[RECURRING_TABLES[previous.table].remove](previous.row.id);
+                }
+                return this[methods.create](row);
+            };
+
+            // Edited and cancelled occurrences, grouped under their series UID
+            const occurrences = new Map();
+            events.filter(e => e.recurrenceId && e.uid).forEach(event => {
+                if (!occurrences.has(event.uid)) occurrences.set(event.uid, []);
+                occurrences.get(event.uid).push(event);
+            });
+
+            for (const event of events.filter(e => !e.recurrenceId)) {
+                if (event.cancelled) {
+                    stats.skipped++;
+                    continue;
+                }
+
+                try {
+                    if (!event.uid) {
+                        event.uid = `${event.date}-${event.startTime || 'all-day'}-${event.summary}`;
+                    }
+
+                    const table = event.allDay ? 'calendar_events' : 'time_blocks';
+                    const edited = occurrences.get(event.uid) || [];
+                    const row = {
+                        ...toRow(event, table),
+                        recurrence_rule: event.recurrenceRule,
+                        recurrence_exceptions: event.recurrenceRule
+                            ? [...new Set([...event.exceptions, ...edited.map(e => e.recurrenceId)])].sort()
+                            : []
+                    };
+                    const series = await save(table, row, `${event.uid}|`);
+
+                    if (!event.recurrenceRule) continue;
+
+                    for (const occurrence of edited.filter(e => !e.cancelled)) {
+                        // An occurrence keeps the series' kind (all-day or timed) and falls back to its times and categories
+                        const timed = occurrence.startTime ? occurrence : event;
+                        await save(table, {
+                            ...toRow({
+                                ...occurrence,
+                                allDay: event.allDay,
+                                startTime: timed.startTime,
+                                endTime: timed.endTime,
+                                categories: occurrence.categories.length ? occurrence.categories : event.categories
+                            }, table),
+                            recurrence_parent_id: series.id,
+                            recurrence_date: occurrence.recurrenceId
+                        }, `${event.uid}|${occurrence.recurrenceId}`);
+                    }
+                } catch (error) {
+                    stats.errors.push(`${event.summary}: ${error.message}`);
+                }
+            }
+
+            const orphaned = events.filter(e => e.recurrenceId && !events.some(m => !m.recurrenceId && m.uid === e.uid));
+            if (orphaned.length > 0) {
+                stats.skipped += orphaned.length;
+                stats.warnings.push(`${orphaned.length} changed occurrences belong to events missing from the file`);
+            }
+
+            return stats;
+        } catch (error) {
+            this.handleError(error, 'importICal');
+        }
     }
 
     /**
@@ -2394,6 +3142,8 @@ class DataService {
         // Check version
         if (!importData.version) {
             errors.push('Missing version field');
+        } else if (!['1.0', EXPORT_VERSION].includes(importData.version)) {
+            warnings.push(`Unknown export version: ${importData.version}`);
         }
 
         // Check data field exists
@@ -2418,20 +3168,11 @@ class DataService {
         }
 
         // Validate array fields are arrays
-        const arrayFields = [
-            'annualGoals',
-            'readingList',
-            'weeklyGoals',
-            'timeBlocks',
-            'dailyHabits',
-            'dailyHabitCompletions',
-            'weeklyHabits',
-            'weeklyHabitCompletions',
-            'moodEntries',
-            'sleepEntries',
-            'waterEntries',
-            'actionPlans'
-        ];
+        // (version 1.0 exports stored monthlyData and dailyEntries as a single object)
+        const singleOrArrayFields = ['monthlyData', 'dailyEntries'];
+        const arrayFields = EXPORT_TABLES
+            .map(t => t.key)
+            .filter(key => !singleOrArrayFields.includes(key));
 
         for (const field of arrayFields) {
             if (importData.data[field] !== undefined && !Array.isArray(importData.data[field])) {
@@ -2439,6 +3180,13 @@ class DataService {
             }
         }
 
+        for (const field of singleOrArrayFields) {
+            const value = importData.data[field];
+            if (value !== undefined && value !== null && typeof value !== 'object') {
+                errors.push(`Invalid field type: data.${field} must be an array or object`);
+            }
+        }
+
         // Enhanced validation: Check data integrity
         if (errors.length === 0) {
             // Validate annual goals structure
@@ -2504,17 +3252,154 @@ class DataService {
         };
     }
 
+    /**
+     * Prepare an exported row for insertion: drop server-managed columns, assign
+     * the current user and rewrite foreign keys through the old-id -> new-id maps
+     * @param {string} key - Export key of the row's table
+     * @param {Object} row - Exported row
+     * @param {Object} idMaps - Map of export key -> Map(oldId -> newId)
+     * @param {string} userId - Current user ID
+     * @returns {Object|null} Row ready to insert, or null if a required parent is missing
+     */
+    remapImportRow(key, row, idMaps, userId) {
+        const { id, profile_id, ...clean } = row;
+        if ('user_id' in clean) clean.user_id = userId;
+
+        const references = IMPORT_REFERENCES[key] || {};
+        for (const [column, refKey] of Object.entries(references)) {
+            const oldId = clean[column];
+            if (oldId === null || oldId === undefined) continue;
+
+            // Self-references are rewritten once the whole table exists
+            if (refKey === key) {
+                clean[column] = null;
+                continue;
+            }
+
+            const newId = idMaps[refKey] ? idMaps[refKey].get(oldId) : undefined;
+            if (newId !== undefined) {
+                clean[column] = newId;
+            } else if (REQUIRED_REFERENCE_COLUMNS.includes(column)) {
+                return null;
+            } else {
+                clean[column] = null;
+            }
+        }
+
+        if (key === 'kanbanActivityLog' && clean.action_data && typeof clean.action_data === 'object') {
+            const actionData = { ...clean.action_data };
+            for (const [field, refKey] of Object.entries(ACTIVITY_DATA_REFERENCES)) {
+                if (actionData[field] && idMaps[refKey] && idMaps[refKey].has(actionData[field])) {
+                    actionData[field] = idMaps[refKey].get(actionData[field]);
+                }
+            }
+            clean.action_data = actionData;
+        }
+
+        return clean;
+    }
+
+    /**
+     * Insert (or upsert) a batch of import rows
+     * @param {string} key - Export key of the table
+     * @param {string} table - Table name
+     * @param {Array} rows - Rows ready to insert
+     * @returns {Promise<Array>} Created rows, in the same order as the input
+     */
+    async insertImportRows(key, table, rows) {
+        const onConflict = IMPORT_UPSERT_KEYS[key];
+        const query = onConflict
+            ? this.supabase.from(table).upsert(rows, { onConflict })
+            : this.supabase.from(table).insert(rows);
+
+        const { data, error } = await query.select();
+        if (error) throw error;
+        if (!data || data.length !== rows.length) {
+            throw new Error(`Expected ${rows.length} rows back from ${table}, got ${data ? data.length : 0}`);
+        }
+        return data;
+    }
+
+    /**
+     * Build the natural key of a row for duplicate detection
+     * @param {string} key - Export key of the row's table
+     * @param {Object} row - Row (with references already remapped)
+     * @returns {string|null} Key string, or null if the table has no natural key
+     */
+    getImportNaturalKey(key, row) {
+        const fields = IMPORT_NATURAL_KEYS[key];
+        if (!fields) return null;
+        return fields
+            .map(field => {
+                const value = row[field];
+                if (value === null || value === undefined) return '';
+                return typeof value === 'string' ? value.trim().toLowerCase() : String(value);
+            })
+            .join('|');
+    }
+
+    /**
+     * Delete all of the current user's data in the active profile
+     * Only top-level tables are deleted; child rows are removed by ON DELETE CASCADE.
+     * User-level tables are shared by every profile and are left alone.
+     * @param {string} userId - Current user ID
+     * @returns {Promise<void>}
+     */
+    async clearUserData(userId) {
+        const topLevelTables = EXPORT_TABLES.filter(t => !t.parent && !t.userLevel).reverse();
+
+        for (const { table } of topLevelTables) {
+            const { error } = await this.supabase
+                .from(table)
+                .delete()
+                .eq('user_id', userId);
+            if (error) throw error;
+        }
+
+        if (this.cacheEnabled) {
+            for (const { store } of EXPORT_TABLES) {
+                if (!store) continue;
+                try {
+                    const cached = await cacheService.getAll(store);
+                    for (const item of cached) {
+                        await cacheService.delete(store, item.id);
+                    }
+                } catch (e) {
+                    console.warn(`[Cache] Failed to clear ${store}:`, e);
+                }
+            }
+        }
+    }
+
     /**
      * Import data from JSON file
+     * Tables are created parent-first; every new row's ID is recorded per table
+     * so foreign keys (kanban columns/cards/checklists, habit links, mindmap
+     * parents, flowchart edges, ...) point at the newly created rows.
+     *
+     * - merge: rows matching an existing row by IMPORT_NATURAL_KEYS are skipped
+     *   (date-keyed entries are updated instead) and children link to the existing row
+     * - replace: the active profile's data is deleted before importing; user-level
+     *   tables (card and board templates) are merged instead
+     * - dryRun: nothing is written; the returned stats describe what would happen
+     *
      * @param {Object} importData - Validated import data
      * @param {string} mode - Import mode: 'merge' or 'replace'
-     * @returns {Promise<Object>} Import result with statistics
+     * @param {Object} options - { dryRun: boolean }
+     * @returns {Promise<Object>} Import result with totals and per-table counts
+     *   ({ created, updated, skipped, removed } keyed by export field)
      */
-    async importData(importData, mode = 'merge') {
+    async importData(importData, mode = 'merge', options = {}) {
+        const { dryRun = false } = options;
+
         try {
             const { data: { user } } = await this.supabase.auth.getUser();
             if (!user) throw new Error('User not authenticated');
 
+            if (!['merge', 'replace'].includes(mode)) {
+                throw new Error(`Unknown import mode: ${mode}`);
+            }
+
             // Validate data first
             const validation = this.validateImportData(importData);
             if (!validation.valid) {
@@ -2525,202 +3410,148 @@ class DataService {
                 imported: 0,
                 updated: 0,
                 skipped: 0,
-                errors: []
+                removed: 0,
+                errors: [],
+                tables: {},
+                dryRun
             };
 
-            // If replace mode, we could delete existing data first
-            // For now, we'll implement merge mode which upserts data
-
             const data = importData.data;
+            const idMaps = {};
 
-            // Import profile
-            if (data.profile) {
-                try {
-                    await this.upsertUserProfile(data.profile);
-                    stats.imported++;
-                } catch (error) {
-                    stats.errors.push(`Profile: ${error.message}`);
-                }
-            }
+            // Existing rows drive duplicate detection (merge) and removal counts (replace)
+            const existing = (await this.exportAllData()).data;
 
-            // Import annual goals
-            if (data.annualGoals && Array.isArray(data.annualGoals)) {
-                for (const goal of data.annualGoals) {
-                    try {
-                        // Remove id to let database generate new one
-                        const { id, user_id, created_at, updated_at, ...goalData } = goal;
-                        await this.createAnnualGoal(goalData);
-                        stats.imported++;
-                    } catch (error) {
-                        stats.errors.push(`Annual goal: ${error.message}`);
-                    }
-                }
+            for (const { key, userLevel } of EXPORT_TABLES) {
+                stats.tables[key] = {
+                    created: 0,
+                    updated: 0,
+                    skipped: 0,
+                    removed: mode === 'replace' && !userLevel ? existing[key].length : 0
+                };
+                stats.removed += stats.tables[key].removed;
             }
 
-            // Import reading list
-            if (data.readingList && Array.isArray(data.readingList)) {
-                for (const book of data.readingList) {
-                    try {
-                        const { id, user_id, created_at, updated_at, ...bookData } = book;
-                        await this.createReadingListEntry(bookData);
-                        stats.imported++;
-                    } catch (error) {
-                        stats.errors.push(`Reading list: ${error.message}`);
-                    }
-                }
+            if (mode === 'replace' && !dryRun) {
+                await this.clearUserData(user.id);
             }
 
-            // Import monthly data
-            if (data.monthlyData) {
+            // Import profile
+            if (data.profile) {
                 try {
-                    const { id, user_id, created_at, updated_at, ...monthlyDataClean } = data.monthlyData;
-                    await this.upsertMonthlyData(monthlyDataClean);
-                    stats.imported++;
+                    const { id, created_at, updated_at, ...profileData } = data.profile;
+                    if (!dryRun) await this.upsertUserProfile(profileData);
+                    stats.updated++;
                 } catch (error) {
-                    stats.errors.push(`Monthly data: ${error.message}`);
+                    stats.errors.push(`Profile: ${error.message}`);
                 }
             }
 
-            // Import weekly goals
-            if (data.weeklyGoals && Array.isArray(data.weeklyGoals)) {
-                for (const goal of data.weeklyGoals) {
-                    try {
-                        const { id, user_id, created_at, updated_at, ...goalData } = goal;
-                        await this.createWeeklyGoal(goalData);
-                        stats.imported++;
-                    } catch (error) {
-                        stats.errors.push(`Weekly goal: ${error.message}`);
-                    }
-                }
-            }
+            for (const { key, table, store, userLevel } of EXPORT_TABLES) {
+                // Version 1.0 exports stored monthlyData and dailyEntries as a single object
+                const sourceRows = Array.isArray(data[key]) ? data[key] : (data[key] ? [data[key]] : []);
+                if (sourceRows.length === 0) continue;
 
-            // Import time blocks
-            if (data.timeBlocks && Array.isArray(data.timeBlocks)) {
-                for (const block of data.timeBlocks) {
-                    try {
-                        const { id, user_id, created_at, updated_at, ...blockData } = block;
-                        await this.createTimeBlock(blockData);
-                        stats.imported++;
-                    } catch (error) {
-                        stats.errors.push(`Time block: ${error.message}`);
-                    }
-                }
-            }
+                const tableStats = stats.tables[key];
+                const upsertable = Boolean(IMPORT_UPSERT_KEYS[key]);
+                idMaps[key] = new Map();
 
-            // Import daily habits
-            if (data.dailyHabits && Array.isArray(data.dailyHabits)) {
-                for (const habit of data.dailyHabits) {
-                    try {
-                        const { id, user_id, created_at, updated_at, ...habitData } = habit;
-                        await this.createDailyHabit(habitData);
-                        stats.imported++;
-                    } catch (error) {
-                        stats.errors.push(`Daily habit: ${error.message}`);
+                // User-level rows survive a replace, so they are always merged
+                const existingByKey = new Map();
+                if (mode === 'merge' || userLevel) {
+                    for (const row of existing[key]) {
+                        const naturalKey = this.getImportNaturalKey(key, row);
+                        if (naturalKey !== null) existingByKey.set(naturalKey, row);
                     }
                 }
-            }
 
-            // Import daily habit completions
-            if (data.dailyHabitCompletions && Array.isArray(data.dailyHabitCompletions)) {
-                for (const completion of data.dailyHabitCompletions) {
-                    try {
-                        await this.toggleDailyHabitCompletion(
-                            completion.habit_id,
-                            completion.date,
-                            completion.completed
-                        );
-                        stats.imported++;
-                    } catch (error) {
-                        stats.errors.push(`Daily habit completion: ${error.message}`);
+                const pending = [];
+                for (const row of sourceRows) {
+                    const prepared = this.remapImportRow(key, row, idMaps, user.id);
+                    if (!prepared) {
+                        tableStats.skipped++;
+                        continue;
                     }
-                }
-            }
 
-            // Import weekly habits
-            if (data.weeklyHabits && Array.isArray(data.weeklyHabits)) {
-                for (const habit of data.weeklyHabits) {
-                    try {
-                        const { id, user_id, created_at, updated_at, ...habitData } = habit;
-                        await this.createWeeklyHabit(habitData);
-                        stats.imported++;
-                    } catch (error) {
-                        stats.errors.push(`Weekly habit: ${error.message}`);
-                    }
-                }
-            }
+                    const naturalKey = this.getImportNaturalKey(key, prepared);
+                    const match = naturalKey !== null ? existingByKey.get(naturalKey) : undefined;
 
-            // Import weekly habit completions
-            if (data.weeklyHabitCompletions && Array.isArray(data.weeklyHabitCompletions)) {
-                for (const completion of data.weeklyHabitCompletions) {
-                    try {
-                        await this.toggleWeeklyHabitCompletion(
-                            completion.habit_id,
-                            completion.date,
-                            completion.completed
-                        );
-                        stats.imported++;
-                    } catch (error) {
-                        stats.errors.push(`Weekly habit completion: ${error.message}`);
+                    if (match && !upsertable) {
+                        // Keep the existing row; children attach to it
+                        if (row.id) idMaps[key].set(row.id, match.id);
+                        tableStats.skipped++;
+                        continue;
                     }
-                }
-            }
 
-            // Import mood entries
-            if (data.moodEntries && Array.isArray(data.moodEntries)) {
-                for (const mood of data.moodEntries) {
-                    try {
-                        await this.setMood(mood.date, mood.mood_emoji);
-                        stats.imported++;
-                    } catch (error) {
-                        stats.errors.push(`Mood entry: ${error.message}`);
-                    }
+                    pending.push({ oldId: row.id, row: prepared, source: row, match });
                 }
-            }
 
-            // Import sleep entries
-            if (data.sleepEntries && Array.isArray(data.sleepEntries)) {
-                for (const sleep of data.sleepEntries) {
-                    try {
-                        await this.setSleepData(
-                            sleep.date,
-                            sleep.bedtime,
-                            sleep.wake_time,
-                            sleep.hours_slept
-                        );
-                        stats.imported++;
-                    } catch (error) {
-                        stats.errors.push(`Sleep entry: ${error.message}`);
+                if (dryRun) {
+                    for (const { oldId, match } of pending) {
+                        if (oldId) idMaps[key].set(oldId, match ? match.id : `pending:${oldId}`);
+                        if (match) tableStats.updated++;
+                        else tableStats.created++;
+                    }
+                } else {
+                    const created = [];
+                    for (let i = 0; i < pending.length; i += IMPORT_BATCH_SIZE) {
+                        const batch = pending.slice(i, i + IMPORT_BATCH_SIZE);
+                        let results;
+                        try {
+                            results = await this.insertImportRows(key, table, batch.map(p => p.row));
+                        } catch (batchError) {
+                            // Retry one by one so a single bad row doesn't drop the whole batch
+                            results = [];
+                            for (const item of batch) {
+                                try {
+                                    const [result] = await this.insertImportRows(key, table, [item.row]);
+                                    results.push(result);
+                                } catch (error) {
+                                    results.push(null);
+                                    stats.errors.push(`${table}: ${error.message}`);
+                                }
+                            }
+                        }
+
+                        results.forEach((result, index) => {
+                            if (!result) return;
+                            const { oldId, source, match } = batch[index];
+                            if (oldId) idMaps[key].set(oldId, result.id);
+                            created.push({ result, source });
+                            if (match) tableStats.updated++;
+                            else tableStats.created++;
+                        });
                     }
-                }
-            }
 
-            // Import water entries
-            if (data.waterEntries && Array.isArray(data.waterEntries)) {
-                for (const water of data.waterEntries) {
-                    try {
-                        await this.setWaterIntake(
-                            water.date,
-                            water.glasses_consumed,
-                            water.goal_glasses
-                        );
-                        stats.imported++;
-                    } catch (error) {
-                        stats.errors.push(`Water entry: ${error.message}`);
+                    // Resolve self-references now that every row of the table has a new ID
+                    const selfColumns = Object.entries(IMPORT_REFERENCES[key] || {})
+                        .filter(([, refKey]) => refKey === key)
+                        .map(([column]) => column);
+                    for (const column of selfColumns) {
+                        for (const { result, source } of created) {
+                            const newRef = source[column] ? idMaps[key].get(source[column]) : null;
+                            if (!newRef) continue;
+                            try {
+                                await this.updateDirect(table, result.id, { [column]: newRef });
+                                result[column] = newRef;
+                            } catch (error) {
+                                stats.errors.push(`${table}: ${error.message}`);
+                            }
+                        }
                     }
-                }
-            }
 
-            // Import action plans
-            if (data.actionPlans && Array.isArray(data.actionPlans)) {
-                for (const plan of data.actionPlans) {
-                    try {
-                        const { id, user_id, created_at, updated_at, ...planData } = plan;
-                        await this.createActionPlan(planData);
-                        stats.imported++;
-                    } catch (error) {
-                        stats.errors.push(`Action plan: ${error.message}`);
+                    if (this.cacheEnabled && store && created.length > 0) {
+                        try {
+                            await cacheService.putAll(store, created.map(c => c.result));
+                        } catch (e) {
+                            console.warn('[Cache] Failed to cache imported rows:', e);
+                        }
                     }
                 }
+
+                stats.imported += tableStats.created;
+                stats.updated += tableStats.updated;
+                stats.skipped += tableStats.skipped;
             }
 
             return stats;
@@ -2802,9 +3633,9 @@ class DataService {
             const catWithUser = { ...category, user_id: user.id };
 
             if (!cacheService.online) {
-                const tempCat = { ...catWithUser, id: `temp_${Date.now()}`, created_at: new Date().toISOString() };
+                const tempCat = { ...catWithUser, id: cacheService.createTempId(), created_at: new Date().toISOString() };
                 await cacheService.put(STORES.categories, tempCat);
-                await cacheService.addPendingSync({ type: 'create', store: 'custom_categories', data: catWithUser });
+                await cacheService.addPendingSync({ type: 'create', store: 'custom_categories', data: catWithUser, tempId: tempCat.id });
                 return tempCat;
             }
 
@@ -3032,13 +3863,14 @@ class DataService {
             if (!cacheService.online) {
                 const tempDoc = {
                     ...docWithUser,
-                    id: `temp_${Date.now()}`
+                    id: cacheService.createTempId()
                 };
                 await cacheService.put(STORES.canvasDocuments, tempDoc);
                 await cacheService.addPendingSync({
                     type: 'create',
                     store: 'canvas_documents',
-                    data: docWithUser
+                    data: docWithUser,
+                    tempId: tempDoc.id
                 });
                 return tempDoc;
             }
@@ -3252,13 +4084,14 @@ class DataService {
             if (!cacheService.online) {
                 const tempBoard = {
                     ...boardWithUser,
-                    id: `temp_${Date.now()}`
+                    id: cacheService.createTempId()
                 };
                 await cacheService.put(STORES.kanbanBoards, tempBoard);
                 await cacheService.addPendingSync({
                     type: 'create',
                     store: 'kanban_boards',
-                    data: boardWithUser
+                    data: boardWithUser,
+                    tempId: tempBoard.id
                 });
                 return tempBoard;
             }
@@ -3438,13 +4271,14 @@ class DataService {
             if (!cacheService.online) {
                 const tempColumn = {
                     ...columnWithTimestamp,
-                    id: `temp_${Date.now()}`
+                    id: cacheService.createTempId()
                 };
                 await cacheService.put(STORES.kanbanColumns, tempColumn);
                 await cacheService.addPendingSync({
                     type: 'create',
                     store: 'kanban_columns',
-                    data: columnWithTimestamp
+                    data: columnWithTimestamp,
+                    tempId: tempColumn.id
                 });
                 return tempColumn;
             }
@@ -3666,13 +4500,14 @@ class DataService {
             if (!cacheService.online) {
                 const tempCard = {
                     ...cardWithTimestamp,
-                    id: `temp_${Date.now()}`
+                    id: cacheService.createTempId()
                 };
                 await cacheService.put(STORES.kanbanCards, tempCard);
                 await cacheService.addPendingSync({
                     type: 'create',
                     store: 'kanban_cards',
-                    data: cardWithTimestamp
+                    data: cardWithTimestamp,
+                    tempId: tempCard.id
                 });
                 return tempCard;
             }
@@ -3689,6 +4524,7 @@ class DataService {
                 await cacheService.put(STORES.kanbanCards, data[0]);
             }
 
+            this.notifyDataChange('kanban_cards');
             return data[0];
         } catch (error) {
             this.handleError(error, 'createKanbanCard');
@@ -3737,6 +4573,7 @@ class DataService {
                 .select();
 
             if (error) throw error;
+            this.notifyDataChange('kanban_cards');
             return data[0];
         } catch (error) {
             this.handleError(error, 'updateKanbanCard');
@@ -3771,6 +4608,7 @@ class DataService {
                 .eq('id', id);
 
             if (error) throw error;
+            this.notifyDataChange('kanban_cards');
         } catch (error) {
             this.handleError(error, 'deleteKanbanCard');
         }
@@ -3882,13 +4720,14 @@ class DataService {
             if (!cacheService.online) {
                 const tempItem = {
                     ...itemWithDefaults,
-                    id: `temp_${Date.now()}`
+                    id: cacheService.createTempId()
                 };
                 await cacheService.put(STORES.checklistItems, tempItem);
                 await cacheService.addPendingSync({
                     type: 'create',
                     store: 'kanban_checklist_items',
-                    data: itemWithDefaults
+                    data: itemWithDefaults,
+                    tempId: tempItem.id
                 });
                 return tempItem;
             }
@@ -4177,13 +5016,14 @@ class DataService {
             if (!cacheService.online) {
                 const tempComment = {
                     ...commentWithTimestamps,
-                    id: `temp_${Date.now()}`
+                    id: cacheService.createTempId()
                 };
                 await cacheService.put(STORES.comments, tempComment);
                 await cacheService.addPendingSync({
                     type: 'create',
                     store: 'kanban_comments',
-                    data: commentWithTimestamps
+                    data: commentWithTimestamps,
+                    tempId: tempComment.id
                 });
                 return tempComment;
             }
@@ -4289,6 +5129,411 @@ class DataService {
         }
     }
 
+    // ==================== KANBAN CARD DEPENDENCIES ====================
+    // Note: Dependencies require online connectivity - no offline queueing
+    // A row means card_id is blocked by blocker_card_id
+
+    /**
+     * Get all dependencies of a board's cards
+     * Takes the IDs of cards the caller already loaded, and asks for them in batches
+     * so large boards stay under the server's URL length limit.
+     * Returns an empty list while offline so boards still load
+     * @param {Array<string>} cardIds - IDs of the board's cards
+     * @returns {Promise<Array>} Array of dependencies, oldest first
+     */
+    async getCardDependencies(cardIds) {
+        try {
+            if (!cacheService.online || cardIds.length === 0) return [];
+
+            const dependencies = [];
+            for (let i = 0; i < cardIds.length; i += ID_FILTER_BATCH_SIZE) {
+                const { data, error } = await this.supabase
+                    .from('kanban_card_dependencies')
+                    .select('*')
+                    .in('card_id', cardIds.slice(i, i + ID_FILTER_BATCH_SIZE))
+                    .order('created_at');
+
+                if (error) throw error;
+                dependencies.push(...(data || []));
+            }
+
+            return cardIds.length > ID_FILTER_BATCH_SIZE
+                ? dependencies.sort((a, b) => (a.created_at || '').localeCompare(b.created_at || ''))
+                : dependencies;
+        } catch (error) {
+            this.handleError(error, 'getCardDependencies');
+        }
+    }
+
+    /**
+     * Create a card dependency
+     * Requires online connectivity - no offline queueing
+     * @param {Object} dependency - Dependency object with card_id and blocker_card_id
+     * @returns {Promise<Object>} Created dependency
+     */
+    async createCardDependency(dependency) {
+        try {
+            if (!cacheService.online) {
+                throw new Error('Card dependencies require an internet connection');
+            }
+
+            const { data, error } = await this.supabase
+                .from('kanban_card_dependencies')
+                .insert([{ ...dependency, created_at: new Date().toISOString() }])
+                .select();
+
+            if (error) throw error;
+            return data[0];
+        } catch (error) {
+            this.handleError(error, 'createCardDependency');
+        }
+    }
+
+    /**
+     * Delete a card dependency
+     * Requires online connectivity - no offline queueing
+     * @param {string} id - Dependency ID
+     * @returns {Promise<void>}
+     */
+    async deleteCardDependency(id) {
+        try {
+            if (!cacheService.online) {
+                throw new Error('Card dependencies require an internet connection');
+            }
+
+            const { error } = await this.supabase
+                .from('kanban_card_dependencies')
+                .delete()
+                .eq('id', id);
+
+            if (error) throw error;
+        } catch (error) {
+            this.handleError(error, 'deleteCardDependency');
+        }
+    }
+
+    // ==================== KANBAN CARD RECURRENCES ====================
+    // Note: Recurrences require online connectivity - no offline queueing
+    // Each row is a card definition that KanbanService turns into fresh cards on schedule
+
+    /**
+     * Get the card recurrences of a board
+     * Returns an empty list while offline so boards still load
+     * @param {string} boardId - Board ID
+     * @returns {Promise<Array>} Array of recurrences
+     */
+    async getCardRecurrences(boardId) {
+        try {
+            if (!cacheService.online) return [];
+
+            const { data, error } = await this.supabase
+                .from('kanban_card_recurrences')
+                .select('*')
+                .eq('board_id', boardId)
+                .order('created_at');
+
+            if (error) throw error;
+            return data || [];
+        } catch (error) {
+            this.handleError(error, 'getCardRecurrences');
+        }
+    }
+
+    /**
+     * Get a single card recurrence by ID
+     * @param {string} id - Recurrence ID
+     * @returns {Promise<Object|null>} Recurrence or null
+     */
+    async getCardRecurrence(id) {
+        try {
+            if (!cacheService.online) {
+                throw new Error('Recurring cards require an internet connection');
+            }
+
+            const { data, error } = await this.supabase
+                .from('kanban_card_recurrences')
+                .select('*')
+                .eq('id', id)
+                .maybeSingle();
+
+            if (error) throw error;
+            return data;
+        } catch (error) {
+            this.handleError(error, 'getCardRecurrence');
+        }
+    }
+
+    /**
+     * Create a card recurrence
+     * Requires online connectivity - no offline queueing
+     * @param {Object} recurrence - Recurrence object
+     * @returns {Promise<Object>} Created recurrence
+     */
+    async createCardRecurrence(recurrence) {
+        try {
+            if (!cacheService.online) {
+                throw new Error('Recurring cards require an internet connection');
+            }
+
+            const { data, error } = await this.supabase
+                .from('kanban_card_recurrences')
+                .insert([{
+                    ...recurrence,
+                    created_at: new Date().toISOString(),
+                    updated_at: new Date().toISOString()
+                }])
+                .select();
+
+            if (error) throw error;
+            return data[0];
+        } catch (error) {
+            this.handleError(error, 'createCardRecurrence');
+        }
+    }
+
+    /**
+     * Update a card recurrence
+     * Requires online connectivity - no offline queueing
+     * @param {string} id - Recurrence ID
+     * @param {Object} updates - Fields to update
+     * @returns {Promise<Object>} Updated recurrence
+     */
+    async updateCardRecurrence(id, updates) {
+        try {
+            if (!cacheService.online) {
+                throw new Error('Recurring cards require an internet connection');
+            }
+
+            const { data, error } = await this.supabase
+                .from('kanban_card_recurrences')
+                .update({ ...updates, updated_at: new Date().toISOString() })
+                .eq('id', id)
+                .select();
+
+            if (error) throw error;
+            return data[0];
+        } catch (error) {
+            this.handleError(error, 'updateCardRecurrence');
+        }
+    }
+
+    /**
+     * Delete a card recurrence (cards it created are kept)
+     * Requires online connectivity - no offline queueing
+     * @param {string} id - Recurrence ID
+     * @returns {Promise<void>}
+     */
+    async deleteCardRecurrence(id) {
+        try {
+            if (!cacheService.online) {
+                throw new Error('Recurring cards require an internet connection');
+            }
+
+            const { error } = await this.supabase
+                .from('kanban_card_recurrences')
+                .delete()
+                .eq('id', id);
+
+            if (error) throw error;
+        } catch (error) {
+            this.handleError(error, 'deleteCardRecurrence');
+        }
+    }
+
+    // ==================== KANBAN CARD TEMPLATES ====================
+    // Note: Card templates require online connectivity - no offline queueing
+    // Templates belong to the user and can be used on every board
+
+    /**
+     * Get the user's card templates
+     * Returns an empty list while offline so the card modal still opens
+     * @returns {Promise<Array>} Array of templates sorted by name
+     */
+    async getCardTemplates() {
+        try {
+            if (!cacheService.online) return [];
+
+            const { data: { user } } = await this.supabase.auth.getUser();
+            if (!user) return [];
+
+            const { data, error } = await this.supabase
+                .from('kanban_card_templates')
+                .select('*')
+                .eq('user_id', user.id)
+                .order('name');
+
+            if (error) throw error;
+            return data || [];
+        } catch (error) {
+            this.handleError(error, 'getCardTemplates');
+        }
+    }
+
+    /**
+     * Create a card template
+     * Requires online connectivity - no offline queueing
+     * @param {Object} template - Template object
+     * @returns {Promise<Object>} Created template
+     */
+    async createCardTemplate(template) {
+        try {
+            if (!cacheService.online) {
+                throw new Error('Card templates require an internet connection');
+            }
+
+            const { data: { user } } = await this.supabase.auth.getUser();
+            if (!user) throw new Error('User not authenticated');
+
+            const { data, error } = await this.supabase
+                .from('kanban_card_templates')
+                .insert([{
+                    ...template,
+                    user_id: user.id,
+                    created_at: new Date().toISOString(),
+                    updated_at: new Date().toISOString()
+                }])
+                .select();
+
+            if (error) throw error;
+            return data[0];
+        } catch (error) {
+            this.handleError(error, 'createCardTemplate');
+        }
+    }
+
+    /**
+     * Update a card template
+     * Requires online connectivity - no offline queueing
+     * @param {string} id - Template ID
+     * @param {Object} updates - Fields to update
+     * @returns {Promise<Object>} Updated template
+     */
+    async updateCardTemplate(id, updates) {
+        try {
+            if (!cacheService.online) {
+                throw new Error('Card templates require an internet connection');
+            }
+
+            const { data, error } = await this.supabase
+                .from('kanban_card_templates')
+                .update({ ...updates, updated_at: new Date().toISOString() })
+                .eq('id', id)
+                .select();
+
+            if (error) throw error;
+            return data[0];
+        } catch (error) {
+            this.handleError(error, 'updateCardTemplate');
+        }
+    }
+
+    /**
+     * Delete a card template (cards created from it are kept)
+     * Requires online connectivity - no offline queueing
+     * @param {string} id - Template ID
+     * @returns {Promise<void>}
+     */
+    async deleteCardTemplate(id) {
+        try {
+            if (!cacheService.online) {
+                throw new Error('Card templates require an internet connection');
+            }
+
+            const { error } = await this.supabase
+                .from('kanban_card_templates')
+                .delete()
+                .eq('id', id);
+
+            if (error) throw error;
+        } catch (error) {
+            this.handleError(error, 'deleteCardTemplate');
+        }
+    }
+
+    // ==================== KANBAN BOARD TEMPLATES ====================
+    // Note: Board templates require online connectivity - no offline queueing
+    // Built-in templates live in KanbanService; these are the ones users save
+
+    /**
+     * Get the user's board templates
+     * Returns an empty list while offline so the built-in templates can still be used
+     * @returns {Promise<Array>} Array of templates sorted by name
+     */
+    async getBoardTemplates() {
+        try {
+            if (!cacheService.online) return [];
+
+            const { data: { user } } = await this.supabase.auth.getUser();
+            if (!user) return [];
+
+            const { data, error } = await this.supabase
+                .from('kanban_board_templates')
+                .select('*')
+                .eq('user_id', user.id)
+                .order('name');
+
+            if (error) throw error;
+            return data || [];
+        } catch (error) {
+            this.handleError(error, 'getBoardTemplates');
+        }
+    }
+
+    /**
+     * Create a board template
+     * Requires online connectivity - no offline queueing
+     * @param {Object} template - { name, description, definition }
+     * @returns {Promise<Object>} Created template
+     */
+    async createBoardTemplate(template) {
+        try {
+            if (!cacheService.online) {
+                throw new Error('Board templates require an internet connection');
+            }
+
+            const { data: { user } } = await this.supabase.auth.getUser();
+            if (!user) throw new Error('User not authenticated');
+
+            const { data, error } = await this.supabase
+                .from('kanban_board_templates')
+                .insert([{
+                    ...template,
+                    user_id: user.id,
+                    created_at: new Date().toISOString(),
+                    updated_at: new Date().toISOString()
+                }])
+                .select();
+
+            if (error) throw error;
+            return data[0];
+        } catch (error) {
+            this.handleError(error, 'createBoardTemplate');
+        }
+    }
+
+    /**
+     * Delete a board template (boards created from it are kept)
+     * Requires online connectivity - no offline queueing
+     * @param {string} id - Template ID
+     * @returns {Promise<void>}
+     */
+    async deleteBoardTemplate(id) {
+        try {
+            if (!cacheService.online) {
+                throw new Error('Board templates require an internet connection');
+            }
+
+            const { error } = await this.supabase
+                .from('kanban_board_templates')
+                .delete()
+                .eq('id', id);
+
+            if (error) throw error;
+        } catch (error) {
+            this.handleError(error, 'deleteBoardTemplate');
+        }
+    }
+
     // ==================== KANBAN ACTIVITY LOG ====================
     // Activity log supports offline queueing
     // Activity entries are read-only after creation (no update/delete methods needed)
@@ -4358,13 +5603,14 @@ class DataService {
             if (!cacheService.online) {
                 const tempEntry = {
                     ...entryWithTimestamp,
-                    id: `temp_${Date.now()}`
+                    id: cacheService.createTempId()
                 };
                 await cacheService.put(STORES.activityLog, tempEntry);
                 await cacheService.addPendingSync({
                     type: 'create',
                     store: 'kanban_activity_log',
-                    data: entryWithTimestamp
+                    data: entryWithTimestamp,
+                    tempId: tempEntry.id
                 });
                 return tempEntry;
             }
@@ -4880,14 +6126,15 @@ class DataService {
             if (!cacheService.online) {
                 const tempProfile = {
                     ...profileWithUser,
-                    id: `temp_${Date.now()}`,
+                    id: cacheService.createTempId(),
                     created_at: new Date().toISOString()
                 };
                 await cacheService.put(STORES.subProfiles, tempProfile);
                 await cacheService.addPendingSync({
                     type: 'create',
                     store: 'sub_profiles',
-                    data: profileWithUser
+                    data: profileWithUser,
+                    tempId: tempProfile.id
                 });
                 return tempProfile;
             }
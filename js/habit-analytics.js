@@ -0,0 +1,335 @@
+/**
+ * Habit Analytics
+ * Relates daily habits to the calendar and to the mood, sleep and water logs.
+ * Everything starts from buildDayRecords, one record per day with the habits that were
+ * due and done and that day's wellness values. Due days follow the same rules as the
+ * habit grid: fixed-day habits are due on their schedule, times-per-period habits count
+ * on the days they were done, and skipped, frozen and vacation days are left out.
+ *
+ * Findings compare averages between two groups of days and are only reported when both
+ * groups have at least MIN_SAMPLE_DAYS days and the difference is large enough to notice.
+ * They describe what went together, not what caused what.
+ */
+
+import { getPeriodRange, isFlexibleSchedule, isHabitActive, isHabitDueOn, isOnVacation } from './habit-schedule.js';
+import { getCompletionValue, getTargetCredit, isMeasurableHabit } from './habit-targets.js';
+import { addDays } from './recurrence.js';
+import { calculateSleepDuration } from './utils.js';
+
+// Mood emojis from best to worst, as offered by the mood tracker
+export const MOOD_SCORES = { '🥰': 5, '😁': 4, '😶': 3, '😵': 2, '😩': 1 };
+
+export const SHORT_SLEEP_HOURS = 6;
+export const MIN_SAMPLE_DAYS = 3;
+
+// Smallest differences worth a finding
+const MIN_RATE_DIFFERENCE = 0.15;
+const MIN_METRIC_DIFFERENCES = { mood: 0.5, sleep: 0.5, water: 0.15 };
+
+const DEFAULT_WATER_GOAL = 8;
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+function average(values) {
+    return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+function percent(rate) {
+    return `${Math.round(rate * 100)}%`;
+}
+
+function sumRates(records) {
+    const completed = records.reduce((sum, record) => sum + record.completed, 0);
+    const expected = records.reduce((sum, record) => sum + record.expected, 0);
+    return { completed, expected, rate: expected > 0 ? completed / expected : null };
+}
+
+/**
+ * Mood as a score from 1 (😩) to 5 (🥰)
+ * @param {Object|undefined} entry - Mood tracker entry
+ * @returns {number|null}
+ */
+export function getMoodScore(entry) {
+    return MOOD_SCORES[entry?.mood_emoji] ?? null;
+}
+
+/**
+ * Hours slept, from the stored duration or the bed and wake times
+ * @param {Object|undefined} entry - Sleep tracker entry
+ * @returns {number|null}
+ */
+export function getSleepHours(entry) {
+    if (!entry) return null;
+    if (entry.hours_slept !== null && entry.hours_slept !== undefined) return Number(entry.hours_slept);
+    if (entry.bedtime && entry.wake_time) return calculateSleepDuration(entry.bedtime, entry.wake_time);
+    return null;
+}
+
+/**
+ * Share of the day's water goal reached, where 1 means the goal was met
+ * @param {Object|undefined} entry - Water tracker entry
+ * @returns {number|null}
+ */
+export function getWaterShare(entry) {
+    if (!entry) return null;
+    return (entry.glasses_consumed || 0) / (entry.goal_glasses || DEFAULT_WATER_GOAL);
+}
+
+/**
+ * One record per day with the habits due and done and the wellness values
+ * @param {Object} data - { habits, completions, vacations, moodEntries, sleepEntries, waterEntries }
+ * @param {string} startDate - First day (YYYY-MM-DD)
+ * @param {string} endDate - Last day (YYYY-MM-DD)
+ * @returns {Array<{date: string, weekday: number, due: Set<string>, done: Set<string>,
+ *   completed: number, expected: number, rate: number|null, mood: number|null,
+ *   sleep: number|null, water: number|null}>}
+ */
+export function buildDayRecords(data, startDate, endDate) {
+    const { habits = [], completions = [], vacations = [], moodEntries = [], sleepEntries = [], waterEntries = [] } = data;
+
+    const completionsByKey = new Map(completions.map(c => [`${c.habit_id}|${c.date}`, c]));
+    const byDate = (entries) => new Map(entries.map(entry => [entry.date, entry]));
+    const moods = byDate(moodEntries);
+    const sleeps = byDate(sleepEntries);
+    const waters = byDate(waterEntries);
+
+    const records = [];
+    for (let date = startDate; date <= endDate; date = addDays(date, 1)) {
+        const due = new Set();
+        const done = new Set();
+        let completed = 0;
+
+        if (!isOnVacation(vacations, date)) {
+            habits.forEach(habit => {
+                const completion = completionsByKey.get(`${habit.id}|${date}`);
+                const credit = completion?.completed
+                    ? 1
+                    : isMeasurableHabit(habit) ? getTargetCredit(habit, getCompletionValue(completion)) : 0;
+                if (credit === 0 && completion?.status) return;
+
+                const counts = isFlexibleSchedule(habit) ? credit > 0 && isHabitActive(habit, date) : isHabitDueOn(habit, date);
+                if (!counts) return;
+
+                due.add(habit.id);
+                completed += credit;
+                if (credit >= 1) done.add(habit.id);
+            });
+        }
+
+        records.push({
+            date,
+            weekday: new Date(`${date}T00:00:00`).getDay(),
+            due,
+            done,
+            completed,
+            expected: due.size,
+            rate: due.size > 0 ? completed / due.size : null,
+            mood: getMoodScore(moods.get(date)),
+            sleep: getSleepHours(sleeps.get(date)),
+            water: getWaterShare(waters.get(date))
+        });
+    }
+    return records;
+}
+
+/**
+ * Completion rate for each day of the week
+ * @param {Array<Object>} records - Day records
+ * @returns {Array<{weekday: number, name: string, rate: number|null, expected: number}>} Sunday first
+ */
+export function getWeekdayRates(records) {
+    return WEEKDAY_NAMES.map((name, weekday) => {
+        const { rate, expected } = sumRates(records.filter(record => record.weekday === weekday));
+        return { weekday, name, rate, expected };
+    });
+}
+
+/**
+ * Completion rate for each week or month
+ * @param {Array<Object>} records - Day records
+ * @param {string} [period] - 'week' (Sunday to Saturday) or 'month'
+ * @returns {Array<{start: string, end: string, rate: number|null, activeDays: number}>}
+ *   activeDays counts the days that had something due
+ */
+export function getPeriodRates(records, period = 'week') {
+    const periods = new Map();
+    records.forEach(record => {
+        const { start, end } = getPeriodRange(record.date, period);
+        if (!periods.has(start)) periods.set(start, { start, end, records: [] });
+        periods.get(start).records.push(record);
+    });
+
+    return [...periods.values()].map(({ start, end, records: days }) => ({
+        start,
+        end,
+        rate: sumRates(days).rate,
+        activeDays: days.filter(day => day.expected > 0).length
+    }));
+}
+
+/**
+ * The periods with the highest and lowest completion rate
+ * Periods with fewer than MIN_SAMPLE_DAYS days with something due are left out.
+ * @param {Array<Object>} records - Day records
+ * @param {string} [period] - 'week' or 'month'
+ * @returns {{best: Object|null, worst: Object|null}} Entries from getPeriodRates
+ */
+export function getBestAndWorstPeriods(records, period = 'week') {
+    const periods = getPeriodRates(records, period).filter(p => p.rate !== null && p.activeDays >= MIN_SAMPLE_DAYS);
+    if (periods.length < 2) return { best: periods[0] || null, worst: null };
+
+    const sorted = [...periods].sort((a, b) => b.rate - a.rate);
+    return { best: sorted[0], worst: sorted[sorted.length - 1] };
+}
+
+/**
+ * Completion rate by hours slept
+ * @param {Array<Object>} records - Day records
+ * @returns {Array<{label: string, rate: number|null, days: number}>}
+ */
+export function getRatesBySleep(records) {
+    const buckets = [
+        { label: `< ${SHORT_SLEEP_HOURS}h`, test: hours => hours < SHORT_SLEEP_HOURS },
+        { label: `${SHORT_SLEEP_HOURS}-7h`, test: hours => hours >= SHORT_SLEEP_HOURS && hours < 7 },
+        { label: '7-8h', test: hours => hours >= 7 && hours < 8 },
+        { label: '8h+', test: hours => hours >= 8 }
+    ];
+
+    return buckets.map(({ label, test }) => {
+        const days = records.filter(record => record.sleep !== null && record.expected > 0 && test(record.sleep));
+        return { label, rate: sumRates(days).rate, days: days.length };
+    });
+}
+
+/**
+ * Average of a wellness value on days a habit was done against days it was missed
+ * @param {Array<Object>} records - Day records
+ * @param {string} habitId - Habit ID
+ * @param {string} metric - 'mood', 'sleep' or 'water'
+ * @returns {{withHabit: number|null, withoutHabit: number|null, daysWith: number, daysWithout: number}}
+ */
+export function compareMetricByHabit(records, habitId, metric) {
+    const logged = records.filter(record => record.due.has(habitId) && record[metric] !== null);
+    const withHabit = logged.filter(record => record.done.has(habitId)).map(record => record[metric]);
+    const withoutHabit = logged.filter(record => !record.done.has(habitId)).map(record => record[metric]);
+
+    return {
+        withHabit: average(withHabit),
+        withoutHabit: average(withoutHabit),
+        daysWith: withHabit.length,
+        daysWithout: withoutHabit.length
+    };
+}
+
+/**
+ * Completion rate on days matching a condition against the other days
+ * Only days where the condition can be judged should be passed in.
+ * @param {Array<Object>} records - Day records
+ * @param {Function} condition - Called with a record
+ * @returns {{rateWhen: number|null, rateOtherwise: number|null, daysWhen: number, daysOtherwise: number}}
+ */
+export function compareRatesByCondition(records, condition) {
+    const active = records.filter(record => record.expected > 0);
+    const when = active.filter(condition);
+    const otherwise = active.filter(record => !condition(record));
+
+    return {
+        rateWhen: sumRates(when).rate,
+        rateOtherwise: sumRates(otherwise).rate,
+        daysWhen: when.length,
+        daysOtherwise: otherwise.length
+    };
+}
+
+function hasSamples(daysA, daysB) {
+    return daysA >= MIN_SAMPLE_DAYS && daysB >= MIN_SAMPLE_DAYS;
+}
+
+function describeMetricDifference(metric, habitName, comparison) {
+    const higher = comparison.withHabit > comparison.withoutHabit;
+    const values = `${comparison.withHabit.toFixed(1)} vs ${comparison.withoutHabit.toFixed(1)}`;
+
+    if (metric === 'mood') {
+        return `Your mood is ${higher ? 'higher' : 'lower'} on days you do ${habitName} (${values} out of 5).`;
+    }
+    if (metric === 'sleep') {
+        return `You sleep ${higher ? 'more' : 'less'} on days you do ${habitName} (${values} hours).`;
+    }
+    return `You drink ${higher ? 'more' : 'less'} water on days you do ${habitName} `
+        + `(${percent(comparison.withHabit)} vs ${percent(comparison.withoutHabit)} of your goal).`;
+}
+
+/**
+ * Plain-language findings, strongest first
+ * @param {Array<Object>} records - Day records
+ * @param {Array<Object>} habits - Daily habits
+ * @returns {Array<{kind: string, text: string, strength: number}>} strength is the
+ *   difference relative to the smallest one worth reporting
+ */
+export function buildFindings(records, habits) {
+    const findings = [];
+
+    // Weekdays
+    const weekdays = getWeekdayRates(records).filter(day => day.rate !== null && day.expected >= MIN_SAMPLE_DAYS);
+    if (weekdays.length >= 2) {
+        const sorted = [...weekdays].sort((a, b) => b.rate - a.rate);
+        const best = sorted[0];
+        const worst = sorted[sorted.length - 1];
+        const difference = best.rate - worst.rate;
+        if (difference >= MIN_RATE_DIFFERENCE) {
+            findings.push({
+                kind: 'weekday',
+                text: `You complete the most habits on ${best.name}s (${percent(best.rate)}) and the fewest on ${worst.name}s (${percent(worst.rate)}).`,
+                strength: difference / MIN_RATE_DIFFERENCE
+            });
+        }
+    }
+
+    // Sleep and water against completion
+    const sleepLogged = records.filter(record => record.sleep !== null);
+    const shortSleep = compareRatesByCondition(sleepLogged, record => record.sleep < SHORT_SLEEP_HOURS);
+    if (hasSamples(shortSleep.daysWhen, shortSleep.daysOtherwise)) {
+        const difference = shortSleep.rateOtherwise - shortSleep.rateWhen;
+        if (Math.abs(difference) >= MIN_RATE_DIFFERENCE) {
+            findings.push({
+                kind: 'sleep',
+                text: difference > 0
+                    ? `Sleeping less than ${SHORT_SLEEP_HOURS}h goes with missed habits: you complete ${percent(shortSleep.rateWhen)} of them after short nights against ${percent(shortSleep.rateOtherwise)} otherwise.`
+                    : `Short nights don't hold you back: you complete ${percent(shortSleep.rateWhen)} of your habits after less than ${SHORT_SLEEP_HOURS}h of sleep against ${percent(shortSleep.rateOtherwise)} otherwise.`,
+                strength: Math.abs(difference) / MIN_RATE_DIFFERENCE
+            });
+        }
+    }
+
+    const waterLogged = records.filter(record => record.water !== null);
+    const waterGoal = compareRatesByCondition(waterLogged, record => record.water >= 1);
+    if (hasSamples(waterGoal.daysWhen, waterGoal.daysOtherwise)) {
+        const difference = waterGoal.rateWhen - waterGoal.rateOtherwise;
+        if (Math.abs(difference) >= MIN_RATE_DIFFERENCE) {
+            findings.push({
+                kind: 'water',
+                text: `You complete ${percent(waterGoal.rateWhen)} of your habits on days you reach your water goal against ${percent(waterGoal.rateOtherwise)} on days you don't.`,
+                strength: Math.abs(difference) / MIN_RATE_DIFFERENCE
+            });
+        }
+    }
+
+    // Each habit against mood, sleep and water
+    habits.forEach(habit => {
+        const habitName = habit.habit_name || 'this habit';
+        ['mood', 'sleep', 'water'].forEach(metric => {
+            const comparison = compareMetricByHabit(records, habit.id, metric);
+            if (!hasSamples(comparison.daysWith, comparison.daysWithout)) return;
+
+            const difference = Math.abs(comparison.withHabit - comparison.withoutHabit);
+            if (difference < MIN_METRIC_DIFFERENCES[metric]) return;
+
+            findings.push({
+                kind: metric,
+                text: describeMetricDifference(metric, habitName, comparison),
+                strength: difference / MIN_METRIC_DIFFERENCES[metric]
+            });
+        });
+    });
+
+    return findings.sort((a, b) => b.strength - a.strength);
+}
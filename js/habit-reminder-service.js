@@ -0,0 +1,310 @@
+/**
+ * HabitReminderService - Local notifications for daily habits
+ * Plans the day's reminders (see habit-reminders.js) and shows them through the service
+ * worker so they carry Done and Snooze actions. There is no push server, so reminders
+ * fire while the app is open in a tab. The service worker hands action clicks back to
+ * the app, opening it when needed, and the app records them through the data service.
+ */
+
+import dataService from './data-service.js';
+import { getPeriodRange } from './habit-schedule.js';
+import {
+    REMINDER_TYPES,
+    DEFAULT_REMINDER_SETTINGS,
+    SNOOZE_MINUTES,
+    deferPastQuietHours,
+    getOpenHabits,
+    planReminders,
+    buildHabitReminderMessage,
+    buildSummaryMessage
+} from './habit-reminders.js';
+import { formatDate } from './utils.js';
+
+const PREFERENCES_KEY = 'stillmove_preferences';
+const SENT_KEY = 'stillmove_habit_reminders_sent';
+
+// Tables whose changes can add, move or cancel a reminder
+const REMINDER_TABLES = ['daily_habits', 'daily_habit_completions', 'habit_vacations'];
+
+// Wait for a burst of edits to settle before planning again
+const REFRESH_DELAY = 2000;
+
+const NOTIFICATION_ICON = './icons/icon-192x192.png';
+
+function minutesSinceMidnight(date) {
+    return date.getHours() * 60 + date.getMinutes();
+}
+
+class HabitReminderService {
+    constructor() {
+        this.timers = [];
+        this.snoozeTimers = [];
+        this.refreshTimer = null;
+        this.unsubscribers = [];
+    }
+
+    /**
+     * Whether this browser can show notifications with actions
+     * @returns {boolean}
+     */
+    isSupported() {
+        return typeof window !== 'undefined' && 'Notification' in window && 'serviceWorker' in navigator;
+    }
+
+    /**
+     * Reminder settings, kept with the other preferences in this browser
+     * @returns {Object} Settings merged over DEFAULT_REMINDER_SETTINGS
+     */
+    getSettings() {
+        try {
+            const prefs = JSON.parse(localStorage.getItem(PREFERENCES_KEY)) || {};
+            return { ...DEFAULT_REMINDER_SETTINGS, ...prefs.habitReminders };
+        } catch {
+            return { ...DEFAULT_REMINDER_SETTINGS };
+        }
+    }
+
+    /**
+     * Save reminder settings and plan the day again
+     * @param {Object} settings - Reminder settings
+     */
+    saveSettings(settings) {
+        let prefs = {};
+        try {
+            prefs = JSON.parse(localStorage.getItem(PREFERENCES_KEY)) || {};
+        } catch {
+            // Start over from unreadable preferences
+        }
+        prefs.habitReminders = { ...this.getSettings(), ...settings };
+        localStorage.setItem(PREFERENCES_KEY, JSON.stringify(prefs));
+        this.refresh();
+    }
+
+    /**
+     * Ask for permission to show notifications
+     * @returns {Promise<string>} 'granted', 'denied', 'default' or 'unsupported'
+     */
+    async requestPermission() {
+        if (!this.isSupported()) return 'unsupported';
+        if (Notification.permission !== 'default') return Notification.permission;
+        return Notification.requestPermission();
+    }
+
+    /**
+     * Start planning reminders and listening for notification actions
+     */
+    async init() {
+        if (!this.isSupported() || this.unsubscribers.length > 0) return;
+
+        this.unsubscribers.push(dataService.onDataChange(table => {
+            if (REMINDER_TABLES.includes(table)) this.scheduleRefresh();
+        }));
+
+        const handleMessage = (event) => {
+            if (event.data?.type === 'HABIT_REMINDER_ACTION') this.handleAction(event.data);
+        };
+        navigator.serviceWorker.addEventListener('message', handleMessage);
+        this.unsubscribers.push(() => navigator.serviceWorker.removeEventListener('message', handleMessage));
+
+        await this.handleLaunchAction();
+        await this.refresh();
+    }
+
+    /**
+     * Stop all reminders and listeners
+     */
+    destroy() {
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+        this.clearTimers();
+        this.snoozeTimers.forEach(timer => clearTimeout(timer));
+        this.snoozeTimers = [];
+        clearTimeout(this.refreshTimer);
+    }
+
+    scheduleRefresh() {
+        clearTimeout(this.refreshTimer);
+        this.refreshTimer = setTimeout(() => this.refresh(), REFRESH_DELAY);
+    }
+
+    clearTimers() {
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers = [];
+    }
+
+    /**
+     * Load the habits still open today
+     * Times-per-period habits need the completions of the whole week and month so far.
+     * @returns {Promise<{today: string, openHabits: Array<Object>}>}
+     */
+    async loadOpenHabits() {
+        const today = formatDate(new Date());
+        const weekStart = getPeriodRange(today, 'week').start;
+        const monthStart = getPeriodRange(today, 'month').start;
+
+        const [habits, completions, vacations] = await Promise.all([
+            dataService.getDailyHabits(),
+            dataService.getDailyHabitCompletions(weekStart < monthStart ? weekStart : monthStart, today),
+            dataService.getHabitVacations().catch(() => [])
+        ]);
+
+        return { today, openHabits: getOpenHabits(habits || [], completions || [], vacations || [], today) };
+    }
+
+    /**
+     * Plan the rest of today's reminders, replacing any planned before
+     */
+    async refresh() {
+        this.clearTimers();
+        if (!this.isSupported() || Notification.permission !== 'granted') return;
+
+        const settings = this.getSettings();
+        if (!settings.enabled) return;
+
+        try {
+            const { today, openHabits } = await this.loadOpenHabits();
+            const now = new Date();
+            const nowMinutes = minutesSinceMidnight(now);
+
+            planReminders(openHabits, settings, nowMinutes, this.getSentKeys(today)).forEach(reminder => {
+                const delay = Math.max(0, (reminder.minutes - nowMinutes) * 60000 - now.getSeconds() * 1000);
+                this.timers.push(setTimeout(() => this.fire(reminder, today), delay));
+            });
+
+            // Plan the next day just after midnight
+            const tomorrow = new Date(now);
+            tomorrow.setHours(24, 0, 5, 0);
+            this.timers.push(setTimeout(() => this.refresh(), tomorrow - now));
+        } catch (error) {
+            console.warn('Habit reminders could not be planned:', error);
+        }
+    }
+
+    /**
+     * Show a planned reminder if it still applies
+     * @param {Object} reminder - Reminder from planReminders
+     * @param {string} date - Day the reminder was planned for
+     */
+    async fire(reminder, date) {
+        try {
+            // The habit may have been done since the reminder was planned
+            const { today, openHabits } = await this.loadOpenHabits();
+            if (today !== date) return;
+            this.markSent(today, reminder.key);
+
+            if (reminder.type === REMINDER_TYPES.SUMMARY) {
+                if (openHabits.length === 0) return;
+                const { title, body } = buildSummaryMessage(openHabits);
+                await this.showNotification(title, {
+                    body,
+                    tag: 'habit-summary',
+                    data: { type: 'habit-summary', date: today }
+                });
+                return;
+            }
+
+            const habit = openHabits.find(h => h.id === reminder.habitId);
+            if (!habit) return;
+
+            const { title, body } = buildHabitReminderMessage(habit);
+            await this.showNotification(title, {
+                body,
+                tag: `habit-${habit.id}`,
+                data: { type: 'habit-reminder', habitId: habit.id, date: today },
+                actions: [
+                    { action: 'complete', title: '✓ Done' },
+                    { action: 'snooze', title: `⏰ Snooze ${SNOOZE_MINUTES} min` }
+                ]
+            });
+        } catch (error) {
+            console.warn('Habit reminder could not be shown:', error);
+        }
+    }
+
+    /**
+     * Show a notification through the service worker, or directly without actions
+     * when no service worker is registered
+     */
+    async showNotification(title, options) {
+        const registration = await navigator.serviceWorker.getRegistration();
+        if (registration) {
+            await registration.showNotification(title, { icon: NOTIFICATION_ICON, badge: NOTIFICATION_ICON, ...options });
+            return;
+        }
+        new Notification(title, { icon: NOTIFICATION_ICON, body: options.body, tag: options.tag });
+    }
+
+    /**
+     * Remind about a habit again in SNOOZE_MINUTES, unless that is in quiet hours
+     * @param {string} habitId - Habit ID
+     * @param {string} date - Day of the reminder
+     */
+    snooze(habitId, date) {
+        const nowMinutes = minutesSinceMidnight(new Date());
+        const minutes = deferPastQuietHours(nowMinutes + SNOOZE_MINUTES, this.getSettings());
+        if (minutes === null) return;
+
+        const reminder = { key: `snooze:${habitId}`, type: REMINDER_TYPES.HABIT, habitId, minutes };
+        this.snoozeTimers.push(setTimeout(() => this.fire(reminder, date), (minutes - nowMinutes) * 60000));
+    }
+
+    /**
+     * Carry out a notification action passed on by the service worker
+     * @param {Object} action - { action: 'complete' | 'snooze' | 'open', habitId, date }
+     */
+    async handleAction({ action, habitId, date }) {
+        try {
+            if (action === 'complete' && habitId) {
+                await dataService.toggleDailyHabitCompletion(habitId, date, true);
+                if (window.showToast) {
+                    window.showToast('Habit marked as done', 'success');
+                }
+            } else if (action === 'snooze' && habitId) {
+                this.snooze(habitId, date);
+            } else {
+                window.location.hash = '#habits';
+            }
+        } catch (error) {
+            console.error('Failed to handle habit reminder action:', error);
+        }
+    }
+
+    /**
+     * Carry out an action the app was opened for
+     * The service worker opens the app with ?habitReminder=<action>&habit=<id>&date=<date>
+     * when no window was open to pass it to.
+     */
+    async handleLaunchAction() {
+        const params = new URLSearchParams(window.location.search);
+        const action = params.get('habitReminder');
+        if (!action) return;
+
+        const habitId = params.get('habit');
+        const date = params.get('date') || formatDate(new Date());
+
+        // Drop the parameters so a reload does not repeat the action
+        ['habitReminder', 'habit', 'date'].forEach(name => params.delete(name));
+        const query = params.toString();
+        history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+
+        await this.handleAction({ action, habitId, date });
+    }
+
+    getSentKeys(today) {
+        try {
+            const sent = JSON.parse(localStorage.getItem(SENT_KEY));
+            return new Set(sent?.date === today ? sent.keys : []);
+        } catch {
+            return new Set();
+        }
+    }
+
+    markSent(today, key) {
+        const keys = this.getSentKeys(today);
+        keys.add(key);
+        localStorage.setItem(SENT_KEY, JSON.stringify({ date: today, keys: [...keys] }));
+    }
+}
+
+const habitReminderService = new HabitReminderService();
+export default habitReminderService;
@@ -0,0 +1,161 @@
+/**
+ * Habit Reminders
+ * Plans the day's local notifications for daily habits: one at each habit's
+ * `reminder_time` while the habit is still open, and an evening summary of the habits
+ * left undone. Reminders that fall in quiet hours wait until quiet hours end, or are
+ * dropped when that is tomorrow. Reminders whose time has passed without being sent
+ * (the app was closed) are sent straight away.
+ *
+ * Times are "HH:MM" strings in local time and are planned as minutes since midnight.
+ */
+
+import { isHabitOpenOn, isOnVacation } from './habit-schedule.js';
+import { describeTarget, isMeasurableHabit } from './habit-targets.js';
+
+export const REMINDER_TYPES = {
+    HABIT: 'habit',
+    SUMMARY: 'summary'
+};
+
+export const DEFAULT_REMINDER_SETTINGS = {
+    enabled: false,
+    quietHoursStart: '22:00',
+    quietHoursEnd: '07:00',
+    summaryEnabled: true,
+    summaryTime: '20:00'
+};
+
+export const SNOOZE_MINUTES = 10;
+
+const MINUTES_PER_DAY = 24 * 60;
+
+/**
+ * Minutes since midnight of a time of day
+ * @param {string|null} time - "HH:MM", or "HH:MM:SS" as the database returns it
+ * @returns {number|null} Minutes, or null when the time is missing or unreadable
+ */
+export function parseReminderTime(time) {
+    const match = /^(\d{1,2}):(\d{2})/.exec(time || '');
+    if (!match) return null;
+
+    const hours = parseInt(match[1]);
+    const minutes = parseInt(match[2]);
+    if (hours > 23 || minutes > 59) return null;
+    return hours * 60 + minutes;
+}
+
+/**
+ * Whether a time of day falls in quiet hours
+ * Quiet hours may run past midnight (22:00 to 07:00); equal start and end means none.
+ * @param {number} minutes - Minutes since midnight
+ * @param {Object} settings - Reminder settings
+ * @returns {boolean}
+ */
+export function isInQuietHours(minutes, settings) {
+    const start = parseReminderTime(settings.quietHoursStart);
+    const end = parseReminderTime(settings.quietHoursEnd);
+    if (start === null || end === null || start === end) return false;
+
+    return start < end
+        ? minutes >= start && minutes < end
+        : minutes >= start || minutes < end;
+}
+
+/**
+ * Move a time of day out of quiet hours
+ * @param {number} minutes - Minutes since midnight
+ * @param {Object} settings - Reminder settings
+ * @returns {number|null} The time, the end of quiet hours, or null when quiet hours
+ *   last until tomorrow (or the time is already tomorrow)
+ */
+export function deferPastQuietHours(minutes, settings) {
+    if (minutes >= MINUTES_PER_DAY) return null;
+    if (!isInQuietHours(minutes, settings)) return minutes;
+
+    const start = parseReminderTime(settings.quietHoursStart);
+    const end = parseReminderTime(settings.quietHoursEnd);
+    if (start > end && minutes >= start) return null;
+    return end;
+}
+
+/**
+ * Daily habits that still need doing today
+ * A habit is open when its schedule asks for it, it has not been completed, skipped or
+ * frozen today, and no vacation is running.
+ * @param {Array<Object>} habits - Daily habits
+ * @param {Array<Object>} completions - Completions since the start of the week and month
+ * @param {Array<Object>} vacations - Habit vacations
+ * @param {string} today - Today's date (YYYY-MM-DD)
+ * @returns {Array<Object>} Open habits
+ */
+export function getOpenHabits(habits, completions, vacations, today) {
+    if (isOnVacation(vacations, today)) return [];
+
+    return habits.filter(habit => {
+        const own = completions.filter(c => c.habit_id === habit.id);
+        const todays = own.find(c => c.date === today);
+        if (todays?.completed || todays?.status) return false;
+
+        const completedDates = new Set(own.filter(c => c.completed).map(c => c.date));
+        return isHabitOpenOn(habit, today, completedDates);
+    });
+}
+
+/**
+ * Reminders still to send today
+ * @param {Array<Object>} openHabits - Habits still open today (see getOpenHabits)
+ * @param {Object} settings - Reminder settings
+ * @param {number} nowMinutes - Current time in minutes since midnight
+ * @param {Set<string>} [sent] - Keys of the reminders already sent today
+ * @returns {Array<{key: string, type: string, habitId?: string, minutes: number}>}
+ *   Reminders ordered by time
+ */
+export function planReminders(openHabits, settings, nowMinutes, sent = new Set()) {
+    if (!settings.enabled || openHabits.length === 0) return [];
+
+    const reminders = [];
+    const plan = (reminder, time) => {
+        if (time === null || sent.has(reminder.key)) return;
+        const minutes = deferPastQuietHours(Math.max(time, nowMinutes), settings);
+        if (minutes !== null) reminders.push({ ...reminder, minutes });
+    };
+
+    openHabits.forEach(habit => {
+        plan({ key: `habit:${habit.id}`, type: REMINDER_TYPES.HABIT, habitId: habit.id }, parseReminderTime(habit.reminder_time));
+    });
+
+    if (settings.summaryEnabled) {
+        plan({ key: 'summary', type: REMINDER_TYPES.SUMMARY }, parseReminderTime(settings.summaryTime));
+    }
+
+    return reminders.sort((a, b) => a.minutes - b.minutes);
+}
+
+/**
+ * Notification text for a single habit
+ * @param {Object} habit - Daily habit
+ * @returns {{title: string, body: string}}
+ */
+export function buildHabitReminderMessage(habit) {
+    return {
+        title: `⏰ ${habit.habit_name || 'Habit reminder'}`,
+        body: isMeasurableHabit(habit)
+            ? `Today's target: ${describeTarget(habit)}`
+            : 'Time for your habit. Mark it done or snooze it for later.'
+    };
+}
+
+/**
+ * Notification text for the evening summary
+ * @param {Array<Object>} openHabits - Habits still open today
+ * @returns {{title: string, body: string}}
+ */
+export function buildSummaryMessage(openHabits) {
+    const names = openHabits.map(habit => habit.habit_name || 'Unnamed habit');
+    const more = names.length > 3 ? ` and ${names.length - 3} more` : '';
+
+    return {
+        title: `${names.length} habit${names.length === 1 ? '' : 's'} left today`,
+        body: `Still to do: ${names.slice(0, 3).join(', ')}${more}`
+    };
+}
@@ -0,0 +1,379 @@
+/**
+ * Habit Schedules
+ * Decides which days a daily habit is due, so habits that are not meant to be done
+ * every day do not count as missed on their days off.
+ *
+ * A habit stores its schedule in the `schedule` column (null means every day):
+ *   { type: 'daily' | 'weekdays' | 'times_per_period' | 'interval',
+ *     weekdays: [0-6],              // weekdays: days it is due, 0 = Sunday
+ *     times, period: 'week'|'month', // times_per_period: completions wanted per period
+ *     every_days,                    // interval: due every N days from start_date
+ *     start_date, end_date }         // optional YYYY-MM-DD bounds, for any type
+ *
+ * Daily, weekday and interval schedules are due on fixed days. A times-per-period
+ * habit can be done on any day; it is met once the period has enough completions.
+ * Completed days are passed in as a Set of YYYY-MM-DD strings, or as a Map of date to
+ * credit (0 to 1) for measurable habits that earn partial credit (see js/habit-targets.js).
+ * Only days with full credit count as done for streaks and period targets.
+ *
+ * Excused days are passed in as a Map of date to HABIT_DAY_STATUSES: days the habit
+ * was skipped or frozen, and vacation days that pause every habit. They are left out
+ * of completion rates and period targets, and do not break a streak. Skips and
+ * vacations are free; a frozen day spends one of the streak freezes the habit earns
+ * every STREAK_FREEZE_DAYS streak days, and counts as missed when none are left.
+ * Only fixed-day habits bank freezes; for times-per-period habits a frozen day
+ * counts like a skipped one.
+ */
+
+import { addDays, daysBetween } from './recurrence.js';
+
+export const HABIT_SCHEDULE_TYPES = {
+    DAILY: 'daily',
+    WEEKDAYS: 'weekdays',
+    TIMES_PER_PERIOD: 'times_per_period',
+    INTERVAL: 'interval'
+};
+
+export const HABIT_SCHEDULE_PERIODS = ['week', 'month'];
+
+// Why a day is excused; skipped and frozen are stored in a completion's `status`
+export const HABIT_DAY_STATUSES = {
+    SKIPPED: 'skipped',
+    FROZEN: 'frozen',
+    VACATION: 'vacation'
+};
+
+// Streak days that earn a freeze, and how many freezes a habit can bank
+export const STREAK_FREEZE_DAYS = 7;
+export const MAX_STREAK_FREEZES = 2;
+
+const NO_EXCUSED_DAYS = new Map();
+
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+function weekdayOf(dateStr) {
+    const [year, month, day] = dateStr.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+}
+
+function creditOn(completedDates, dateStr) {
+    if (completedDates instanceof Map) return completedDates.get(dateStr) || 0;
+    return completedDates.has(dateStr) ? 1 : 0;
+}
+
+function isDoneOn(completedDates, dateStr) {
+    return creditOn(completedDates, dateStr) >= 1;
+}
+
+function earliestDate(completedDates) {
+    let earliest = null;
+    for (const date of completedDates.keys()) {
+        if (!earliest || date < earliest) earliest = date;
+    }
+    return earliest;
+}
+
+/**
+ * Whether a date falls within one of the profile's vacations
+ * @param {Array<Object>} vacations - Vacations with start_date and end_date (YYYY-MM-DD)
+ * @param {string} dateStr - Date in YYYY-MM-DD format
+ * @returns {boolean}
+ */
+export function isOnVacation(vacations, dateStr) {
+    return (vacations || []).some(vacation => dateStr >= vacation.start_date && dateStr <= vacation.end_date);
+}
+
+/**
+ * Fill in defaults and drop values that do not apply to the schedule type
+ * Anything unreadable falls back to a daily schedule.
+ * @param {Object|string|null} schedule - Stored schedule (JSON string or object)
+ * @returns {Object} Schedule with every field present
+ */
+export function normalizeSchedule(schedule) {
+    let raw = schedule;
+    if (typeof raw === 'string') {
+        try {
+            raw = JSON.parse(raw);
+        } catch {
+            raw = null;
+        }
+    }
+    raw = raw && typeof raw === 'object' ? raw : {};
+
+    const normalized = {
+        type: Object.values(HABIT_SCHEDULE_TYPES).includes(raw.type) ? raw.type : HABIT_SCHEDULE_TYPES.DAILY,
+        weekdays: [],
+        times: null,
+        period: null,
+        every_days: null,
+        start_date: raw.start_date || null,
+        end_date: raw.end_date || null
+    };
+
+    if (normalized.type === HABIT_SCHEDULE_TYPES.WEEKDAYS) {
+        normalized.weekdays = [...new Set((raw.weekdays || []).map(Number))]
+            .filter(day => Number.isInteger(day) && day >= 0 && day <= 6)
+            .sort((a, b) => a - b);
+        if (normalized.weekdays.length === 0) normalized.type = HABIT_SCHEDULE_TYPES.DAILY;
+    } else if (normalized.type === HABIT_SCHEDULE_TYPES.TIMES_PER_PERIOD) {
+        normalized.period = HABIT_SCHEDULE_PERIODS.includes(raw.period) ? raw.period : 'week';
+        normalized.times = Math.max(1, parseInt(raw.times, 10) || 1);
+    } else if (normalized.type === HABIT_SCHEDULE_TYPES.INTERVAL) {
+        normalized.every_days = Math.max(1, parseInt(raw.every_days, 10) || 1);
+    }
+
+    return normalized;
+}
+
+/**
+ * Whether the date falls within the habit's start and end dates
+ * @param {Object} habit - Daily habit
+ * @param {string} dateStr - Date in YYYY-MM-DD format
+ * @returns {boolean}
+ */
+export function isHabitActive(habit, dateStr) {
+    const { start_date: start, end_date: end } = normalizeSchedule(habit.schedule);
+    return (!start || dateStr >= start) && (!end || dateStr <= end);
+}
+
+/**
+ * Whether the habit is counted per period rather than due on fixed days
+ * @param {Object} habit - Daily habit
+ * @returns {boolean}
+ */
+export function isFlexibleSchedule(habit) {
+    return normalizeSchedule(habit.schedule).type === HABIT_SCHEDULE_TYPES.TIMES_PER_PERIOD;
+}
+
+/**
+ * Whether a fixed-day habit is due on a date
+ * Times-per-period habits are never due on a particular day (see getPeriodProgress).
+ * @param {Object} habit - Daily habit
+ * @param {string} dateStr - Date in YYYY-MM-DD format
+ * @returns {boolean}
+ */
+export function isHabitDueOn(habit, dateStr) {
+    if (!isHabitActive(habit, dateStr)) return false;
+
+    const schedule = normalizeSchedule(habit.schedule);
+    switch (schedule.type) {
+        case HABIT_SCHEDULE_TYPES.WEEKDAYS:
+            return schedule.weekdays.includes(weekdayOf(dateStr));
+        case HABIT_SCHEDULE_TYPES.INTERVAL: {
+            // Counted from the start date, or from the day the habit was created
+            const anchor = schedule.start_date || habit.created_at?.split('T')[0];
+            if (!anchor) return true;
+            const offset = daysBetween(anchor, dateStr);
+            return ((offset % schedule.every_days) + schedule.every_days) % schedule.every_days === 0;
+        }
+        case HABIT_SCHEDULE_TYPES.TIMES_PER_PERIOD:
+            return false;
+        default:
+            return true;
+    }
+}
+
+/**
+ * First and last day of the week (Sunday to Saturday) or month containing a date
+ * @param {string} dateStr - Date in YYYY-MM-DD format
+ * @param {string} period - 'week' or 'month'
+ * @returns {{start: string, end: string}}
+ */
+export function getPeriodRange(dateStr, period) {
+    if (period === 'month') {
+        const [year, month] = dateStr.split('-').map(Number);
+        const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+        const prefix = `${year}-${String(month).padStart(2, '0')}`;
+        return { start: `${prefix}-01`, end: `${prefix}-${String(lastDay).padStart(2, '0')}` };
+    }
+
+    const start = addDays(dateStr, -weekdayOf(dateStr));
+    return { start, end: addDays(start, 6) };
+}
+
+/**
+ * Completions so far in the period containing a date, for a times-per-period habit
+ * The target shrinks when the habit starts or ends part-way through the period.
+ * @param {Object} habit - Daily habit with a times_per_period schedule
+ * @param {string} dateStr - Date in YYYY-MM-DD format
+ * @param {Set<string>|Map<string, number>} completedDates - Dates the habit was completed
+ * @param {Object} [range] - Only count days within { start, end }
+ * @param {Map<string, string>} [excused] - Excused days, left out of the target
+ * @returns {{start: string, end: string, done: number, credit: number, target: number, met: boolean}}
+ */
+export function getPeriodProgress(habit, dateStr, completedDates, range = null, excused = NO_EXCUSED_DAYS) {
+    const schedule = normalizeSchedule(habit.schedule);
+    const period = getPeriodRange(dateStr, schedule.period);
+    const start = range && range.start > period.start ? range.start : period.start;
+    const end = range && range.end < period.end ? range.end : period.end;
+
+    let done = 0;
+    let credit = 0;
+    let activeDays = 0;
+    for (let date = start; date <= end; date = addDays(date, 1)) {
+        if (!isHabitActive(habit, date)) continue;
+        credit += creditOn(completedDates, date);
+        if (isDoneOn(completedDates, date)) {
+            done++;
+        } else if (excused.has(date)) {
+            continue;
+        }
+        activeDays++;
+    }
+
+    const target = Math.min(schedule.times || 1, activeDays);
+    return { start: period.start, end: period.end, done, credit, target, met: done >= target };
+}
+
+/**
+ * Whether the habit still asks for attention on a date
+ * True for fixed-day habits that are due, and for times-per-period habits whose
+ * period is not met yet (or that were already logged that day).
+ * @param {Object} habit - Daily habit
+ * @param {string} dateStr - Date in YYYY-MM-DD format
+ * @param {Set<string>|Map<string, number>} completedDates - Dates the habit was completed
+ * @param {Map<string, string>} [excused] - Excused days
+ * @returns {boolean}
+ */
+export function isHabitOpenOn(habit, dateStr, completedDates, excused = NO_EXCUSED_DAYS) {
+    if (creditOn(completedDates, dateStr) === 0 && excused.has(dateStr)) return false;
+    if (!isFlexibleSchedule(habit)) return isHabitDueOn(habit, dateStr);
+    if (!isHabitActive(habit, dateStr)) return false;
+    return creditOn(completedDates, dateStr) > 0 || !getPeriodProgress(habit, dateStr, completedDates, null, excused).met;
+}
+
+/**
+ * Completions counted against what the schedule asked for between two dates
+ * Completions on days off are not counted, so the rate never passes 100%. Partial
+ * credit adds fractions of a completion. Excused days are not expected.
+ * @param {Object} habit - Daily habit
+ * @param {Set<string>|Map<string, number>} completedDates - Dates the habit was completed
+ * @param {string} startDate - First day (YYYY-MM-DD)
+ * @param {string} endDate - Last day (YYYY-MM-DD)
+ * @param {Map<string, string>} [excused] - Excused days
+ * @returns {{completed: number, expected: number}}
+ */
+export function getScheduleStats(habit, completedDates, startDate, endDate, excused = NO_EXCUSED_DAYS) {
+    let completed = 0;
+    let expected = 0;
+
+    if (isFlexibleSchedule(habit)) {
+        let date = startDate;
+        while (date <= endDate) {
+            const progress = getPeriodProgress(habit, date, completedDates, { start: startDate, end: endDate }, excused);
+            expected += progress.target;
+            completed += Math.min(progress.credit, progress.target);
+            date = addDays(progress.end, 1);
+        }
+        return { completed, expected };
+    }
+
+    for (let date = startDate; date <= endDate; date = addDays(date, 1)) {
+        if (!isHabitDueOn(habit, date)) continue;
+        const credit = creditOn(completedDates, date);
+        if (credit === 0 && excused.has(date)) continue;
+        expected++;
+        completed += credit;
+    }
+    return { completed, expected };
+}
+
+/**
+ * Current streak and banked streak freezes
+ * Fixed-day habits walk forward through their due days: completed days extend the
+ * streak, excused days leave it alone, and any other day before today breaks it.
+ * Times-per-period habits count completions in consecutive periods that were met,
+ * including the period still in progress.
+ * @param {Object} habit - Daily habit
+ * @param {Set<string>|Map<string, number>} completedDates - Dates the habit was completed
+ * @param {string} today - Today's date (YYYY-MM-DD)
+ * @param {Map<string, string>} [excused] - Excused days
+ * @returns {{streak: number, freezes: number, freezesUsed: number}} Streak in completed days,
+ *   freezes left and freezes spent keeping a streak alive
+ */
+export function getStreakState(habit, completedDates, today, excused = NO_EXCUSED_DAYS) {
+    const earliest = earliestDate(completedDates);
+    if (!earliest) return { streak: 0, freezes: 0, freezesUsed: 0 };
+
+    let streak = 0;
+
+    if (isFlexibleSchedule(habit)) {
+        const range = { start: earliest, end: today };
+        let progress = getPeriodProgress(habit, today, completedDates, range, excused);
+        streak += progress.done;
+        while (progress.start > earliest) {
+            progress = getPeriodProgress(habit, addDays(progress.start, -1), completedDates, range, excused);
+            // A period with nothing expected (vacation, before the start date) is passed over
+            if (progress.target === 0) continue;
+            if (!progress.met) break;
+            streak += progress.done;
+        }
+        return { streak, freezes: 0, freezesUsed: 0 };
+    }
+
+    let freezes = 0;
+    let freezesUsed = 0;
+    for (let date = earliest; date <= today; date = addDays(date, 1)) {
+        if (!isHabitDueOn(habit, date)) continue;
+
+        const status = excused.get(date);
+        if (isDoneOn(completedDates, date)) {
+            streak++;
+            if (streak % STREAK_FREEZE_DAYS === 0) {
+                freezes = Math.min(MAX_STREAK_FREEZES, freezes + 1);
+            }
+        } else if (status === HABIT_DAY_STATUSES.FROZEN && freezes > 0) {
+            freezes--;
+            freezesUsed++;
+        } else if (status === HABIT_DAY_STATUSES.SKIPPED || status === HABIT_DAY_STATUSES.VACATION) {
+            continue;
+        } else if (date !== today) {
+            // Banked freezes belong to the streak that earned them
+            streak = 0;
+            freezes = 0;
+        }
+    }
+    return { streak, freezes, freezesUsed };
+}
+
+/**
+ * Current streak, counting only what the schedule asked for (see getStreakState)
+ * @param {Object} habit - Daily habit
+ * @param {Set<string>|Map<string, number>} completedDates - Dates the habit was completed
+ * @param {string} today - Today's date (YYYY-MM-DD)
+ * @param {Map<string, string>} [excused] - Excused days
+ * @returns {number} Streak length in completed days
+ */
+export function calculateScheduledStreak(habit, completedDates, today, excused = NO_EXCUSED_DAYS) {
+    return getStreakState(habit, completedDates, today, excused).streak;
+}
+
+/**
+ * Describe a schedule for display
+ * @param {Object|string|null} schedule - Stored schedule
+ * @returns {string} e.g. "Mon, Wed, Fri" or "3× per week from 2026-01-05"
+ */
+export function describeSchedule(schedule) {
+    const normalized = normalizeSchedule(schedule);
+    let text;
+
+    switch (normalized.type) {
+        case HABIT_SCHEDULE_TYPES.WEEKDAYS:
+            text = normalized.weekdays.length === 7
+                ? 'Every day'
+                : normalized.weekdays.map(day => WEEKDAY_NAMES[day]).join(', ');
+            break;
+        case HABIT_SCHEDULE_TYPES.TIMES_PER_PERIOD:
+            text = `${normalized.times}× per ${normalized.period}`;
+            break;
+        case HABIT_SCHEDULE_TYPES.INTERVAL:
+            text = normalized.every_days === 1 ? 'Every day' : `Every ${normalized.every_days} days`;
+            break;
+        default:
+            text = 'Every day';
+    }
+
+    if (normalized.start_date) text += ` from ${normalized.start_date}`;
+    if (normalized.end_date) text += ` until ${normalized.end_date}`;
+    return text;
+}
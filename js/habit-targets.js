@@ -0,0 +1,92 @@
+/**
+ * Habit Targets
+ * Measurable daily habits ("read 20 pages", "at most 2 coffees") log a number per day
+ * instead of a checkbox. A habit is measurable when it has a `target_value`; `unit`
+ * and `target_comparison` ('at_least' or 'at_most') describe it.
+ *
+ * The day's value is stored in the completion's `count_value`, and `completed` is kept
+ * true only when the target is met, so code that just reads `completed` keeps working.
+ * Progress calculations use getTargetCredit for partial credit.
+ */
+
+export const HABIT_TARGET_COMPARISONS = {
+    AT_LEAST: 'at_least',
+    AT_MOST: 'at_most'
+};
+
+/**
+ * Whether the habit logs a number against a daily target
+ * @param {Object} habit - Daily habit
+ * @returns {boolean}
+ */
+export function isMeasurableHabit(habit) {
+    return habit?.target_value !== null && habit?.target_value !== undefined && Number(habit.target_value) > 0;
+}
+
+/**
+ * Value logged on a completion
+ * Falls back to a number typed into the note, which is how counts were logged before
+ * completions had a value.
+ * @param {Object|undefined} completion - Daily habit completion
+ * @returns {number|null} Logged value, or null when nothing was logged
+ */
+export function getCompletionValue(completion) {
+    if (!completion) return null;
+
+    if (completion.count_value !== null && completion.count_value !== undefined && completion.count_value !== '') {
+        const value = Number(completion.count_value);
+        if (!isNaN(value)) return value;
+    }
+
+    const noteValue = parseFloat(completion.notes);
+    return isNaN(noteValue) ? null : noteValue;
+}
+
+/**
+ * Share of the day's target reached by a value, from 0 to 1
+ * At-least targets earn credit in proportion to the value. At-most targets earn full
+ * credit up to the limit and shrink as the value goes over it.
+ * @param {Object} habit - Measurable daily habit
+ * @param {number|null} value - Logged value
+ * @returns {number} Credit between 0 and 1
+ */
+export function getTargetCredit(habit, value) {
+    if (value === null || value === undefined || isNaN(value) || value < 0) return 0;
+
+    const target = Number(habit.target_value);
+    if (habit.target_comparison === HABIT_TARGET_COMPARISONS.AT_MOST) {
+        return value <= target ? 1 : target / value;
+    }
+    return Math.min(1, value / target);
+}
+
+/**
+ * Whether a value meets the habit's daily target
+ * @param {Object} habit - Measurable daily habit
+ * @param {number|null} value - Logged value
+ * @returns {boolean}
+ */
+export function isTargetMet(habit, value) {
+    return getTargetCredit(habit, value) >= 1;
+}
+
+/**
+ * Describe a habit's target for display
+ * @param {Object} habit - Measurable daily habit
+ * @returns {string} e.g. "≥ 20 pages" or "≤ 2 coffees"
+ */
+export function describeTarget(habit) {
+    const symbol = habit.target_comparison === HABIT_TARGET_COMPARISONS.AT_MOST ? '≤' : '≥';
+    return `${symbol} ${Number(habit.target_value).toLocaleString()}${habit.unit ? ` ${habit.unit}` : ''}`;
+}
+
+/**
+ * Format a logged value against the target
+ * @param {Object} habit - Measurable daily habit
+ * @param {number|null} value - Logged value
+ * @returns {string} e.g. "12 / 20 pages"
+ */
+export function formatTargetProgress(habit, value) {
+    const logged = value === null || value === undefined ? '–' : Number(value).toLocaleString();
+    return `${logged} / ${Number(habit.target_value).toLocaleString()}${habit.unit ? ` ${habit.unit}` : ''}`;
+}
@@ -0,0 +1,614 @@
+/**
+ * iCalendar (.ics) Parser and Writer
+ * Reads VEVENTs from calendars exported by Google Calendar, Outlook, Apple Calendar etc.
+ * Handles line folding, text escaping, all-day events, UTC/TZID/floating times,
+ * DURATION, RRULE, EXDATE and RECURRENCE-ID (edited occurrences).
+ * Writes the same event shape back out, plus VTODOs and a VTIMEZONE for local times.
+ */
+
+import { addDays, formatRRule, parseRRule } from './recurrence.js';
+
+// RRULE parts js/recurrence.js can expand (WKST only matters for BYWEEKNO, which we don't support)
+const SUPPORTED_RRULE_PARTS = ['FREQ', 'INTERVAL', 'BYDAY', 'BYMONTHDAY', 'UNTIL', 'COUNT', 'WKST'];
+
+// Windows time zone names used by Outlook/Exchange, mapped to IANA names
+const WINDOWS_TIME_ZONES = {
+    'UTC': 'UTC',
+    'GMT Standard Time': 'Europe/London',
+    'W. Europe Standard Time': 'Europe/Berlin',
+    'Romance Standard Time': 'Europe/Paris',
+    'Central Europe Standard Time': 'Europe/Budapest',
+    'Central European Standard Time': 'Europe/Warsaw',
+    'E. Europe Standard Time': 'Europe/Chisinau',
+    'FLE Standard Time': 'Europe/Kiev',
+    'GTB Standard Time': 'Europe/Bucharest',
+    'Russian Standard Time': 'Europe/Moscow',
+    'Eastern Standard Time': 'America/New_York',
+    'Central Standard Time': 'America/Chicago',
+    'Mountain Standard Time': 'America/Denver',
+    'US Mountain Standard Time': 'America/Phoenix',
+    'Pacific Standard Time': 'America/Los_Angeles',
+    'Alaskan Standard Time': 'America/Anchorage',
+    'Hawaiian Standard Time': 'Pacific/Honolulu',
+    'Atlantic Standard Time': 'America/Halifax',
+    'E. South America Standard Time': 'America/Sao_Paulo',
+    'India Standard Time': 'Asia/Kolkata',
+    'China Standard Time': 'Asia/Shanghai',
+    'Tokyo Standard Time': 'Asia/Tokyo',
+    'Singapore Standard Time': 'Asia/Singapore',
+    'AUS Eastern Standard Time': 'Australia/Sydney',
+    'New Zealand Standard Time': 'Pacific/Auckland'
+};
+
+/**
+ * Join folded lines (continuations start with a space or tab)
+ * @param {string} text - Raw .ics content
+ * @returns {Array<string>} Unfolded content lines
+ */
+export function unfoldLines(text) {
+    return text
+        .replace(/\r\n/g, '\n')
+        .replace(/\r/g, '\n')
+        .replace(/\n[ \t]/g, '')
+        .split('\n')
+        .filter(line => line.trim() !== '');
+}
+
+/**
+ * Undo iCalendar TEXT escaping
+ * @param {string} value - Escaped text
+ * @returns {string} Plain text
+ */
+export function unescapeText(value) {
+    return value.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+/**
+ * Split a content line into name, parameters and value
+ * e.g. DTSTART;TZID="Europe/Berlin":20260105T090000
+ */
+function parseContentLine(line) {
+    let inQuotes = false;
+    let colon = -1;
+
+    for (let i = 0; i < line.length; i++) {
+        if (line[i] === '"') inQuotes = !inQuotes;
+        if (line[i] === ':' && !inQuotes) {
+            colon = i;
+            break;
+        }
+    }
+    if (colon === -1) return null;
+
+    const [name, ...paramParts] = line.slice(0, colon).split(/;(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+    const params = {};
+    paramParts.forEach(part => {
+        const [key, ...rest] = part.split('=');
+        params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+    });
+
+    return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+/**
+ * Offset of a time zone from UTC at an instant, in milliseconds
+ */
+function getTimeZoneOffset(timestamp, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    }).formatToParts(new Date(timestamp));
+    const get = type => Number(parts.find(p => p.type === type).value);
+
+    return Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second')) - timestamp;
+}
+
+/**
+ * Instant of a wall-clock time in a time zone
+ */
+function zonedTimeToTimestamp({ year, month, day, hour, minute, second }, timeZone) {
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+    const offset = getTimeZoneOffset(wallClock, timeZone);
+    const adjusted = getTimeZoneOffset(wallClock - offset, timeZone);
+
+    // Re-check once for instants near a DST change
+    return wallClock - (adjusted === offset ? offset : adjusted);
+}
+
+/**
+ * Wall-clock date and time of an instant in a time zone
+ */
+function formatInTimeZone(timestamp, timeZone) {
+    const shifted = new Date(timestamp + getTimeZoneOffset(timestamp, timeZone)).toISOString();
+    return { date: shifted.slice(0, 10), time: shifted.slice(11, 16) };
+}
+
+/**
+ * Resolve a TZID to an IANA zone the browser knows, or null
+ */
+function resolveTimeZone(tzid) {
+    if (!tzid) return null;
+
+    // Some exporters prefix IANA names, e.g. /mozilla.org/20050126_1/Europe/Berlin
+    const candidate = WINDOWS_TIME_ZONES[tzid] || tzid.replace(/^\/?(?:[^/]+\/\d+_\d+\/)?/, '');
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: candidate });
+        return candidate;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Parse a DATE or DATE-TIME value into the planner's wall-clock date and time
+ * @param {string} value - e.g. 20260105, 20260105T090000, 20260105T080000Z
+ * @param {Object} params - Property parameters (VALUE, TZID)
+ * @param {string} timeZone - Time zone to convert into
+ * @param {Array<string>} warnings - Collects unknown time zones
+ * @returns {{date: string, time: string|null}|null} time is null for DATE values
+ */
+function parseDateValue(value, params, timeZone, warnings) {
+    const match = value.trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+    if (!match) return null;
+
+    const [, year, month, day, hour, minute, second = '00', utc] = match;
+    const date = `${year}-${month}-${day}`;
+
+    if (params.VALUE === 'DATE' || hour === undefined) {
+        return { date, time: null };
+    }
+
+    const parts = {
+        year: Number(year), month: Number(month), day: Number(day),
+        hour: Number(hour), minute: Number(minute), second: Number(second)
+    };
+
+    let timestamp = null;
+    if (utc) {
+        timestamp = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    } else if (params.TZID) {
+        const sourceZone = resolveTimeZone(params.TZID);
+        if (sourceZone && sourceZone !== timeZone) {
+            timestamp = zonedTimeToTimestamp(parts, sourceZone);
+        } else if (!sourceZone && !warnings.includes(`Unknown time zone "${params.TZID}", times kept as written`)) {
+            warnings.push(`Unknown time zone "${params.TZID}", times kept as written`);
+        }
+    }
+
+    // Floating times and times already in the target zone are kept as written
+    return timestamp === null
+        ? { date, time: `${hour}:${minute}` }
+        : formatInTimeZone(timestamp, timeZone);
+}
+
+/**
+ * Parse an ISO 8601 duration such as PT1H30M or P1D into minutes
+ */
+function parseDuration(value) {
+    const match = value.match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+    if (!match) return null;
+
+    const [, sign, weeks = 0, days = 0, hours = 0, minutes = 0] = match;
+    const total = ((Number(weeks) * 7 + Number(days)) * 24 + Number(hours)) * 60 + Number(minutes);
+    return sign === '-' ? -total : total;
+}
+
+/**
+ * Add minutes to a date and HH:MM time
+ */
+function addMinutes(date, time, minutes) {
+    const [hours, mins] = time.split(':').map(Number);
+    const total = hours * 60 + mins + minutes;
+    const dayShift = Math.floor(total / 1440);
+    const remainder = ((total % 1440) + 1440) % 1440;
+
+    return {
+        date: addDays(date, dayShift),
+        time: `${String(Math.floor(remainder / 60)).padStart(2, '0')}:${String(remainder % 60).padStart(2, '0')}`
+    };
+}
+
+/**
+ * Turn the raw properties of one VEVENT into a planner event
+ */
+function buildEvent(props, timeZone, warnings) {
+    const first = name => props.find(p => p.name === name);
+    const text = name => (first(name) ? unescapeText(first(name).value).trim() : '');
+
+    const startProp = first('DTSTART');
+    const start = startProp && parseDateValue(startProp.value, startProp.params, timeZone, warnings);
+    if (!start) return null;
+
+    const summary = text('SUMMARY') || '(No title)';
+    const allDay = start.time === null;
+
+    // End: DTEND, or DTSTART + DURATION, or the default length
+    const endProp = first('DTEND');
+    const durationProp = first('DURATION');
+    let end = endProp && parseDateValue(endProp.value, endProp.params, timeZone, warnings);
+    if (!end && durationProp) {
+        const minutes = parseDuration(durationProp.value.trim());
+        if (minutes !== null) {
+            end = allDay
+                ? { date: addDays(start.date, Math.max(1, Math.round(minutes / 1440))), time: null }
+                : addMinutes(start.date, start.time, minutes);
+        }
+    }
+
+    const event = {
+        uid: text('UID') || null,
+        summary,
+        description: text('DESCRIPTION') || null,
+        location: text('LOCATION') || null,
+        categories: props
+            .filter(p => p.name === 'CATEGORIES')
+            .flatMap(p => p.value.split(/(?<!\\),/).map(c => unescapeText(c).trim()))
+            .filter(Boolean),
+        allDay,
+        date: start.date,
+        startTime: start.time,
+        endTime: null,
+        lastDate: start.date,
+        recurrenceRule: null,
+        exceptions: [],
+        recurrenceId: null,
+        cancelled: text('STATUS').toUpperCase() === 'CANCELLED'
+    };
+
+    if (allDay) {
+        // DTEND of an all-day event is exclusive
+        if (end && end.date > start.date) {
+            event.lastDate = addDays(end.date, -1);
+        }
+    } else if (end) {
+        // Timed events are kept within their start day
+        event.endTime = end.date > start.date ? '23:59' : end.time;
+    }
+
+    const rruleProp = first('RRULE');
+    if (rruleProp) {
+        const parts = rruleProp.value.split(';').map(part => part.split('=')[0].toUpperCase());
+        const rule = parseRRule(rruleProp.value);
+        if (rule && parts.every(part => SUPPORTED_RRULE_PARTS.includes(part))) {
+            event.recurrenceRule = formatRRule(rule);
+        } else {
+            warnings.push(`"${summary}" repeats in a way the planner can't follow (${rruleProp.value}); only the first occurrence was imported`);
+        }
+    } else if (allDay && event.lastDate > event.date) {
+        // Multi-day all-day events become a daily series
+        event.recurrenceRule = formatRRule({
+            freq: 'DAILY', interval: 1, byDay: [], byMonthDay: [], until: event.lastDate, count: null
+        });
+    }
+
+    props.filter(p => p.name === 'EXDATE').forEach(prop => {
+        prop.value.split(',').forEach(value => {
+            const exdate = parseDateValue(value, prop.params, timeZone, warnings);
+            if (exdate && !event.exceptions.includes(exdate.date)) {
+                event.exceptions.push(exdate.date);
+            }
+        });
+    });
+
+    const recurrenceIdProp = first('RECURRENCE-ID');
+    if (recurrenceIdProp) {
+        const original = parseDateValue(recurrenceIdProp.value, recurrenceIdProp.params, timeZone, warnings);
+        event.recurrenceId = original ? original.date : null;
+    }
+
+    return event;
+}
+
+/**
+ * Parse .ics content
+ * @param {string} text - Raw .ics content
+ * @param {Object} options - Parse options
+ * @param {string} options.timeZone - IANA zone to convert times into (default: the browser's)
+ * @returns {{name: string|null, events: Array<Object>, warnings: Array<string>}}
+ * @throws {Error} When the content is not an iCalendar file
+ */
+export function parseICal(text, { timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone } = {}) {
+    const lines = unfoldLines(text || '');
+    if (!lines.length || lines[0].trim().toUpperCase() !== 'BEGIN:VCALENDAR') {
+        throw new Error('Not an iCalendar (.ics) file');
+    }
+
+    const events = [];
+    const warnings = [];
+    const stack = [];
+    let name = null;
+    let props = null;
+
+    lines.forEach(line => {
+        const prop = parseContentLine(line);
+        if (!prop) return;
+
+        if (prop.name === 'BEGIN') {
+            stack.push(prop.value.toUpperCase());
+            if (prop.value.toUpperCase() === 'VEVENT') props = [];
+            return;
+        }
+
+        if (prop.name === 'END') {
+            const component = stack.pop();
+            if (component === 'VEVENT' && props) {
+                const event = buildEvent(props, timeZone, warnings);
+                if (event) {
+                    events.push(event);
+                } else {
+                    warnings.push('Skipped an event without a valid start date');
+                }
+                props = null;
+            }
+            return;
+        }
+
+        const current = stack[stack.length - 1];
+        if (current === 'VEVENT') {
+            props.push(prop);
+        } else if (current === 'VCALENDAR' && prop.name === 'X-WR-CALNAME') {
+            name = unescapeText(prop.value).trim();
+        }
+    });
+
+    return { name, events, warnings };
+}
+
+// ==================== WRITING ====================
+
+// Longest content line before folding, in UTF-8 octets (RFC 5545)
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Apply iCalendar TEXT escaping
+ * @param {string} value - Plain text
+ * @returns {string} Escaped text
+ */
+export function escapeText(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line so no line is longer than 75 octets,
+ * never splitting a multi-byte character
+ * @param {string} line - Unfolded content line
+ * @returns {string} Line with CRLF + space continuations
+ */
+export function foldLine(line) {
+    const parts = [];
+    let current = '';
+    let octets = 0;
+
+    for (const char of line) {
+        const code = char.codePointAt(0);
+        const size = code < 0x80 ? 1 : code < 0x800 ? 2 : code < 0x10000 ? 3 : 4;
+        if (octets + size > MAX_LINE_OCTETS) {
+            parts.push(current);
+            // Continuation lines start with a space, which counts towards the limit
+            current = ' ';
+            octets = 1;
+        }
+        current += char;
+        octets += size;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n');
+}
+
+/**
+ * Format a YYYY-MM-DD date and optional HH:MM time as an iCalendar value
+ */
+function formatDateValue(date, time = null) {
+    const day = date.replace(/-/g, '');
+    return time ? `${day}T${time.replace(/:/g, '').slice(0, 4)}00` : day;
+}
+
+/**
+ * Format an instant as a UTC DATE-TIME, e.g. 20260105T083000Z
+ */
+function formatTimestamp(value) {
+    return new Date(value).toISOString().replace(/[-:]/g, '').split('.')[0] + 'Z';
+}
+
+/**
+ * Format a UTC offset in milliseconds as +HHMM / -HHMM
+ */
+function formatOffset(offset) {
+    const minutes = Math.round(Math.abs(offset) / 60000);
+    const sign = offset < 0 ? '-' : '+';
+    return `${sign}${String(Math.floor(minutes / 60)).padStart(2, '0')}${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Find the instants a time zone changes its UTC offset during some years
+ * @returns {Array<{at: number, from: number, to: number}>}
+ */
+function findOffsetChanges(timeZone, fromYear, toYear) {
+    const changes = [];
+    const DAY = 86400000;
+    let previous = Date.UTC(fromYear, 0, 1);
+    let previousOffset = getTimeZoneOffset(previous, timeZone);
+
+    for (let day = previous + DAY; day <= Date.UTC(toYear + 1, 0, 1); day += DAY) {
+        const offset = getTimeZoneOffset(day, timeZone);
+        if (offset !== previousOffset) {
+            // Narrow the change down to the minute
+            let low = previous;
+            let high = day;
+            while (high - low > 60000) {
+                const middle = low + Math.floor((high - low) / 120000) * 60000;
+                if (getTimeZoneOffset(middle, timeZone) === previousOffset) {
+                    low = middle;
+                } else {
+                    high = middle;
+                }
+            }
+            changes.push({ at: high, from: previousOffset, to: offset });
+        }
+        previous = day;
+        previousOffset = offset;
+    }
+
+    return changes;
+}
+
+/**
+ * Build the VTIMEZONE component for a time zone, listing every offset change
+ * between two years so calendar apps don't need to know the zone themselves
+ * @param {string} timeZone - IANA time zone
+ * @param {number} fromYear - First year covered
+ * @param {number} toYear - Last year covered
+ * @returns {Array<string>} Content lines
+ */
+export function buildTimeZone(timeZone, fromYear, toYear) {
+    const start = Date.UTC(fromYear, 0, 1);
+    const initialOffset = getTimeZoneOffset(start, timeZone);
+    const changes = findOffsetChanges(timeZone, fromYear, toYear);
+    const standardOffset = Math.min(initialOffset, ...changes.map(change => change.to));
+
+    // Observance DTSTARTs are local times in the offset in effect before the change
+    const observance = (from, to, localStart) => [
+        `BEGIN:${to > standardOffset ? 'DAYLIGHT' : 'STANDARD'}`,
+        `DTSTART:${localStart}`,
+        `TZOFFSETFROM:${formatOffset(from)}`,
+        `TZOFFSETTO:${formatOffset(to)}`,
+        `END:${to > standardOffset ? 'DAYLIGHT' : 'STANDARD'}`
+    ];
+
+    return [
+        'BEGIN:VTIMEZONE',
+        `TZID:${timeZone}`,
+        ...observance(initialOffset, initialOffset, `${fromYear}0101T000000`),
+        ...changes.flatMap(change => observance(change.from, change.to, formatTimestamp(change.at + change.from).slice(0, -1))),
+        'END:VTIMEZONE'
+    ];
+}
+
+/**
+ * Content lines of one VEVENT. Takes the event shape parseICal() returns; timed
+ * events are written in the calendar's time zone.
+ */
+function buildEventLines(event, timeZone, stamp) {
+    const tzid = `;TZID=${timeZone}`;
+    const lines = ['BEGIN:VEVENT', `UID:${event.uid}`, `DTSTAMP:${stamp}`];
+
+    if (event.updatedAt) {
+        lines.push(`LAST-MODIFIED:${formatTimestamp(event.updatedAt)}`);
+    }
+
+    if (event.recurrenceId) {
+        lines.push(event.allDay
+            ? `RECURRENCE-ID;VALUE=DATE:${formatDateValue(event.recurrenceId)}`
+            : `RECURRENCE-ID${tzid}:${formatDateValue(event.recurrenceId, event.recurrenceStartTime || event.startTime)}`);
+    }
+
+    if (event.allDay) {
+        lines.push(
+            `DTSTART;VALUE=DATE:${formatDateValue(event.date)}`,
+            `DTEND;VALUE=DATE:${formatDateValue(addDays(event.lastDate || event.date, 1))}`
+        );
+    } else {
+        const end = event.endTime && event.endTime > event.startTime
+            ? { date: event.date, time: event.endTime }
+            : addMinutes(event.date, event.startTime, 30);
+        lines.push(
+            `DTSTART${tzid}:${formatDateValue(event.date, event.startTime)}`,
+            `DTEND${tzid}:${formatDateValue(end.date, end.time)}`
+        );
+    }
+
+    lines.push(`SUMMARY:${escapeText(event.summary || '(No title)')}`);
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+    if (event.categories?.length) {
+        lines.push(`CATEGORIES:${event.categories.map(escapeText).join(',')}`);
+    }
+
+    if (event.recurrenceRule) {
+        lines.push(`RRULE:${event.recurrenceRule}`);
+        if (event.exceptions?.length) {
+            lines.push(event.allDay
+                ? `EXDATE;VALUE=DATE:${event.exceptions.map(date => formatDateValue(date)).join(',')}`
+                : `EXDATE${tzid}:${event.exceptions.map(date => formatDateValue(date, event.startTime)).join(',')}`);
+        }
+    }
+
+    lines.push('END:VEVENT');
+    return lines;
+}
+
+/**
+ * Content lines of one VTODO
+ * @param {Object} todo - { uid, summary, description, due, completed, priority, categories, updatedAt }
+ */
+function buildTodoLines(todo, stamp) {
+    const lines = ['BEGIN:VTODO', `UID:${todo.uid}`, `DTSTAMP:${stamp}`];
+
+    if (todo.updatedAt) lines.push(`LAST-MODIFIED:${formatTimestamp(todo.updatedAt)}`);
+    lines.push(`SUMMARY:${escapeText(todo.summary || '(No title)')}`);
+    if (todo.description) lines.push(`DESCRIPTION:${escapeText(todo.description)}`);
+    if (todo.due) lines.push(`DUE;VALUE=DATE:${formatDateValue(todo.due)}`);
+    if (todo.priority) lines.push(`PRIORITY:${todo.priority}`);
+    if (todo.categories?.length) {
+        lines.push(`CATEGORIES:${todo.categories.map(escapeText).join(',')}`);
+    }
+    lines.push(`STATUS:${todo.completed ? 'COMPLETED' : 'NEEDS-ACTION'}`);
+
+    lines.push('END:VTODO');
+    return lines;
+}
+
+/**
+ * Write an .ics calendar
+ * @param {Object} calendar - Calendar contents
+ * @param {string} calendar.name - Calendar name shown by calendar apps
+ * @param {Array<Object>} calendar.events - Events in the shape parseICal() returns
+ * @param {Array<Object>} calendar.todos - To-dos (see buildTodoLines)
+ * @param {string} calendar.timeZone - IANA zone of the events' local times (default: the browser's)
+ * @param {Date} calendar.now - Timestamp written as DTSTAMP
+ * @returns {string} .ics content
+ */
+export function buildICal({
+    name = 'Stillmove Planner',
+    events = [],
+    todos = [],
+    timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone,
+    now = new Date()
+} = {}) {
+    const stamp = formatTimestamp(now);
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Stillmove Planner//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`,
+        `X-WR-TIMEZONE:${timeZone}`
+    ];
+
+    const timedDates = events.filter(event => !event.allDay).map(event => event.date).sort();
+    if (timedDates.length) {
+        const fromYear = Number(timedDates[0].slice(0, 4));
+        const lastYear = Number(timedDates[timedDates.length - 1].slice(0, 4));
+        // Open-ended series keep going, so cover the year after the last start too
+        const toYear = Math.max(lastYear, now.getFullYear()) + 1;
+        lines.push(...buildTimeZone(timeZone, fromYear, toYear));
+    }
+
+    events.forEach(event => lines.push(...buildEventLines(event, timeZone, stamp)));
+    todos.forEach(todo => lines.push(...buildTodoLines(todo, stamp)));
+    lines.push('END:VCALENDAR');
+
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
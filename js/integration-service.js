@@ -7,6 +7,19 @@
 
 import dataService from './data-service.js';
 import kanbanService from './kanban-service.js';
+import { buildICal } from './ical.js';
+import { expandRRule } from './recurrence.js';
+
+// What a calendar export can include
+const CALENDAR_EXPORT_SOURCES = [
+    { value: 'timeBlocks', label: 'Time blocks' },
+    { value: 'calendarEvents', label: 'Calendar events' },
+    { value: 'cards', label: 'Kanban card due dates' },
+    { value: 'goals', label: 'Goal deadlines' }
+];
+
+// Kanban priorities as iCalendar PRIORITY values (1 = highest, 9 = lowest)
+const ICAL_PRIORITIES = { high: 1, medium: 5, low: 9 };
 
 class IntegrationService {
     constructor() {
@@ -174,6 +187,162 @@ class IntegrationService {
         }
     }
 
+    // ==================== CALENDAR EXPORT ====================
+
+    /**
+     * Build an .ics calendar from planner data in a date range.
+     * Recurring time blocks and events are written once with their RRULE, edited
+     * occurrences as RECURRENCE-ID overrides and cards as VTODOs. UIDs come from the
+     * row (or the UID it was imported with), so re-exporting updates the same entries
+     * in calendar apps instead of duplicating them.
+     * @param {Object} options - Export options
+     * @param {Array<string>} options.sources - Values from CALENDAR_EXPORT_SOURCES (default: all)
+     * @param {string} options.startDate - Start date (YYYY-MM-DD)
+     * @param {string} options.endDate - End date (YYYY-MM-DD)
+     * @param {Array<string>|null} options.categories - Only include items in these categories (default: all; cards are never filtered)
+     * @param {string} options.name - Calendar name
+     * @param {string} options.timeZone - IANA zone of the planner's times (default: the browser's)
+     * @returns {Promise<{content: string, counts: Object}>} .ics content and items per source
+     */
+    async buildCalendarICal({
+        sources = CALENDAR_EXPORT_SOURCES.map(source => source.value),
+        startDate,
+        endDate,
+        categories = null,
+        name = 'Stillmove Planner',
+        timeZone
+    }) {
+        const events = [];
+        const todos = [];
+        const counts = { timeBlocks: 0, calendarEvents: 0, cards: 0, goals: 0 };
+        const inCategories = item => !categories || categories.includes(item.category);
+
+        if (sources.includes('timeBlocks')) {
+            const rows = (await dataService.fetchRecurringRange('time_blocks', startDate, endDate)).filter(inCategories);
+            counts.timeBlocks = this.addSeriesEvents(events, rows, startDate, endDate, block => ({
+                summary: block.activity || 'Time Block',
+                description: block.notes || null,
+                categories: block.category ? [block.category] : [],
+                allDay: false,
+                startTime: block.start_time?.slice(0, 5),
+                endTime: block.end_time?.slice(0, 5) || null
+            }));
+        }
+
+        if (sources.includes('calendarEvents')) {
+            const rows = (await dataService.fetchRecurringRange('calendar_events', startDate, endDate)).filter(inCategories);
+            counts.calendarEvents = this.addSeriesEvents(events, rows, startDate, endDate, event => ({
+                summary: event.title,
+                description: event.description || null,
+                categories: event.category ? [event.category] : [],
+                allDay: true
+            }));
+        }
+
+        if (sources.includes('goals')) {
+            const goals = [];
+            for (let year = Number(startDate.slice(0, 4)); year <= Number(endDate.slice(0, 4)); year++) {
+                goals.push(...(await dataService.getAnnualGoals(year) || []));
+            }
+
+            goals
+                .filter(goal => goal.deadline && goal.deadline >= startDate && goal.deadline <= endDate && inCategories(goal))
+                .forEach(goal => {
+                    events.push({
+                        uid: this.getICalUid(goal, 'goal'),
+                        summary: `Goal deadline: ${goal.title}`,
+                        description: goal.progress != null ? `Progress: ${goal.progress}%` : null,
+                        categories: goal.category ? [goal.category] : [],
+                        allDay: true,
+                        date: goal.deadline,
+                        updatedAt: goal.updated_at
+                    });
+                    counts.goals++;
+                });
+        }
+
+        if (sources.includes('cards')) {
+            const cards = await this.getCardsDueInRange(startDate, endDate);
+            cards.forEach(card => {
+                todos.push({
+                    uid: this.getICalUid(card, 'card'),
+                    summary: card.title,
+                    description: card.description || null,
+                    due: card.due_date,
+                    priority: ICAL_PRIORITIES[card.priority] || null,
+                    categories: card.boardTitle ? [card.boardTitle] : [],
+                    completed: card.columnTitle?.toLowerCase() === 'done',
+                    updatedAt: card.updated_at
+                });
+            });
+            counts.cards = cards.length;
+        }
+
+        return { content: buildICal({ name, events, todos, timeZone }), counts };
+    }
+
+    /**
+     * Add the stored rows of a recurring table to an export: one-off rows, series
+     * that have occurrences in the range, and the edited occurrences of those series
+     * @param {Array} events - Export events to add to
+     * @param {Array} rows - Rows from dataService.fetchRecurringRange()
+     * @param {string} startDate - Start date (YYYY-MM-DD)
+     * @param {string} endDate - End date (YYYY-MM-DD)
+     * @param {Function} toEvent - Maps a row to its summary, times and categories
+     * @returns {number} Number of rows exported
+     */
+    addSeriesEvents(events, rows, startDate, endDate, toEvent) {
+        const series = new Map();
+        let count = 0;
+
+        rows.filter(row => !row.recurrence_parent_id).forEach(row => {
+            if (row.recurrence_rule) {
+                const occurrences = expandRRule(row.recurrence_rule, row.date, startDate, endDate, row.recurrence_exceptions || []);
+                if (occurrences.length === 0) return;
+                series.set(row.id, row);
+            }
+
+            events.push({
+                ...toEvent(row),
+                uid: this.getICalUid(row),
+                date: row.date,
+                recurrenceRule: row.recurrence_rule || null,
+                exceptions: row.recurrence_exceptions || [],
+                updatedAt: row.updated_at
+            });
+            count++;
+        });
+
+        rows.filter(row => row.recurrence_parent_id).forEach(row => {
+            const parent = series.get(row.recurrence_parent_id);
+            const event = toEvent(row);
+
+            events.push({
+                ...event,
+                // An override without its series in the export stands on its own
+                uid: parent ? this.getICalUid(parent) : this.getICalUid(row),
+                date: row.date,
+                recurrenceId: parent ? row.recurrence_date : null,
+                recurrenceStartTime: parent ? toEvent(parent).startTime : null,
+                updatedAt: row.updated_at
+            });
+            count++;
+        });
+
+        return count;
+    }
+
+    /**
+     * Stable UID of an exported row: the UID it was imported with, or one built from its ID
+     * @param {Object} row - Planner row
+     * @param {string} prefix - Optional prefix for rows that are not time blocks or events
+     * @returns {string} iCalendar UID
+     */
+    getICalUid(row, prefix = null) {
+        if (row.ical_uid) return row.ical_uid;
+        return `${prefix ? `${prefix}-` : ''}${row.id}@stillmove-planner`;
+    }
+
     // ==================== NAVIGATION API ====================
 
     /**
@@ -267,3 +436,5 @@ class IntegrationService {
 
 const integrationService = new IntegrationService();
 export default integrationService;
+
+export { CALENDAR_EXPORT_SOURCES };
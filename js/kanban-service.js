@@ -7,11 +7,24 @@
  * Extended for card enhancements: 1.2, 1.5, 1.6, 2.1, 4.2, 10.5
  * Extended for attachments: 5.2, 5.3, 7.2, 7.3, 10.6
  * Extended for offline support: 1.7, 13.4
+ * Extended for card dependencies (blocked cards)
+ * Extended for swimlanes
+ * Extended for recurring cards
+ * Extended for card and column archiving
+ * Extended for board automation rules
+ * Extended for card templates
+ * Extended for custom board templates
+ * Extended for Trello and CSV board import
+ * Extended for per-board CSV, Markdown and JSON export
+ * Extended for card estimates (story points or pomodoros)
  */
 
 import dataService from './data-service.js';
 import storageService from './storage-service.js';
 import cacheService, { STORES } from './cache-service.js';
+import { addDays, daysBetween, expandRRule, parseRRule } from './recurrence.js';
+import { formatDate } from './utils.js';
+import { BOARD_EXPORT_FORMATS, buildBoardCSV, buildBoardJSON, buildBoardMarkdown } from './board-export.js';
 
 /**
  * Activity action types for activity logging
@@ -30,9 +43,112 @@ const ACTIVITY_TYPES = {
     ATTACHMENT_DELETED: 'attachment_deleted',
     COMMENT_ADDED: 'comment_added',
     COMMENT_EDITED: 'comment_edited',
-    COMMENT_DELETED: 'comment_deleted'
+    COMMENT_DELETED: 'comment_deleted',
+    DEPENDENCY_ADDED: 'dependency_added',
+    DEPENDENCY_REMOVED: 'dependency_removed',
+    CARD_BLOCKED: 'card_blocked',
+    CARD_UNBLOCKED: 'card_unblocked',
+    RECURRING_CARD_CREATED: 'recurring_card_created',
+    OCCURRENCE_SKIPPED: 'occurrence_skipped',
+    CARD_ARCHIVED: 'card_archived',
+    CARD_RESTORED: 'card_restored',
+    AUTOMATION_APPLIED: 'automation_applied',
+    CARD_ESTIMATED: 'card_estimated'
 };
 
+/**
+ * Column titles (lowercase) that mark a card as finished
+ */
+const DONE_COLUMN_TITLES = ['done', 'completed', 'finished'];
+
+/**
+ * Card fields a board can group its cards by in horizontal swimlanes
+ * @enum {string}
+ */
+const SWIMLANE_FIELDS = {
+    PRIORITY: 'priority',
+    LABEL: 'label',
+    GOAL: 'goal',
+    CUSTOM: 'custom'
+};
+
+/**
+ * Lane key of cards that have no value for the swimlane field
+ */
+const NO_LANE = '';
+
+/**
+ * Units a board can estimate its cards in
+ * @enum {string}
+ */
+const ESTIMATE_UNITS = {
+    POINTS: 'points',
+    POMODOROS: 'pomodoros'
+};
+
+/**
+ * Most missed occurrences of a recurring card created at once; older ones are
+ * dropped so a daily chore doesn't flood a board that wasn't opened for weeks
+ */
+const MAX_CATCH_UP_OCCURRENCES = 7;
+
+/**
+ * Events that run a board's automation rules
+ * @enum {string}
+ */
+const AUTOMATION_TRIGGERS = {
+    CARD_MOVED: 'card_moved',
+    CARD_CREATED: 'card_created',
+    CARD_DUE: 'card_due',
+    CHECKLIST_COMPLETED: 'checklist_completed'
+};
+
+/**
+ * What an automation rule can do to the card that triggered it
+ * @enum {string}
+ */
+const AUTOMATION_ACTIONS = {
+    MOVE: 'move',
+    SET_FIELD: 'set_field',
+    ADD_LABEL: 'add_label',
+    ADD_CHECKLIST: 'add_checklist',
+    COMPLETE_CHECKLIST: 'complete_checklist',
+    START_POMODORO: 'start_pomodoro'
+};
+
+/**
+ * Card fields the set_field action can change
+ */
+const AUTOMATION_FIELDS = ['priority', 'due_date'];
+
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const MONTH_NAMES = [
+    'January', 'February', 'March', 'April', 'May', 'June',
+    'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+/**
+ * Placeholders a card template's title pattern can contain, filled in from the
+ * day the card is created (YYYY-MM-DD)
+ */
+const TITLE_PATTERN_TOKENS = {
+    date: date => date,
+    weekday: date => WEEKDAY_NAMES[new Date(`${date}T00:00:00Z`).getUTCDay()],
+    month: date => MONTH_NAMES[Number(date.slice(5, 7)) - 1],
+    year: date => date.slice(0, 4)
+};
+
+/**
+ * Marks JSON files written by exportBoardTemplate; files from newer versions are rejected
+ */
+const BOARD_TEMPLATE_FILE_TYPE = 'kanban-board-template';
+const BOARD_TEMPLATE_FILE_VERSION = 1;
+
+/**
+ * Color of labels saved without one (matches the card modal's default)
+ */
+const DEFAULT_LABEL_COLOR = '#6366f1';
+
 /**
  * Board templates for quick board creation
  * Requirement 10.2: Template instantiation creates board with predefined columns
@@ -86,6 +202,11 @@ const BOARD_TEMPLATES = {
 class KanbanService {
     constructor() {
         this.dataService = dataService;
+        // Recurring card generation in progress, by board ID
+        this.generatingRecurrences = new Map();
+        // Due date automation runs in progress, by board ID
+        this.runningDueAutomations = new Map();
+        this.automationListeners = new Set();
     }
 
     // ==================== BOARD OPERATIONS ====================
@@ -109,7 +230,7 @@ class KanbanService {
             const results = [];
             for (const board of boards) {
                 const cards = await this.dataService.getKanbanCards(board.id);
-                const linkedCards = cards.filter(c => c.linked_habit_id === habitId);
+                const linkedCards = cards.filter(c => c.linked_habit_id === habitId && !c.archived_at);
                 results.push(...linkedCards.map(c => ({
                     ...c,
                     boardId: board.id,
@@ -124,9 +245,12 @@ class KanbanService {
     }
 
     /**
-     * Get a single board with its columns and cards
+     * Get a single board with its columns, cards, card dependencies and recurring cards
+     * Archived items are kept apart: `cards` and `columns` only hold what is on the
+     * board, `archivedCards` holds archived cards and `archivedColumns` holds archived
+     * columns with the cards still inside them.
      * @param {string} boardId - Board ID
-     * @returns {Promise<Object|null>} Board object with columns and cards, or null
+     * @returns {Promise<Object|null>} Board object with columns, cards, dependencies, recurrences and the archive, or null
      */
     async getBoard(boardId) {
         const board = await this.dataService.getKanbanBoard(boardId);
@@ -135,11 +259,30 @@ class KanbanService {
         // Load columns and cards for the board
         const columns = await this.dataService.getKanbanColumns(boardId);
         const cards = await this.dataService.getKanbanCards(boardId);
+        // Boards still load if dependencies can't be fetched (offline or not migrated yet)
+        const dependencies = await this.dataService.getCardDependencies((cards || []).map(c => c.id)).catch(error => {
+            console.warn('Card dependencies unavailable:', error.message);
+            return [];
+        });
+        const recurrences = await this.dataService.getCardRecurrences(boardId).catch(error => {
+            console.warn('Recurring cards unavailable:', error.message);
+            return [];
+        });
+
+        const archivedColumnIds = new Set((columns || []).filter(c => c.archived_at).map(c => c.id));
+        const activeCards = (cards || []).filter(c => !c.archived_at);
 
         return {
             ...board,
-            columns: columns || [],
-            cards: cards || []
+            columns: (columns || []).filter(c => !c.archived_at),
+            cards: activeCards.filter(c => !archivedColumnIds.has(c.column_id)),
+            dependencies: dependencies || [],
+            recurrences: recurrences || [],
+            archivedCards: (cards || []).filter(c => c.archived_at),
+            archivedColumns: (columns || []).filter(c => c.archived_at).map(column => ({
+                ...column,
+                cards: activeCards.filter(c => c.column_id === column.id)
+            }))
         };
     }
 
@@ -183,12 +326,13 @@ class KanbanService {
      * Create a board from a template
      * Requirement 2.1: Create default columns "To Do", "In Progress", "Done" for blank template
      * Requirement 10.2: Template instantiation creates board with predefined columns
-     * @param {string} templateId - Template ID (blank, personal, project, weekly)
+     * Saved templates also bring their labels, swimlanes and cards with checklists.
+     * @param {string} templateId - Built-in template ID (blank, personal, project, weekly) or saved template ID
      * @param {Object} overrides - Optional overrides for board data (title, description, category_id)
-     * @returns {Promise<Object>} Created board with columns
+     * @returns {Promise<Object>} Created board with columns and cards
      */
     async createBoardFromTemplate(templateId, overrides = {}) {
-        const template = BOARD_TEMPLATES[templateId];
+        const template = BOARD_TEMPLATES[templateId] || (await this.getTemplates())[templateId];
         if (!template) {
             throw new Error(`Unknown template: ${templateId}`);
         }
@@ -198,7 +342,11 @@ class KanbanService {
             title: overrides.title || template.title,
             description: overrides.description || null,
             category_id: overrides.category_id || null,
-            settings: overrides.settings || {}
+            settings: {
+                ...(template.settings || {}),
+                ...(template.labels?.length ? { labels: template.labels } : {}),
+                ...(overrides.settings || {})
+            }
         };
 
         const board = await this.dataService.createKanbanBoard(boardData);
@@ -211,15 +359,32 @@ class KanbanService {
                 title: columnDef.title,
                 order_index: columnDef.order_index,
                 wip_limit: columnDef.wip_limit || null,
-                color: columnDef.color || null
+                color: columnDef.color || null,
+                ...(columnDef.lane_wip_limit ? { lane_wip_limit: columnDef.lane_wip_limit } : {})
             });
             createdColumns.push(column);
         }
 
+        // Cards reference their column by position; the new board's rules don't run for them
+        const createdCards = [];
+        for (const cardDef of template.cards || []) {
+            const column = createdColumns[cardDef.column_index];
+            if (!column) continue;
+
+            createdCards.push(await this._createCard(column.id, {
+                title: cardDef.title,
+                description: cardDef.description,
+                priority: cardDef.priority,
+                labels: cardDef.labels || [],
+                swimlane: cardDef.swimlane,
+                checklist: cardDef.checklist || []
+            }));
+        }
+
         return {
             ...board,
             columns: createdColumns,
-            cards: []
+            cards: createdCards
         };
     }
 
@@ -233,7 +398,7 @@ class KanbanService {
      */
     async createColumn(boardId, data) {
         // Get existing columns to determine order_index
-        const existingColumns = await this.dataService.getKanbanColumns(boardId);
+        const existingColumns = (await this.dataService.getKanbanColumns(boardId)).filter(c => !c.archived_at);
         const maxOrderIndex = existingColumns.length > 0
             ? Math.max(...existingColumns.map(c => c.order_index))
             : -1;
@@ -243,7 +408,9 @@ class KanbanService {
             title: data.title,
             order_index: data.order_index !== undefined ? data.order_index : maxOrderIndex + 1,
             wip_limit: data.wip_limit || null,
-            color: data.color || null
+            color: data.color || null,
+            // Per-swimlane limit, only set on boards with swimlanes
+            ...(data.lane_wip_limit ? { lane_wip_limit: data.lane_wip_limit } : {})
         };
 
         const column = await this.dataService.createKanbanColumn(columnData);
@@ -344,11 +511,25 @@ class KanbanService {
      * Create a new card in a column
      * Requirement 3.1: Card must have unique ID, title, column_id, order_index, timestamps
      * Requirement 10.2: Log 'card_created' activity entry when card is created
+     * Runs the board's 'card_created' automation rules.
      * @param {string} columnId - Column ID
      * @param {Object} data - Card data
      * @returns {Promise<Object>} Created card
      */
     async createCard(columnId, data) {
+        const card = await this._createCard(columnId, data);
+        await this._runAutomations(AUTOMATION_TRIGGERS.CARD_CREATED, card);
+        return card;
+    }
+
+    /**
+     * Create a card without running automation rules
+     * @param {string} columnId - Column ID
+     * @param {Object} data - Card data
+     * @returns {Promise<Object>} Created card
+     * @private
+     */
+    async _createCard(columnId, data) {
         // Get the column to find board_id
         const columns = await this._getAllColumns();
         const column = columns.find(c => c.id === columnId);
@@ -358,7 +539,7 @@ class KanbanService {
 
         // Get existing cards in the column to determine order_index
         const allCards = await this.dataService.getKanbanCards(column.board_id);
-        const columnCards = allCards.filter(c => c.column_id === columnId && !c.is_backlog);
+        const columnCards = allCards.filter(c => c.column_id === columnId && !c.is_backlog && !c.archived_at);
         const maxOrderIndex = columnCards.length > 0
             ? Math.max(...columnCards.map(c => c.order_index))
             : -1;
@@ -374,17 +555,34 @@ class KanbanService {
             labels: data.labels || [],
             is_backlog: false,
             linked_goal_id: data.linked_goal_id || null,
-            pomodoro_count: 0
+            pomodoro_count: 0,
+            // Only estimated cards use the estimate column
+            ...(data.estimate !== undefined && data.estimate !== null ? { estimate: data.estimate } : {}),
+            // Only boards with custom swimlanes use the swimlane column
+            ...(data.swimlane ? { swimlane: data.swimlane } : {}),
+            // Cards created from a recurrence remember which occurrence they are
+            ...(data.recurrence_id ? { recurrence_id: data.recurrence_id, recurrence_date: data.recurrence_date } : {})
         };
 
         const card = await this.dataService.createKanbanCard(cardData);
 
+        // Recurrences and card templates start the card with a checklist
+        const checklist = data.checklist || [];
+        for (let i = 0; i < checklist.length; i++) {
+            await this.dataService.createChecklistItem({
+                card_id: card.id,
+                text: checklist[i],
+                order_index: i
+            });
+        }
+
         // Log activity (Requirement 10.2)
         try {
             await this.logActivity(card.id, ACTIVITY_TYPES.CARD_CREATED, {
                 title: card.title,
                 column_id: columnId,
-                column_title: column.title
+                column_title: column.title,
+                ...(cardData.estimate !== undefined ? { estimate: cardData.estimate } : {})
             });
         } catch (error) {
             console.warn('Failed to log card creation activity:', error);
@@ -396,6 +594,7 @@ class KanbanService {
     /**
      * Update a card
      * Requirement 10.4: Log 'card_edited' activity entry when title or description is edited
+     * A changed estimate is logged as 'card_estimated', so burndown charts can replay it.
      * @param {string} cardId - Card ID
      * @param {Object} updates - Fields to update
      * @returns {Promise<Object>} Updated card
@@ -404,8 +603,25 @@ class KanbanService {
         // Check if title or description is being updated (Requirement 10.4)
         const isContentEdit = updates.title !== undefined || updates.description !== undefined;
 
+        let previousEstimate;
+        if (updates.estimate !== undefined) {
+            const card = await this.dataService.getKanbanCard(cardId);
+            previousEstimate = card?.estimate === null || card?.estimate === undefined ? null : Number(card.estimate);
+        }
+
         const updatedCard = await this.dataService.updateKanbanCard(cardId, updates);
 
+        if (updates.estimate !== undefined && (updates.estimate ?? null) !== previousEstimate) {
+            try {
+                await this.logActivity(cardId, ACTIVITY_TYPES.CARD_ESTIMATED, {
+                    from: previousEstimate,
+                    to: updates.estimate ?? null
+                });
+            } catch (error) {
+                console.warn('Failed to log card estimate activity:', error);
+            }
+        }
+
         // Log activity only for content edits (Requirement 10.4)
         if (isContentEdit) {
             try {
@@ -435,6 +651,9 @@ class KanbanService {
         const card = await this.dataService.getKanbanCard(cardId);
         if (!card) return;
 
+        // Cards this one was blocking are unblocked when it goes away
+        const blocking = await this._getBlockingData(card.board_id);
+
         await this.dataService.deleteKanbanCard(cardId);
 
         // Reindex cards in the column or backlog
@@ -443,18 +662,44 @@ class KanbanService {
         } else if (card.column_id) {
             await this._reindexCardsInColumn(card.board_id, card.column_id);
         }
+
+        await this._logBlockedChanges(blocking, {
+            ...blocking,
+            cards: blocking.cards.filter(c => c.id !== cardId)
+        });
     }
 
     /**
      * Move a card to a different column or position
      * Requirement 3.2, 3.3: Update order indices to be sequential with no gaps
      * Requirement 10.3: Log 'card_moved' activity entry when card is moved between columns
+     * Moving a card into a done column while its blockers are open is allowed but
+     * warned about: the returned card then carries the open blockers in `openBlockers`.
+     * Moving to another column runs the board's 'card_moved' automation rules.
      * @param {string} cardId - Card ID
      * @param {string} targetColumnId - Target column ID
      * @param {number} position - Target position (order_index)
      * @returns {Promise<Object>} Updated card
      */
     async moveCard(cardId, targetColumnId, position) {
+        const card = await this.dataService.getKanbanCard(cardId);
+        const movedCard = await this._moveCard(cardId, targetColumnId, position);
+
+        if (card && (card.is_backlog || card.column_id !== targetColumnId)) {
+            await this._runAutomations(AUTOMATION_TRIGGERS.CARD_MOVED, movedCard);
+        }
+        return movedCard;
+    }
+
+    /**
+     * Move a card without running automation rules
+     * @param {string} cardId - Card ID
+     * @param {string} targetColumnId - Target column ID
+     * @param {number} position - Target position (order_index)
+     * @returns {Promise<Object>} Updated card
+     * @private
+     */
+    async _moveCard(cardId, targetColumnId, position) {
         const card = await this.dataService.getKanbanCard(cardId);
         if (!card) {
             throw new Error('Card not found');
@@ -463,8 +708,12 @@ class KanbanService {
         const sourceColumnId = card.column_id;
         const wasBacklog = card.is_backlog;
 
+        // Finishing or reopening a blocker changes whether the cards it blocks are blocked
+        const blocking = await this._getBlockingData(card.board_id);
+        const openBlockers = this._getBlockedStates(blocking).get(cardId) || [];
+
         // Get all cards in the target column
-        const allCards = await this.dataService.getKanbanCards(card.board_id);
+        const allCards = blocking.cards;
         const targetColumnCards = allCards
             .filter(c => c.column_id === targetColumnId && !c.is_backlog && c.id !== cardId)
             .sort((a, b) => a.order_index - b.order_index);
@@ -503,6 +752,19 @@ class KanbanService {
             console.warn('Failed to log card movement activity:', error);
         }
 
+        await this._logBlockedChanges(blocking, {
+            ...blocking,
+            cards: this._withUpdated(blocking.cards, updatedCard)
+        });
+
+        if (openBlockers.length > 0 && targetColumnId !== sourceColumnId) {
+            const targetColumn = blocking.columns.find(c => c.id === targetColumnId);
+            // The view warns about the open blockers; the move itself is allowed
+            if (this.isDoneColumn(targetColumn)) {
+                return { ...updatedCard, openBlockers };
+            }
+        }
+
         return updatedCard;
     }
 
@@ -520,9 +782,12 @@ class KanbanService {
 
         const sourceColumnId = card.column_id;
 
+        // A blocker moved out of done blocks its dependents again
+        const blocking = await this._getBlockingData(card.board_id);
+
         // Get backlog cards to determine order_index
-        const allCards = await this.dataService.getKanbanCards(card.board_id);
-        const backlogCards = allCards.filter(c => c.is_backlog);
+        const allCards = blocking.cards;
+        const backlogCards = allCards.filter(c => c.is_backlog && !c.archived_at);
         const maxOrderIndex = backlogCards.length > 0
             ? Math.max(...backlogCards.map(c => c.order_index))
             : -1;
@@ -554,6 +819,11 @@ class KanbanService {
             console.warn('Failed to log card movement to backlog activity:', error);
         }
 
+        await this._logBlockedChanges(blocking, {
+            ...blocking,
+            cards: this._withUpdated(blocking.cards, updatedCard)
+        });
+
         return updatedCard;
     }
 
@@ -697,6 +967,12 @@ class KanbanService {
             console.warn('Failed to log checklist item toggle activity:', error);
         }
 
+        // Ticking the last open item completes the checklist
+        if (newCompletedStatus && items.filter(i => i.card_id === item.card_id && i.id !== itemId).every(i => i.is_completed)) {
+            const card = await this.dataService.getKanbanCard(item.card_id);
+            if (card) await this._runAutomations(AUTOMATION_TRIGGERS.CHECKLIST_COMPLETED, card);
+        }
+
         return {
             item: updatedItem,
             queued: isOffline
@@ -1122,151 +1398,1983 @@ class KanbanService {
         return null;
     }
 
-    // ==================== ACTIVITY LOG OPERATIONS ====================
+    // ==================== DEPENDENCY OPERATIONS ====================
+    // A card is blocked while any card it depends on is outside a done column.
+    // Changes in blocked state are logged as 'card_blocked' / 'card_unblocked'
+    // activity entries, which AnalyticsService uses to measure blocked time.
 
     /**
-     * Get activity log for a card
-     * @param {string} cardId - Card ID
-     * @returns {Promise<Array>} Activity entries sorted by created_at descending
+     * Check whether a column counts as done
+     * @param {Object} column - Column
+     * @returns {boolean} True for columns titled Done, Completed or Finished
      */
-    async getActivityLog(cardId) {
-        return await this.dataService.getActivityLog(cardId);
+    isDoneColumn(column) {
+        return DONE_COLUMN_TITLES.includes(column?.title?.toLowerCase());
     }
 
     /**
-     * Log an activity entry
-     * @param {string} cardId - Card ID
-     * @param {string} actionType - Type of action (from ACTIVITY_TYPES)
-     * @param {Object} actionData - Additional data about the action
-     * @returns {Promise<Object>} Created activity entry
+     * Make a card depend on another card of the same board
+     * @param {string} cardId - Card that is blocked
+     * @param {string} blockerId - Card that has to be done first
+     * @returns {Promise<Object>} Created dependency
      */
-    async logActivity(cardId, actionType, actionData = {}) {
-        const entry = {
+    async addDependency(cardId, blockerId) {
+        if (cardId === blockerId) {
+            throw new Error('A card cannot block itself');
+        }
+
+        const card = await this.dataService.getKanbanCard(cardId);
+        const blocker = await this.dataService.getKanbanCard(blockerId);
+        if (!card || !blocker) {
+            throw new Error('Card not found');
+        }
+        if (card.board_id !== blocker.board_id) {
+            throw new Error('Dependent cards must be on the same board');
+        }
+
+        const blocking = await this._getBlockingData(card.board_id);
+        const dependencies = blocking.dependencies;
+        if (dependencies.some(d => d.card_id === cardId && d.blocker_card_id === blockerId)) {
+            throw new Error(`"${card.title}" is already blocked by "${blocker.title}"`);
+        }
+        if (this.wouldCreateCycle(dependencies, cardId, blockerId)) {
+            throw new Error(`"${blocker.title}" already depends on "${card.title}"`);
+        }
+
+        const dependency = await this.dataService.createCardDependency({
             card_id: cardId,
-            action_type: actionType,
-            action_data: actionData
-        };
+            blocker_card_id: blockerId
+        });
 
-        return await this.dataService.createActivityEntry(entry);
+        try {
+            await this.logActivity(cardId, ACTIVITY_TYPES.DEPENDENCY_ADDED, {
+                blocker_card_id: blockerId,
+                blocker_title: blocker.title
+            });
+        } catch (error) {
+            console.warn('Failed to log dependency activity:', error);
+        }
+
+        await this._logBlockedChanges(blocking, {
+            ...blocking,
+            dependencies: [...dependencies, dependency]
+        });
+
+        return dependency;
     }
 
-    // ==================== BACKLOG OPERATIONS ====================
+    /**
+     * Remove a dependency between two cards
+     * @param {string} cardId - Card that is blocked
+     * @param {string} blockerId - Card it depends on
+     * @returns {Promise<void>}
+     */
+    async removeDependency(cardId, blockerId) {
+        const card = await this.dataService.getKanbanCard(cardId);
+        if (!card) return;
+
+        const blocking = await this._getBlockingData(card.board_id);
+        const dependency = blocking.dependencies.find(d => d.card_id === cardId && d.blocker_card_id === blockerId);
+        if (!dependency) return;
+
+        await this.dataService.deleteCardDependency(dependency.id);
+
+        try {
+            const blocker = await this.dataService.getKanbanCard(blockerId);
+            await this.logActivity(cardId, ACTIVITY_TYPES.DEPENDENCY_REMOVED, {
+                blocker_card_id: blockerId,
+                blocker_title: blocker?.title || 'Unknown'
+            });
+        } catch (error) {
+            console.warn('Failed to log dependency activity:', error);
+        }
+
+        await this._logBlockedChanges(blocking, {
+            ...blocking,
+            dependencies: blocking.dependencies.filter(d => d.id !== dependency.id)
+        });
+    }
 
     /**
-     * Get backlog cards for a board
-     * @param {string} boardId - Board ID
-     * @returns {Promise<Array>} Array of backlog cards sorted by order_index
+     * Get the cards a card depends on
+     * @param {string} cardId - Card ID
+     * @returns {Promise<Array>} Blocker cards, each with `is_done` set
      */
-    async getBacklog(boardId) {
-        const allCards = await this.dataService.getKanbanCards(boardId);
-        return allCards
-            .filter(c => c.is_backlog)
-            .sort((a, b) => a.order_index - b.order_index);
+    async getBlockers(cardId) {
+        const card = await this.dataService.getKanbanCard(cardId);
+        if (!card) return [];
+
+        const board = await this.getBoard(card.board_id);
+        if (!board) return [];
+
+        const doneColumnIds = this._getDoneColumnIds(board.columns);
+        return board.dependencies
+            .filter(d => d.card_id === cardId)
+            .map(d => board.cards.find(c => c.id === d.blocker_card_id))
+            .filter(Boolean)
+            .map(blocker => ({ ...blocker, is_done: doneColumnIds.has(blocker.column_id) }));
     }
 
     /**
-     * Reorder backlog cards
-     * @param {string} boardId - Board ID
-     * @param {Array<string>} cardOrder - Array of card IDs in desired order
-     * @returns {Promise<Array>} Updated backlog cards
+     * Find the open blockers of every card on a board
+     * @param {Object} board - Board with columns, cards and dependencies (from getBoard)
+     * @returns {Map<string, Array>} Card ID -> blocker cards that are not done yet (blocked cards only)
      */
-    async reorderBacklog(boardId, cardOrder) {
-        const allCards = await this.dataService.getKanbanCards(boardId);
-        const backlogCards = allCards.filter(c => c.is_backlog);
-        const updatedCards = [];
+    getOpenBlockersByCard(board) {
+        const cardsById = new Map(board.cards.map(card => [card.id, card]));
+        const doneColumnIds = this._getDoneColumnIds(board.columns);
+        const openBlockers = new Map();
 
-        for (let i = 0; i < cardOrder.length; i++) {
-            const cardId = cardOrder[i];
-            const card = backlogCards.find(c => c.id === cardId);
-            if (card && card.order_index !== i) {
-                const updated = await this.dataService.updateKanbanCard(cardId, {
-                    order_index: i
-                });
-                updatedCards.push(updated);
-            } else if (card) {
-                updatedCards.push(card);
+        (board.dependencies || []).forEach(dependency => {
+            const blocker = cardsById.get(dependency.blocker_card_id);
+            if (!blocker || doneColumnIds.has(blocker.column_id)) return;
+
+            if (!openBlockers.has(dependency.card_id)) {
+                openBlockers.set(dependency.card_id, []);
             }
+            openBlockers.get(dependency.card_id).push(blocker);
+        });
+
+        return openBlockers;
+    }
+
+    /**
+     * Check whether adding a dependency would make cards wait on each other
+     * @param {Array} dependencies - Existing dependencies of the board
+     * @param {string} cardId - Card that would be blocked
+     * @param {string} blockerId - Card that would block it
+     * @returns {boolean} True if the blocker already depends on the card, directly or transitively
+     */
+    wouldCreateCycle(dependencies, cardId, blockerId) {
+        const visited = new Set();
+        const stack = [blockerId];
+
+        while (stack.length > 0) {
+            const current = stack.pop();
+            if (current === cardId) return true;
+            if (visited.has(current)) continue;
+            visited.add(current);
+
+            dependencies
+                .filter(d => d.card_id === current)
+                .forEach(d => stack.push(d.blocker_card_id));
         }
 
-        return updatedCards.sort((a, b) => a.order_index - b.order_index);
+        return false;
     }
 
-    // ==================== INTEGRATION METHODS ====================
+    // ==================== SWIMLANE OPERATIONS ====================
+    // Swimlanes are stored in board.settings.swimlanes as { field, lanes }, where
+    // lanes lists the lane names of custom swimlanes. A card's lane follows from its
+    // priority, first label, linked goal or custom swimlane value.
 
     /**
-     * Link a card to an annual goal
-     * @param {string} cardId - Card ID
-     * @param {string} goalId - Goal ID
-     * @returns {Promise<Object>} Updated card
+     * Get how a board groups its cards into swimlanes
+     * @param {Object} board - Board
+     * @returns {Object|null} { field, lanes }, or null when swimlanes are off
      */
-    async linkCardToGoal(cardId, goalId) {
-        return await this.dataService.updateKanbanCard(cardId, {
-            linked_goal_id: goalId
-        });
+    getSwimlaneSettings(board) {
+        const swimlanes = board?.settings?.swimlanes;
+        if (!swimlanes?.field) return null;
+
+        return {
+            field: swimlanes.field,
+            lanes: swimlanes.lanes || []
+        };
     }
 
     /**
-     * Start a Pomodoro session for a card
-     * @param {string} cardId - Card ID
-     * @returns {Promise<Object>} Card data for Pomodoro integration
+     * Turn swimlanes on or off for a board
+     * @param {string} boardId - Board ID
+     * @param {Object|null} swimlanes - { field, lanes } (lanes only for custom swimlanes), or null to turn them off
+     * @returns {Promise<Object>} Updated board
      */
-    async startPomodoroForCard(cardId) {
-        const card = await this.dataService.getKanbanCard(cardId);
-        if (!card) {
-            throw new Error('Card not found');
+    async updateSwimlaneSettings(boardId, swimlanes) {
+        const board = await this.dataService.getKanbanBoard(boardId);
+        if (!board) {
+            throw new Error('Board not found');
+        }
+        if (swimlanes && !Object.values(SWIMLANE_FIELDS).includes(swimlanes.field)) {
+            throw new Error(`Unknown swimlane field: ${swimlanes.field}`);
         }
 
-        // Return card data that can be used by Pomodoro timer
-        return {
-            cardId: card.id,
-            title: card.title,
-            boardId: card.board_id
-        };
+        const settings = { ...(board.settings || {}) };
+        if (swimlanes) {
+            const lanes = swimlanes.field === SWIMLANE_FIELDS.CUSTOM
+                ? [...new Set((swimlanes.lanes || []).map(lane => lane.trim()).filter(Boolean))]
+                : [];
+            settings.swimlanes = { field: swimlanes.field, lanes };
+        } else {
+            delete settings.swimlanes;
+        }
+
+        return await this.updateBoard(boardId, { settings });
     }
 
     /**
-     * Increment Pomodoro count for a card
-     * @param {string} cardId - Card ID
-     * @returns {Promise<Object>} Updated card
+     * Get the swimlane a card belongs to
+     * @param {Object} card - Card
+     * @param {string} field - Swimlane field (from SWIMLANE_FIELDS)
+     * @returns {string} Lane key, NO_LANE when the card has no value for the field
      */
-    async incrementPomodoroCount(cardId) {
-        const card = await this.dataService.getKanbanCard(cardId);
-        if (!card) {
-            throw new Error('Card not found');
+    getCardLaneKey(card, field) {
+        switch (field) {
+            case SWIMLANE_FIELDS.PRIORITY:
+                return card.priority || NO_LANE;
+            case SWIMLANE_FIELDS.LABEL: {
+                const label = card.labels?.[0];
+                if (!label) return NO_LANE;
+                return typeof label === 'string' ? label : label.name;
+            }
+            case SWIMLANE_FIELDS.GOAL:
+                return card.linked_goal_id || NO_LANE;
+            case SWIMLANE_FIELDS.CUSTOM:
+                return card.swimlane || NO_LANE;
+            default:
+                return NO_LANE;
         }
+    }
 
-        return await this.dataService.updateKanbanCard(cardId, {
-            pomodoro_count: (card.pomodoro_count || 0) + 1
-        });
+    /**
+     * List the swimlanes of a board in display order
+     * The lane for cards without a value always comes last.
+     * @param {Object} board - Board with cards (from getBoard)
+     * @param {Array} goals - Annual goals, used for goal lane titles
+     * @returns {Array<{key: string, title: string}>} Lanes, empty when swimlanes are off
+     */
+    getSwimlanes(board, goals = []) {
+        const settings = this.getSwimlaneSettings(board);
+        if (!settings) return [];
+
+        const usedKeys = [...new Set((board.cards || [])
+            .filter(card => !card.is_backlog)
+            .map(card => this.getCardLaneKey(card, settings.field)))]
+            .filter(key => key !== NO_LANE);
+
+        switch (settings.field) {
+            case SWIMLANE_FIELDS.PRIORITY:
+                return [
+                    { key: 'high', title: 'High priority' },
+                    { key: 'medium', title: 'Medium priority' },
+                    { key: 'low', title: 'Low priority' },
+                    { key: NO_LANE, title: 'No priority' }
+                ];
+            case SWIMLANE_FIELDS.LABEL:
+                return [
+                    ...usedKeys.sort((a, b) => a.localeCompare(b)).map(key => ({ key, title: key })),
+                    { key: NO_LANE, title: 'No label' }
+                ];
+            case SWIMLANE_FIELDS.GOAL:
+                return [
+                    ...usedKeys.map(key => ({
+                        key,
+                        title: goals.find(goal => goal.id === key)?.title || 'Linked goal'
+                    })),
+                    { key: NO_LANE, title: 'No goal' }
+                ];
+            case SWIMLANE_FIELDS.CUSTOM:
+                return [
+                    ...settings.lanes.map(key => ({ key, title: key })),
+                    ...usedKeys.filter(key => !settings.lanes.includes(key)).map(key => ({ key, title: key })),
+                    { key: NO_LANE, title: 'No lane' }
+                ];
+            default:
+                return [];
+        }
     }
 
     /**
-     * Get Pomodoro stats for a card
+     * Get the card updates that move a card into a swimlane
+     * For label lanes the lane label becomes the card's first label and the label of
+     * the old lane is dropped; moving to the "No label" lane clears the labels.
+     * @param {Object} card - Card
+     * @param {string} field - Swimlane field (from SWIMLANE_FIELDS)
+     * @param {string} laneKey - Target lane key
+     * @param {Array} boardCards - Cards of the board, to reuse the label's color
+     * @returns {Object} Fields to update
+     */
+    getLaneUpdates(card, field, laneKey, boardCards = []) {
+        switch (field) {
+            case SWIMLANE_FIELDS.PRIORITY:
+                return { priority: laneKey || null };
+            case SWIMLANE_FIELDS.GOAL:
+                return { linked_goal_id: laneKey || null };
+            case SWIMLANE_FIELDS.CUSTOM:
+                return { swimlane: laneKey || null };
+            case SWIMLANE_FIELDS.LABEL: {
+                if (laneKey === NO_LANE) return { labels: [] };
+
+                const labelName = label => typeof label === 'string' ? label : label.name;
+                const currentKey = this.getCardLaneKey(card, field);
+                const laneLabel = boardCards
+                    .flatMap(c => c.labels || [])
+                    .find(label => labelName(label) === laneKey) || laneKey;
+                const otherLabels = (card.labels || [])
+                    .filter(label => labelName(label) !== currentKey && labelName(label) !== laneKey);
+
+                return { labels: [laneLabel, ...otherLabels] };
+            }
+            default:
+                return {};
+        }
+    }
+
+    /**
+     * Move a card into another swimlane of its board
      * @param {string} cardId - Card ID
-     * @returns {Promise<Object>} Pomodoro stats
+     * @param {string} laneKey - Target lane key
+     * @returns {Promise<Object>} Updated card
      */
-    async getCardPomodoroStats(cardId) {
+    async moveCardToLane(cardId, laneKey) {
         const card = await this.dataService.getKanbanCard(cardId);
         if (!card) {
             throw new Error('Card not found');
         }
 
-        return {
-            cardId: card.id,
-            title: card.title,
-            pomodoroCount: card.pomodoro_count || 0,
-            // Assuming 25 minutes per pomodoro
-            totalMinutes: (card.pomodoro_count || 0) * 25
-        };
+        const board = await this.dataService.getKanbanBoard(card.board_id);
+        const settings = this.getSwimlaneSettings(board);
+        if (!settings) {
+            throw new Error('Board has no swimlanes');
+        }
+        if (this.getCardLaneKey(card, settings.field) === laneKey) {
+            return card;
+        }
+
+        const boardCards = await this.dataService.getKanbanCards(card.board_id);
+        return await this.updateCard(cardId, this.getLaneUpdates(card, settings.field, laneKey, boardCards));
     }
 
-    // ==================== FILTERING ====================
+    // ==================== ESTIMATE OPERATIONS ====================
+    // Cards are estimated in story points or pomodoros, whichever the board uses.
+    // The unit is stored in board.settings.estimate_unit.
 
     /**
-     * Filter cards based on criteria
-     * Requirements: 7.2, 7.3, 7.4
-     * @param {Array} cards - Array of cards to filter
-     * @param {Object} filters - Filter criteria (CardFilters type)
+     * Get the unit a board estimates its cards in
+     * @param {Object} board - Board
+     * @returns {string} A value of ESTIMATE_UNITS (points when not set)
+     */
+    getEstimateUnit(board) {
+        const unit = board?.settings?.estimate_unit;
+        return Object.values(ESTIMATE_UNITS).includes(unit) ? unit : ESTIMATE_UNITS.POINTS;
+    }
+
+    /**
+     * Change the unit a board estimates its cards in
+     * Existing estimates are kept as they are.
+     * @param {string} boardId - Board ID
+     * @param {string} unit - A value of ESTIMATE_UNITS
+     * @returns {Promise<Object>} Updated board
+     */
+    async updateEstimateUnit(boardId, unit) {
+        if (!Object.values(ESTIMATE_UNITS).includes(unit)) {
+            throw new Error(`Unknown estimate unit: ${unit}`);
+        }
+        const board = await this.dataService.getKanbanBoard(boardId);
+        if (!board) {
+            throw new Error('Board not found');
+        }
+
+        return await this.updateBoard(boardId, { settings: { ...(board.settings || {}), estimate_unit: unit } });
+    }
+
+    /**
+     * Add up the estimates of cards
+     * @param {Array} cards - Cards
+     * @returns {Object} { total, estimated, unestimated } (estimated and unestimated count cards)
+     */
+    getEstimateTotal(cards) {
+        let total = 0;
+        let estimated = 0;
+        (cards || []).forEach(card => {
+            if (card.estimate === null || card.estimate === undefined || card.estimate === '') return;
+            total += Number(card.estimate) || 0;
+            estimated++;
+        });
+        return { total, estimated, unestimated: (cards || []).length - estimated };
+    }
+
+    // ==================== RECURRING CARD OPERATIONS ====================
+    // A recurrence is a card definition with an RRULE (see recurrence.js). Its
+    // occurrences become cards when the board is opened or the app starts; cards
+    // remember their occurrence in recurrence_id and recurrence_date.
+
+    /**
+     * Get the card recurrences of a board
+     * @param {string} boardId - Board ID
+     * @returns {Promise<Array>} Recurrences
+     */
+    async getRecurrences(boardId) {
+        return await this.dataService.getCardRecurrences(boardId);
+    }
+
+    /**
+     * Create a recurring card
+     * @param {string} boardId - Board ID
+     * @param {Object} data - { title, description, priority, labels, column_id, recurrence_rule, start_date, checklist }
+     * @returns {Promise<Object>} Created recurrence
+     */
+    async createRecurrence(boardId, data) {
+        if (!data.title || !data.title.trim()) {
+            throw new Error('Recurring card title is required');
+        }
+        if (!parseRRule(data.recurrence_rule)) {
+            throw new Error('Unsupported recurrence rule');
+        }
+        if (!data.start_date) {
+            throw new Error('Recurring card start date is required');
+        }
+
+        const columns = await this.dataService.getKanbanColumns(boardId);
+        if (data.column_id && !columns.some(c => c.id === data.column_id)) {
+            throw new Error('Column not found');
+        }
+
+        return await this.dataService.createCardRecurrence({
+            board_id: boardId,
+            column_id: data.column_id || null,
+            title: data.title.trim(),
+            description: data.description || null,
+            priority: data.priority || null,
+            labels: data.labels || [],
+            checklist: (data.checklist || []).map(text => text.trim()).filter(Boolean),
+            recurrence_rule: data.recurrence_rule,
+            start_date: data.start_date,
+            recurrence_exceptions: [],
+            last_generated_date: null,
+            is_active: true
+        });
+    }
+
+    /**
+     * Update a recurring card
+     * @param {string} recurrenceId - Recurrence ID
+     * @param {Object} updates - Fields to update
+     * @returns {Promise<Object>} Updated recurrence
+     */
+    async updateRecurrence(recurrenceId, updates) {
+        if (updates.recurrence_rule !== undefined && !parseRRule(updates.recurrence_rule)) {
+            throw new Error('Unsupported recurrence rule');
+        }
+        return await this.dataService.updateCardRecurrence(recurrenceId, updates);
+    }
+
+    /**
+     * Delete a recurring card; cards it already created are kept
+     * @param {string} recurrenceId - Recurrence ID
+     * @returns {Promise<void>}
+     */
+    async deleteRecurrence(recurrenceId) {
+        return await this.dataService.deleteCardRecurrence(recurrenceId);
+    }
+
+    /**
+     * Get the occurrences of a recurrence that are due but have no card yet
+     * @param {Object} recurrence - Recurrence
+     * @param {string} today - Today (YYYY-MM-DD)
+     * @returns {Array<string>} Occurrence dates, oldest first
+     */
+    getDueOccurrences(recurrence, today) {
+        const from = recurrence.last_generated_date
+            ? addDays(recurrence.last_generated_date, 1)
+            : recurrence.start_date;
+        if (from > today) return [];
+
+        return expandRRule(recurrence.recurrence_rule, recurrence.start_date, from, today,
+            recurrence.recurrence_exceptions || []);
+    }
+
+    /**
+     * Get the next occurrence of a recurrence that has no card yet
+     * @param {Object} recurrence - Recurrence
+     * @returns {string|null} Occurrence date, or null when the rule has ended
+     */
+    getNextOccurrence(recurrence) {
+        const from = recurrence.last_generated_date
+            ? addDays(recurrence.last_generated_date, 1)
+            : recurrence.start_date;
+
+        // Two years covers every supported rule, including yearly-like monthly ones
+        return expandRRule(recurrence.recurrence_rule, recurrence.start_date, from, addDays(from, 731),
+            recurrence.recurrence_exceptions || [])[0] || null;
+    }
+
+    /**
+     * Create cards for every due occurrence of a board's recurrences, catching up
+     * on occurrences missed while the board wasn't opened
+     * Concurrent calls for the same board share one run.
+     * @param {string} boardId - Board ID
+     * @param {string} [today] - Today (YYYY-MM-DD), defaults to the current date
+     * @returns {Promise<Array>} Created cards
+     */
+    async generateRecurringCards(boardId, today = formatDate(new Date())) {
+        if (this.generatingRecurrences.has(boardId)) {
+            return this.generatingRecurrences.get(boardId);
+        }
+
+        const run = this._generateRecurringCards(boardId, today)
+            .finally(() => this.generatingRecurrences.delete(boardId));
+        this.generatingRecurrences.set(boardId, run);
+        return run;
+    }
+
+    /**
+     * Create due recurring cards on every board
+     * Called when the app starts; a failing board doesn't stop the others.
+     * @returns {Promise<number>} Number of cards created
+     */
+    async generateAllRecurringCards() {
+        const boards = await this.getBoards();
+        let createdCount = 0;
+
+        for (const board of boards) {
+            try {
+                const created = await this.generateRecurringCards(board.id);
+                createdCount += created.length;
+            } catch (error) {
+                console.warn(`Recurring cards for "${board.title}" could not be created:`, error);
+            }
+        }
+
+        return createdCount;
+    }
+
+    /**
+     * Skip one occurrence of a recurring card
+     * A card already created for the occurrence is deleted; a future occurrence
+     * will not be created. The skip is logged on the latest remaining card of the
+     * recurrence, since activity entries belong to cards.
+     * @param {string} recurrenceId - Recurrence ID
+     * @param {string} date - Occurrence date (YYYY-MM-DD)
+     * @returns {Promise<Object>} Updated recurrence
+     */
+    async skipOccurrence(recurrenceId, date) {
+        const recurrence = await this.dataService.getCardRecurrence(recurrenceId);
+        if (!recurrence) {
+            throw new Error('Recurring card not found');
+        }
+
+        const exceptions = recurrence.recurrence_exceptions || [];
+        const updated = exceptions.includes(date)
+            ? recurrence
+            : await this.dataService.updateCardRecurrence(recurrenceId, {
+                recurrence_exceptions: [...exceptions, date].sort()
+            });
+
+        const cards = await this.dataService.getKanbanCards(recurrence.board_id);
+        const recurringCards = cards.filter(c => c.recurrence_id === recurrenceId);
+        const occurrenceCard = recurringCards.find(c => c.recurrence_date === date);
+        if (occurrenceCard) {
+            await this.deleteCard(occurrenceCard.id);
+        }
+
+        const latestCard = recurringCards
+            .filter(c => c !== occurrenceCard)
+            .sort((a, b) => (a.recurrence_date < b.recurrence_date ? 1 : -1))[0];
+        if (latestCard) {
+            try {
+                await this.logActivity(latestCard.id, ACTIVITY_TYPES.OCCURRENCE_SKIPPED, {
+                    recurrence_id: recurrenceId,
+                    occurrence_date: date,
+                    title: recurrence.title
+                });
+            } catch (error) {
+                console.warn('Failed to log skipped occurrence:', error);
+            }
+        }
+
+        return updated;
+    }
+
+    /**
+     * Skip the next occurrence of a recurring card that has no card yet
+     * @param {string} recurrenceId - Recurrence ID
+     * @returns {Promise<string|null>} Skipped date, or null when the rule has ended
+     */
+    async skipNextOccurrence(recurrenceId) {
+        const recurrence = await this.dataService.getCardRecurrence(recurrenceId);
+        if (!recurrence) {
+            throw new Error('Recurring card not found');
+        }
+        const date = this.getNextOccurrence(recurrence);
+        if (!date) return null;
+
+        await this.skipOccurrence(recurrenceId, date);
+        return date;
+    }
+
+    /**
+     * Create the cards of all due occurrences on a board
+     * @param {string} boardId - Board ID
+     * @param {string} today - Today (YYYY-MM-DD)
+     * @returns {Promise<Array>} Created cards
+     * @private
+     */
+    async _generateRecurringCards(boardId, today) {
+        const recurrences = await this.dataService.getCardRecurrences(boardId);
+        const created = [];
+
+        for (const recurrence of recurrences) {
+            if (!recurrence.is_active) continue;
+
+            const dueDates = this.getDueOccurrences(recurrence, today);
+            if (dueDates.length === 0) continue;
+
+            const columnId = await this._getRecurrenceColumnId(recurrence);
+            if (!columnId) continue;
+
+            // A card may already exist if an earlier run stopped before saving its progress
+            const cards = await this.dataService.getKanbanCards(boardId);
+            const existingDates = new Set(cards
+                .filter(c => c.recurrence_id === recurrence.id)
+                .map(c => c.recurrence_date));
+
+            for (const date of dueDates.slice(-MAX_CATCH_UP_OCCURRENCES)) {
+                if (existingDates.has(date)) continue;
+                created.push(await this._createRecurringCard(recurrence, columnId, date, today));
+            }
+
+            await this.dataService.updateCardRecurrence(recurrence.id, {
+                last_generated_date: dueDates[dueDates.length - 1]
+            });
+        }
+
+        return created;
+    }
+
+    /**
+     * Get the column new cards of a recurrence go to: its own column, or the
+     * board's first column once that column has been deleted or archived
+     * @param {Object} recurrence - Recurrence
+     * @returns {Promise<string|null>} Column ID, or null when the board has no columns
+     * @private
+     */
+    async _getRecurrenceColumnId(recurrence) {
+        const columns = (await this.dataService.getKanbanColumns(recurrence.board_id)).filter(c => !c.archived_at);
+        if (columns.some(c => c.id === recurrence.column_id)) {
+            return recurrence.column_id;
+        }
+
+        const firstColumn = [...columns].sort((a, b) => a.order_index - b.order_index)[0];
+        return firstColumn?.id || null;
+    }
+
+    /**
+     * Create the card of one occurrence with the recurrence's checklist
+     * @param {Object} recurrence - Recurrence
+     * @param {string} columnId - Target column ID
+     * @param {string} date - Occurrence date, used as the due date
+     * @param {string} today - Today (YYYY-MM-DD)
+     * @returns {Promise<Object>} Created card
+     * @private
+     */
+    async _createRecurringCard(recurrence, columnId, date, today) {
+        const card = await this.createCard(columnId, {
+            title: recurrence.title,
+            description: recurrence.description,
+            priority: recurrence.priority,
+            labels: recurrence.labels || [],
+            due_date: date,
+            checklist: recurrence.checklist || [],
+            recurrence_id: recurrence.id,
+            recurrence_date: date
+        });
+
+        try {
+            await this.logActivity(card.id, ACTIVITY_TYPES.RECURRING_CARD_CREATED, {
+                recurrence_id: recurrence.id,
+                occurrence_date: date,
+                missed: date < today
+            });
+        } catch (error) {
+            console.warn('Failed to log recurring card creation:', error);
+        }
+
+        return card;
+    }
+
+    // ==================== ARCHIVE OPERATIONS ====================
+    // Archiving hides a card or column from the board without deleting it. Archived
+    // items keep their column_id and order_index; restoring puts them back there.
+
+    /**
+     * Archive a card
+     * @param {string} cardId - Card ID
+     * @returns {Promise<Object>} Archived card
+     */
+    async archiveCard(cardId) {
+        const card = await this.dataService.getKanbanCard(cardId);
+        if (!card) {
+            throw new Error('Card not found');
+        }
+        if (card.archived_at) return card;
+
+        // An archived blocker no longer blocks the cards waiting on it
+        const blocking = await this._getBlockingData(card.board_id);
+
+        const archivedCard = await this.dataService.updateKanbanCard(cardId, {
+            archived_at: new Date().toISOString()
+        });
+
+        if (card.is_backlog) {
+            await this._reindexBacklog(card.board_id);
+        } else if (card.column_id) {
+            await this._reindexCardsInColumn(card.board_id, card.column_id);
+        }
+
+        try {
+            await this.logActivity(cardId, ACTIVITY_TYPES.CARD_ARCHIVED, { column_id: card.column_id });
+        } catch (error) {
+            console.warn('Failed to log card archive activity:', error);
+        }
+
+        await this._logBlockedChanges(blocking, {
+            ...blocking,
+            cards: this._withUpdated(blocking.cards, archivedCard)
+        });
+
+        return archivedCard;
+    }
+
+    /**
+     * Put an archived card back where it was
+     * Cards whose column has since been deleted or archived go to the end of the
+     * board's first column.
+     * @param {string} cardId - Card ID
+     * @returns {Promise<Object>} Restored card
+     */
+    async restoreCard(cardId) {
+        const card = await this.dataService.getKanbanCard(cardId);
+        if (!card) {
+            throw new Error('Card not found');
+        }
+        if (!card.archived_at) return card;
+
+        const blocking = await this._getBlockingData(card.board_id);
+        const columns = blocking.columns
+            .filter(c => !c.archived_at)
+            .sort((a, b) => a.order_index - b.order_index);
+        const isOriginalColumn = card.is_backlog || columns.some(c => c.id === card.column_id);
+        const columnId = card.is_backlog ? null : (isOriginalColumn ? card.column_id : columns[0]?.id);
+        if (!card.is_backlog && !columnId) {
+            throw new Error('Add a column before restoring cards');
+        }
+
+        const allCards = blocking.cards;
+        const siblings = allCards
+            .filter(c => !c.archived_at && (card.is_backlog ? c.is_backlog : c.column_id === columnId && !c.is_backlog))
+            .sort((a, b) => a.order_index - b.order_index);
+        const position = isOriginalColumn ? Math.min(card.order_index, siblings.length) : siblings.length;
+        siblings.splice(position, 0, card);
+
+        // Shift the cards after the restored one down
+        for (let i = position + 1; i < siblings.length; i++) {
+            if (siblings[i].order_index !== i) {
+                await this.dataService.updateKanbanCard(siblings[i].id, { order_index: i });
+            }
+        }
+
+        const restoredCard = await this.dataService.updateKanbanCard(cardId, {
+            archived_at: null,
+            column_id: columnId,
+            order_index: position
+        });
+
+        try {
+            const column = columns.find(c => c.id === columnId);
+            await this.logActivity(cardId, ACTIVITY_TYPES.CARD_RESTORED, {
+                column_id: columnId,
+                column_title: card.is_backlog ? 'Backlog' : column?.title
+            });
+        } catch (error) {
+            console.warn('Failed to log card restore activity:', error);
+        }
+
+        await this._logBlockedChanges(blocking, {
+            ...blocking,
+            cards: this._withUpdated(blocking.cards, restoredCard)
+        });
+
+        return restoredCard;
+    }
+
+    /**
+     * Archive a column; its cards are hidden with it and come back when it is restored
+     * @param {string} columnId - Column ID
+     * @returns {Promise<Object>} Archived column
+     */
+    async archiveColumn(columnId) {
+        const columns = await this._getAllColumns();
+        const column = columns.find(c => c.id === columnId);
+        if (!column) {
+            throw new Error('Column not found');
+        }
+        if (column.archived_at) return column;
+
+        const boardColumns = columns.filter(c => c.board_id === column.board_id && !c.archived_at);
+        if (boardColumns.length === 1) {
+            throw new Error('A board needs at least one column');
+        }
+
+        const blocking = await this._getBlockingData(column.board_id);
+
+        const archivedColumn = await this.dataService.updateKanbanColumn(columnId, {
+            archived_at: new Date().toISOString()
+        });
+        await this._reindexColumns(column.board_id);
+
+        await this._logBlockedChanges(blocking, {
+            ...blocking,
+            columns: this._withUpdated(blocking.columns, archivedColumn)
+        });
+
+        return archivedColumn;
+    }
+
+    /**
+     * Put an archived column back at its position, with its cards
+     * @param {string} columnId - Column ID
+     * @returns {Promise<Object>} Restored column
+     */
+    async restoreColumn(columnId) {
+        const columns = await this._getAllColumns();
+        const column = columns.find(c => c.id === columnId);
+        if (!column) {
+            throw new Error('Column not found');
+        }
+        if (!column.archived_at) return column;
+
+        const blocking = await this._getBlockingData(column.board_id);
+
+        const boardColumns = columns
+            .filter(c => c.board_id === column.board_id && !c.archived_at)
+            .sort((a, b) => a.order_index - b.order_index);
+        const position = Math.min(column.order_index, boardColumns.length);
+        boardColumns.splice(position, 0, column);
+
+        for (let i = position + 1; i < boardColumns.length; i++) {
+            if (boardColumns[i].order_index !== i) {
+                await this.dataService.updateKanbanColumn(boardColumns[i].id, { order_index: i });
+            }
+        }
+
+        const restoredColumn = await this.dataService.updateKanbanColumn(columnId, {
+            archived_at: null,
+            order_index: position
+        });
+
+        await this._logBlockedChanges(blocking, {
+            ...blocking,
+            columns: this._withUpdated(blocking.columns, restoredColumn)
+        });
+
+        return restoredColumn;
+    }
+
+    /**
+     * Archive the cards that have been in a done column for more than a number of days
+     * How long a card has been done is taken from its last move into the column,
+     * or from its last update when the move wasn't logged.
+     * @param {string} boardId - Board ID
+     * @param {number} olderThanDays - Minimum number of days in the done column
+     * @returns {Promise<Array>} Archived cards
+     */
+    async archiveDoneCards(boardId, olderThanDays) {
+        if (!Number.isInteger(olderThanDays) || olderThanDays < 0) {
+            throw new Error('Number of days must be zero or more');
+        }
+
+        const board = await this.getBoard(boardId);
+        if (!board) {
+            throw new Error('Board not found');
+        }
+
+        const doneColumnIds = this._getDoneColumnIds(board.columns);
+        const cutoff = Date.now() - olderThanDays * 24 * 60 * 60 * 1000;
+        const archived = [];
+
+        for (const card of board.cards) {
+            if (card.is_backlog || !doneColumnIds.has(card.column_id)) continue;
+
+            const doneSince = await this._getDoneSince(card);
+            if (doneSince > cutoff) continue;
+
+            archived.push(await this.archiveCard(card.id));
+        }
+
+        return archived;
+    }
+
+    /**
+     * When a card entered its current column
+     * @param {Object} card - Card
+     * @returns {Promise<number>} Timestamp in milliseconds
+     * @private
+     */
+    async _getDoneSince(card) {
+        try {
+            const entries = await this.getActivityLog(card.id);
+            const lastMove = entries
+                .filter(entry => entry.action_type === ACTIVITY_TYPES.CARD_MOVED
+                    && entry.action_data?.to_column_id === card.column_id)
+                .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))[0];
+            if (lastMove) return new Date(lastMove.created_at).getTime();
+        } catch (error) {
+            console.warn('Activity log unavailable, using last update:', error.message);
+        }
+        return new Date(card.updated_at || card.created_at).getTime();
+    }
+
+    // ==================== AUTOMATION OPERATIONS ====================
+    // Rules live in kanban_boards.settings.automations as
+    // { id, name, enabled, trigger: { type, column_id }, conditions: { column_id, priority, labels }, actions }.
+    // They run after createCard, moveCard and toggleChecklistItem, and for due cards
+    // when the board is opened. Changes made by a rule don't trigger other rules, so
+    // rules can't set each other off in a loop.
+
+    /**
+     * Get the automation rules of a board
+     * @param {Object} board - Board
+     * @returns {Array} Rules
+     */
+    getAutomationRules(board) {
+        return board?.settings?.automations || [];
+    }
+
+    /**
+     * Add or replace an automation rule of a board
+     * @param {string} boardId - Board ID
+     * @param {Object} rule - Rule; rules without an id are added
+     * @returns {Promise<Object>} Saved rule
+     */
+    async saveAutomationRule(boardId, rule) {
+        const board = await this.dataService.getKanbanBoard(boardId);
+        if (!board) {
+            throw new Error('Board not found');
+        }
+        this._validateAutomationRule(rule);
+
+        const saved = {
+            id: rule.id || `rule-${Date.now().toString(36)}-${Math.random().toString(36).substring(2, 8)}`,
+            name: rule.name.trim(),
+            enabled: rule.enabled !== false,
+            trigger: { type: rule.trigger.type, column_id: rule.trigger.column_id || null },
+            conditions: {
+                column_id: rule.conditions?.column_id || null,
+                priority: rule.conditions?.priority || null,
+                labels: rule.conditions?.labels || []
+            },
+            actions: rule.actions
+        };
+
+        const rules = this.getAutomationRules(board);
+        const automations = rules.some(r => r.id === saved.id)
+            ? rules.map(r => (r.id === saved.id ? saved : r))
+            : [...rules, saved];
+
+        await this.updateBoard(boardId, { settings: { ...(board.settings || {}), automations } });
+        return saved;
+    }
+
+    /**
+     * Delete an automation rule of a board
+     * @param {string} boardId - Board ID
+     * @param {string} ruleId - Rule ID
+     * @returns {Promise<Object>} Updated board
+     */
+    async deleteAutomationRule(boardId, ruleId) {
+        const board = await this.dataService.getKanbanBoard(boardId);
+        if (!board) {
+            throw new Error('Board not found');
+        }
+
+        const automations = this.getAutomationRules(board).filter(r => r.id !== ruleId);
+        return await this.updateBoard(boardId, { settings: { ...(board.settings || {}), automations } });
+    }
+
+    /**
+     * Check whether a card meets the conditions of a rule
+     * @param {Object} card - Card
+     * @param {Object} conditions - { column_id, priority, labels } ('none' priority matches cards without one)
+     * @returns {boolean}
+     */
+    matchesAutomationConditions(card, conditions = {}) {
+        if (conditions.column_id && (card.is_backlog || card.column_id !== conditions.column_id)) {
+            return false;
+        }
+        if (conditions.priority && (card.priority || 'none') !== conditions.priority) {
+            return false;
+        }
+        // Card labels are { name, color } objects; older cards may still hold plain names
+        const labelNames = (card.labels || []).map(label => (typeof label === 'string' ? label : label.name));
+        return (conditions.labels || []).every(label => labelNames.includes(label));
+    }
+
+    /**
+     * Register a callback for rules that ran, e.g. to start a Pomodoro the view owns
+     * @param {Function} callback - Called with { rule, card, results }
+     * @returns {Function} Unsubscribe function
+     */
+    onAutomationRun(callback) {
+        this.automationListeners.add(callback);
+        return () => this.automationListeners.delete(callback);
+    }
+
+    /**
+     * Run the 'card_due' rules of a board for cards whose due date has come
+     * Each rule runs once per card and due date; cards in done columns are left alone.
+     * Concurrent calls for the same board share one run.
+     * @param {string} boardId - Board ID
+     * @param {string} [today] - Today (YYYY-MM-DD), defaults to the current date
+     * @returns {Promise<number>} Number of rules applied
+     */
+    async runDueAutomations(boardId, today = formatDate(new Date())) {
+        if (this.runningDueAutomations.has(boardId)) {
+            return this.runningDueAutomations.get(boardId);
+        }
+
+        const run = this._runDueAutomations(boardId, today)
+            .finally(() => this.runningDueAutomations.delete(boardId));
+        this.runningDueAutomations.set(boardId, run);
+        return run;
+    }
+
+    /**
+     * Run the 'card_due' rules of every board
+     * Called when the app starts; a failing board doesn't stop the others.
+     * @returns {Promise<number>} Number of rules applied
+     */
+    async runAllDueAutomations() {
+        const boards = await this.getBoards();
+        let appliedCount = 0;
+
+        for (const board of boards) {
+            if (!this.getAutomationRules(board).some(rule => rule.trigger?.type === AUTOMATION_TRIGGERS.CARD_DUE)) continue;
+
+            try {
+                appliedCount += await this.runDueAutomations(board.id);
+            } catch (error) {
+                console.warn(`Automations for "${board.title}" could not run:`, error);
+            }
+        }
+
+        return appliedCount;
+    }
+
+    /**
+     * Run the due date rules of a board
+     * @param {string} boardId - Board ID
+     * @param {string} today - Today (YYYY-MM-DD)
+     * @returns {Promise<number>} Number of rules applied
+     * @private
+     */
+    async _runDueAutomations(boardId, today) {
+        const board = await this.getBoard(boardId);
+        const rules = this.getAutomationRules(board)
+            .filter(rule => rule.enabled && rule.trigger.type === AUTOMATION_TRIGGERS.CARD_DUE);
+        if (rules.length === 0) return 0;
+
+        const doneColumnIds = this._getDoneColumnIds(board.columns);
+        let appliedCount = 0;
+
+        for (const card of board.cards) {
+            if (!card.due_date || card.due_date > today || doneColumnIds.has(card.column_id)) continue;
+
+            const matching = rules.filter(rule => this.matchesAutomationConditions(card, rule.conditions));
+            if (matching.length === 0) continue;
+
+            const entries = await this.getActivityLog(card.id);
+            const applied = new Set(entries
+                .filter(entry => entry.action_type === ACTIVITY_TYPES.AUTOMATION_APPLIED
+                    && entry.action_data?.due_date === card.due_date)
+                .map(entry => entry.action_data.rule_id));
+
+            for (const rule of matching) {
+                if (applied.has(rule.id)) continue;
+
+                const current = await this.dataService.getKanbanCard(card.id);
+                if (!current || current.archived_at) break;
+                if (await this._applyAutomationRule(rule, current, { due_date: card.due_date })) {
+                    appliedCount++;
+                }
+            }
+        }
+
+        return appliedCount;
+    }
+
+    /**
+     * Run the enabled rules of a card's board that match an event
+     * Failures are logged and never fail the change that triggered the rules.
+     * @param {string} triggerType - Event (from AUTOMATION_TRIGGERS)
+     * @param {Object} card - Card the event happened to
+     * @private
+     */
+    async _runAutomations(triggerType, card) {
+        try {
+            const board = await this.dataService.getKanbanBoard(card.board_id);
+            const rules = this.getAutomationRules(board).filter(rule => rule.enabled
+                && rule.trigger.type === triggerType
+                && (!rule.trigger.column_id || (!card.is_backlog && rule.trigger.column_id === card.column_id)));
+
+            let current = card;
+            for (const rule of rules) {
+                if (!this.matchesAutomationConditions(current, rule.conditions)) continue;
+
+                await this._applyAutomationRule(rule, current);
+                current = await this.dataService.getKanbanCard(card.id) || current;
+            }
+        } catch (error) {
+            console.warn('Automation rules could not run:', error);
+        }
+    }
+
+    /**
+     * Apply the actions of a rule to a card and record it in the card's activity log
+     * @param {Object} rule - Rule
+     * @param {Object} card - Card
+     * @param {Object} [logData] - Extra data for the activity entry
+     * @returns {Promise<boolean>} True if every action succeeded
+     * @private
+     */
+    async _applyAutomationRule(rule, card, logData = {}) {
+        const results = [];
+        let succeeded = true;
+
+        for (const action of rule.actions) {
+            try {
+                results.push(await this._applyAutomationAction(action, card));
+            } catch (error) {
+                console.warn(`Automation "${rule.name}" failed to ${action.type}:`, error);
+                succeeded = false;
+            }
+        }
+
+        try {
+            await this.logActivity(card.id, ACTIVITY_TYPES.AUTOMATION_APPLIED, {
+                rule_id: rule.id,
+                rule_name: rule.name,
+                trigger: rule.trigger.type,
+                actions: rule.actions.map(action => action.type),
+                ...logData
+            });
+        } catch (error) {
+            console.warn('Failed to log automation activity:', error);
+        }
+
+        this.automationListeners.forEach(callback => {
+            try {
+                callback({ rule, card, results });
+            } catch (error) {
+                console.warn('Automation listener failed:', error);
+            }
+        });
+
+        return succeeded;
+    }
+
+    /**
+     * Apply one action of a rule
+     * @param {Object} action - Action
+     * @param {Object} card - Card
+     * @returns {Promise<Object>} { type, ...details }
+     * @private
+     */
+    async _applyAutomationAction(action, card) {
+        switch (action.type) {
+            case AUTOMATION_ACTIONS.MOVE: {
+                const columns = await this.dataService.getKanbanColumns(card.board_id);
+                const target = columns.find(c => c.id === action.column_id && !c.archived_at);
+                if (!target) throw new Error('Column not found');
+                if (!card.is_backlog && card.column_id === target.id) return { type: action.type, column_id: target.id };
+
+                const allCards = await this.dataService.getKanbanCards(card.board_id);
+                const position = allCards.filter(c => c.column_id === target.id && !c.is_backlog && !c.archived_at).length;
+                await this._moveCard(card.id, target.id, position);
+                return { type: action.type, column_id: target.id };
+            }
+
+            case AUTOMATION_ACTIONS.SET_FIELD: {
+                // Due dates are set relative to the day the rule runs
+                const value = action.field === 'due_date' && action.value !== null
+                    ? addDays(formatDate(new Date()), Number(action.value))
+                    : action.value;
+                await this.updateCard(card.id, { [action.field]: value });
+                return { type: action.type, field: action.field, value };
+            }
+
+            case AUTOMATION_ACTIONS.ADD_LABEL: {
+                const labelName = label => (typeof label === 'string' ? label : label.name);
+                const labels = card.labels || [];
+                if (!labels.some(label => labelName(label) === action.label)) {
+                    // Reuse the color the label already has on the board
+                    const boardCards = await this.dataService.getKanbanCards(card.board_id);
+                    const existing = boardCards
+                        .flatMap(c => c.labels || [])
+                        .find(label => typeof label === 'object' && label.name === action.label);
+                    const label = { name: action.label, color: existing?.color || DEFAULT_LABEL_COLOR };
+                    await this.updateCard(card.id, { labels: [...labels, label] });
+                }
+                return { type: action.type, label: action.label };
+            }
+
+            case AUTOMATION_ACTIONS.ADD_CHECKLIST: {
+                for (const text of action.items) {
+                    await this.createChecklistItem(card.id, text);
+                }
+                return { type: action.type, count: action.items.length };
+            }
+
+            case AUTOMATION_ACTIONS.COMPLETE_CHECKLIST: {
+                const items = await this.dataService.getChecklistItems(card.id);
+                const open = items.filter(item => !item.is_completed);
+                for (const item of open) {
+                    await this.updateChecklistItem(item.id, { is_completed: true });
+                }
+                return { type: action.type, count: open.length };
+            }
+
+            case AUTOMATION_ACTIONS.START_POMODORO:
+                return { type: action.type, ...await this.startPomodoroForCard(card.id) };
+
+            default:
+                throw new Error(`Unknown automation action: ${action.type}`);
+        }
+    }
+
+    /**
+     * Check that a rule can be saved
+     * @param {Object} rule - Rule
+     * @private
+     */
+    _validateAutomationRule(rule) {
+        if (!rule.name || !rule.name.trim()) {
+            throw new Error('Rule name is required');
+        }
+        if (!Object.values(AUTOMATION_TRIGGERS).includes(rule.trigger?.type)) {
+            throw new Error(`Unknown automation trigger: ${rule.trigger?.type}`);
+        }
+        if (!Array.isArray(rule.actions) || rule.actions.length === 0) {
+            throw new Error('A rule needs at least one action');
+        }
+
+        rule.actions.forEach(action => {
+            switch (action.type) {
+                case AUTOMATION_ACTIONS.MOVE:
+                    if (!action.column_id) throw new Error('Choose the column to move cards to');
+                    break;
+                case AUTOMATION_ACTIONS.SET_FIELD:
+                    if (!AUTOMATION_FIELDS.includes(action.field)) {
+                        throw new Error(`Rules can't set ${action.field}`);
+                    }
+                    if (action.field === 'due_date' && action.value !== null && !Number.isInteger(Number(action.value))) {
+                        throw new Error('Due date must be a number of days from the day the rule runs');
+                    }
+                    break;
+                case AUTOMATION_ACTIONS.ADD_LABEL:
+                    if (!action.label) throw new Error('Choose the label to add');
+                    break;
+                case AUTOMATION_ACTIONS.ADD_CHECKLIST:
+                    if (!action.items?.length) throw new Error('Add at least one checklist item');
+                    break;
+                case AUTOMATION_ACTIONS.COMPLETE_CHECKLIST:
+                case AUTOMATION_ACTIONS.START_POMODORO:
+                    break;
+                default:
+                    throw new Error(`Unknown automation action: ${action.type}`);
+            }
+        });
+    }
+
+    // ==================== CARD TEMPLATE OPERATIONS ====================
+    // Card templates are reusable card definitions owned by the user, not a board.
+    // The due date is stored relative to the day a card is created from it.
+
+    /**
+     * Get the user's card templates
+     * @returns {Promise<Array>} Templates sorted by name
+     */
+    async getCardTemplates() {
+        return await this.dataService.getCardTemplates();
+    }
+
+    /**
+     * Create or update a card template
+     * @param {Object} data - { name, title_pattern, description, priority, labels, checklist, due_in_days }
+     * @param {string} [templateId] - Template to update; a new template is created when omitted
+     * @returns {Promise<Object>} Saved template
+     */
+    async saveCardTemplate(data, templateId = null) {
+        if (!data.name || !data.name.trim()) {
+            throw new Error('Template name is required');
+        }
+        if (!data.title_pattern || !data.title_pattern.trim()) {
+            throw new Error('Template card title is required');
+        }
+
+        const dueInDays = data.due_in_days === null || data.due_in_days === undefined || data.due_in_days === ''
+            ? null
+            : Number(data.due_in_days);
+        if (dueInDays !== null && (!Number.isInteger(dueInDays) || dueInDays < 0)) {
+            throw new Error('Due date offset must be a whole number of days');
+        }
+
+        const template = {
+            name: data.name.trim(),
+            title_pattern: data.title_pattern.trim(),
+            description: data.description || null,
+            priority: data.priority || null,
+            labels: data.labels || [],
+            checklist: (data.checklist || []).map(text => text.trim()).filter(Boolean),
+            due_in_days: dueInDays
+        };
+
+        return templateId
+            ? await this.dataService.updateCardTemplate(templateId, template)
+            : await this.dataService.createCardTemplate(template);
+    }
+
+    /**
+     * Save an existing card, with its checklist, as a template
+     * A due date becomes an offset from today, so cards made from the template
+     * get the same amount of time.
+     * @param {string} cardId - Card ID
+     * @param {string} name - Template name
+     * @returns {Promise<Object>} Created template
+     */
+    async createTemplateFromCard(cardId, name) {
+        const card = await this.dataService.getKanbanCard(cardId);
+        if (!card) {
+            throw new Error('Card not found');
+        }
+
+        const { items } = await this.getChecklistItems(cardId);
+        const checklist = [...items].sort((a, b) => a.order_index - b.order_index).map(item => item.text);
+        const dueInDays = card.due_date
+            ? Math.max(0, daysBetween(formatDate(new Date()), card.due_date))
+            : null;
+
+        return await this.saveCardTemplate({
+            name,
+            title_pattern: card.title,
+            description: card.description,
+            priority: card.priority,
+            labels: card.labels || [],
+            checklist,
+            due_in_days: dueInDays
+        });
+    }
+
+    /**
+     * Delete a card template; cards created from it are kept
+     * @param {string} templateId - Template ID
+     * @returns {Promise<void>}
+     */
+    async deleteCardTemplate(templateId) {
+        return await this.dataService.deleteCardTemplate(templateId);
+    }
+
+    /**
+     * Fill in the placeholders of a template title pattern
+     * Supports {date}, {weekday}, {month} and {year}; unknown placeholders are kept.
+     * @param {string} pattern - Title pattern, e.g. "Weekly review {date}"
+     * @param {string} date - Day the card is created (YYYY-MM-DD)
+     * @returns {string} Card title
+     */
+    expandTitlePattern(pattern, date) {
+        return (pattern || '').replace(/\{(\w+)\}/g, (match, token) => {
+            const fill = TITLE_PATTERN_TOKENS[token.toLowerCase()];
+            return fill ? fill(date) : match;
+        });
+    }
+
+    /**
+     * Turn a template into card data for createCard
+     * @param {Object} template - Card template
+     * @param {string} [today] - Day the card is created (YYYY-MM-DD), defaults to the current date
+     * @returns {Object} { title, description, priority, labels, due_date, checklist }
+     */
+    applyCardTemplate(template, today = formatDate(new Date())) {
+        const hasDueDate = template.due_in_days !== null && template.due_in_days !== undefined;
+
+        return {
+            title: this.expandTitlePattern(template.title_pattern, today),
+            description: template.description || null,
+            priority: template.priority || null,
+            labels: [...(template.labels || [])],
+            due_date: hasDueDate ? addDays(today, template.due_in_days) : null,
+            checklist: [...(template.checklist || [])]
+        };
+    }
+
+    // ==================== BOARD TEMPLATE OPERATIONS ====================
+    // Saved board templates use the shape of BOARD_TEMPLATES, plus labels, swimlane
+    // settings and cards that name their column by index. Automation rules are not
+    // saved because they point at the columns of one board.
+
+    /**
+     * Get available templates: the built-ins and the user's saved templates
+     * Saved templates are keyed by their ID and marked with is_custom.
+     * @returns {Promise<Object>} Template definitions by template ID
+     */
+    async getTemplates() {
+        const saved = await this.dataService.getBoardTemplates().catch(error => {
+            console.warn('Saved board templates unavailable:', error.message);
+            return [];
+        });
+
+        const templates = { ...BOARD_TEMPLATES };
+        (saved || []).forEach(row => {
+            templates[row.id] = {
+                ...row.definition,
+                title: row.name,
+                description: row.description || null,
+                is_custom: true
+            };
+        });
+        return templates;
+    }
+
+    /**
+     * Save a board's layout as a template
+     * @param {string} boardId - Board ID
+     * @param {Object} options - { name, description, includeCards }; includeCards also saves
+     *   the cards on the board (not the backlog) with their checklists
+     * @returns {Promise<Object>} Created template row
+     */
+    async saveBoardAsTemplate(boardId, { name, description = null, includeCards = false }) {
+        if (!name || !name.trim()) {
+            throw new Error('Template name is required');
+        }
+
+        const board = await this.getBoard(boardId);
+        if (!board) {
+            throw new Error('Board not found');
+        }
+
+        let checklists = null;
+        if (includeCards) {
+            checklists = {};
+            for (const card of board.cards.filter(c => !c.is_backlog)) {
+                const items = await this.dataService.getChecklistItems(card.id);
+                checklists[card.id] = [...(items || [])]
+                    .sort((a, b) => a.order_index - b.order_index)
+                    .map(item => item.text);
+            }
+        }
+
+        return await this.dataService.createBoardTemplate({
+            name: name.trim(),
+            description: description?.trim() || null,
+            definition: this.buildBoardTemplate(board, checklists)
+        });
+    }
+
+    /**
+     * Build a template definition from a loaded board (see getBoard)
+     * @param {Object} board - Board with columns and cards
+     * @param {Object|null} [checklists] - Checklist texts by card ID; cards are left out when null
+     * @returns {Object} { columns, labels, settings, cards }
+     */
+    buildBoardTemplate(board, checklists = null) {
+        const columns = [...(board.columns || [])].sort((a, b) => a.order_index - b.order_index);
+        const columnIndex = new Map(columns.map((column, index) => [column.id, index]));
+
+        // Labels live on cards, plus the ones a template board started with
+        const labels = new Map();
+        const boardCards = board.cards || [];
+        [...(board.settings?.labels || []), ...boardCards.flatMap(card => card.labels || [])].forEach(label => {
+            const name = typeof label === 'string' ? label : label?.name;
+            if (name && !labels.has(name)) {
+                labels.set(name, { name, color: label.color || DEFAULT_LABEL_COLOR });
+            }
+        });
+
+        const cards = checklists
+            ? boardCards
+                .filter(card => !card.is_backlog && columnIndex.has(card.column_id))
+                .sort((a, b) => columnIndex.get(a.column_id) - columnIndex.get(b.column_id) || a.order_index - b.order_index)
+                .map(card => ({
+                    column_index: columnIndex.get(card.column_id),
+                    title: card.title,
+                    description: card.description || null,
+                    priority: card.priority || null,
+                    labels: card.labels || [],
+                    ...(card.swimlane ? { swimlane: card.swimlane } : {}),
+                    checklist: checklists[card.id] || []
+                }))
+            : [];
+
+        return {
+            columns: columns.map((column, index) => ({
+                title: column.title,
+                order_index: index,
+                wip_limit: column.wip_limit || null,
+                lane_wip_limit: column.lane_wip_limit || null,
+                color: column.color || null
+            })),
+            labels: [...labels.values()],
+            settings: board.settings?.swimlanes ? { swimlanes: board.settings.swimlanes } : {},
+            cards
+        };
+    }
+
+    /**
+     * Delete a saved board template; boards created from it are kept
+     * @param {string} templateId - Template ID
+     * @returns {Promise<void>}
+     */
+    async deleteBoardTemplate(templateId) {
+        return await this.dataService.deleteBoardTemplate(templateId);
+    }
+
+    /**
+     * Build the JSON file of a template for sharing
+     * @param {string} templateId - Built-in or saved template ID
+     * @returns {Promise<Object>} File contents, see parseBoardTemplateFile
+     */
+    async exportBoardTemplate(templateId) {
+        const template = (await this.getTemplates())[templateId];
+        if (!template) {
+            throw new Error(`Unknown template: ${templateId}`);
+        }
+
+        return {
+            type: BOARD_TEMPLATE_FILE_TYPE,
+            version: BOARD_TEMPLATE_FILE_VERSION,
+            name: template.title,
+            description: template.description || null,
+            definition: {
+                columns: template.columns,
+                labels: template.labels || [],
+                settings: template.settings || {},
+                cards: template.cards || []
+            }
+        };
+    }
+
+    /**
+     * Save a template from a file written by exportBoardTemplate
+     * @param {Object|string} file - Parsed or raw JSON file contents
+     * @returns {Promise<Object>} Created template row
+     */
+    async importBoardTemplate(file) {
+        return await this.dataService.createBoardTemplate(this.parseBoardTemplateFile(file));
+    }
+
+    /**
+     * Validate a board template file and keep only the fields templates use
+     * @param {Object|string} file - Parsed or raw JSON file contents
+     * @returns {Object} { name, description, definition }
+     */
+    parseBoardTemplateFile(file) {
+        let data = file;
+        if (typeof file === 'string') {
+            try {
+                data = JSON.parse(file);
+            } catch {
+                throw new Error('Not a board template file');
+            }
+        }
+
+        if (data?.type !== BOARD_TEMPLATE_FILE_TYPE) {
+            throw new Error('Not a board template file');
+        }
+        if (!(data.version <= BOARD_TEMPLATE_FILE_VERSION)) {
+            throw new Error('This template was exported by a newer version of the planner');
+        }
+        if (typeof data.name !== 'string' || !data.name.trim()) {
+            throw new Error('Template name is required');
+        }
+
+        const definition = data.definition || {};
+        const positive = value => (Number.isInteger(value) && value > 0 ? value : null);
+        const isText = value => typeof value === 'string' && value.trim() !== '';
+
+        if (!Array.isArray(definition.columns) || definition.columns.length === 0
+            || !definition.columns.every(column => isText(column?.title))) {
+            throw new Error('Template needs at least one column with a title');
+        }
+
+        const columns = definition.columns.map((column, index) => ({
+            title: column.title.trim(),
+            order_index: index,
+            wip_limit: positive(column.wip_limit),
+            lane_wip_limit: positive(column.lane_wip_limit),
+            color: typeof column.color === 'string' ? column.color : null
+        }));
+
+        const labels = (Array.isArray(definition.labels) ? definition.labels : [])
+            .filter(label => isText(label?.name))
+            .map(label => ({ name: label.name, color: typeof label.color === 'string' ? label.color : DEFAULT_LABEL_COLOR }));
+
+        const swimlanes = definition.settings?.swimlanes;
+        const settings = typeof swimlanes?.field === 'string' ? { swimlanes } : {};
+
+        const cards = (Array.isArray(definition.cards) ? definition.cards : [])
+            .filter(card => isText(card?.title) && Number.isInteger(card.column_index)
+                && card.column_index >= 0 && card.column_index < columns.length)
+            .map(card => ({
+                column_index: card.column_index,
+                title: card.title.trim(),
+                description: typeof card.description === 'string' ? card.description : null,
+                priority: ['high', 'medium', 'low'].includes(card.priority) ? card.priority : null,
+                labels: Array.isArray(card.labels) ? card.labels : [],
+                ...(isText(card.swimlane) ? { swimlane: card.swimlane } : {}),
+                checklist: (Array.isArray(card.checklist) ? card.checklist : []).filter(isText)
+            }));
+
+        return {
+            name: data.name.trim(),
+            description: isText(data.description) ? data.description.trim() : null,
+            definition: { columns, labels, settings, cards }
+        };
+    }
+
+    // ==================== IMPORT OPERATIONS ====================
+    // Trello exports and CSV files are read by js/board-import.js; this writes the
+    // result through the regular create methods so activity is logged as usual.
+
+    /**
+     * Create a board from an imported Trello or CSV board
+     * Each card is written on its own: a card that fails is listed in errors and
+     * the rest of the board is still imported.
+     * @param {Object} imported - { board, warnings } from parseTrelloBoard or mapCSVBoard
+     * @param {Object} [options] - Import options
+     * @param {string} [options.title] - Board title (default: the imported title)
+     * @param {boolean} [options.dryRun] - Count what would be created without writing
+     * @returns {Promise<Object>} { board, columns, cards, checklistItems, comments, warnings, errors, dryRun }
+     */
+    async importBoard({ board: source, warnings = [] }, { title, dryRun = false } = {}) {
+        const stats = {
+            board: null,
+            columns: 0,
+            cards: 0,
+            checklistItems: 0,
+            comments: 0,
+            warnings: [...warnings],
+            errors: [],
+            dryRun
+        };
+
+        const boardTitle = (title || source.title || '').trim();
+        if (!boardTitle) {
+            throw new Error('Board title is required');
+        }
+        if (!source.columns?.length) {
+            throw new Error('Nothing to import: the file has no lists or columns');
+        }
+
+        if (dryRun) {
+            stats.columns = source.columns.length;
+            source.cards.forEach(card => {
+                stats.cards++;
+                stats.checklistItems += card.checklist.length;
+                stats.comments += card.comments.length;
+            });
+            return stats;
+        }
+
+        stats.board = await this.createBoard({ title: boardTitle, description: source.description });
+
+        const columns = [];
+        for (const columnDef of source.columns) {
+            columns.push(await this.createColumn(stats.board.id, { title: columnDef.title }));
+            stats.columns++;
+        }
+
+        let backlogCount = 0;
+        for (const cardDef of source.cards) {
+            try {
+                // Backlog cards are created in the first column and moved to the backlog
+                const card = await this.createCard(columns[cardDef.is_backlog ? 0 : cardDef.column_index].id, {
+                    title: cardDef.title,
+                    description: cardDef.description,
+                    priority: cardDef.priority,
+                    due_date: cardDef.due_date,
+                    labels: cardDef.labels
+                });
+                if (cardDef.is_backlog) {
+                    await this.dataService.updateKanbanCard(card.id, { column_id: null, is_backlog: true, order_index: backlogCount++ });
+                }
+                if (cardDef.pomodoro_count > 0) {
+                    await this.dataService.updateKanbanCard(card.id, { pomodoro_count: cardDef.pomodoro_count });
+                }
+                stats.cards++;
+
+                for (const itemDef of cardDef.checklist) {
+                    const { item } = await this.createChecklistItem(card.id, itemDef.text);
+                    if (itemDef.is_completed) {
+                        await this.updateChecklistItem(item.id, { is_completed: true });
+                    }
+                    stats.checklistItems++;
+                }
+
+                for (const text of cardDef.comments) {
+                    await this.createComment(card.id, text);
+                    stats.comments++;
+                }
+            } catch (error) {
+                stats.errors.push(`"${cardDef.title}": ${error.message}`);
+            }
+        }
+
+        return stats;
+    }
+
+    // ==================== EXPORT OPERATIONS ====================
+    // The file formats are written by js/board-export.js from the shape built here.
+
+    /**
+     * Collect a board for export: its columns, the cards in them and the backlog
+     * (not the archive) with checklists and comments
+     * @param {string} boardId - Board ID
+     * @returns {Promise<Object>} Exported board (see js/board-export.js)
+     */
+    async getBoardExport(boardId) {
+        const board = await this.getBoard(boardId);
+        if (!board) {
+            throw new Error('Board not found');
+        }
+
+        const columns = [...board.columns].sort((a, b) => a.order_index - b.order_index);
+        const columnIndex = new Map(columns.map((column, index) => [column.id, index]));
+        // Backlog cards come after the cards of the last column
+        const position = card => (card.is_backlog ? columns.length : columnIndex.get(card.column_id));
+        const cards = board.cards
+            .filter(card => card.is_backlog || columnIndex.has(card.column_id))
+            .sort((a, b) => position(a) - position(b) || a.order_index - b.order_index);
+
+        const exportedCards = [];
+        for (const card of cards) {
+            const { items } = await this.getChecklistItems(card.id);
+            const { comments } = await this.getComments(card.id);
+
+            exportedCards.push({
+                column_index: card.is_backlog ? null : columnIndex.get(card.column_id),
+                is_backlog: !!card.is_backlog,
+                title: card.title,
+                description: card.description || null,
+                priority: card.priority || null,
+                due_date: card.due_date || null,
+                labels: card.labels || [],
+                checklist: [...items]
+                    .sort((a, b) => a.order_index - b.order_index)
+                    .map(item => ({ text: item.text, is_completed: !!item.is_completed })),
+                // Comments are stored newest first; the file reads oldest first
+                comments: [...comments]
+                    .sort((a, b) => (a.created_at || '').localeCompare(b.created_at || ''))
+                    .map(comment => comment.text),
+                pomodoro_count: card.pomodoro_count || 0
+            });
+        }
+
+        return {
+            title: board.title,
+            description: board.description || null,
+            columns: columns.map(column => ({ title: column.title, is_done: this.isDoneColumn(column) })),
+            cards: exportedCards
+        };
+    }
+
+    /**
+     * Export a board as a file
+     * @param {string} boardId - Board ID
+     * @param {string} format - Key of BOARD_EXPORT_FORMATS: 'csv', 'markdown' or 'json'
+     * @returns {Promise<Object>} { content, filename, mimeType }
+     */
+    async exportBoard(boardId, format) {
+        const fileFormat = BOARD_EXPORT_FORMATS[format];
+        if (!fileFormat) {
+            throw new Error(`Unknown export format: ${format}`);
+        }
+
+        const board = await this.getBoardExport(boardId);
+        let content;
+        if (format === 'csv') {
+            content = buildBoardCSV(board);
+        } else if (format === 'markdown') {
+            content = buildBoardMarkdown(board);
+        } else {
+            content = JSON.stringify(buildBoardJSON(board), null, 2);
+        }
+
+        const slug = board.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'board';
+        return {
+            content,
+            filename: `${slug}-${formatDate(new Date())}.${fileFormat.extension}`,
+            mimeType: fileFormat.mimeType
+        };
+    }
+
+    // ==================== ACTIVITY LOG OPERATIONS ====================
+
+    /**
+     * Get activity log for a card
+     * @param {string} cardId - Card ID
+     * @returns {Promise<Array>} Activity entries sorted by created_at descending
+     */
+    async getActivityLog(cardId) {
+        return await this.dataService.getActivityLog(cardId);
+    }
+
+    /**
+     * Log an activity entry
+     * @param {string} cardId - Card ID
+     * @param {string} actionType - Type of action (from ACTIVITY_TYPES)
+     * @param {Object} actionData - Additional data about the action
+     * @returns {Promise<Object>} Created activity entry
+     */
+    async logActivity(cardId, actionType, actionData = {}) {
+        const entry = {
+            card_id: cardId,
+            action_type: actionType,
+            action_data: actionData
+        };
+
+        return await this.dataService.createActivityEntry(entry);
+    }
+
+    // ==================== BACKLOG OPERATIONS ====================
+
+    /**
+     * Get backlog cards for a board
+     * @param {string} boardId - Board ID
+     * @returns {Promise<Array>} Array of backlog cards sorted by order_index
+     */
+    async getBacklog(boardId) {
+        const allCards = await this.dataService.getKanbanCards(boardId);
+        return allCards
+            .filter(c => c.is_backlog && !c.archived_at)
+            .sort((a, b) => a.order_index - b.order_index);
+    }
+
+    /**
+     * Reorder backlog cards
+     * @param {string} boardId - Board ID
+     * @param {Array<string>} cardOrder - Array of card IDs in desired order
+     * @returns {Promise<Array>} Updated backlog cards
+     */
+    async reorderBacklog(boardId, cardOrder) {
+        const allCards = await this.dataService.getKanbanCards(boardId);
+        const backlogCards = allCards.filter(c => c.is_backlog && !c.archived_at);
+        const updatedCards = [];
+
+        for (let i = 0; i < cardOrder.length; i++) {
+            const cardId = cardOrder[i];
+            const card = backlogCards.find(c => c.id === cardId);
+            if (card && card.order_index !== i) {
+                const updated = await this.dataService.updateKanbanCard(cardId, {
+                    order_index: i
+                });
+                updatedCards.push(updated);
+            } else if (card) {
+                updatedCards.push(card);
+            }
+        }
+
+        return updatedCards.sort((a, b) => a.order_index - b.order_index);
+    }
+
+    // ==================== INTEGRATION METHODS ====================
+
+    /**
+     * Link a card to an annual goal
+     * @param {string} cardId - Card ID
+     * @param {string} goalId - Goal ID
+     * @returns {Promise<Object>} Updated card
+     */
+    async linkCardToGoal(cardId, goalId) {
+        return await this.dataService.updateKanbanCard(cardId, {
+            linked_goal_id: goalId
+        });
+    }
+
+    /**
+     * Start a Pomodoro session for a card
+     * @param {string} cardId - Card ID
+     * @returns {Promise<Object>} Card data for Pomodoro integration
+     */
+    async startPomodoroForCard(cardId) {
+        const card = await this.dataService.getKanbanCard(cardId);
+        if (!card) {
+            throw new Error('Card not found');
+        }
+
+        // Return card data that can be used by Pomodoro timer
+        return {
+            cardId: card.id,
+            title: card.title,
+            boardId: card.board_id
+        };
+    }
+
+    /**
+     * Increment Pomodoro count for a card
+     * @param {string} cardId - Card ID
+     * @returns {Promise<Object>} Updated card
+     */
+    async incrementPomodoroCount(cardId) {
+        const card = await this.dataService.getKanbanCard(cardId);
+        if (!card) {
+            throw new Error('Card not found');
+        }
+
+        return await this.dataService.updateKanbanCard(cardId, {
+            pomodoro_count: (card.pomodoro_count || 0) + 1
+        });
+    }
+
+    /**
+     * Get Pomodoro stats for a card
+     * On boards that estimate in pomodoros the stats compare the estimate with the
+     * sessions done; estimatedPomodoros and remainingPomodoros are null otherwise.
+     * @param {string} cardId - Card ID
+     * @returns {Promise<Object>} Pomodoro stats
+     */
+    async getCardPomodoroStats(cardId) {
+        const card = await this.dataService.getKanbanCard(cardId);
+        if (!card) {
+            throw new Error('Card not found');
+        }
+
+        const board = await this.dataService.getKanbanBoard(card.board_id);
+        return {
+            cardId: card.id,
+            title: card.title,
+            pomodoroCount: card.pomodoro_count || 0,
+            // Assuming 25 minutes per pomodoro
+            totalMinutes: (card.pomodoro_count || 0) * 25,
+            ...this.compareEstimate(card, this.getEstimateUnit(board))
+        };
+    }
+
+    /**
+     * Compare a card's estimate with the pomodoros spent on it
+     * @param {Object} card - Card
+     * @param {string} unit - The board's estimate unit (ESTIMATE_UNITS)
+     * @returns {Object} { estimate, estimateUnit, estimatedPomodoros, remainingPomodoros, overEstimate }
+     */
+    compareEstimate(card, unit) {
+        const estimate = card.estimate === null || card.estimate === undefined ? null : Number(card.estimate);
+        const estimatedPomodoros = unit === ESTIMATE_UNITS.POMODOROS ? estimate : null;
+        const actual = card.pomodoro_count || 0;
+
+        return {
+            estimate,
+            estimateUnit: unit,
+            estimatedPomodoros,
+            remainingPomodoros: estimatedPomodoros === null ? null : Math.max(0, estimatedPomodoros - actual),
+            overEstimate: estimatedPomodoros !== null && actual > estimatedPomodoros
+        };
+    }
+
+    // ==================== FILTERING ====================
+
+    /**
+     * Filter cards based on criteria
+     * Requirements: 7.2, 7.3, 7.4
+     * @param {Array} cards - Array of cards to filter
+     * @param {Object} filters - Filter criteria (CardFilters type)
      * @param {string} [filters.search] - Search query
      * @param {'high'|'medium'|'low'} [filters.priority] - Priority filter
      * @param {string[]} [filters.labels] - Label names to filter by
@@ -1427,6 +3535,90 @@ class KanbanService {
         return allColumns;
     }
 
+    /**
+     * Get the IDs of a board's done columns
+     * @param {Array} columns - Board columns
+     * @returns {Set<string>} Column IDs
+     * @private
+     */
+    _getDoneColumnIds(columns) {
+        return new Set(columns.filter(column => this.isDoneColumn(column)).map(column => column.id));
+    }
+
+    /**
+     * Load the columns, cards and dependencies that decide which cards of a board are blocked
+     * Callers reuse the cards and columns for their own work and derive the state after
+     * their change from it, so a change reads the board once.
+     * @param {string} boardId - Board ID
+     * @returns {Promise<Object>} { columns, cards, dependencies }, archived items included
+     * @private
+     */
+    async _getBlockingData(boardId) {
+        const columns = await this.dataService.getKanbanColumns(boardId);
+        const cards = await this.dataService.getKanbanCards(boardId);
+        const dependencies = await this.dataService.getCardDependencies((cards || []).map(c => c.id)).catch(error => {
+            console.warn('Card dependencies unavailable:', error.message);
+            return [];
+        });
+
+        return { columns: columns || [], cards: cards || [], dependencies: dependencies || [] };
+    }
+
+    /**
+     * Replace a card or column in a list with its updated version
+     * @param {Array} items - Cards or columns
+     * @param {Object} updated - Item as returned by the update
+     * @returns {Array} Items with the updated one in place
+     * @private
+     */
+    _withUpdated(items, updated) {
+        return items.map(item => (item.id === updated.id ? { ...item, ...updated } : item));
+    }
+
+    /**
+     * Get the open blockers of every card on a board, for comparing before and after a change
+     * Archived cards and cards in archived columns are left out, as in getBoard.
+     * @param {Object} data - Columns, cards and dependencies (from _getBlockingData)
+     * @returns {Map<string, Array>} Card ID -> open blocker cards
+     * @private
+     */
+    _getBlockedStates({ columns, cards, dependencies }) {
+        const archivedColumnIds = new Set(columns.filter(c => c.archived_at).map(c => c.id));
+        const boardCards = cards.filter(c => !c.archived_at && !archivedColumnIds.has(c.column_id));
+        const openBlockers = this.getOpenBlockersByCard({
+            columns: columns.filter(c => !c.archived_at),
+            cards: boardCards,
+            dependencies
+        });
+
+        return new Map(boardCards.map(card => [card.id, openBlockers.get(card.id) || []]));
+    }
+
+    /**
+     * Log 'card_blocked' / 'card_unblocked' for cards whose blocked state changed
+     * @param {Object} before - Columns, cards and dependencies before the change
+     * @param {Object} after - The same data with the change applied
+     * @private
+     */
+    async _logBlockedChanges(before, after) {
+        try {
+            const beforeStates = this._getBlockedStates(before);
+            const afterStates = this._getBlockedStates(after);
+
+            for (const [cardId, blockers] of afterStates) {
+                const wasBlocked = (beforeStates.get(cardId) || []).length > 0;
+                const isBlocked = blockers.length > 0;
+                if (wasBlocked === isBlocked) continue;
+
+                await this.logActivity(cardId,
+                    isBlocked ? ACTIVITY_TYPES.CARD_BLOCKED : ACTIVITY_TYPES.CARD_UNBLOCKED,
+                    isBlocked ? { blocker_titles: blockers.map(blocker => blocker.title) } : {});
+            }
+        } catch (error) {
+            console.warn('Failed to log blocked state changes:', error);
+        }
+    }
+
     /**
      * Reindex columns in a board to ensure sequential order indices
      * Requirement 2.2: Order indices must be sequential with no gaps
@@ -1435,7 +3627,10 @@ class KanbanService {
      */
     async _reindexColumns(boardId) {
         const columns = await this.dataService.getKanbanColumns(boardId);
-        const sortedColumns = columns.sort((a, b) => a.order_index - b.order_index);
+        // Archived columns keep their index so they can be restored to it
+        const sortedColumns = columns
+            .filter(c => !c.archived_at)
+            .sort((a, b) => a.order_index - b.order_index);
 
         for (let i = 0; i < sortedColumns.length; i++) {
             if (sortedColumns[i].order_index !== i) {
@@ -1454,8 +3649,9 @@ class KanbanService {
      */
     async _reindexCardsInColumn(boardId, columnId) {
         const allCards = await this.dataService.getKanbanCards(boardId);
+        // Archived cards keep their index so they can be restored to it
         const columnCards = allCards
-            .filter(c => c.column_id === columnId && !c.is_backlog)
+            .filter(c => c.column_id === columnId && !c.is_backlog && !c.archived_at)
             .sort((a, b) => a.order_index - b.order_index);
 
         for (let i = 0; i < columnCards.length; i++) {
@@ -1475,7 +3671,7 @@ class KanbanService {
     async _reindexBacklog(boardId) {
         const allCards = await this.dataService.getKanbanCards(boardId);
         const backlogCards = allCards
-            .filter(c => c.is_backlog)
+            .filter(c => c.is_backlog && !c.archived_at)
             .sort((a, b) => a.order_index - b.order_index);
 
         for (let i = 0; i < backlogCards.length; i++) {
@@ -1548,37 +3744,45 @@ class KanbanService {
         }
     }
 
-    /**
-     * Get available templates
-     * @returns {Object} Template definitions
-     */
-    getTemplates() {
-        return BOARD_TEMPLATES;
-    }
-
     /**
      * Check if a column is over its WIP limit
+     * When a swimlane is given, the cards of that lane are also counted against the
+     * column's per-lane limit (lane_wip_limit).
      * @param {string} columnId - Column ID
      * @param {string} boardId - Board ID
-     * @returns {Promise<Object>} WIP status { isOverLimit, currentCount, wipLimit }
+     * @param {string} [laneKey] - Swimlane key (see getCardLaneKey)
+     * @returns {Promise<Object>} WIP status { isOverLimit, currentCount, wipLimit }, plus
+     *   { laneCount, laneWipLimit, isLaneOverLimit } when laneKey is given
      */
-    async checkWipLimit(columnId, boardId) {
+    async checkWipLimit(columnId, boardId, laneKey) {
         const columns = await this.dataService.getKanbanColumns(boardId);
         const column = columns.find(c => c.id === columnId);
 
-        if (!column || !column.wip_limit) {
+        if (!column || (!column.wip_limit && laneKey === undefined)) {
             return { isOverLimit: false, currentCount: 0, wipLimit: null };
         }
 
         const allCards = await this.dataService.getKanbanCards(boardId);
-        const columnCards = allCards.filter(c => c.column_id === columnId && !c.is_backlog);
+        const columnCards = allCards.filter(c => c.column_id === columnId && !c.is_backlog && !c.archived_at);
         const currentCount = columnCards.length;
 
-        return {
-            isOverLimit: currentCount >= column.wip_limit,
+        const status = {
+            isOverLimit: column.wip_limit ? currentCount >= column.wip_limit : false,
             currentCount,
-            wipLimit: column.wip_limit
+            wipLimit: column.wip_limit || null
         };
+
+        if (laneKey !== undefined) {
+            const board = await this.dataService.getKanbanBoard(boardId);
+            const field = this.getSwimlaneSettings(board)?.field;
+            const laneCount = columnCards.filter(card => this.getCardLaneKey(card, field) === laneKey).length;
+
+            status.laneCount = laneCount;
+            status.laneWipLimit = column.lane_wip_limit || null;
+            status.isLaneOverLimit = column.lane_wip_limit ? laneCount >= column.lane_wip_limit : false;
+        }
+
+        return status;
     }
 }
 
@@ -1586,8 +3790,8 @@ class KanbanService {
 const kanbanService = new KanbanService();
 export default kanbanService;
 
-// Also export the class, templates, and activity types for testing
-export { KanbanService, BOARD_TEMPLATES, ACTIVITY_TYPES };
+// Also export the class, templates, activity types, swimlane and automation constants
+export { KanbanService, BOARD_TEMPLATES, ACTIVITY_TYPES, SWIMLANE_FIELDS, NO_LANE, AUTOMATION_TRIGGERS, AUTOMATION_ACTIONS, ESTIMATE_UNITS };
 
 // Make available globally for non-module scripts
 if (typeof window !== 'undefined') {
@@ -1595,4 +3799,8 @@ if (typeof window !== 'undefined') {
     window.kanbanService = kanbanService;
     window.BOARD_TEMPLATES = BOARD_TEMPLATES;
     window.ACTIVITY_TYPES = ACTIVITY_TYPES;
+    window.SWIMLANE_FIELDS = SWIMLANE_FIELDS;
+    window.AUTOMATION_TRIGGERS = AUTOMATION_TRIGGERS;
+    window.AUTOMATION_ACTIONS = AUTOMATION_ACTIONS;
+    window.ESTIMATE_UNITS = ESTIMATE_UNITS;
 }
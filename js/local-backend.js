@@ -0,0 +1,601 @@
+/**
+ * Local Backend - Supabase-compatible client backed by IndexedDB
+ * Implements the subset of the supabase-js API used by the services
+ * (query builder, auth, storage) so the planner can run local-only when
+ * STORAGE_BACKEND is 'local' in js/config.js. Without IndexedDB (Node tests)
+ * the data lives in memory with the same query semantics.
+ */
+
+const LOCAL_DB_NAME = 'DailyPlannerLocal';
+const LOCAL_DB_VERSION = 1;
+const TABLES_STORE = 'tables';
+
+// Storage buckets are kept as tables with this prefix
+const BUCKET_TABLE_PREFIX = '__storage_';
+
+// The single user of a local database
+const LOCAL_USER = {
+    id: '00000000-0000-4000-8000-000000000001',
+    email: 'local@localhost',
+    aud: 'authenticated',
+    role: 'authenticated',
+    user_metadata: {},
+    app_metadata: { provider: 'local' }
+};
+
+// ON DELETE behaviour of foreign keys, mirroring database/*.sql
+const FOREIGN_KEYS = [
+    { table: 'daily_habit_completions', column: 'habit_id', references: 'daily_habits', onDelete: 'cascade' },
+    { table: 'weekly_habit_completions', column: 'habit_id', references: 'weekly_habits', onDelete: 'cascade' },
+    { table: 'daily_habits', column: 'linked_goal_id', references: 'annual_goals', onDelete: 'set null' },
+    { table: 'challenge_habits', column: 'challenge_id', references: 'interval_challenges', onDelete: 'cascade' },
+    { table: 'challenge_completions', column: 'habit_id', references: 'challenge_habits', onDelete: 'cascade' },
+    { table: 'challenge_completions', column: 'challenge_id', references: 'interval_challenges', onDelete: 'cascade' },
+    { table: 'kanban_boards', column: 'category_id', references: 'custom_categories', onDelete: 'set null' },
+    { table: 'kanban_columns', column: 'board_id', references: 'kanban_boards', onDelete: 'cascade' },
+    { table: 'kanban_cards', column: 'board_id', references: 'kanban_boards', onDelete: 'cascade' },
+    { table: 'kanban_cards', column: 'column_id', references: 'kanban_columns', onDelete: 'set null' },
+    { table: 'kanban_cards', column: 'linked_goal_id', references: 'annual_goals', onDelete: 'set null' },
+    { table: 'kanban_cards', column: 'linked_habit_id', references: 'daily_habits', onDelete: 'set null' },
+    { table: 'kanban_cards', column: 'recurrence_id', references: 'kanban_card_recurrences', onDelete: 'set null' },
+    { table: 'kanban_card_recurrences', column: 'board_id', references: 'kanban_boards', onDelete: 'cascade' },
+    { table: 'kanban_card_recurrences', column: 'column_id', references: 'kanban_columns', onDelete: 'set null' },
+    { table: 'kanban_checklist_items', column: 'card_id', references: 'kanban_cards', onDelete: 'cascade' },
+    { table: 'kanban_attachments', column: 'card_id', references: 'kanban_cards', onDelete: 'cascade' },
+    { table: 'kanban_comments', column: 'card_id', references: 'kanban_cards', onDelete: 'cascade' },
+    { table: 'kanban_activity_log', column: 'card_id', references: 'kanban_cards', onDelete: 'cascade' },
+    { table: 'kanban_card_dependencies', column: 'card_id', references: 'kanban_cards', onDelete: 'cascade' },
+    { table: 'kanban_card_dependencies', column: 'blocker_card_id', references: 'kanban_cards', onDelete: 'cascade' },
+    { table: 'mindmap_nodes', column: 'mindmap_id', references: 'mindmaps', onDelete: 'cascade' },
+    { table: 'mindmap_nodes', column: 'parent_id', references: 'mindmap_nodes', onDelete: 'set null' },
+    { table: 'flowchart_nodes', column: 'flowchart_id', references: 'flowcharts', onDelete: 'cascade' },
+    { table: 'flowchart_edges', column: 'flowchart_id', references: 'flowcharts', onDelete: 'cascade' },
+    { table: 'flowchart_edges', column: 'source_node_id', references: 'flowchart_nodes', onDelete: 'cascade' },
+    { table: 'flowchart_edges', column: 'target_node_id', references: 'flowchart_nodes', onDelete: 'cascade' },
+    { table: 'pomodoro_sessions', column: 'linked_goal_id', references: 'annual_goals', onDelete: 'set null' },
+    { table: 'pomodoro_sessions', column: 'linked_time_block_id', references: 'time_blocks', onDelete: 'set null' },
+    { table: 'time_blocks', column: 'recurrence_parent_id', references: 'time_blocks', onDelete: 'cascade' },
+    { table: 'calendar_events', column: 'recurrence_parent_id', references: 'calendar_events', onDelete: 'cascade' }
+];
+
+/**
+ * Generate a UUID for new rows
+ * @returns {string} UUID v4
+ */
+function generateUUID() {
+    if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+        return crypto.randomUUID();
+    }
+    return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (c) => {
+        const r = Math.random() * 16 | 0;
+        return (c === 'x' ? r : (r & 0x3 | 0x8)).toString(16);
+    });
+}
+
+/**
+ * Build an error shaped like a PostgREST error
+ */
+function backendError(message, code) {
+    return { message, code };
+}
+
+/**
+ * Compare two column values the way Postgres orders them
+ * @returns {number} Negative, zero or positive
+ */
+function compareValues(a, b) {
+    if (typeof a === 'number' && typeof b === 'number') return a - b;
+    if (typeof a === 'boolean' && typeof b === 'boolean') return Number(a) - Number(b);
+    const left = String(a);
+    const right = String(b);
+    return left < right ? -1 : left > right ? 1 : 0;
+}
+
+/**
+ * Convert a SQL LIKE pattern into a regular expression
+ */
+function likeToRegExp(pattern, flags = '') {
+    const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`^${escaped.replace(/%/g, '.*').replace(/_/g, '.')}$`, flags);
+}
+
+/**
+ * Table storage shared by all clients of a local database
+ * Rows are held in memory and written through to IndexedDB one table at a time.
+ */
+class LocalDatabase {
+    constructor({ persist = typeof indexedDB !== 'undefined' } = {}) {
+        this.persist = persist;
+        this.tables = new Map();
+        this.db = null;
+    }
+
+    /**
+     * Open the IndexedDB database
+     */
+    async open() {
+        if (!this.persist || this.db) return this.db;
+
+        this.db = await new Promise((resolve, reject) => {
+            const request = indexedDB.open(LOCAL_DB_NAME, LOCAL_DB_VERSION);
+            request.onupgradeneeded = () => {
+                if (!request.result.objectStoreNames.contains(TABLES_STORE)) {
+                    request.result.createObjectStore(TABLES_STORE, { keyPath: 'name' });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        return this.db;
+    }
+
+    /**
+     * Get the rows of a table, loading it from IndexedDB on first use
+     * @param {string} name - Table name
+     * @returns {Promise<Map>} Rows keyed by ID
+     */
+    async getTable(name) {
+        if (this.tables.has(name)) return this.tables.get(name);
+
+        let rows = [];
+        if (this.persist) {
+            const db = await this.open();
+            const stored = await new Promise((resolve, reject) => {
+                const request = db.transaction(TABLES_STORE, 'readonly').objectStore(TABLES_STORE).get(name);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            rows = stored ? stored.rows : [];
+        }
+
+        // Another call may have loaded the table while we were waiting
+        if (!this.tables.has(name)) {
+            this.tables.set(name, new Map(rows.map(row => [row.id, row])));
+        }
+        return this.tables.get(name);
+    }
+
+    /**
+     * Write a table back to IndexedDB
+     * @param {string} name - Table name
+     */
+    async saveTable(name) {
+        if (!this.persist) return;
+
+        const db = await this.open();
+        const rows = [...this.tables.get(name).values()];
+        await new Promise((resolve, reject) => {
+            const transaction = db.transaction(TABLES_STORE, 'readwrite');
+            transaction.objectStore(TABLES_STORE).put({ name, rows });
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Delete rows and apply ON DELETE rules to rows that reference them
+     * @param {string} name - Table name
+     * @param {Array<string>} ids - IDs of deleted rows
+     */
+    async deleteRows(name, ids) {
+        const table = await this.getTable(name);
+        ids.forEach(id => table.delete(id));
+        await this.saveTable(name);
+
+        const deleted = new Set(ids);
+        for (const fk of FOREIGN_KEYS.filter(k => k.references === name)) {
+            const children = await this.getTable(fk.table);
+            const affected = [...children.values()].filter(row => deleted.has(row[fk.column]));
+            if (affected.length === 0) continue;
+
+            if (fk.onDelete === 'cascade') {
+                await this.deleteRows(fk.table, affected.map(row => row.id));
+            } else {
+                affected.forEach(row => children.set(row.id, { ...row, [fk.column]: null }));
+                await this.saveTable(fk.table);
+            }
+        }
+    }
+}
+
+/**
+ * Query builder with the supabase-js chaining API
+ * The query runs when the builder is awaited.
+ */
+class LocalQueryBuilder {
+    constructor(database, table) {
+        this.database = database;
+        this.table = table;
+        this.operation = 'select';
+        this.values = null;
+        this.options = {};
+        this.columns = '*';
+        this.returning = false;
+        this.countMode = null;
+        this.head = false;
+        this.filters = [];
+        this.orders = [];
+        this.rangeFrom = null;
+        this.rangeTo = null;
+        this.resultMode = 'many';
+    }
+
+    // ---------- Operations ----------
+
+    select(columns = '*', { count = null, head = false } = {}) {
+        if (this.operation === 'select') {
+            this.columns = columns;
+            this.countMode = count;
+            this.head = head;
+        } else {
+            // insert/update/upsert/delete(...).select() returns the affected rows
+            this.returning = true;
+            this.columns = columns;
+        }
+        return this;
+    }
+
+    insert(values) {
+        this.operation = 'insert';
+        this.values = Array.isArray(values) ? values : [values];
+        return this;
+    }
+
+    upsert(values, { onConflict = 'id', ignoreDuplicates = false } = {}) {
+        this.operation = 'upsert';
+        this.values = Array.isArray(values) ? values : [values];
+        this.options = { onConflict, ignoreDuplicates };
+        return this;
+    }
+
+    update(values) {
+        this.operation = 'update';
+        this.values = values;
+        return this;
+    }
+
+    delete() {
+        this.operation = 'delete';
+        return this;
+    }
+
+    // ---------- Filters ----------
+
+    eq(column, value) {
+        this.filters.push(row => row[column] !== null && row[column] !== undefined && compareValues(row[column], value) === 0);
+        return this;
+    }
+
+    neq(column, value) {
+        this.filters.push(row => row[column] !== null && row[column] !== undefined && compareValues(row[column], value) !== 0);
+        return this;
+    }
+
+    gt(column, value) {
+        this.filters.push(row => row[column] != null && compareValues(row[column], value) > 0);
+        return this;
+    }
+
+    gte(column, value) {
+        this.filters.push(row => row[column] != null && compareValues(row[column], value) >= 0);
+        return this;
+    }
+
+    lt(column, value) {
+        this.filters.push(row => row[column] != null && compareValues(row[column], value) < 0);
+        return this;
+    }
+
+    lte(column, value) {
+        this.filters.push(row => row[column] != null && compareValues(row[column], value) <= 0);
+        return this;
+    }
+
+    in(column, values) {
+        this.filters.push(row => row[column] != null && values.some(v => compareValues(row[column], v) === 0));
+        return this;
+    }
+
+    is(column, value) {
+        this.filters.push(row => (value === null ? row[column] == null : row[column] === value));
+        return this;
+    }
+
+    not(column, operator, value) {
+        const builder = new LocalQueryBuilder(this.database, this.table);
+        builder[operator](column, value);
+        const [test] = builder.filters;
+        this.filters.push(row => !test(row));
+        return this;
+    }
+
+    like(column, pattern) {
+        const regex = likeToRegExp(pattern);
+        this.filters.push(row => row[column] != null && regex.test(String(row[column])));
+        return this;
+    }
+
+    ilike(column, pattern) {
+        const regex = likeToRegExp(pattern, 'i');
+        this.filters.push(row => row[column] != null && regex.test(String(row[column])));
+        return this;
+    }
+
+    match(query) {
+        Object.entries(query).forEach(([column, value]) => this.eq(column, value));
+        return this;
+    }
+
+    // ---------- Modifiers ----------
+
+    order(column, { ascending = true, nullsFirst = !ascending } = {}) {
+        this.orders.push({ column, ascending, nullsFirst });
+        return this;
+    }
+
+    range(from, to) {
+        this.rangeFrom = from;
+        this.rangeTo = to;
+        return this;
+    }
+
+    limit(count) {
+        this.rangeFrom = this.rangeFrom ?? 0;
+        this.rangeTo = this.rangeFrom + count - 1;
+        return this;
+    }
+
+    single() {
+        this.resultMode = 'single';
+        return this;
+    }
+
+    maybeSingle() {
+        this.resultMode = 'maybeSingle';
+        return this;
+    }
+
+    then(resolve, reject) {
+        return this.execute().then(resolve, reject);
+    }
+
+    // ---------- Execution ----------
+
+    /**
+     * Run the query
+     * @returns {Promise<Object>} { data, error, count }
+     */
+    async execute() {
+        try {
+            const table = await this.database.getTable(this.table);
+            let rows;
+
+            switch (this.operation) {
+                case 'insert':
+                    rows = await this.runInsert(table);
+                    break;
+                case 'upsert':
+                    rows = await this.runUpsert(table);
+                    break;
+                case 'update':
+                    rows = await this.runUpdate(table);
+                    break;
+                case 'delete':
+                    rows = await this.runDelete(table);
+                    break;
+                default:
+                    rows = this.applyFilters(table);
+            }
+
+            if (this.operation !== 'select' && !this.returning) {
+                return { data: null, error: null, count: null };
+            }
+
+            rows = this.applyOrder(rows);
+            const count = this.countMode ? rows.length : null;
+            if (this.rangeFrom !== null) {
+                rows = rows.slice(this.rangeFrom, this.rangeTo + 1);
+            }
+            rows = rows.map(row => this.pickColumns(row));
+
+            if (this.head) return { data: null, error: null, count };
+
+            if (this.resultMode !== 'many') {
+                if (rows.length > 1) {
+                    return { data: null, error: backendError('JSON object requested, multiple (or no) rows returned', 'PGRST116'), count };
+                }
+                if (rows.length === 0) {
+                    return this.resultMode === 'maybeSingle'
+                        ? { data: null, error: null, count }
+                        : { data: null, error: backendError('JSON object requested, multiple (or no) rows returned', 'PGRST116'), count };
+                }
+                return { data: rows[0], error: null, count };
+            }
+
+            return { data: rows, error: null, count };
+        } catch (error) {
+            return { data: null, error: backendError(error.message, error.code || 'LOCAL'), count: null };
+        }
+    }
+
+    applyFilters(table) {
+        return [...table.values()].filter(row => this.filters.every(filter => filter(row)));
+    }
+
+    applyOrder(rows) {
+        if (this.orders.length === 0) return rows;
+        return [...rows].sort((a, b) => {
+            for (const { column, ascending, nullsFirst } of this.orders) {
+                const left = a[column];
+                const right = b[column];
+                if (left == null && right == null) continue;
+                if (left == null) return nullsFirst ? -1 : 1;
+                if (right == null) return nullsFirst ? 1 : -1;
+                const result = compareValues(left, right);
+                if (result !== 0) return ascending ? result : -result;
+            }
+            return 0;
+        });
+    }
+
+    pickColumns(row) {
+        const columns = this.columns.split(',').map(c => c.trim()).filter(Boolean);
+        if (columns.length === 0 || columns.includes('*')) return { ...row };
+        return Object.fromEntries(columns.map(c => [c, row[c] ?? null]));
+    }
+
+    /**
+     * Apply the column defaults the database would fill in
+     */
+    withDefaults(values) {
+        const now = new Date().toISOString();
+        return {
+            ...values,
+            id: values.id || generateUUID(),
+            created_at: values.created_at || now,
+            updated_at: values.updated_at || now
+        };
+    }
+
+    async runInsert(table) {
+        const rows = this.values.map(values => this.withDefaults(values));
+        for (const row of rows) {
+            if (table.has(row.id)) {
+                throw Object.assign(new Error(`duplicate key value violates unique constraint "${this.table}_pkey"`), { code: '23505' });
+            }
+        }
+        rows.forEach(row => table.set(row.id, row));
+        await this.database.saveTable(this.table);
+        return rows;
+    }
+
+    async runUpsert(table) {
+        const conflictColumns = this.options.onConflict.split(',').map(c => c.trim());
+        const rows = [];
+
+        for (const values of this.values) {
+            const existing = [...table.values()].find(row =>
+                conflictColumns.every(column => values[column] !== undefined && row[column] === values[column]));
+
+            if (existing) {
+                if (this.options.ignoreDuplicates) continue;
+                const updated = { ...existing, ...values, id: existing.id, updated_at: values.updated_at || new Date().toISOString() };
+                table.set(existing.id, updated);
+                rows.push(updated);
+            } else {
+                const row = this.withDefaults(values);
+                table.set(row.id, row);
+                rows.push(row);
+            }
+        }
+
+        await this.database.saveTable(this.table);
+        return rows;
+    }
+
+    async runUpdate(table) {
+        const now = new Date().toISOString();
+        const rows = this.applyFilters(table).map(row => ({
+            ...row,
+            ...this.values,
+            id: row.id,
+            updated_at: this.values.updated_at || now
+        }));
+        rows.forEach(row => table.set(row.id, row));
+        await this.database.saveTable(this.table);
+        return rows;
+    }
+
+    async runDelete(table) {
+        const rows = this.applyFilters(table);
+        await this.database.deleteRows(this.table, rows.map(row => row.id));
+        return rows;
+    }
+}
+
+/**
+ * Storage bucket API backed by a local table of Blobs
+ */
+class LocalBucket {
+    constructor(database, name) {
+        this.database = database;
+        this.table = `${BUCKET_TABLE_PREFIX}${name}`;
+    }
+
+    async upload(path, file, { upsert = false } = {}) {
+        const files = await this.database.getTable(this.table);
+        if (files.has(path) && !upsert) {
+            return { data: null, error: backendError('The resource already exists', '409') };
+        }
+        files.set(path, { id: path, blob: file, created_at: new Date().toISOString() });
+        await this.database.saveTable(this.table);
+        return { data: { path }, error: null };
+    }
+
+    async remove(paths) {
+        const files = await this.database.getTable(this.table);
+        paths.forEach(path => files.delete(path));
+        await this.database.saveTable(this.table);
+        return { data: paths.map(name => ({ name })), error: null };
+    }
+
+    async download(path) {
+        const files = await this.database.getTable(this.table);
+        const file = files.get(path);
+        return file
+            ? { data: file.blob, error: null }
+            : { data: null, error: backendError('Object not found', '404') };
+    }
+
+    async createSignedUrl(path) {
+        const { data, error } = await this.download(path);
+        if (error) return { data: null, error };
+        return { data: { signedUrl: URL.createObjectURL(data) }, error: null };
+    }
+
+    getPublicUrl(path) {
+        // Object URLs need the Blob, which is only available asynchronously
+        const file = this.database.tables.get(this.table)?.get(path);
+        return { data: { publicUrl: file ? URL.createObjectURL(file.blob) : '' } };
+    }
+}
+
+/**
+ * Create a Supabase-compatible client backed by a local database
+ * @param {Object} options - { persist: boolean } (defaults to IndexedDB when available)
+ * @returns {Object} Client with from(), auth and storage
+ */
+export function createLocalClient(options = {}) {
+    const database = new LocalDatabase(options);
+    const session = {
+        access_token: 'local',
+        token_type: 'bearer',
+        expires_at: Number.MAX_SAFE_INTEGER,
+        user: LOCAL_USER
+    };
+
+    const auth = {
+        getUser: async () => ({ data: { user: LOCAL_USER }, error: null }),
+        getSession: async () => ({ data: { session }, error: null }),
+        refreshSession: async () => ({ data: { session, user: LOCAL_USER }, error: null }),
+        signInWithPassword: async () => ({ data: { session, user: LOCAL_USER }, error: null }),
+        signUp: async () => ({ data: { session, user: LOCAL_USER }, error: null }),
+        signOut: async () => ({ error: null }),
+        updateUser: async () => ({ data: { user: LOCAL_USER }, error: null }),
+        resetPasswordForEmail: async () => ({ data: {}, error: null }),
+        onAuthStateChange: (callback) => {
+            setTimeout(() => callback('SIGNED_IN', session), 0);
+            return { data: { subscription: { unsubscribe() {} } } };
+        }
+    };
+
+    return {
+        from: (table) => new LocalQueryBuilder(database, table),
+        auth,
+        storage: {
+            from: (bucket) => new LocalBucket(database, bucket)
+        }
+    };
+}
+
+export { LOCAL_USER };
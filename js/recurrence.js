@@ -0,0 +1,414 @@
+/**
+ * Recurrence Rules
+ * Parses, formats and expands the subset of iCalendar (RFC 5545) RRULEs used by
+ * recurring time blocks and calendar events: FREQ=DAILY/WEEKLY/MONTHLY with
+ * INTERVAL, BYDAY, BYMONTHDAY, UNTIL and COUNT.
+ *
+ * A recurring row stores its first occurrence in `date` (the DTSTART), the rule in
+ * `recurrence_rule` and skipped dates in `recurrence_exceptions` (EXDATEs). Edited
+ * occurrences are separate rows pointing back via `recurrence_parent_id` and
+ * `recurrence_date`, with their original date listed as an exception.
+ */
+
+export const RECURRENCE_FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+
+// Indexed like Date.getUTCDay()
+export const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+export const RECURRENCE_SCOPES = {
+    THIS: 'this',
+    FOLLOWING: 'following',
+    ALL: 'all'
+};
+
+// Choices offered when editing or deleting a single occurrence
+export const RECURRENCE_SCOPE_CHOICES = [
+    { value: RECURRENCE_SCOPES.THIS, label: 'This occurrence' },
+    { value: RECURRENCE_SCOPES.FOLLOWING, label: 'This and following' },
+    { value: RECURRENCE_SCOPES.ALL, label: 'All occurrences' }
+];
+
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const ORDINAL_NAMES = { 1: '1st', 2: '2nd', 3: '3rd', 4: '4th', 5: '5th', '-1': 'last' };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Fields that describe the series itself rather than what happens on each date
+const SERIES_FIELDS = [
+    'id', 'user_id', 'created_at', 'updated_at',
+    'recurrence_rule', 'recurrence_exceptions', 'recurrence_parent_id', 'recurrence_date',
+    'series_id', 'series_start', 'occurrence_date'
+];
+
+function toUTCDate(dateStr) {
+    const [year, month, day] = dateStr.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day));
+}
+
+function toDateString(date) {
+    return date.toISOString().split('T')[0];
+}
+
+function daysInMonth(year, monthIndex) {
+    return new Date(Date.UTC(year, monthIndex + 1, 0)).getUTCDate();
+}
+
+/**
+ * Add days to a YYYY-MM-DD date
+ * @param {string} dateStr - Date in YYYY-MM-DD format
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} Date in YYYY-MM-DD format
+ */
+export function addDays(dateStr, days) {
+    const date = toUTCDate(dateStr);
+    date.setUTCDate(date.getUTCDate() + days);
+    return toDateString(date);
+}
+
+/**
+ * Whole days from one YYYY-MM-DD date to another
+ * @param {string} fromDate - Start date
+ * @param {string} toDate - End date
+ * @returns {number} Day difference (negative when toDate is earlier)
+ */
+export function daysBetween(fromDate, toDate) {
+    return Math.round((toUTCDate(toDate) - toUTCDate(fromDate)) / DAY_MS);
+}
+
+/**
+ * Parse an RRULE string
+ * @param {string} rule - e.g. "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;UNTIL=20261231"
+ * @returns {Object|null} { freq, interval, byDay: [{ day, ordinal }], byMonthDay, until, count } or null if unsupported
+ */
+export function parseRRule(rule) {
+    if (!rule || typeof rule !== 'string') return null;
+
+    const parsed = { freq: null, interval: 1, byDay: [], byMonthDay: [], until: null, count: null };
+
+    rule.trim().replace(/^RRULE:/i, '').split(';').forEach(part => {
+        const [key, value = ''] = part.split('=');
+        switch (key.trim().toUpperCase()) {
+            case 'FREQ':
+                parsed.freq = value.trim().toUpperCase();
+                break;
+            case 'INTERVAL':
+                parsed.interval = Math.max(1, parseInt(value, 10) || 1);
+                break;
+            case 'BYDAY':
+                parsed.byDay = value.split(',').map(token => {
+                    const match = token.trim().toUpperCase().match(/^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/);
+                    if (!match) return null;
+                    return {
+                        day: WEEKDAY_CODES.indexOf(match[2]),
+                        ordinal: match[1] ? parseInt(match[1], 10) : null
+                    };
+                }).filter(Boolean);
+                break;
+            case 'BYMONTHDAY':
+                parsed.byMonthDay = value.split(',')
+                    .map(day => parseInt(day, 10))
+                    .filter(day => day && Math.abs(day) <= 31);
+                break;
+            case 'UNTIL': {
+                const match = value.trim().match(/^(\d{4})-?(\d{2})-?(\d{2})/);
+                parsed.until = match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+                break;
+            }
+            case 'COUNT':
+                parsed.count = parseInt(value, 10) > 0 ? parseInt(value, 10) : null;
+                break;
+            default:
+                break;
+        }
+    });
+
+    return RECURRENCE_FREQUENCIES.includes(parsed.freq) ? parsed : null;
+}
+
+/**
+ * Format a parsed rule back into an RRULE string
+ * @param {Object} rule - Parsed rule (see parseRRule)
+ * @returns {string} RRULE string without the "RRULE:" prefix
+ */
+export function formatRRule(rule) {
+    const parts = [`FREQ=${rule.freq}`];
+
+    if (rule.interval && rule.interval > 1) {
+        parts.push(`INTERVAL=${rule.interval}`);
+    }
+    if (rule.byDay?.length) {
+        parts.push(`BYDAY=${rule.byDay.map(({ day, ordinal }) => `${ordinal || ''}${WEEKDAY_CODES[day]}`).join(',')}`);
+    }
+    if (rule.byMonthDay?.length) {
+        parts.push(`BYMONTHDAY=${rule.byMonthDay.join(',')}`);
+    }
+    if (rule.until) {
+        parts.push(`UNTIL=${rule.until.replace(/-/g, '')}`);
+    }
+    if (rule.count) {
+        parts.push(`COUNT=${rule.count}`);
+    }
+
+    return parts.join(';');
+}
+
+/**
+ * Candidate dates of one month for a MONTHLY rule
+ */
+function monthlyDates(rule, year, monthIndex, dtstart) {
+    const length = daysInMonth(year, monthIndex);
+    let days;
+
+    if (rule.byDay.length) {
+        days = [];
+        rule.byDay.forEach(({ day, ordinal }) => {
+            const first = (day - new Date(Date.UTC(year, monthIndex, 1)).getUTCDay() + 7) % 7 + 1;
+            const matches = [];
+            for (let d = first; d <= length; d += 7) matches.push(d);
+            if (ordinal) {
+                const pick = ordinal > 0 ? matches[ordinal - 1] : matches[matches.length + ordinal];
+                if (pick) days.push(pick);
+            } else {
+                days.push(...matches);
+            }
+        });
+        if (rule.byMonthDay.length) {
+            const monthDays = rule.byMonthDay.map(d => (d > 0 ? d : length + d + 1));
+            days = days.filter(d => monthDays.includes(d));
+        }
+    } else {
+        const monthDays = rule.byMonthDay.length ? rule.byMonthDay : [toUTCDate(dtstart).getUTCDate()];
+        days = monthDays.map(d => (d > 0 ? d : length + d + 1));
+    }
+
+    return [...new Set(days)]
+        .filter(d => d >= 1 && d <= length)
+        .sort((a, b) => a - b)
+        .map(d => toDateString(new Date(Date.UTC(year, monthIndex, d))));
+}
+
+/**
+ * Generate every date of a rule from dtstart up to lastDate, in order
+ * (exceptions and COUNT are applied by the caller)
+ */
+function* generateDates(rule, dtstart, lastDate) {
+    if (rule.freq === 'DAILY') {
+        for (let date = dtstart; date <= lastDate; date = addDays(date, rule.interval)) {
+            yield date;
+        }
+        return;
+    }
+
+    if (rule.freq === 'WEEKLY') {
+        // Weeks start on Monday (WKST=MO)
+        const offsets = (rule.byDay.length ? rule.byDay.map(d => d.day) : [toUTCDate(dtstart).getUTCDay()])
+            .map(day => (day + 6) % 7);
+        const sorted = [...new Set(offsets)].sort((a, b) => a - b);
+        const startOffset = (toUTCDate(dtstart).getUTCDay() + 6) % 7;
+
+        for (let week = addDays(dtstart, -startOffset); week <= lastDate; week = addDays(week, 7 * rule.interval)) {
+            for (const offset of sorted) {
+                const date = addDays(week, offset);
+                if (date > lastDate) return;
+                if (date >= dtstart) yield date;
+            }
+        }
+        return;
+    }
+
+    const start = toUTCDate(dtstart);
+    for (let months = 0; ; months += rule.interval) {
+        const monthStart = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + months, 1));
+        if (toDateString(monthStart) > lastDate) return;
+
+        for (const date of monthlyDates(rule, monthStart.getUTCFullYear(), monthStart.getUTCMonth(), dtstart)) {
+            if (date > lastDate) return;
+            if (date >= dtstart) yield date;
+        }
+    }
+}
+
+/**
+ * Expand a rule into the occurrence dates that fall inside a range
+ * @param {string|Object} rule - RRULE string or parsed rule
+ * @param {string} dtstart - First occurrence (YYYY-MM-DD)
+ * @param {string} rangeStart - Range start (YYYY-MM-DD, inclusive)
+ * @param {string} rangeEnd - Range end (YYYY-MM-DD, inclusive)
+ * @param {Array<string>} exceptions - Dates to skip
+ * @returns {Array<string>} Occurrence dates in order
+ */
+export function expandRRule(rule, dtstart, rangeStart, rangeEnd, exceptions = []) {
+    const parsed = typeof rule === 'string' ? parseRRule(rule) : rule;
+    if (!parsed) {
+        return dtstart >= rangeStart && dtstart <= rangeEnd ? [dtstart] : [];
+    }
+
+    const lastDate = parsed.until && parsed.until < rangeEnd ? parsed.until : rangeEnd;
+    const skipped = new Set(exceptions || []);
+    const dates = [];
+    let generated = 0;
+
+    for (const date of generateDates(parsed, dtstart, lastDate)) {
+        // COUNT includes excluded dates, as in RFC 5545
+        if (parsed.count && generated >= parsed.count) break;
+        generated++;
+        if (date >= rangeStart && !skipped.has(date)) {
+            dates.push(date);
+        }
+    }
+
+    return dates;
+}
+
+/**
+ * Build the id of a virtual occurrence
+ * @param {string} seriesId - ID of the recurring row
+ * @param {string} date - Occurrence date
+ * @returns {string} Occurrence ID
+ */
+export function getOccurrenceId(seriesId, date) {
+    return `${seriesId}@${date}`;
+}
+
+/**
+ * Expand recurring rows into one item per occurrence within a range.
+ * Non-recurring rows in the range are passed through unchanged.
+ * @param {Array<Object>} rows - Rows from time_blocks or calendar_events
+ * @param {string} rangeStart - Range start (YYYY-MM-DD)
+ * @param {string} rangeEnd - Range end (YYYY-MM-DD)
+ * @returns {Array<Object>} Rows and occurrences, each with a concrete `date`
+ */
+export function expandRecurringItems(rows, rangeStart, rangeEnd) {
+    const seen = new Set();
+    const items = [];
+
+    (rows || []).forEach(row => {
+        if (seen.has(row.id)) return;
+        seen.add(row.id);
+
+        if (!row.recurrence_rule) {
+            if (row.date >= rangeStart && row.date <= rangeEnd) {
+                items.push(row);
+            }
+            return;
+        }
+
+        expandRRule(row.recurrence_rule, row.date, rangeStart, rangeEnd, row.recurrence_exceptions).forEach(date => {
+            items.push({
+                ...row,
+                id: getOccurrenceId(row.id, date),
+                date,
+                series_id: row.id,
+                series_start: row.date,
+                occurrence_date: date
+            });
+        });
+    });
+
+    return items;
+}
+
+/**
+ * Whether an item belongs to a recurring series (virtual occurrence or edited occurrence)
+ * @param {Object} item - Time block or calendar event
+ * @returns {boolean}
+ */
+export function isRecurring(item) {
+    return Boolean(item && (item.series_id || item.recurrence_parent_id || item.recurrence_rule));
+}
+
+/**
+ * Copy the per-occurrence fields of a series row, e.g. to create an edited occurrence
+ * @param {Object} series - Recurring row
+ * @returns {Object} Fields without ids and recurrence metadata
+ */
+export function getOccurrenceFields(series) {
+    const fields = { ...series };
+    SERIES_FIELDS.forEach(key => delete fields[key]);
+    return fields;
+}
+
+/**
+ * Split a rule at a date, e.g. for "this and following" edits
+ * @param {string} rule - RRULE string
+ * @param {string} dtstart - First occurrence of the series
+ * @param {string} splitDate - First date of the new series
+ * @returns {{before: string, after: string|null}} Rule ending the day before splitDate,
+ *   and the rule for the new series (null when COUNT leaves nothing after the split)
+ */
+export function splitRRule(rule, dtstart, splitDate) {
+    const parsed = parseRRule(rule);
+    const previousDay = addDays(splitDate, -1);
+    const used = expandRRule(parsed, dtstart, dtstart, previousDay).length;
+
+    const before = formatRRule({ ...parsed, until: previousDay, count: null });
+
+    if (parsed.count && parsed.count - used <= 0) {
+        return { before, after: null };
+    }
+
+    return {
+        before,
+        after: formatRRule({ ...parsed, count: parsed.count ? parsed.count - used : null })
+    };
+}
+
+/**
+ * Move a whole series by a number of days, keeping its weekday/day-of-month pattern aligned
+ * @param {Object} series - Row with date, recurrence_rule and recurrence_exceptions
+ * @param {number} days - Days to shift by
+ * @returns {Object} { date, recurrence_rule, recurrence_exceptions }
+ */
+export function shiftRecurrence(series, days) {
+    const parsed = parseRRule(series.recurrence_rule);
+    const exceptions = (series.recurrence_exceptions || []).map(date => addDays(date, days));
+
+    if (parsed) {
+        parsed.byDay = parsed.byDay.map(({ day, ordinal }) => ({ day: ((day + days) % 7 + 7) % 7, ordinal }));
+        parsed.byMonthDay = parsed.byMonthDay.map(day => (day > 0 ? Math.min(31, Math.max(1, day + days)) : day));
+        if (parsed.until) parsed.until = addDays(parsed.until, days);
+    }
+
+    return {
+        date: addDays(series.date, days),
+        recurrence_rule: parsed ? formatRRule(parsed) : series.recurrence_rule,
+        recurrence_exceptions: exceptions
+    };
+}
+
+/**
+ * Describe a rule in plain language, e.g. "Every 2 weeks on Mon, Wed until Dec 31, 2026"
+ * @param {string} rule - RRULE string
+ * @returns {string} Description, or an empty string for unsupported rules
+ */
+export function describeRRule(rule) {
+    const parsed = parseRRule(rule);
+    if (!parsed) return '';
+
+    const units = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month' };
+    const adverbs = { DAILY: 'Daily', WEEKLY: 'Weekly', MONTHLY: 'Monthly' };
+    let text = parsed.interval > 1
+        ? `Every ${parsed.interval} ${units[parsed.freq]}s`
+        : adverbs[parsed.freq];
+
+    const weekdays = parsed.byDay.filter(d => !d.ordinal).map(d => d.day).sort();
+    if (parsed.freq === 'WEEKLY' && weekdays.join() === '1,2,3,4,5' && parsed.interval === 1) {
+        text = 'Every weekday';
+    } else if (parsed.byDay.length) {
+        const days = parsed.byDay.map(({ day, ordinal }) =>
+            (ordinal ? `the ${ORDINAL_NAMES[ordinal] || `${ordinal}th`} ${WEEKDAY_NAMES[day]}` : WEEKDAY_NAMES[day]));
+        text += ` on ${days.join(', ')}`;
+    } else if (parsed.byMonthDay.length) {
+        text += ` on day ${parsed.byMonthDay.map(d => (d === -1 ? 'last' : d)).join(', ')}`;
+    }
+
+    if (parsed.until) {
+        const until = toUTCDate(parsed.until).toLocaleDateString('en-US', {
+            month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC'
+        });
+        text += ` until ${until}`;
+    } else if (parsed.count) {
+        text += `, ${parsed.count} times`;
+    }
+
+    return text;
+}
@@ -1,9 +1,10 @@
 /**
  * StorageService - Handles file uploads to Supabase Storage
- * Provides methods for uploading, deleting, and retrieving files from the kanban-attachments bucket
+ * Provides methods for uploading, deleting, and retrieving files from the kanban-attachments bucket,
+ * and for publishing calendar feeds to the calendar-feeds bucket
  */
 
-import { getSupabaseClient } from './supabase-client.js';
+import { getSupabaseClient, isLocalBackend } from './supabase-client.js';
 
 /**
  * StorageService class for managing file operations with Supabase Storage
@@ -12,6 +13,8 @@ class StorageService {
     constructor() {
         this.supabase = getSupabaseClient();
         this.bucketName = 'kanban-attachments';
+        this.feedBucketName = 'calendar-feeds';
+        this.feedUrlExpiry = 10 * 365 * 24 * 60 * 60; // 10 years, so subscriptions keep working
         this.maxFileSize = 10 * 1024 * 1024; // 10MB
         this.allowedTypes = [
             'image/jpeg', 
@@ -86,7 +89,7 @@ class StorageService {
             }
 
             // Check if online
-            if (!navigator.onLine) {
+            if (!navigator.onLine && !isLocalBackend()) {
                 throw new Error('Attachment uploads require an internet connection');
             }
 
@@ -132,7 +135,7 @@ class StorageService {
     async deleteFile(path) {
         try {
             // Check if online
-            if (!navigator.onLine) {
+            if (!navigator.onLine && !isLocalBackend()) {
                 throw new Error('Attachment deletion requires an internet connection');
             }
 
@@ -184,6 +187,72 @@ class StorageService {
         }
     }
 
+    /**
+     * Upload (or replace) a calendar feed file
+     * Replacing the file keeps signed URLs for its path working
+     * @param {string} path - Storage path (e.g., 'user-id/secret.ics')
+     * @param {string} content - .ics content
+     * @returns {Promise<void>}
+     */
+    async uploadCalendarFeed(path, content) {
+        try {
+            const file = new Blob([content], { type: 'text/calendar' });
+            const { error } = await this.supabase.storage
+                .from(this.feedBucketName)
+                .upload(path, file, {
+                    cacheControl: '300',
+                    contentType: 'text/calendar;charset=utf-8',
+                    upsert: true
+                });
+
+            if (error) {
+                throw error;
+            }
+        } catch (error) {
+            this.handleError(error, 'uploadCalendarFeed');
+        }
+    }
+
+    /**
+     * Get the long-lived signed URL calendar apps subscribe to
+     * @param {string} path - Storage path of the feed file
+     * @returns {Promise<string>} Signed URL
+     */
+    async getCalendarFeedUrl(path) {
+        try {
+            const { data, error } = await this.supabase.storage
+                .from(this.feedBucketName)
+                .createSignedUrl(path, this.feedUrlExpiry);
+
+            if (error) {
+                throw error;
+            }
+
+            return data.signedUrl;
+        } catch (error) {
+            this.handleError(error, 'getCalendarFeedUrl');
+        }
+    }
+
+    /**
+     * Delete a calendar feed file, which makes its signed URLs stop working
+     * @param {string} path - Storage path of the feed file
+     * @returns {Promise<void>}
+     */
+    async deleteCalendarFeed(path) {
+        try {
+            const { error } = await this.supabase.storage
+                .from(this.feedBucketName)
+                .remove([path]);
+
+            if (error) {
+                throw error;
+            }
+        } catch (error) {
+            this.handleError(error, 'deleteCalendarFeed');
+        }
+    }
+
     /**
      * Generate a unique storage path for a file
      * @param {string} userId - User ID
@@ -1,26 +1,41 @@
 // Supabase Client Initialization
-import { SUPABASE_URL, SUPABASE_ANON_KEY } from './config.js';
-
-// Import Supabase from CDN
-const { createClient } = supabase;
+// Returns the client for the storage backend selected in config.js. The local
+// backend implements the same API, so services don't know which one they use.
+import { SUPABASE_URL, SUPABASE_ANON_KEY, STORAGE_BACKEND } from './config.js';
+import { createLocalClient } from './local-backend.js';
 
 // Initialize Supabase client
 let supabaseClient = null;
 
+/**
+ * Create the raw client for the configured backend
+ * @returns {Object} Supabase (or Supabase-compatible local) client
+ */
+function createBackendClient() {
+    if (STORAGE_BACKEND === 'local') {
+        console.log('Using local IndexedDB storage backend');
+        return createLocalClient();
+    }
+
+    // Validate configuration
+    if (SUPABASE_URL === 'YOUR_SUPABASE_URL' || SUPABASE_ANON_KEY === 'YOUR_SUPABASE_ANON_KEY') {
+        console.error('Supabase credentials not configured. Please update js/config.js with your Supabase project credentials.');
+        throw new Error('Supabase not configured');
+    }
+
+    // Supabase is loaded from the CDN
+    const { createClient } = supabase;
+    return createClient(SUPABASE_URL, SUPABASE_ANON_KEY);
+}
+
 /**
  * Initialize and return the Supabase client
  * @returns {Object} Supabase client instance
  */
 export function getSupabaseClient() {
     if (!supabaseClient) {
-        // Validate configuration
-        if (SUPABASE_URL === 'YOUR_SUPABASE_URL' || SUPABASE_ANON_KEY === 'YOUR_SUPABASE_ANON_KEY') {
-            console.error('Supabase credentials not configured. Please update js/config.js with your Supabase project credentials.');
-            throw new Error('Supabase not configured');
-        }
-        
-        // Create Supabase client and wrap with Proxy for profile isolation
-        const rawClient = createClient(SUPABASE_URL, SUPABASE_ANON_KEY);
+        // Create backend client and wrap with Proxy for profile isolation
+        const rawClient = createBackendClient();
         
         const handler = {
             get(target, prop, receiver) {
@@ -37,13 +52,18 @@ export function getSupabaseClient() {
                             'kanban_attachments',
                             'kanban_comments',
                             'kanban_activity_log',
+                            'kanban_card_dependencies',
+                            'kanban_card_recurrences',
                             'kanban_columns',
                             'kanban_cards',
                             'flowchart_nodes',
                             'flowchart_edges',
                             'mindmap_nodes',
                             'challenge_habits',
-                            'challenge_completions'
+                            'challenge_completions',
+                            'calendar_feeds',
+                            'kanban_card_templates',
+                            'kanban_board_templates'
                         ];
                         
                         if (exemptRelations.includes(relation)) {
@@ -98,19 +118,29 @@ export function getSupabaseClient() {
         };
 
         supabaseClient = new Proxy(rawClient, handler);
-        console.log('Supabase client with Profile Proxy initialized successfully');
+        console.log(`${STORAGE_BACKEND === 'local' ? 'Local' : 'Supabase'} client with Profile Proxy initialized successfully`);
     }
     
     return supabaseClient;
 }
 
 /**
- * Check if Supabase is properly configured
+ * Check if the storage backend is properly configured
+ * The local backend needs no configuration.
  * @returns {boolean} True if configured, false otherwise
  */
 export function isSupabaseConfigured() {
+    if (STORAGE_BACKEND === 'local') return true;
     return SUPABASE_URL !== 'YOUR_SUPABASE_URL' && SUPABASE_ANON_KEY !== 'YOUR_SUPABASE_ANON_KEY';
 }
 
+/**
+ * Check if data is kept in the browser instead of Supabase
+ * @returns {boolean} True for the local backend
+ */
+export function isLocalBackend() {
+    return STORAGE_BACKEND === 'local';
+}
+
 // Export the client getter as default
 export default getSupabaseClient;
@@ -74,6 +74,20 @@ export function formatDate(date) {
     return `${year}-${month}-${day}`;
 }
 
+/**
+ * Escape text for use in HTML
+ * @param {*} text - Text, such as a title from an imported file
+ * @returns {string} Text with HTML special characters escaped
+ */
+export function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
 /**
  * Get the number of days in a month
  * Property 31: Calendar day count
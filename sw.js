@@ -3,7 +3,7 @@
  * Handles caching and offline functionality
  */
 
-const CACHE_NAME = 'daily-planner-v5';
+const CACHE_NAME = 'daily-planner-v11';
 const DATA_CACHE_NAME = 'daily-planner-data-v1';
 
 // Static assets to cache - using relative paths for subdirectory deployment
@@ -17,6 +17,10 @@ const STATIC_ASSETS = [
   './js/config.js',
   './js/data-service.js',
   './js/cache-service.js',
+  './js/supabase-client.js',
+  './js/local-backend.js',
+  './js/recurrence.js',
+  './js/ical.js',
   './js/ai-service.js',
   './js/error-handler.js',
   './js/accessibility.js',
@@ -159,3 +163,31 @@ self.addEventListener('message', (event) => {
     self.skipWaiting();
   }
 });
+
+// Habit reminder actions - the app has the data service, so it carries them out.
+// With no window open, the app is opened with the action in its URL instead.
+self.addEventListener('notificationclick', (event) => {
+  const data = event.notification.data || {};
+  if (data.type !== 'habit-reminder' && data.type !== 'habit-summary') {
+    return;
+  }
+
+  event.notification.close();
+  event.waitUntil(handleHabitReminderAction(event.action || 'open', data));
+});
+
+async function handleHabitReminderAction(action, data) {
+  const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+
+  if (windows.length > 0) {
+    const client = windows.find((c) => c.focused) || windows[0];
+    client.postMessage({ type: 'HABIT_REMINDER_ACTION', action, habitId: data.habitId, date: data.date });
+    if (action === 'open') {
+      await client.focus().catch(() => {});
+    }
+    return;
+  }
+
+  const params = new URLSearchParams({ habitReminder: action, habit: data.habitId || '', date: data.date || '' });
+  await self.clients.openWindow(`./index.html?${params}#habits`);
+}
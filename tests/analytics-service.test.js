@@ -0,0 +1,172 @@
+/**
+ * AnalyticsService Unit Tests
+ * Tests for js/analytics-service.js - Estimate burndown snapshots
+ *
+ * The snapshot logic is a pure function of cards and activity log entries, so we
+ * test it by extracting the logic and testing directly without external dependencies.
+ * Throughput reads a whole board, so it runs against the local backend.
+ */
+
+import { jest } from '@jest/globals';
+import { addDays } from '../js/recurrence.js';
+import { formatDate } from '../js/utils.js';
+import { createLocalClient } from '../js/local-backend.js';
+
+// Mock browser globals used by the cache service
+global.localStorage = {
+    store: {},
+    getItem(key) { return this.store[key] ?? null; },
+    setItem(key, value) { this.store[key] = String(value); },
+    removeItem(key) { delete this.store[key]; }
+};
+global.navigator = { onLine: true };
+global.window = { addEventListener: jest.fn(), removeEventListener: jest.fn() };
+
+jest.unstable_mockModule('../js/supabase-client.js', () => ({
+    getSupabaseClient: () => createLocalClient({ persist: false }),
+    isLocalBackend: () => true
+}));
+
+const { default: dataService } = await import('../js/data-service.js');
+const { default: kanbanService } = await import('../js/kanban-service.js');
+const { default: analyticsService } = await import('../js/analytics-service.js');
+dataService.cacheEnabled = false;
+
+// ==================== ESTIMATE SNAPSHOT LOGIC (extracted for testing) ====================
+
+function getEstimateSnapshots(cards, activities, doneColumnIds, days) {
+    const logsByCard = new Map();
+    [...activities]
+        .sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
+        .forEach(log => {
+            if (!logsByCard.has(log.card_id)) logsByCard.set(log.card_id, []);
+            logsByCard.get(log.card_id).push(log);
+        });
+
+    return days.map(day => {
+        const endOfDay = new Date(`${day}T23:59:59.999Z`);
+        let scope = 0;
+        let completed = 0;
+
+        cards.forEach(card => {
+            if (new Date(card.created_at) > endOfDay) return;
+
+            const logs = logsByCard.get(card.id) || [];
+            const before = logs.filter(log => new Date(log.created_at) <= endOfDay);
+            const after = logs.filter(log => new Date(log.created_at) > endOfDay);
+
+            const estimate = Number(getValueAtDate(before, after, {
+                card_estimated: { at: 'to', from: 'from' },
+                card_created: { at: 'estimate' }
+            }, card.estimate)) || 0;
+            if (estimate === 0) return;
+
+            const columnId = getValueAtDate(before, after, {
+                card_moved: { at: 'to_column_id', from: 'from_column_id' },
+                card_created: { at: 'column_id' }
+            }, card.column_id);
+
+            scope += estimate;
+            if (doneColumnIds.has(columnId)) completed += estimate;
+        });
+
+        return { date: day, scope, completed, remaining: scope - completed };
+    });
+}
+
+function getValueAtDate(before, after, fields, current) {
+    const hasValue = (log, key) => key && fields[log.action_type] && log.action_data
+        && Object.prototype.hasOwnProperty.call(log.action_data, key);
+
+    const last = [...before].reverse().find(log => hasValue(log, fields[log.action_type]?.at));
+    if (last) return last.action_data[fields[last.action_type].at];
+
+    const next = after.find(log => hasValue(log, fields[log.action_type]?.from));
+    if (next) return next.action_data[fields[next.action_type].from];
+
+    return current;
+}
+
+// ==================== TESTS ====================
+
+function log(cardId, actionType, createdAt, actionData) {
+    return { card_id: cardId, action_type: actionType, created_at: createdAt, action_data: actionData };
+}
+
+describe('AnalyticsService Estimate Methods', () => {
+    describe('getEstimateSnapshots', () => {
+        const done = new Set(['done']);
+        const days = ['2026-03-01', '2026-03-02', '2026-03-03'];
+
+        test('replays estimate changes and moves into done columns', () => {
+            const cards = [
+                { id: 'a', created_at: '2026-03-01T09:00:00Z', column_id: 'done', estimate: 5 },
+                { id: 'b', created_at: '2026-03-02T09:00:00Z', column_id: 'todo', estimate: 2 }
+            ];
+            const activities = [
+                log('a', 'card_created', '2026-03-01T09:00:00Z', { column_id: 'todo', estimate: 3 }),
+                log('a', 'card_estimated', '2026-03-02T10:00:00Z', { from: 3, to: 5 }),
+                log('a', 'card_moved', '2026-03-03T10:00:00Z', { from_column_id: 'todo', to_column_id: 'done' }),
+                log('b', 'card_created', '2026-03-02T09:00:00Z', { column_id: 'todo', estimate: 2 })
+            ];
+
+            expect(getEstimateSnapshots(cards, activities, done, days)).toEqual([
+                { date: '2026-03-01', scope: 3, completed: 0, remaining: 3 },
+                { date: '2026-03-02', scope: 7, completed: 0, remaining: 7 },
+                { date: '2026-03-03', scope: 7, completed: 5, remaining: 2 }
+            ]);
+        });
+
+        test('takes values from before the first logged change when the log starts late', () => {
+            const cards = [{ id: 'a', created_at: '2026-02-01T09:00:00Z', column_id: 'done', estimate: 8 }];
+            const activities = [
+                log('a', 'card_estimated', '2026-03-02T10:00:00Z', { from: 4, to: 8 }),
+                log('a', 'card_moved', '2026-03-03T10:00:00Z', { from_column_id: 'doing', to_column_id: 'done' })
+            ];
+
+            expect(getEstimateSnapshots(cards, activities, done, days).map(day => [day.scope, day.completed])).toEqual([
+                [4, 0],
+                [8, 0],
+                [8, 8]
+            ]);
+        });
+
+        test('uses the current estimate and column when nothing was logged', () => {
+            const cards = [
+                { id: 'a', created_at: '2026-02-01T09:00:00Z', column_id: 'done', estimate: '1.5' },
+                { id: 'b', created_at: '2026-02-01T09:00:00Z', column_id: 'todo', estimate: null }
+            ];
+
+            expect(getEstimateSnapshots(cards, [], done, ['2026-03-01'])).toEqual([
+                { date: '2026-03-01', scope: 1.5, completed: 1.5, remaining: 0 }
+            ]);
+        });
+    });
+});
+
+describe('AnalyticsService Throughput Methods', () => {
+    beforeEach(() => {
+        dataService.supabase = createLocalClient({ persist: false });
+    });
+
+    test('keeps counting finished cards after they are archived', async () => {
+        const board = await kanbanService.createBoard({ title: 'Launch' });
+        const todo = await kanbanService.createColumn(board.id, { title: 'To Do' });
+        const done = await kanbanService.createColumn(board.id, { title: 'Done' });
+        const shipped = await kanbanService.createCard(todo.id, { title: 'Shipped' });
+        await kanbanService.createCard(todo.id, { title: 'Open' });
+        await kanbanService.moveCard(shipped.id, done.id, 0);
+        await kanbanService.archiveCard(shipped.id);
+
+        // Cards count from the day after they were created
+        const today = formatDate(new Date());
+        const metrics = await analyticsService.getThroughputMetrics(board.id, {
+            startDate: addDays(today, -1),
+            endDate: addDays(today, 1)
+        });
+
+        const lastDay = metrics.cumulativeFlow[metrics.cumulativeFlow.length - 1];
+        expect(lastDay.columns[done.id]).toBe(1);
+        expect(metrics.burnup[metrics.burnup.length - 1]).toMatchObject({ total: 2, completed: 1 });
+    });
+});
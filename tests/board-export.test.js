@@ -0,0 +1,170 @@
+/**
+ * Board Export Unit Tests
+ * Tests for js/board-export.js - writing a board as CSV, Markdown and JSON
+ */
+
+import { buildBoardCSV, buildBoardJSON, buildBoardMarkdown, escapeCSVField } from '../js/board-export.js';
+import { guessCSVMapping, mapCSVBoard, parseBoardJSON, parseCSV } from '../js/board-import.js';
+
+function exportedBoard() {
+    return {
+        title: 'Launch',
+        description: 'Website launch',
+        columns: [
+            { title: 'To Do', is_done: false },
+            { title: 'Review', is_done: false },
+            { title: 'Done', is_done: true }
+        ],
+        cards: [
+            {
+                column_index: 0,
+                is_backlog: false,
+                title: 'Write, "copy"',
+                description: 'First line\nSecond line',
+                priority: 'high',
+                due_date: '2026-03-14',
+                labels: [{ name: 'Docs', color: '#61bd4f' }, { name: 'Web', color: '#0079bf' }],
+                checklist: [{ text: 'Outline', is_completed: true }, { text: 'Draft', is_completed: false }],
+                comments: ['Started', 'Almost there'],
+                pomodoro_count: 3
+            },
+            {
+                column_index: 2,
+                is_backlog: false,
+                title: 'Pick domain',
+                description: null,
+                priority: null,
+                due_date: null,
+                labels: [],
+                checklist: [],
+                comments: [],
+                pomodoro_count: 0
+            },
+            {
+                column_index: null,
+                is_backlog: true,
+                title: 'Write blog post',
+                description: null,
+                priority: 'low',
+                due_date: null,
+                labels: [],
+                checklist: [],
+                comments: [],
+                pomodoro_count: 0
+            }
+        ]
+    };
+}
+
+describe('BoardExport', () => {
+    describe('CSV', () => {
+        test('quotes fields with delimiters, quotes and line breaks', () => {
+            expect(escapeCSVField('plain')).toBe('plain');
+            expect(escapeCSVField('a, b')).toBe('"a, b"');
+            expect(escapeCSVField('say "hi"')).toBe('"say ""hi"""');
+            expect(escapeCSVField(null)).toBe('');
+        });
+
+        test('keeps spreadsheets from running cells as formulas', () => {
+            expect(escapeCSVField('=HYPERLINK("http://example.com")')).toBe('"\'=HYPERLINK(""http://example.com"")"');
+            expect(escapeCSVField('+1')).toBe("'+1");
+            expect(escapeCSVField('-fix')).toBe("'-fix");
+            expect(escapeCSVField('@home')).toBe("'@home");
+            expect(escapeCSVField('a = b')).toBe('a = b');
+        });
+
+        test('writes one row per card with checklist progress and pomodoros', () => {
+            const { headers, rows } = parseCSV(buildBoardCSV(exportedBoard()));
+
+            expect(headers).toEqual(['Title', 'Column', 'Description', 'Priority', 'Labels', 'Due Date', 'Checklist',
+                'Checklist Progress', 'Pomodoros']);
+            expect(rows).toEqual([
+                ['Write, "copy"', 'To Do', 'First line\nSecond line', 'high', 'Docs, Web', '2026-03-14', 'Outline; Draft', '1/2', '3'],
+                ['Pick domain', 'Done', '', '', '', '', '', '', '0'],
+                ['Write blog post', 'Backlog', '', 'low', '', '', '', '', '0']
+            ]);
+        });
+
+        test('can be read back by the CSV importer', () => {
+            const csv = parseCSV(buildBoardCSV(exportedBoard()));
+
+            const { board, warnings } = mapCSVBoard(csv, guessCSVMapping(csv.headers));
+
+            expect(board.columns).toEqual([{ title: 'To Do' }, { title: 'Done' }, { title: 'Backlog' }]);
+            expect(board.cards[0]).toMatchObject({
+                title: 'Write, "copy"',
+                priority: 'high',
+                due_date: '2026-03-14',
+                labels: [{ name: 'Docs' }, { name: 'Web' }],
+                checklist: [{ text: 'Outline' }, { text: 'Draft' }]
+            });
+            expect(warnings).toEqual(['CSV columns not imported: Checklist Progress, Pomodoros']);
+        });
+    });
+
+    describe('Markdown', () => {
+        test('writes columns as headings and cards as task lists', () => {
+            const markdown = buildBoardMarkdown(exportedBoard());
+
+            expect(markdown).toBe([
+                '# Launch',
+                '',
+                'Website launch',
+                '',
+                '## To Do',
+                '',
+                '- [ ] Write, "copy"',
+                '  Due 2026-03-14 · High priority · Labels: Docs, Web · 3 pomodoros',
+                '  First line',
+                '  Second line',
+                '  - [x] Outline',
+                '  - [ ] Draft',
+                '',
+                '## Review',
+                '',
+                '_No cards_',
+                '',
+                '## Done',
+                '',
+                '- [x] Pick domain',
+                '',
+                '## Backlog',
+                '',
+                '- [ ] Write blog post',
+                '  Low priority',
+                ''
+            ].join('\n'));
+        });
+    });
+
+    describe('JSON', () => {
+        test('round-trips through the board importer', () => {
+            const file = JSON.stringify(buildBoardJSON(exportedBoard()));
+
+            const { board, warnings } = parseBoardJSON(file);
+
+            expect(warnings).toEqual([]);
+            expect(board.title).toBe('Launch');
+            expect(board.columns).toEqual([{ title: 'To Do' }, { title: 'Review' }, { title: 'Done' }]);
+            expect(board.cards[0]).toEqual(exportedBoard().cards[0]);
+            expect(board.cards[1].column_index).toBe(2);
+            expect(board.cards[2]).toMatchObject({ column_index: null, is_backlog: true, title: 'Write blog post' });
+        });
+
+        test('skips cards that point at a missing column', () => {
+            const file = buildBoardJSON(exportedBoard());
+            file.board.cards[1].column_index = 7;
+
+            const { board, warnings } = parseBoardJSON(JSON.stringify(file));
+
+            expect(board.cards.map(card => card.title)).toEqual(['Write, "copy"', 'Write blog post']);
+            expect(warnings).toEqual(['1 card was skipped because its title or column is missing']);
+        });
+
+        test('rejects files from a newer version', () => {
+            const file = { ...buildBoardJSON(exportedBoard()), version: 99 };
+
+            expect(() => parseBoardJSON(JSON.stringify(file))).toThrow('newer version');
+        });
+    });
+});
@@ -0,0 +1,161 @@
+/**
+ * Board Import Unit Tests
+ * Tests for js/board-import.js - reading Trello exports and CSV files into a board
+ */
+
+import { guessCSVMapping, mapCSVBoard, parseCSV, parseTrelloBoard, trelloLabelColor } from '../js/board-import.js';
+
+function trelloExport(overrides = {}) {
+    return {
+        name: 'Launch',
+        desc: 'Website launch',
+        lists: [
+            { id: 'l2', name: 'Doing', pos: 2 },
+            { id: 'l1', name: 'To Do', pos: 1 },
+            { id: 'l3', name: 'Old', pos: 3, closed: true }
+        ],
+        labels: [
+            { id: 'lb1', name: 'Bug', color: 'red' },
+            { id: 'lb2', name: '', color: 'green_dark' }
+        ],
+        cards: [
+            { id: 'c2', idList: 'l1', name: 'Second', pos: 2, idLabels: ['lb2'] },
+            { id: 'c1', idList: 'l1', name: 'First', pos: 1, desc: 'Details', due: '2026-03-14T12:00:00.000Z', idLabels: ['lb1'] },
+            { id: 'c3', idList: 'l2', name: 'Working', pos: 1, idMembers: ['m1'], attachments: [{ id: 'a1' }] },
+            { id: 'c4', idList: 'l1', name: 'Gone', pos: 3, closed: true },
+            { id: 'c5', idList: 'l3', name: 'In archived list', pos: 1 }
+        ],
+        checklists: [
+            {
+                idCard: 'c1',
+                pos: 1,
+                checkItems: [
+                    { name: 'Write copy', state: 'complete', pos: 1 },
+                    { name: ' ', state: 'incomplete', pos: 2 },
+                    { name: 'Review', state: 'incomplete', pos: 3 }
+                ]
+            }
+        ],
+        actions: [
+            { type: 'commentCard', date: '2026-03-02T10:00:00Z', data: { card: { id: 'c1' }, text: 'Done soon' }, memberCreator: { fullName: 'Sam' } },
+            { type: 'commentCard', date: '2026-03-01T10:00:00Z', data: { card: { id: 'c1' }, text: 'Started' } },
+            { type: 'updateCard', date: '2026-03-01T09:00:00Z', data: { card: { id: 'c1' } } }
+        ],
+        ...overrides
+    };
+}
+
+describe('BoardImport', () => {
+    describe('Trello', () => {
+        test('reads lists and cards in position order, leaving archived ones out', () => {
+            const { board } = parseTrelloBoard(JSON.stringify(trelloExport()));
+
+            expect(board.title).toBe('Launch');
+            expect(board.columns).toEqual([{ title: 'To Do' }, { title: 'Doing' }]);
+            expect(board.cards.map(card => [card.column_index, card.title])).toEqual([
+                [0, 'First'],
+                [0, 'Second'],
+                [1, 'Working']
+            ]);
+        });
+
+        test('keeps descriptions, due dates, labels, checklists and comments', () => {
+            const { board } = parseTrelloBoard(trelloExport());
+            const [first, second] = board.cards;
+
+            expect(first.description).toBe('Details');
+            expect(first.due_date).toBe('2026-03-14');
+            expect(first.labels).toEqual([{ name: 'Bug', color: trelloLabelColor('red') }]);
+            expect(first.checklist).toEqual([
+                { text: 'Write copy', is_completed: true },
+                { text: 'Review', is_completed: false }
+            ]);
+            expect(first.comments).toEqual(['Started', 'Sam: Done soon']);
+            expect(second.labels).toEqual([{ name: 'Green', color: trelloLabelColor('green') }]);
+        });
+
+        test('reports what it could not import', () => {
+            const { warnings } = parseTrelloBoard(trelloExport());
+
+            expect(warnings).toEqual(expect.arrayContaining([
+                expect.stringContaining('1 archived list'),
+                expect.stringContaining('2 archived cards'),
+                expect.stringContaining('1 attachment'),
+                expect.stringContaining('assigned to members')
+            ]));
+        });
+
+        test('rejects files that are not Trello exports', () => {
+            expect(() => parseTrelloBoard('not json')).toThrow('Not a Trello board export');
+            expect(() => parseTrelloBoard({ name: 'Board' })).toThrow('Not a Trello board export');
+        });
+    });
+
+    describe('CSV', () => {
+        test('handles quoted fields, escaped quotes, line breaks and a BOM', () => {
+            const { headers, rows } = parseCSV('\uFEFFTitle,Notes\r\n"Plan, draft","Say ""hi""\nthen go"\r\nShip,\r\n');
+
+            expect(headers).toEqual(['Title', 'Notes']);
+            expect(rows).toEqual([
+                ['Plan, draft', 'Say "hi"\nthen go'],
+                ['Ship', '']
+            ]);
+        });
+
+        test('detects semicolon and tab delimiters', () => {
+            expect(parseCSV('Title;Status\nA;Done').rows).toEqual([['A', 'Done']]);
+            expect(parseCSV('Title\tStatus\nA\tDone').rows).toEqual([['A', 'Done']]);
+        });
+
+        test('rejects an empty file', () => {
+            expect(() => parseCSV('\n\n')).toThrow('The CSV file is empty');
+        });
+
+        test('guesses the mapping from header names', () => {
+            const mapping = guessCSVMapping(['Task', 'Status', 'Due Date', 'Tags', 'Owner']);
+
+            expect(mapping).toEqual({ title: 0, column: 1, due_date: 2, labels: 3 });
+        });
+
+        test('builds columns in order of appearance and maps card fields', () => {
+            const csv = parseCSV([
+                'Title,Status,Due,Priority,Labels,Checklist',
+                'Write,Doing,2026-3-5,Urgent,"Docs, Web",Outline;Draft',
+                'Plan,To Do,,,,',
+                'Edit,Doing,,,,'
+            ].join('\n'));
+
+            const { board } = mapCSVBoard(csv, guessCSVMapping(csv.headers), { title: 'Content' });
+
+            expect(board.title).toBe('Content');
+            expect(board.columns).toEqual([{ title: 'Doing' }, { title: 'To Do' }]);
+            expect(board.cards.map(card => card.column_index)).toEqual([0, 1, 0]);
+            expect(board.cards[0]).toMatchObject({
+                title: 'Write',
+                due_date: '2026-03-05',
+                priority: 'high',
+                labels: [{ name: 'Docs' }, { name: 'Web' }],
+                checklist: [{ text: 'Outline', is_completed: false }, { text: 'Draft', is_completed: false }]
+            });
+        });
+
+        test('warns about skipped rows, unreadable values and unmapped columns', () => {
+            const csv = parseCSV('Title,Due,Priority,Owner\nA,someday,soon,Sam\n,,,\n"",2026-01-01,,Kim');
+
+            const { board, warnings } = mapCSVBoard(csv, { title: 0, due_date: 1, priority: 2 });
+
+            expect(board.columns).toEqual([{ title: 'To Do' }]);
+            expect(board.cards).toHaveLength(1);
+            expect(warnings).toEqual([
+                '1 row was skipped because the title is empty',
+                'Due dates not understood, left empty: row 2 ("someday")',
+                'Priorities not understood, left empty: row 2 ("soon")',
+                'CSV columns not imported: Owner'
+            ]);
+        });
+
+        test('requires a title column', () => {
+            expect(() => mapCSVBoard({ headers: ['Notes'], rows: [] }, {})).toThrow('Choose the CSV column');
+        });
+    });
+});
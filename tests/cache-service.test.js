@@ -3,6 +3,8 @@
  * Tests for cache-service.js methods
  */
 
+import { jest } from '@jest/globals';
+
 // Mock IndexedDB
 const mockIDBStore = {
     put: jest.fn(),
@@ -53,10 +55,69 @@ global.window = {
     removeEventListener: jest.fn()
 };
 
+// Server for the sync tests; syncWithServer imports the data service lazily.
+// Every write bumps updated_at, like the database trigger.
+const serverRows = new Map();
+let serverClock = 0;
+
+function stampServerRow(row) {
+    serverClock += 1;
+    return { ...row, updated_at: new Date(Date.UTC(2026, 0, 1, 0, 0, serverClock)).toISOString() };
+}
+
+const mockDataService = {
+    getDirect: jest.fn(async (table, id) => serverRows.get(id) || null),
+    createDirect: jest.fn(async (table, data) => {
+        const row = stampServerRow({ ...data, id: `server-${serverRows.size + 1}` });
+        serverRows.set(row.id, row);
+        return row;
+    }),
+    updateDirect: jest.fn(async (table, id, data) => {
+        const row = stampServerRow({ ...serverRows.get(id), ...data });
+        serverRows.set(id, row);
+        return row;
+    }),
+    deleteDirect: jest.fn(async (table, id) => {
+        serverRows.delete(id);
+    })
+};
+jest.unstable_mockModule('../js/data-service.js', () => ({ default: mockDataService }));
+
+// Replace IndexedDB access with in-memory stores for one test
+const cacheSpies = [];
+
+function useMemoryCache(cacheService) {
+    const stores = new Map();
+    const storeOf = (name) => {
+        if (!stores.has(name)) stores.set(name, new Map());
+        return stores.get(name);
+    };
+
+    cacheSpies.push(
+        jest.spyOn(cacheService, 'getAll').mockImplementation(async (name) => [...storeOf(name).values()]),
+        jest.spyOn(cacheService, 'get').mockImplementation(async (name, id) => storeOf(name).get(id)),
+        jest.spyOn(cacheService, 'put').mockImplementation(async (name, item) => {
+            storeOf(name).set(item.id, item);
+        }),
+        jest.spyOn(cacheService, 'putAll').mockImplementation(async (name, items) => {
+            items.forEach(item => storeOf(name).set(item.id, item));
+        }),
+        jest.spyOn(cacheService, 'delete').mockImplementation(async (name, id) => {
+            storeOf(name).delete(id);
+        })
+    );
+    return storeOf;
+}
+
 describe('CacheService', () => {
     beforeEach(() => {
         jest.clearAllMocks();
         localStorageMock.store = {};
+        serverRows.clear();
+    });
+
+    afterEach(() => {
+        cacheSpies.splice(0).forEach(spy => spy.mockRestore());
     });
 
     describe('Cache TTL Configuration', () => {
@@ -165,4 +226,148 @@ describe('CacheService', () => {
             expect(STORES.actionPlans).toBe('action_plans');
         });
     });
+
+    describe('Sync Queue', () => {
+        test('recordSyncFailure backs off exponentially', async () => {
+            const { default: cacheService } = await import('../js/cache-service.js');
+
+            const first = cacheService.recordSyncFailure({ id: 'op1', attempts: 0 }, new Error('offline'));
+            const second = cacheService.recordSyncFailure(first, new Error('offline'));
+
+            expect(first.attempts).toBe(1);
+            expect(first.status).toBeUndefined();
+            expect(first.lastError).toBe('offline');
+            const firstDelay = Date.parse(first.nextAttemptAt) - Date.now();
+            const secondDelay = Date.parse(second.nextAttemptAt) - Date.now();
+            expect(secondDelay).toBeGreaterThan(firstDelay);
+        });
+
+        test('recordSyncFailure dead-letters after the last attempt', async () => {
+            const { default: cacheService, SYNC_STATUS } = await import('../js/cache-service.js');
+
+            const failed = cacheService.recordSyncFailure({ id: 'op1', attempts: 4 }, new Error('boom'));
+
+            expect(failed.status).toBe(SYNC_STATUS.failed);
+            expect(failed.nextAttemptAt).toBeNull();
+        });
+
+        test('detectConflict flags rows changed on the server after the edit', async () => {
+            const { default: cacheService } = await import('../js/cache-service.js');
+            const dataService = {
+                getDirect: jest.fn(async () => ({ id: 'g1', updated_at: '2026-02-01T00:00:00Z' }))
+            };
+
+            const conflict = await cacheService.detectConflict(dataService, {
+                type: 'update', store: 'annual_goals', itemId: 'g1',
+                baseUpdatedAt: '2026-01-01T00:00:00Z'
+            });
+            const clean = await cacheService.detectConflict(dataService, {
+                type: 'update', store: 'annual_goals', itemId: 'g1',
+                baseUpdatedAt: '2026-03-01T00:00:00Z'
+            });
+
+            expect(conflict.reason).toBe('changed on server');
+            expect(conflict.serverData.id).toBe('g1');
+            expect(clean).toBeNull();
+        });
+
+        test('detectConflict reports updates to rows deleted on the server', async () => {
+            const { default: cacheService } = await import('../js/cache-service.js');
+            const dataService = { getDirect: jest.fn(async () => null) };
+
+            const update = await cacheService.detectConflict(dataService, {
+                type: 'update', store: 'annual_goals', itemId: 'g1', timestamp: '2026-01-01T00:00:00Z'
+            });
+            const remove = await cacheService.detectConflict(dataService, {
+                type: 'delete', store: 'annual_goals', itemId: 'g1', timestamp: '2026-01-01T00:00:00Z'
+            });
+
+            expect(update).toEqual({ reason: 'deleted on server', serverData: null });
+            expect(remove).toBeNull();
+        });
+
+        test('a row edited twice offline syncs both edits without a conflict', async () => {
+            const { default: cacheService, STORES } = await import('../js/cache-service.js');
+            const cache = useMemoryCache(cacheService);
+            serverRows.set('g1', { id: 'g1', title: 'Run', updated_at: '2025-12-31T00:00:00.000Z' });
+            await cacheService.put(STORES.goals, serverRows.get('g1'));
+
+            await cacheService.addPendingSync({ type: 'update', store: 'annual_goals', itemId: 'g1', data: { title: 'Run 5k' } });
+            await cacheService.addPendingSync({ type: 'update', store: 'annual_goals', itemId: 'g1', data: { title: 'Run 10k' } });
+            await cacheService.syncWithServer();
+
+            expect(await cacheService.getPendingSync()).toEqual([]);
+            expect(serverRows.get('g1').title).toBe('Run 10k');
+            expect(cache(STORES.goals).get('g1').updated_at).toBe(serverRows.get('g1').updated_at);
+        });
+    });
+
+    describe('Temporary IDs', () => {
+        test('createTempId generates unique temporary IDs', async () => {
+            const { default: cacheService } = await import('../js/cache-service.js');
+
+            const first = cacheService.createTempId();
+            const second = cacheService.createTempId();
+
+            expect(cacheService.isTempId(first)).toBe(true);
+            expect(first).not.toBe(second);
+            expect(cacheService.isTempId('3f1c2b7e-0000-4000-8000-000000000000')).toBe(false);
+            expect(cacheService.isTempId(null)).toBe(false);
+        });
+
+        test('queued operations use server IDs for already synced rows', async () => {
+            const { default: cacheService } = await import('../js/cache-service.js');
+            localStorageMock.store.stillmove_temp_id_map = JSON.stringify({ temp_1_card: 'card-uuid' });
+
+            const op = cacheService.applyResolvedTempIds({
+                type: 'create',
+                store: 'kanban_checklist_items',
+                data: { card_id: 'temp_1_card', text: 'Step' },
+                tempId: 'temp_2_item'
+            });
+
+            expect(op.data.card_id).toBe('card-uuid');
+            expect(op.tempId).toBe('temp_2_item');
+            expect(cacheService.resolveId('temp_1_card')).toBe('card-uuid');
+            expect(cacheService.resolveId('temp_3_other')).toBe('temp_3_other');
+        });
+
+        test('a row created and then edited twice offline syncs every edit', async () => {
+            const { default: cacheService, STORES } = await import('../js/cache-service.js');
+            useMemoryCache(cacheService);
+            await cacheService.put(STORES.goals, { id: 'temp_1_goal', title: 'Read' });
+
+            await cacheService.addPendingSync({ type: 'create', store: 'annual_goals', data: { title: 'Read' }, tempId: 'temp_1_goal' });
+            await cacheService.addPendingSync({ type: 'update', store: 'annual_goals', itemId: 'temp_1_goal', data: { title: 'Read 12 books' } });
+            await cacheService.addPendingSync({ type: 'update', store: 'annual_goals', itemId: 'temp_1_goal', data: { title: 'Read 20 books' } });
+            await cacheService.syncWithServer();
+
+            expect(await cacheService.getPendingSync()).toEqual([]);
+            expect([...serverRows.values()].map(row => row.title)).toEqual(['Read 20 books']);
+            expect(cacheService.resolveId('temp_1_goal')).toBe('server-1');
+        });
+
+        test('operations waiting on a stuck create are reported as blocked', async () => {
+            const { default: cacheService, STORES, SYNC_STATUS } = await import('../js/cache-service.js');
+            useMemoryCache(cacheService);
+
+            const board = await cacheService.addPendingSync({ type: 'create', store: 'kanban_boards', data: { title: 'Trip' }, tempId: 'temp_1_board' });
+            const column = await cacheService.addPendingSync({ type: 'create', store: 'kanban_columns', data: { board_id: 'temp_1_board' }, tempId: 'temp_2_col' });
+            const card = await cacheService.addPendingSync({ type: 'create', store: 'kanban_cards', data: { column_id: 'temp_2_col' }, tempId: 'temp_3_card' });
+            const orphan = await cacheService.addPendingSync({ type: 'update', store: 'kanban_cards', itemId: 'temp_9_gone', data: { title: 'x' } });
+            await cacheService.put(STORES.pendingSync, { ...board, status: SYNC_STATUS.failed, attempts: 5 });
+
+            const issues = await cacheService.getSyncIssues();
+            const status = await cacheService.getSyncStatus();
+
+            expect(issues.map(op => [op.id, op.status, op.blockedBy])).toEqual([
+                [board.id, SYNC_STATUS.failed, undefined],
+                [column.id, SYNC_STATUS.blocked, board.id],
+                [card.id, SYNC_STATUS.blocked, column.id],
+                [orphan.id, SYNC_STATUS.blocked, null]
+            ]);
+            expect(status).toMatchObject({ pending: 0, failed: 1, blocked: 3 });
+            await expect(cacheService.resolveSyncIssue(column.id, 'mine')).rejects.toThrow('has not synced yet');
+        });
+    });
 });
@@ -0,0 +1,143 @@
+/**
+ * Calendar Feed Service Unit Tests
+ * Tests for js/calendar-feed-service.js - publishing, rotating and retiring the feed file
+ */
+
+import { jest } from '@jest/globals';
+
+// The feed row as the database would store it
+let storedFeed = null;
+
+const mockDataService = {
+    getCalendarFeed: jest.fn(async () => storedFeed),
+    saveCalendarFeed: jest.fn(async (changes) => {
+        storedFeed = { user_id: 'user-1', ...storedFeed, ...changes };
+        return storedFeed;
+    }),
+    onDataChange: jest.fn(() => () => {})
+};
+
+const mockStorageService = {
+    uploadCalendarFeed: jest.fn(async () => {}),
+    getCalendarFeedUrl: jest.fn(async (path) => `https://storage.example.com/${path}?token=signed`),
+    deleteCalendarFeed: jest.fn(async () => {})
+};
+
+const mockIntegrationService = {
+    buildCalendarICal: jest.fn(async () => ({ content: 'BEGIN:VCALENDAR\r\nEND:VCALENDAR\r\n' }))
+};
+
+jest.unstable_mockModule('../js/data-service.js', () => ({ default: mockDataService }));
+jest.unstable_mockModule('../js/storage-service.js', () => ({ default: mockStorageService }));
+jest.unstable_mockModule('../js/integration-service.js', () => ({
+    default: mockIntegrationService,
+    CALENDAR_EXPORT_SOURCES: [{ value: 'time_blocks' }, { value: 'calendar_events' }]
+}));
+jest.unstable_mockModule('../js/cache-service.js', () => ({
+    default: { onSyncStatusChange: jest.fn(() => () => {}) }
+}));
+jest.unstable_mockModule('../js/supabase-client.js', () => ({ isLocalBackend: () => false }));
+
+const { default: calendarFeedService } = await import('../js/calendar-feed-service.js');
+
+const SOURCES = ['time_blocks'];
+
+describe('CalendarFeedService', () => {
+    beforeEach(() => {
+        storedFeed = null;
+        calendarFeedService.feed = null;
+        jest.clearAllMocks();
+    });
+
+    afterEach(() => {
+        clearTimeout(calendarFeedService.regenerateTimer);
+        jest.useRealTimers();
+    });
+
+    describe('enableFeed', () => {
+        test('publishes the feed at {user_id}/{secret}.ics and saves its signed URL', async () => {
+            const feed = await calendarFeedService.enableFeed({ sources: SOURCES });
+
+            expect(feed.secret).toMatch(/^[0-9a-f]{32}$/);
+            const path = `user-1/${feed.secret}.ics`;
+            expect(mockStorageService.uploadCalendarFeed).toHaveBeenCalledWith(path, expect.stringContaining('BEGIN:VCALENDAR'));
+            expect(mockStorageService.getCalendarFeedUrl).toHaveBeenCalledWith(path);
+            expect(feed).toMatchObject({ enabled: true, sources: SOURCES, feed_url: `https://storage.example.com/${path}?token=signed` });
+            expect(feed.last_generated_at).toBeTruthy();
+        });
+
+        test('keeps the secret of a feed that is already on', async () => {
+            const { secret } = await calendarFeedService.enableFeed({ sources: SOURCES });
+
+            const feed = await calendarFeedService.enableFeed({ sources: ['calendar_events'] });
+
+            expect(feed.secret).toBe(secret);
+        });
+    });
+
+    describe('disableFeed', () => {
+        test('deletes the published file and forgets the URL', async () => {
+            const { secret } = await calendarFeedService.enableFeed({ sources: SOURCES });
+
+            const feed = await calendarFeedService.disableFeed();
+
+            expect(mockStorageService.deleteCalendarFeed).toHaveBeenCalledWith(`user-1/${secret}.ics`);
+            expect(feed).toMatchObject({ enabled: false, secret: null, feed_url: null });
+        });
+
+        test('turning the feed back on publishes it at a new URL', async () => {
+            const { secret } = await calendarFeedService.enableFeed({ sources: SOURCES });
+            await calendarFeedService.disableFeed();
+
+            const feed = await calendarFeedService.enableFeed({ sources: SOURCES });
+
+            expect(feed.secret).not.toBe(secret);
+            expect(mockStorageService.uploadCalendarFeed).toHaveBeenLastCalledWith(`user-1/${feed.secret}.ics`, expect.any(String));
+        });
+    });
+
+    describe('rotateSecret', () => {
+        test('publishes under a new secret, then deletes the old file', async () => {
+            const previous = await calendarFeedService.enableFeed({ sources: SOURCES });
+            mockStorageService.getCalendarFeedUrl.mockClear();
+
+            const feed = await calendarFeedService.rotateSecret();
+
+            expect(feed.secret).not.toBe(previous.secret);
+            expect(mockStorageService.getCalendarFeedUrl).toHaveBeenCalledWith(`user-1/${feed.secret}.ics`);
+            expect(feed.feed_url).toContain(feed.secret);
+            expect(mockStorageService.deleteCalendarFeed).toHaveBeenCalledWith(`user-1/${previous.secret}.ics`);
+        });
+
+        test('refuses when the feed is off', async () => {
+            await expect(calendarFeedService.rotateSecret()).rejects.toThrow('not enabled');
+        });
+    });
+
+    describe('scheduleRegeneration', () => {
+        test('rebuilds once after a burst of changes', async () => {
+            await calendarFeedService.enableFeed({ sources: SOURCES });
+            mockStorageService.uploadCalendarFeed.mockClear();
+            jest.useFakeTimers();
+
+            calendarFeedService.scheduleRegeneration();
+            jest.advanceTimersByTime(3000);
+            calendarFeedService.scheduleRegeneration();
+            jest.advanceTimersByTime(3000);
+            expect(mockStorageService.uploadCalendarFeed).not.toHaveBeenCalled();
+
+            await jest.advanceTimersByTimeAsync(2000);
+            expect(mockStorageService.uploadCalendarFeed).toHaveBeenCalledTimes(1);
+        });
+
+        test('does nothing for a disabled feed', async () => {
+            calendarFeedService.feed = { user_id: 'user-1', enabled: false, secret: 'abc' };
+            jest.useFakeTimers();
+
+            calendarFeedService.scheduleRegeneration();
+            await jest.advanceTimersByTimeAsync(10000);
+
+            expect(mockStorageService.uploadCalendarFeed).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,144 @@
+/**
+ * Data Import Unit Tests
+ * Tests for DataService.remapImportRow and importData against the local backend
+ */
+
+import { jest } from '@jest/globals';
+import { createLocalClient, LOCAL_USER } from '../js/local-backend.js';
+
+// Mock browser globals used by the cache service
+global.localStorage = {
+    store: {},
+    getItem(key) { return this.store[key] ?? null; },
+    setItem(key, value) { this.store[key] = String(value); },
+    removeItem(key) { delete this.store[key]; }
+};
+global.navigator = { onLine: true };
+global.window = { addEventListener: jest.fn(), removeEventListener: jest.fn() };
+
+jest.unstable_mockModule('../js/supabase-client.js', () => ({
+    getSupabaseClient: () => createLocalClient({ persist: false }),
+    isLocalBackend: () => true
+}));
+
+const { default: dataService } = await import('../js/data-service.js');
+dataService.cacheEnabled = false;
+
+async function insert(client, table, rows) {
+    const { data, error } = await client.from(table).insert(rows).select();
+    expect(error).toBeNull();
+    return data;
+}
+
+async function selectAll(client, table) {
+    const { data } = await client.from(table).select('*');
+    return data;
+}
+
+describe('DataImport', () => {
+    describe('remapImportRow', () => {
+        const idMaps = {
+            kanbanBoards: new Map([['old-board', 'new-board']]),
+            kanbanColumns: new Map([['old-col-a', 'new-col-a'], ['old-col-b', 'new-col-b']]),
+            kanbanCards: new Map([['old-card', 'new-card']]),
+            flowchartNodes: new Map([['old-n1', 'new-n1'], ['old-n2', 'new-n2']]),
+            flowcharts: new Map([['old-fc', 'new-fc']])
+        };
+
+        test('rewrites foreign keys and clears unresolved optional ones', () => {
+            const card = dataService.remapImportRow('kanbanCards', {
+                id: 'old-card', board_id: 'old-board', column_id: 'old-col-a', linked_goal_id: 'missing-goal', title: 'Card'
+            }, idMaps, 'user-2');
+            const edge = dataService.remapImportRow('flowchartEdges', {
+                id: 'e1', flowchart_id: 'old-fc', source_node_id: 'old-n1', target_node_id: 'old-n2', user_id: 'user-1'
+            }, idMaps, 'user-2');
+
+            expect(card).toEqual({ board_id: 'new-board', column_id: 'new-col-a', linked_goal_id: null, title: 'Card' });
+            expect(edge).toMatchObject({ flowchart_id: 'new-fc', source_node_id: 'new-n1', target_node_id: 'new-n2', user_id: 'user-2' });
+        });
+
+        test('skips rows whose required parent is missing', () => {
+            expect(dataService.remapImportRow('kanbanChecklistItems', { id: 'i1', card_id: 'unknown-card', text: 'x' }, idMaps, 'user-2')).toBeNull();
+        });
+
+        test('rewrites column IDs inside activity data', () => {
+            const activity = dataService.remapImportRow('kanbanActivityLog', {
+                id: 'a1', card_id: 'old-card', user_id: 'user-1', action_type: 'card_moved',
+                action_data: { from_column_id: 'old-col-a', to_column_id: 'old-col-b', to_column: 'Done' }
+            }, idMaps, 'user-2');
+
+            expect(activity.action_data).toEqual({ from_column_id: 'new-col-a', to_column_id: 'new-col-b', to_column: 'Done' });
+        });
+
+        test('defers self-references until the whole table exists', () => {
+            const node = dataService.remapImportRow('mindmapNodes', { id: 'm2', mindmap_id: 'x', parent_id: 'm1' }, { mindmaps: new Map([['x', 'y']]) }, 'user-2');
+
+            expect(node).toEqual({ mindmap_id: 'y', parent_id: null });
+        });
+    });
+
+    describe('importData', () => {
+        test('keeps kanban and mindmap links intact across an export and import', async () => {
+            const source = createLocalClient({ persist: false });
+            const [board] = await insert(source, 'kanban_boards', [{ user_id: LOCAL_USER.id, title: 'Trip' }]);
+            const [todo, done] = await insert(source, 'kanban_columns', [
+                { board_id: board.id, title: 'Todo' },
+                { board_id: board.id, title: 'Done' }
+            ]);
+            const [card] = await insert(source, 'kanban_cards', [{ board_id: board.id, column_id: done.id, title: 'Book flights' }]);
+            await insert(source, 'kanban_activity_log', [{
+                card_id: card.id, user_id: LOCAL_USER.id, action_type: 'card_moved',
+                action_data: { from_column_id: todo.id, to_column_id: done.id }
+            }]);
+            const [mindmap] = await insert(source, 'mindmaps', [{ user_id: LOCAL_USER.id, title: 'Ideas' }]);
+            const [root] = await insert(source, 'mindmap_nodes', [{ mindmap_id: mindmap.id, text: 'Root' }]);
+            await insert(source, 'mindmap_nodes', [{ mindmap_id: mindmap.id, parent_id: root.id, text: 'Child' }]);
+
+            dataService.supabase = source;
+            const exported = await dataService.exportAllData();
+
+            const target = createLocalClient({ persist: false });
+            dataService.supabase = target;
+            const stats = await dataService.importData(exported, 'merge');
+
+            const [newBoard] = await selectAll(target, 'kanban_boards');
+            const columns = await selectAll(target, 'kanban_columns');
+            const newDone = columns.find(column => column.title === 'Done');
+            const newTodo = columns.find(column => column.title === 'Todo');
+            const [newCard] = await selectAll(target, 'kanban_cards');
+            const [activity] = await selectAll(target, 'kanban_activity_log');
+            const nodes = await selectAll(target, 'mindmap_nodes');
+            const newRoot = nodes.find(node => node.text === 'Root');
+
+            expect(stats.errors).toEqual([]);
+            expect(newBoard.id).not.toBe(board.id);
+            expect(columns.every(column => column.board_id === newBoard.id)).toBe(true);
+            expect(newCard).toMatchObject({ board_id: newBoard.id, column_id: newDone.id });
+            expect(activity).toMatchObject({
+                card_id: newCard.id,
+                action_data: { from_column_id: newTodo.id, to_column_id: newDone.id }
+            });
+            expect(nodes.find(node => node.text === 'Child').parent_id).toBe(newRoot.id);
+        });
+
+        test('replace keeps the user-level templates shared by every profile', async () => {
+            const client = createLocalClient({ persist: false });
+            await insert(client, 'kanban_boards', [{ user_id: LOCAL_USER.id, title: 'Old board' }]);
+            await insert(client, 'kanban_card_templates', [
+                { user_id: LOCAL_USER.id, name: 'Bug' },
+                { user_id: LOCAL_USER.id, name: 'Chore' }
+            ]);
+
+            dataService.supabase = client;
+            const exported = await dataService.exportAllData();
+            exported.data.kanbanBoards = [{ id: 'b1', user_id: LOCAL_USER.id, title: 'New board' }];
+            exported.data.kanbanCardTemplates = [{ id: 't1', user_id: LOCAL_USER.id, name: 'Bug' }];
+
+            const stats = await dataService.importData(exported, 'replace');
+
+            expect((await selectAll(client, 'kanban_boards')).map(board => board.title)).toEqual(['New board']);
+            expect((await selectAll(client, 'kanban_card_templates')).map(t => t.name).sort()).toEqual(['Bug', 'Chore']);
+            expect(stats.tables.kanbanCardTemplates).toMatchObject({ removed: 0, skipped: 1 });
+        });
+    });
+});
@@ -0,0 +1,136 @@
+/**
+ * Habit Analytics Unit Tests
+ * Tests for js/habit-analytics.js - day records, weekday and weekly rates and wellness findings
+ */
+
+import {
+    getMoodScore,
+    getSleepHours,
+    buildDayRecords,
+    getWeekdayRates,
+    getBestAndWorstPeriods,
+    getRatesBySleep,
+    compareMetricByHabit,
+    buildFindings
+} from '../js/habit-analytics.js';
+import { addDays } from '../js/recurrence.js';
+
+// 2026-03-01 is a Sunday; four full weeks to 2026-03-28
+const START = '2026-03-01';
+const END = '2026-03-28';
+
+function eachDay(callback) {
+    const result = [];
+    for (let date = START, i = 0; date <= END; date = addDays(date, 1), i++) {
+        const item = callback(date, i);
+        if (item) result.push(item);
+    }
+    return result;
+}
+
+describe('HabitAnalytics', () => {
+    describe('Wellness values', () => {
+        test('scores moods from 1 to 5', () => {
+            expect(getMoodScore({ mood_emoji: '🥰' })).toBe(5);
+            expect(getMoodScore({ mood_emoji: '😩' })).toBe(1);
+            expect(getMoodScore({ mood_emoji: '🙃' })).toBeNull();
+            expect(getMoodScore(undefined)).toBeNull();
+        });
+
+        test('reads sleep from the stored hours or the bed and wake times', () => {
+            expect(getSleepHours({ hours_slept: 7.5 })).toBe(7.5);
+            expect(getSleepHours({ bedtime: '23:00', wake_time: '05:30' })).toBe(6.5);
+            expect(getSleepHours({})).toBeNull();
+        });
+    });
+
+    describe('Day records', () => {
+        const habits = [
+            { id: 'h1', habit_name: 'Read' },
+            { id: 'h2', habit_name: 'Gym', schedule: { type: 'weekdays', weekdays: [1, 3, 5] } },
+            { id: 'h3', habit_name: 'Swim', schedule: { type: 'times_per_period', times: 2, period: 'week' } },
+            { id: 'h4', habit_name: 'Water', target_value: 4, target_unit: 'glasses' }
+        ];
+
+        test('counts due habits, partial credit and excused days like the habit grid', () => {
+            const completions = [
+                { habit_id: 'h1', date: '2026-03-02', completed: true },
+                { habit_id: 'h3', date: '2026-03-02', completed: true },
+                { habit_id: 'h4', date: '2026-03-02', completed: false, count_value: 2 },
+                { habit_id: 'h1', date: '2026-03-03', completed: false, status: 'skipped' }
+            ];
+            const vacations = [{ start_date: '2026-03-04', end_date: '2026-03-04' }];
+            const [monday, tuesday, wednesday] = buildDayRecords({ habits, completions, vacations }, '2026-03-02', '2026-03-04');
+
+            expect([...monday.due]).toEqual(['h1', 'h2', 'h3', 'h4']);
+            expect([...monday.done]).toEqual(['h1', 'h3']);
+            expect(monday.rate).toBe(2.5 / 4);
+            expect([...tuesday.due]).toEqual(['h4']);
+            expect(wednesday.expected).toBe(0);
+            expect(wednesday.rate).toBeNull();
+        });
+    });
+
+    describe('Rates', () => {
+        // Read is always due and missed on weekends
+        const habits = [{ id: 'h1', habit_name: 'Read' }];
+        const completions = eachDay((date) => {
+            const weekday = new Date(`${date}T00:00:00`).getDay();
+            const lastWeek = date >= '2026-03-22';
+            return weekday !== 0 && weekday !== 6 && !(lastWeek && weekday > 3) ? { habit_id: 'h1', date, completed: true } : null;
+        });
+        const records = buildDayRecords({ habits, completions }, START, END);
+
+        test('reports the completion rate of each weekday', () => {
+            const rates = getWeekdayRates(records);
+
+            expect(rates[0]).toEqual({ weekday: 0, name: 'Sunday', rate: 0, expected: 4 });
+            expect(rates[1].rate).toBe(1);
+            expect(rates[5].rate).toBe(0.75);
+        });
+
+        test('finds the best and worst week', () => {
+            const { best, worst } = getBestAndWorstPeriods(records);
+
+            expect(best).toMatchObject({ start: '2026-03-01', end: '2026-03-07', rate: 5 / 7 });
+            expect(worst).toMatchObject({ start: '2026-03-22', end: '2026-03-28', rate: 3 / 7 });
+        });
+    });
+
+    describe('Wellness comparisons', () => {
+        const habits = [{ id: 'h1', habit_name: 'Exercise' }, { id: 'h2', habit_name: 'Journal' }];
+        // Exercise and Journal on even days, which also have the better mood and the longer sleep
+        const completions = eachDay((date, i) => (i % 2 === 0 ? { habit_id: 'h1', date, completed: true } : null))
+            .concat(eachDay((date, i) => (i % 2 === 0 ? { habit_id: 'h2', date, completed: true } : null)));
+        const moodEntries = eachDay((date, i) => ({ date, mood_emoji: i % 2 === 0 ? '😁' : '😶' }));
+        const sleepEntries = eachDay((date, i) => ({ date, hours_slept: i % 2 === 0 ? 8 : 5 }));
+        const records = buildDayRecords({ habits, completions, moodEntries, sleepEntries }, START, END);
+
+        test('compares a wellness value on days a habit was done and missed', () => {
+            expect(compareMetricByHabit(records, 'h1', 'mood')).toEqual({
+                withHabit: 4, withoutHabit: 3, daysWith: 14, daysWithout: 14
+            });
+        });
+
+        test('groups completion by hours slept', () => {
+            const bySleep = getRatesBySleep(records);
+
+            expect(bySleep[0]).toEqual({ label: '< 6h', rate: 0, days: 14 });
+            expect(bySleep[3]).toEqual({ label: '8h+', rate: 1, days: 14 });
+        });
+
+        test('turns clear differences into plain-language findings', () => {
+            const texts = buildFindings(records, habits).map(finding => finding.text);
+
+            expect(texts).toContain('Your mood is higher on days you do Exercise (4.0 vs 3.0 out of 5).');
+            expect(texts).toContain('Sleeping less than 6h goes with missed habits: you complete 0% of them after short nights against 100% otherwise.');
+            expect(texts.some(text => text.includes('water'))).toBe(false);
+        });
+
+        test('stays quiet without enough days on both sides', () => {
+            const shortRange = buildDayRecords({ habits, completions, moodEntries, sleepEntries }, START, '2026-03-04');
+
+            expect(buildFindings(shortRange, habits)).toEqual([]);
+        });
+    });
+});
@@ -0,0 +1,111 @@
+/**
+ * Habit Reminders Unit Tests
+ * Tests for js/habit-reminders.js - quiet hours, open habits and the day's reminder plan
+ */
+
+import {
+    DEFAULT_REMINDER_SETTINGS,
+    parseReminderTime,
+    isInQuietHours,
+    deferPastQuietHours,
+    getOpenHabits,
+    planReminders,
+    buildSummaryMessage
+} from '../js/habit-reminders.js';
+
+const settings = { ...DEFAULT_REMINDER_SETTINGS, enabled: true };
+const at = (time) => parseReminderTime(time);
+
+describe('HabitReminders', () => {
+    describe('Times and quiet hours', () => {
+        test('reads times with or without seconds', () => {
+            expect(parseReminderTime('07:30')).toBe(450);
+            expect(parseReminderTime('18:05:00')).toBe(1085);
+            expect(parseReminderTime('25:00')).toBeNull();
+            expect(parseReminderTime(null)).toBeNull();
+        });
+
+        test('quiet hours can run past midnight', () => {
+            expect(isInQuietHours(at('23:00'), settings)).toBe(true);
+            expect(isInQuietHours(at('06:59'), settings)).toBe(true);
+            expect(isInQuietHours(at('07:00'), settings)).toBe(false);
+            expect(isInQuietHours(at('12:00'), { quietHoursStart: '12:00', quietHoursEnd: '12:00' })).toBe(false);
+        });
+
+        test('holds reminders until quiet hours end, unless that is tomorrow', () => {
+            const lunch = { quietHoursStart: '12:00', quietHoursEnd: '13:00' };
+
+            expect(deferPastQuietHours(at('06:00'), settings)).toBe(at('07:00'));
+            expect(deferPastQuietHours(at('22:30'), settings)).toBeNull();
+            expect(deferPastQuietHours(at('12:15'), lunch)).toBe(at('13:00'));
+            expect(deferPastQuietHours(at('15:00'), settings)).toBe(at('15:00'));
+        });
+    });
+
+    describe('Open habits', () => {
+        const habits = [
+            { id: 'h1', habit_name: 'Read' },
+            { id: 'h2', habit_name: 'Gym', schedule: { type: 'weekdays', weekdays: [1, 3, 5] } },
+            { id: 'h3', habit_name: 'Stretch' },
+            { id: 'h4', habit_name: 'Journal' }
+        ];
+        const completions = [
+            { habit_id: 'h3', date: '2026-03-03', completed: true },
+            { habit_id: 'h4', date: '2026-03-03', completed: false, status: 'skipped' }
+        ];
+
+        test('leaves out habits that are done, skipped or not due today', () => {
+            // 2026-03-03 is a Tuesday
+            expect(getOpenHabits(habits, completions, [], '2026-03-03').map(h => h.id)).toEqual(['h1']);
+        });
+
+        test('has nothing open during a vacation', () => {
+            const vacations = [{ start_date: '2026-03-01', end_date: '2026-03-07' }];
+
+            expect(getOpenHabits(habits, completions, vacations, '2026-03-03')).toEqual([]);
+        });
+    });
+
+    describe('Planning', () => {
+        const open = [
+            { id: 'h1', habit_name: 'Read', reminder_time: '21:00:00' },
+            { id: 'h2', habit_name: 'Walk', reminder_time: '08:00' },
+            { id: 'h3', habit_name: 'Stretch', reminder_time: null }
+        ];
+
+        test('plans habit reminders and the evening summary in time order', () => {
+            const reminders = planReminders(open, settings, at('07:30'));
+
+            expect(reminders.map(r => [r.key, r.minutes])).toEqual([
+                ['habit:h2', at('08:00')],
+                ['summary', at('20:00')],
+                ['habit:h1', at('21:00')]
+            ]);
+        });
+
+        test('sends missed reminders now, skips sent ones and drops those in quiet hours', () => {
+            const reminders = planReminders(open, settings, at('20:30'), new Set(['summary']));
+
+            expect(reminders.map(r => [r.key, r.minutes])).toEqual([
+                ['habit:h2', at('20:30')],
+                ['habit:h1', at('21:00')]
+            ]);
+            expect(planReminders(open, settings, at('22:15'))).toEqual([]);
+        });
+
+        test('plans nothing when reminders are off or every habit is done', () => {
+            expect(planReminders(open, DEFAULT_REMINDER_SETTINGS, at('07:30'))).toEqual([]);
+            expect(planReminders([], settings, at('07:30'))).toEqual([]);
+        });
+    });
+
+    test('summarizes the habits left to do', () => {
+        const names = ['Read', 'Walk', 'Stretch', 'Journal', 'Floss'].map(habit_name => ({ habit_name }));
+
+        expect(buildSummaryMessage(names.slice(0, 1))).toEqual({ title: '1 habit left today', body: 'Still to do: Read' });
+        expect(buildSummaryMessage(names)).toEqual({
+            title: '5 habits left today',
+            body: 'Still to do: Read, Walk, Stretch and 2 more'
+        });
+    });
+});
@@ -0,0 +1,184 @@
+/**
+ * Habit Schedule Unit Tests
+ * Tests for js/habit-schedule.js - due days, period targets and streaks for habit schedules
+ */
+
+import {
+    normalizeSchedule,
+    isHabitDueOn,
+    isHabitOpenOn,
+    getPeriodRange,
+    getPeriodProgress,
+    getScheduleStats,
+    calculateScheduledStreak,
+    getStreakState,
+    isOnVacation,
+    describeSchedule
+} from '../js/habit-schedule.js';
+
+// 2026-03-02 is a Monday
+const gym = { id: 'h1', schedule: { type: 'weekdays', weekdays: [1, 3, 5] } };
+const reading = { id: 'h2', schedule: { type: 'times_per_period', times: 3, period: 'week' } };
+
+describe('HabitSchedule', () => {
+    describe('Due days', () => {
+        test('treats a missing or unreadable schedule as every day', () => {
+            expect(normalizeSchedule(null).type).toBe('daily');
+            expect(normalizeSchedule('{bad json').type).toBe('daily');
+            expect(normalizeSchedule({ type: 'weekdays', weekdays: [] }).type).toBe('daily');
+            expect(isHabitDueOn({ id: 'h0' }, '2026-03-03')).toBe(true);
+        });
+
+        test('is due only on the chosen weekdays', () => {
+            expect(['2026-03-02', '2026-03-03', '2026-03-04', '2026-03-07'].map(date => isHabitDueOn(gym, date)))
+                .toEqual([true, false, true, false]);
+        });
+
+        test('counts intervals from the start date, or the creation date without one', () => {
+            const water = { schedule: { type: 'interval', every_days: 3, start_date: '2026-03-02' } };
+            const created = { created_at: '2026-03-01T08:00:00Z', schedule: { type: 'interval', every_days: 2 } };
+
+            expect(['2026-03-01', '2026-03-02', '2026-03-04', '2026-03-05'].map(date => isHabitDueOn(water, date)))
+                .toEqual([false, true, false, true]);
+            expect(isHabitDueOn(created, '2026-03-03')).toBe(true);
+            expect(isHabitDueOn(created, '2026-03-04')).toBe(false);
+        });
+
+        test('is never due outside the start and end dates', () => {
+            const habit = { schedule: { type: 'daily', start_date: '2026-03-03', end_date: '2026-03-05' } };
+
+            expect(isHabitDueOn(habit, '2026-03-02')).toBe(false);
+            expect(isHabitDueOn(habit, '2026-03-05')).toBe(true);
+            expect(isHabitDueOn(habit, '2026-03-06')).toBe(false);
+        });
+    });
+
+    describe('Periods', () => {
+        test('weeks run Sunday to Saturday', () => {
+            expect(getPeriodRange('2026-03-04', 'week')).toEqual({ start: '2026-03-01', end: '2026-03-07' });
+            expect(getPeriodRange('2026-02-14', 'month')).toEqual({ start: '2026-02-01', end: '2026-02-28' });
+        });
+
+        test('tracks completions against the times-per-period target', () => {
+            const done = new Set(['2026-03-02', '2026-03-04']);
+
+            expect(getPeriodProgress(reading, '2026-03-05', done)).toMatchObject({ done: 2, target: 3, met: false });
+            expect(isHabitOpenOn(reading, '2026-03-05', done)).toBe(true);
+
+            done.add('2026-03-05');
+            expect(isHabitOpenOn(reading, '2026-03-05', done)).toBe(true);
+            expect(isHabitOpenOn(reading, '2026-03-06', done)).toBe(false);
+        });
+    });
+
+    describe('Stats', () => {
+        test('only expects the scheduled days and ignores completions on days off', () => {
+            const done = new Set(['2026-03-02', '2026-03-03', '2026-03-04']);
+
+            expect(getScheduleStats(gym, done, '2026-03-01', '2026-03-07')).toEqual({ completed: 2, expected: 3 });
+        });
+
+        test('adds partial credit from a map of dates to credit', () => {
+            const credits = new Map([['2026-03-02', 1], ['2026-03-04', 0.5]]);
+
+            expect(getScheduleStats(gym, credits, '2026-03-01', '2026-03-07')).toEqual({ completed: 1.5, expected: 3 });
+            // A partial day only breaks the streak once it is no longer today
+            expect(calculateScheduledStreak(gym, credits, '2026-03-04')).toBe(1);
+            expect(calculateScheduledStreak(gym, credits, '2026-03-06')).toBe(0);
+        });
+
+        test('caps times-per-period habits at the target for each period', () => {
+            const done = new Set(['2026-03-02', '2026-03-03', '2026-03-04', '2026-03-05', '2026-03-09']);
+
+            expect(getScheduleStats(reading, done, '2026-03-01', '2026-03-14')).toEqual({ completed: 4, expected: 6 });
+        });
+    });
+
+    describe('Streaks', () => {
+        test('skips days off and lets today stay open', () => {
+            // Mon, Wed, Fri and the next Monday done; today is Wednesday 2026-03-11
+            const done = new Set(['2026-03-02', '2026-03-04', '2026-03-06', '2026-03-09']);
+
+            expect(calculateScheduledStreak(gym, done, '2026-03-11')).toBe(4);
+            expect(calculateScheduledStreak(gym, done, '2026-03-13')).toBe(0);
+        });
+
+        test('counts completions in consecutive periods that met their target', () => {
+            const done = new Set(['2026-02-23', '2026-03-02', '2026-03-03', '2026-03-04', '2026-03-09']);
+
+            // The week of 2026-02-22 only had one completion, so the streak starts after it
+            expect(calculateScheduledStreak(reading, done, '2026-03-10')).toBe(4);
+        });
+    });
+
+    describe('Skipped, frozen and vacation days', () => {
+        const daily = { id: 'h3' };
+
+        // Every day from 2026-03-01 through the day before `end`
+        function doneThrough(end) {
+            const done = new Set();
+            for (let day = 1; `2026-03-${String(day).padStart(2, '0')}` < end; day++) {
+                done.add(`2026-03-${String(day).padStart(2, '0')}`);
+            }
+            return done;
+        }
+
+        test('finds the vacation a date falls in', () => {
+            const vacations = [{ start_date: '2026-03-10', end_date: '2026-03-14' }];
+
+            expect(isOnVacation(vacations, '2026-03-10')).toBe(true);
+            expect(isOnVacation(vacations, '2026-03-14')).toBe(true);
+            expect(isOnVacation(vacations, '2026-03-15')).toBe(false);
+            expect(isOnVacation(undefined, '2026-03-10')).toBe(false);
+        });
+
+        test('does not expect excused days unless they were done anyway', () => {
+            const done = new Set(['2026-03-02', '2026-03-06']);
+            const excused = new Map([['2026-03-04', 'skipped'], ['2026-03-06', 'vacation']]);
+
+            expect(getScheduleStats(gym, done, '2026-03-01', '2026-03-07', excused)).toEqual({ completed: 2, expected: 2 });
+            expect(isHabitOpenOn(gym, '2026-03-04', done, excused)).toBe(false);
+        });
+
+        test('lowers a period target when its days are excused', () => {
+            const done = new Set(['2026-03-02']);
+            const excused = new Map(['2026-03-03', '2026-03-04', '2026-03-05', '2026-03-06', '2026-03-07']
+                .map(date => [date, 'vacation']));
+
+            expect(getPeriodProgress(reading, '2026-03-02', done, { start: '2026-03-02', end: '2026-03-07' }, excused))
+                .toMatchObject({ done: 1, target: 1, met: true });
+        });
+
+        test('skipped and vacation days keep a streak without adding to it', () => {
+            const done = new Set(['2026-03-01', '2026-03-02', '2026-03-05']);
+            const excused = new Map([['2026-03-03', 'skipped'], ['2026-03-04', 'vacation']]);
+
+            expect(calculateScheduledStreak(daily, done, '2026-03-06', excused)).toBe(3);
+            expect(calculateScheduledStreak(daily, done, '2026-03-06')).toBe(1);
+        });
+
+        test('earns a freeze every 7 streak days and spends it on a frozen day', () => {
+            const done = doneThrough('2026-03-15');
+
+            expect(getStreakState(daily, done, '2026-03-14')).toEqual({ streak: 14, freezes: 2, freezesUsed: 0 });
+
+            done.delete('2026-03-08');
+            const excused = new Map([['2026-03-08', 'frozen']]);
+            expect(getStreakState(daily, done, '2026-03-14', excused)).toEqual({ streak: 13, freezes: 0, freezesUsed: 1 });
+        });
+
+        test('a frozen day breaks the streak when no freezes are banked', () => {
+            const done = new Set(['2026-03-01', '2026-03-02', '2026-03-04']);
+            const excused = new Map([['2026-03-03', 'frozen']]);
+
+            expect(getStreakState(daily, done, '2026-03-04', excused)).toEqual({ streak: 1, freezes: 0, freezesUsed: 0 });
+        });
+    });
+
+    test('describes schedules for display', () => {
+        expect(describeSchedule(null)).toBe('Every day');
+        expect(describeSchedule(gym.schedule)).toBe('Mon, Wed, Fri');
+        expect(describeSchedule({ ...reading.schedule, start_date: '2026-03-01' })).toBe('3× per week from 2026-03-01');
+        expect(describeSchedule({ type: 'interval', every_days: 2, end_date: '2026-06-30' })).toBe('Every 2 days until 2026-06-30');
+    });
+});
@@ -0,0 +1,53 @@
+/**
+ * Habit Target Unit Tests
+ * Tests for js/habit-targets.js - measurable habits with a daily target and partial credit
+ */
+
+import {
+    isMeasurableHabit,
+    getCompletionValue,
+    getTargetCredit,
+    isTargetMet,
+    describeTarget,
+    formatTargetProgress
+} from '../js/habit-targets.js';
+
+const reading = { id: 'h1', target_value: 20, unit: 'pages', target_comparison: 'at_least' };
+const coffee = { id: 'h2', target_value: 2, unit: 'cups', target_comparison: 'at_most' };
+
+describe('HabitTargets', () => {
+    test('only habits with a positive target are measurable', () => {
+        expect(isMeasurableHabit(reading)).toBe(true);
+        expect(isMeasurableHabit({ id: 'h3', target_value: null })).toBe(false);
+        expect(isMeasurableHabit({ id: 'h4', target_value: 0 })).toBe(false);
+    });
+
+    test('reads the logged value, falling back to a number in the note', () => {
+        expect(getCompletionValue({ count_value: '12.5' })).toBe(12.5);
+        expect(getCompletionValue({ count_value: null, notes: '8 pages' })).toBe(8);
+        expect(getCompletionValue({ count_value: null, notes: 'felt good' })).toBeNull();
+        expect(getCompletionValue(undefined)).toBeNull();
+    });
+
+    test('gives partial credit towards at-least targets', () => {
+        expect(getTargetCredit(reading, 10)).toBe(0.5);
+        expect(getTargetCredit(reading, 30)).toBe(1);
+        expect(getTargetCredit(reading, null)).toBe(0);
+        expect(isTargetMet(reading, 20)).toBe(true);
+        expect(isTargetMet(reading, 19)).toBe(false);
+    });
+
+    test('gives full credit up to an at-most limit and less above it', () => {
+        expect(getTargetCredit(coffee, 0)).toBe(1);
+        expect(getTargetCredit(coffee, 2)).toBe(1);
+        expect(getTargetCredit(coffee, 4)).toBe(0.5);
+        expect(getTargetCredit(coffee, null)).toBe(0);
+    });
+
+    test('describes the target and progress for display', () => {
+        expect(describeTarget(reading)).toBe('≥ 20 pages');
+        expect(describeTarget(coffee)).toBe('≤ 2 cups');
+        expect(formatTargetProgress(reading, 12)).toBe('12 / 20 pages');
+        expect(formatTargetProgress(reading, null)).toBe('– / 20 pages');
+    });
+});
@@ -0,0 +1,162 @@
+/**
+ * iCalendar Parser Unit Tests
+ * Tests for js/ical.js - .ics parsing into planner events and writing them back out
+ */
+
+import { buildICal, buildTimeZone, escapeText, foldLine, parseICal, unfoldLines, unescapeText } from '../js/ical.js';
+
+function calendar(...lines) {
+    return ['BEGIN:VCALENDAR', 'VERSION:2.0', ...lines, 'END:VCALENDAR'].join('\r\n');
+}
+
+describe('ICal', () => {
+    describe('Lexing', () => {
+        test('unfolds continuation lines', () => {
+            const lines = unfoldLines('SUMMARY:Quarterly\r\n  planning\r\nUID:1');
+
+            expect(lines).toEqual(['SUMMARY:Quarterly planning', 'UID:1']);
+        });
+
+        test('unescapes text values', () => {
+            expect(unescapeText('Room 4\\, floor 2\\nBring laptop\\; charger')).toBe('Room 4, floor 2\nBring laptop; charger');
+        });
+
+        test('rejects content that is not a calendar', () => {
+            expect(() => parseICal('hello')).toThrow('Not an iCalendar');
+        });
+    });
+
+    describe('Events', () => {
+        test('reads timed events, converting UTC and TZID times', () => {
+            const { name, events } = parseICal(calendar(
+                'X-WR-CALNAME:Work',
+                'BEGIN:VEVENT',
+                'UID:utc-1',
+                'SUMMARY:Standup',
+                'DTSTART:20260105T140000Z',
+                'DTEND:20260105T141500Z',
+                'END:VEVENT',
+                'BEGIN:VEVENT',
+                'UID:berlin-1',
+                'SUMMARY:Call with Berlin',
+                'DTSTART;TZID=Europe/Berlin:20260105T170000',
+                'DURATION:PT30M',
+                'END:VEVENT'
+            ), { timeZone: 'America/New_York' });
+
+            expect(name).toBe('Work');
+            expect(events[0]).toMatchObject({ uid: 'utc-1', date: '2026-01-05', startTime: '09:00', endTime: '09:15', allDay: false });
+            expect(events[1]).toMatchObject({ date: '2026-01-05', startTime: '11:00', endTime: '11:30' });
+        });
+
+        test('reads all-day events and turns multi-day ones into daily series', () => {
+            const { events } = parseICal(calendar(
+                'BEGIN:VEVENT',
+                'UID:trip',
+                'SUMMARY:Conference',
+                'DTSTART;VALUE=DATE:20260310',
+                'DTEND;VALUE=DATE:20260313',
+                'CATEGORIES:Work,Travel',
+                'END:VEVENT'
+            ));
+
+            expect(events[0]).toMatchObject({
+                allDay: true,
+                date: '2026-03-10',
+                lastDate: '2026-03-12',
+                recurrenceRule: 'FREQ=DAILY;UNTIL=20260312',
+                categories: ['Work', 'Travel']
+            });
+        });
+
+        test('keeps supported RRULEs with EXDATEs and flags edited occurrences', () => {
+            const { events, warnings } = parseICal(calendar(
+                'BEGIN:VEVENT',
+                'UID:weekly',
+                'SUMMARY:Gym',
+                'DTSTART:20260105T070000',
+                'DTEND:20260105T080000',
+                'RRULE:FREQ=WEEKLY;BYDAY=MO,TH;WKST=SU',
+                'EXDATE:20260108T070000,20260112T070000',
+                'BEGIN:VALARM',
+                'TRIGGER:-PT15M',
+                'DESCRIPTION:Reminder',
+                'END:VALARM',
+                'END:VEVENT',
+                'BEGIN:VEVENT',
+                'UID:weekly',
+                'SUMMARY:Gym (late)',
+                'RECURRENCE-ID:20260115T070000',
+                'DTSTART:20260115T180000',
+                'DTEND:20260115T190000',
+                'END:VEVENT',
+                'BEGIN:VEVENT',
+                'UID:yearly',
+                'SUMMARY:Birthday',
+                'DTSTART;VALUE=DATE:20260420',
+                'RRULE:FREQ=YEARLY',
+                'END:VEVENT'
+            ));
+
+            expect(events[0].recurrenceRule).toBe('FREQ=WEEKLY;BYDAY=MO,TH');
+            expect(events[0].exceptions).toEqual(['2026-01-08', '2026-01-12']);
+            expect(events[0].description).toBeNull();
+            expect(events[1]).toMatchObject({ uid: 'weekly', recurrenceId: '2026-01-15', startTime: '18:00' });
+            expect(events[2].recurrenceRule).toBeNull();
+            expect(warnings).toHaveLength(1);
+        });
+    });
+
+    describe('Writing', () => {
+        test('escapes text and folds long lines without splitting characters', () => {
+            const folded = foldLine(`SUMMARY:${'é'.repeat(60)}`);
+
+            expect(escapeText('Room 4, floor 2\nBring laptop; charger')).toBe('Room 4\\, floor 2\\nBring laptop\\; charger');
+            expect(folded.split('\r\n').every(line => Buffer.byteLength(line) <= 75)).toBe(true);
+            expect(unfoldLines(folded)).toEqual([`SUMMARY:${'é'.repeat(60)}`]);
+        });
+
+        test('lists daylight saving changes in VTIMEZONE', () => {
+            const lines = buildTimeZone('Europe/Berlin', 2026, 2026);
+
+            expect(lines).toContain('TZID:Europe/Berlin');
+            expect(lines).toContain('DTSTART:20260329T020000');
+            expect(lines).toContain('DTSTART:20261025T030000');
+            expect(lines.filter(line => line === 'BEGIN:DAYLIGHT')).toHaveLength(1);
+        });
+
+        test('writes events and to-dos that parse back unchanged', () => {
+            const content = buildICal({
+                name: 'Planner',
+                timeZone: 'Europe/Berlin',
+                now: new Date('2026-01-01T00:00:00Z'),
+                events: [
+                    {
+                        uid: 'gym@planner', summary: 'Gym, legs', categories: ['Health'], allDay: false,
+                        date: '2026-01-05', startTime: '07:00', endTime: '08:00',
+                        recurrenceRule: 'FREQ=WEEKLY;BYDAY=MO', exceptions: ['2026-01-12']
+                    },
+                    {
+                        uid: 'gym@planner', summary: 'Gym (late)', allDay: false,
+                        date: '2026-01-19', startTime: '18:00', endTime: '19:00',
+                        recurrenceId: '2026-01-19', recurrenceStartTime: '07:00'
+                    },
+                    { uid: 'trip@planner', summary: 'Trip', allDay: true, date: '2026-03-10' }
+                ],
+                todos: [{ uid: 'card@planner', summary: 'Ship it', due: '2026-01-09', priority: 1, completed: true }]
+            });
+            const { name, events } = parseICal(content, { timeZone: 'Europe/Berlin' });
+
+            expect(content).toContain('BEGIN:VTIMEZONE');
+            expect(content).toContain('DUE;VALUE=DATE:20260109\r\nPRIORITY:1');
+            expect(content).toContain('STATUS:COMPLETED');
+            expect(name).toBe('Planner');
+            expect(events[0]).toMatchObject({
+                uid: 'gym@planner', summary: 'Gym, legs', categories: ['Health'], startTime: '07:00', endTime: '08:00',
+                recurrenceRule: 'FREQ=WEEKLY;BYDAY=MO', exceptions: ['2026-01-12']
+            });
+            expect(events[1]).toMatchObject({ recurrenceId: '2026-01-19', startTime: '18:00' });
+            expect(events[2]).toMatchObject({ allDay: true, date: '2026-03-10', lastDate: '2026-03-10' });
+        });
+    });
+});
@@ -1,12 +1,36 @@
 /**
  * KanbanService Unit Tests
- * Tests for js/kanban-service.js - Filter and Search methods
+ * Tests for js/kanban-service.js - Filter, Search, Dependency, Swimlane, Recurrence, Automation and Estimate methods
  * Requirements: 7.1, 7.2, 7.3, 7.4
  * 
- * Since filterCards and searchCards are pure functions, we test them
+ * Since these methods are pure functions, we test them
  * by extracting the logic and testing directly without external dependencies.
+ * Archive operations read and write the board, so they run against the local backend.
  */
 
+import { jest } from '@jest/globals';
+import { addDays, expandRRule } from '../js/recurrence.js';
+import { createLocalClient } from '../js/local-backend.js';
+
+// Mock browser globals used by the cache service
+global.localStorage = {
+    store: {},
+    getItem(key) { return this.store[key] ?? null; },
+    setItem(key, value) { this.store[key] = String(value); },
+    removeItem(key) { delete this.store[key]; }
+};
+global.navigator = { onLine: true };
+global.window = { addEventListener: jest.fn(), removeEventListener: jest.fn() };
+
+jest.unstable_mockModule('../js/supabase-client.js', () => ({
+    getSupabaseClient: () => createLocalClient({ persist: false }),
+    isLocalBackend: () => true
+}));
+
+const { default: dataService } = await import('../js/data-service.js');
+const { default: kanbanService } = await import('../js/kanban-service.js');
+dataService.cacheEnabled = false;
+
 // ==================== FILTERING LOGIC (extracted for testing) ====================
 
 /**
@@ -142,6 +166,260 @@ function filterByDueDate(cards, criteria) {
     });
 }
 
+// ==================== DEPENDENCY LOGIC (extracted for testing) ====================
+
+const DONE_COLUMN_TITLES = ['done', 'completed', 'finished'];
+
+/**
+ * Check whether adding a dependency would make cards wait on each other
+ */
+function wouldCreateCycle(dependencies, cardId, blockerId) {
+    const visited = new Set();
+    const stack = [blockerId];
+
+    while (stack.length > 0) {
+        const current = stack.pop();
+        if (current === cardId) return true;
+        if (visited.has(current)) continue;
+        visited.add(current);
+
+        dependencies
+            .filter(d => d.card_id === current)
+            .forEach(d => stack.push(d.blocker_card_id));
+    }
+
+    return false;
+}
+
+/**
+ * Find the open blockers of every card on a board
+ */
+function getOpenBlockersByCard(board) {
+    const cardsById = new Map(board.cards.map(card => [card.id, card]));
+    const doneColumnIds = new Set(board.columns
+        .filter(column => DONE_COLUMN_TITLES.includes(column?.title?.toLowerCase()))
+        .map(column => column.id));
+    const openBlockers = new Map();
+
+    (board.dependencies || []).forEach(dependency => {
+        const blocker = cardsById.get(dependency.blocker_card_id);
+        if (!blocker || doneColumnIds.has(blocker.column_id)) return;
+
+        if (!openBlockers.has(dependency.card_id)) {
+            openBlockers.set(dependency.card_id, []);
+        }
+        openBlockers.get(dependency.card_id).push(blocker);
+    });
+
+    return openBlockers;
+}
+
+// ==================== SWIMLANE LOGIC (extracted for testing) ====================
+
+const NO_LANE = '';
+
+/**
+ * Get the swimlane a card belongs to
+ */
+function getCardLaneKey(card, field) {
+    switch (field) {
+        case 'priority':
+            return card.priority || NO_LANE;
+        case 'label': {
+            const label = card.labels?.[0];
+            if (!label) return NO_LANE;
+            return typeof label === 'string' ? label : label.name;
+        }
+        case 'goal':
+            return card.linked_goal_id || NO_LANE;
+        case 'custom':
+            return card.swimlane || NO_LANE;
+        default:
+            return NO_LANE;
+    }
+}
+
+/**
+ * Get the card updates that move a card into a swimlane
+ */
+function getLaneUpdates(card, field, laneKey, boardCards = []) {
+    switch (field) {
+        case 'priority':
+            return { priority: laneKey || null };
+        case 'goal':
+            return { linked_goal_id: laneKey || null };
+        case 'custom':
+            return { swimlane: laneKey || null };
+        case 'label': {
+            if (laneKey === NO_LANE) return { labels: [] };
+
+            const labelName = label => typeof label === 'string' ? label : label.name;
+            const currentKey = getCardLaneKey(card, field);
+            const laneLabel = boardCards
+                .flatMap(c => c.labels || [])
+                .find(label => labelName(label) === laneKey) || laneKey;
+            const otherLabels = (card.labels || [])
+                .filter(label => labelName(label) !== currentKey && labelName(label) !== laneKey);
+
+            return { labels: [laneLabel, ...otherLabels] };
+        }
+        default:
+            return {};
+    }
+}
+
+// ==================== RECURRENCE LOGIC (extracted for testing) ====================
+
+function getDueOccurrences(recurrence, today) {
+    const from = recurrence.last_generated_date
+        ? addDays(recurrence.last_generated_date, 1)
+        : recurrence.start_date;
+    if (from > today) return [];
+
+    return expandRRule(recurrence.recurrence_rule, recurrence.start_date, from, today,
+        recurrence.recurrence_exceptions || []);
+}
+
+function getNextOccurrence(recurrence) {
+    const from = recurrence.last_generated_date
+        ? addDays(recurrence.last_generated_date, 1)
+        : recurrence.start_date;
+
+    return expandRRule(recurrence.recurrence_rule, recurrence.start_date, from, addDays(from, 731),
+        recurrence.recurrence_exceptions || [])[0] || null;
+}
+
+// ==================== AUTOMATION LOGIC (extracted for testing) ====================
+
+function matchesAutomationConditions(card, conditions = {}) {
+    if (conditions.column_id && (card.is_backlog || card.column_id !== conditions.column_id)) {
+        return false;
+    }
+    if (conditions.priority && (card.priority || 'none') !== conditions.priority) {
+        return false;
+    }
+    const labelNames = (card.labels || []).map(label => (typeof label === 'string' ? label : label.name));
+    return (conditions.labels || []).every(label => labelNames.includes(label));
+}
+
+// ==================== CARD TEMPLATE LOGIC (extracted for testing) ====================
+
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const MONTH_NAMES = [
+    'January', 'February', 'March', 'April', 'May', 'June',
+    'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+const TITLE_PATTERN_TOKENS = {
+    date: date => date,
+    weekday: date => WEEKDAY_NAMES[new Date(`${date}T00:00:00Z`).getUTCDay()],
+    month: date => MONTH_NAMES[Number(date.slice(5, 7)) - 1],
+    year: date => date.slice(0, 4)
+};
+
+function expandTitlePattern(pattern, date) {
+    return (pattern || '').replace(/\{(\w+)\}/g, (match, token) => {
+        const fill = TITLE_PATTERN_TOKENS[token.toLowerCase()];
+        return fill ? fill(date) : match;
+    });
+}
+
+function applyCardTemplate(template, today) {
+    const hasDueDate = template.due_in_days !== null && template.due_in_days !== undefined;
+
+    return {
+        title: expandTitlePattern(template.title_pattern, today),
+        description: template.description || null,
+        priority: template.priority || null,
+        labels: [...(template.labels || [])],
+        due_date: hasDueDate ? addDays(today, template.due_in_days) : null,
+        checklist: [...(template.checklist || [])]
+    };
+}
+
+// ==================== BOARD TEMPLATE LOGIC (extracted for testing) ====================
+
+const DEFAULT_LABEL_COLOR = '#6366f1';
+
+function buildBoardTemplate(board, checklists = null) {
+    const columns = [...(board.columns || [])].sort((a, b) => a.order_index - b.order_index);
+    const columnIndex = new Map(columns.map((column, index) => [column.id, index]));
+
+    const labels = new Map();
+    const boardCards = board.cards || [];
+    [...(board.settings?.labels || []), ...boardCards.flatMap(card => card.labels || [])].forEach(label => {
+        const name = typeof label === 'string' ? label : label?.name;
+        if (name && !labels.has(name)) {
+            labels.set(name, { name, color: label.color || DEFAULT_LABEL_COLOR });
+        }
+    });
+
+    const cards = checklists
+        ? boardCards
+            .filter(card => !card.is_backlog && columnIndex.has(card.column_id))
+            .sort((a, b) => columnIndex.get(a.column_id) - columnIndex.get(b.column_id) || a.order_index - b.order_index)
+            .map(card => ({
+                column_index: columnIndex.get(card.column_id),
+                title: card.title,
+                description: card.description || null,
+                priority: card.priority || null,
+                labels: card.labels || [],
+                ...(card.swimlane ? { swimlane: card.swimlane } : {}),
+                checklist: checklists[card.id] || []
+            }))
+        : [];
+
+    return {
+        columns: columns.map((column, index) => ({
+            title: column.title,
+            order_index: index,
+            wip_limit: column.wip_limit || null,
+            lane_wip_limit: column.lane_wip_limit || null,
+            color: column.color || null
+        })),
+        labels: [...labels.values()],
+        settings: board.settings?.swimlanes ? { swimlanes: board.settings.swimlanes } : {},
+        cards
+    };
+}
+
+// ==================== ESTIMATE LOGIC (extracted for testing) ====================
+
+const ESTIMATE_UNITS = {
+    POINTS: 'points',
+    POMODOROS: 'pomodoros'
+};
+
+function getEstimateUnit(board) {
+    const unit = board?.settings?.estimate_unit;
+    return Object.values(ESTIMATE_UNITS).includes(unit) ? unit : ESTIMATE_UNITS.POINTS;
+}
+
+function getEstimateTotal(cards) {
+    let total = 0;
+    let estimated = 0;
+    (cards || []).forEach(card => {
+        if (card.estimate === null || card.estimate === undefined || card.estimate === '') return;
+        total += Number(card.estimate) || 0;
+        estimated++;
+    });
+    return { total, estimated, unestimated: (cards || []).length - estimated };
+}
+
+function compareEstimate(card, unit) {
+    const estimate = card.estimate === null || card.estimate === undefined ? null : Number(card.estimate);
+    const estimatedPomodoros = unit === ESTIMATE_UNITS.POMODOROS ? estimate : null;
+    const actual = card.pomodoro_count || 0;
+
+    return {
+        estimate,
+        estimateUnit: unit,
+        estimatedPomodoros,
+        remainingPomodoros: estimatedPomodoros === null ? null : Math.max(0, estimatedPomodoros - actual),
+        overEstimate: estimatedPomodoros !== null && actual > estimatedPomodoros
+    };
+}
+
 // ==================== TESTS ====================
 
 describe('KanbanService Filter Methods', () => {
@@ -574,3 +852,438 @@ describe('KanbanService Filter Methods', () => {
         });
     });
 });
+
+describe('KanbanService Dependency Methods', () => {
+
+    describe('wouldCreateCycle', () => {
+        const dependencies = [
+            { card_id: 'ui', blocker_card_id: 'api' },
+            { card_id: 'docs', blocker_card_id: 'ui' }
+        ];
+
+        test('allows dependencies that keep the graph acyclic', () => {
+            expect(wouldCreateCycle(dependencies, 'docs', 'api')).toBe(false);
+            expect(wouldCreateCycle(dependencies, 'release', 'docs')).toBe(false);
+        });
+
+        test('rejects a direct cycle', () => {
+            expect(wouldCreateCycle(dependencies, 'api', 'ui')).toBe(true);
+        });
+
+        test('rejects a transitive cycle', () => {
+            expect(wouldCreateCycle(dependencies, 'api', 'docs')).toBe(true);
+        });
+    });
+
+    describe('getOpenBlockersByCard', () => {
+        test('lists only blockers that are not in a done column', () => {
+            const board = {
+                columns: [{ id: 'todo', title: 'To Do' }, { id: 'done', title: 'Done' }],
+                cards: [
+                    { id: 'api', title: 'API', column_id: 'done' },
+                    { id: 'db', title: 'DB', column_id: 'todo' },
+                    { id: 'ui', title: 'UI', column_id: 'todo' },
+                    { id: 'docs', title: 'Docs', column_id: null, is_backlog: true }
+                ],
+                dependencies: [
+                    { card_id: 'ui', blocker_card_id: 'api' },
+                    { card_id: 'ui', blocker_card_id: 'db' },
+                    { card_id: 'docs', blocker_card_id: 'api' }
+                ]
+            };
+
+            const openBlockers = getOpenBlockersByCard(board);
+
+            expect([...openBlockers.keys()]).toEqual(['ui']);
+            expect(openBlockers.get('ui').map(card => card.title)).toEqual(['DB']);
+        });
+
+        test('treats boards without dependencies as unblocked', () => {
+            const board = { columns: [], cards: [{ id: '1', title: 'Task 1' }] };
+            expect(getOpenBlockersByCard(board).size).toBe(0);
+        });
+    });
+});
+
+describe('KanbanService Swimlane Methods', () => {
+    describe('getCardLaneKey', () => {
+        const card = {
+            priority: 'high',
+            labels: [{ name: 'ui', color: '#f00' }, 'api'],
+            linked_goal_id: 'goal-1',
+            swimlane: 'Ops'
+        };
+
+        test('reads the lane from the swimlane field', () => {
+            expect(getCardLaneKey(card, 'priority')).toBe('high');
+            expect(getCardLaneKey(card, 'label')).toBe('ui');
+            expect(getCardLaneKey(card, 'goal')).toBe('goal-1');
+            expect(getCardLaneKey(card, 'custom')).toBe('Ops');
+        });
+
+        test('puts cards without a value in the no-lane lane', () => {
+            expect(getCardLaneKey({ labels: [] }, 'label')).toBe(NO_LANE);
+            expect(getCardLaneKey({ priority: null }, 'priority')).toBe(NO_LANE);
+        });
+    });
+
+    describe('getLaneUpdates', () => {
+        test('sets the lane field, clearing it for the no-lane lane', () => {
+            expect(getLaneUpdates({}, 'priority', 'low')).toEqual({ priority: 'low' });
+            expect(getLaneUpdates({}, 'goal', NO_LANE)).toEqual({ linked_goal_id: null });
+            expect(getLaneUpdates({}, 'custom', 'Ops')).toEqual({ swimlane: 'Ops' });
+        });
+
+        test('swaps the lane label and reuses its color from the board', () => {
+            const card = { labels: ['ui', 'urgent'] };
+            const boardCards = [card, { labels: [{ name: 'api', color: '#00f' }] }];
+
+            expect(getLaneUpdates(card, 'label', 'api', boardCards)).toEqual({
+                labels: [{ name: 'api', color: '#00f' }, 'urgent']
+            });
+        });
+
+        test('clears labels when moved to the no-label lane', () => {
+            expect(getLaneUpdates({ labels: ['ui'] }, 'label', NO_LANE)).toEqual({ labels: [] });
+        });
+    });
+});
+
+describe('KanbanService Recurrence Methods', () => {
+    const weeklyReview = {
+        recurrence_rule: 'FREQ=WEEKLY;BYDAY=MO',
+        start_date: '2026-01-05',
+        recurrence_exceptions: [],
+        last_generated_date: null
+    };
+
+    describe('getDueOccurrences', () => {
+        test('returns every occurrence since the start when none were created', () => {
+            expect(getDueOccurrences(weeklyReview, '2026-01-20')).toEqual(['2026-01-05', '2026-01-12', '2026-01-19']);
+        });
+
+        test('continues after the last created occurrence', () => {
+            const recurrence = { ...weeklyReview, last_generated_date: '2026-01-12' };
+
+            expect(getDueOccurrences(recurrence, '2026-01-20')).toEqual(['2026-01-19']);
+        });
+
+        test('leaves out skipped occurrences', () => {
+            const recurrence = { ...weeklyReview, recurrence_exceptions: ['2026-01-12'] };
+
+            expect(getDueOccurrences(recurrence, '2026-01-20')).toEqual(['2026-01-05', '2026-01-19']);
+        });
+
+        test('returns nothing before the start date', () => {
+            expect(getDueOccurrences(weeklyReview, '2026-01-01')).toEqual([]);
+        });
+    });
+
+    describe('getNextOccurrence', () => {
+        test('returns the first occurrence without a card', () => {
+            const recurrence = { ...weeklyReview, last_generated_date: '2026-01-19', recurrence_exceptions: ['2026-01-26'] };
+
+            expect(getNextOccurrence(recurrence)).toBe('2026-02-02');
+        });
+
+        test('returns null when the rule has ended', () => {
+            const recurrence = { ...weeklyReview, recurrence_rule: 'FREQ=WEEKLY;BYDAY=MO;COUNT=2', last_generated_date: '2026-01-12' };
+
+            expect(getNextOccurrence(recurrence)).toBeNull();
+        });
+    });
+});
+
+describe('KanbanService Automation Methods', () => {
+    describe('matchesAutomationConditions', () => {
+        const card = {
+            column_id: 'today',
+            priority: 'high',
+            labels: [{ name: 'bug', color: '#ef4444' }, { name: 'ui', color: '#6366f1' }],
+            is_backlog: false
+        };
+
+        test('matches any card without conditions', () => {
+            expect(matchesAutomationConditions(card, {})).toBe(true);
+            expect(matchesAutomationConditions(card, { column_id: null, priority: null, labels: [] })).toBe(true);
+        });
+
+        test('requires the card to be in the column', () => {
+            expect(matchesAutomationConditions(card, { column_id: 'today' })).toBe(true);
+            expect(matchesAutomationConditions(card, { column_id: 'done' })).toBe(false);
+            expect(matchesAutomationConditions({ ...card, is_backlog: true }, { column_id: 'today' })).toBe(false);
+        });
+
+        test('matches cards without a priority to "none"', () => {
+            expect(matchesAutomationConditions(card, { priority: 'high' })).toBe(true);
+            expect(matchesAutomationConditions(card, { priority: 'none' })).toBe(false);
+            expect(matchesAutomationConditions({ ...card, priority: null }, { priority: 'none' })).toBe(true);
+        });
+
+        test('requires every listed label', () => {
+            expect(matchesAutomationConditions(card, { labels: ['bug'] })).toBe(true);
+            expect(matchesAutomationConditions(card, { labels: ['bug', 'urgent'] })).toBe(false);
+        });
+
+        test('matches labels stored as plain names', () => {
+            expect(matchesAutomationConditions({ ...card, labels: ['bug', 'ui'] }, { labels: ['bug', 'ui'] })).toBe(true);
+        });
+    });
+});
+
+describe('KanbanService Card Template Methods', () => {
+    describe('expandTitlePattern', () => {
+        test('fills in date placeholders', () => {
+            expect(expandTitlePattern('Review {weekday} {date}', '2026-03-02')).toBe('Review Monday 2026-03-02');
+            expect(expandTitlePattern('Report {MONTH} {year}', '2026-03-02')).toBe('Report March 2026');
+        });
+
+        test('keeps unknown placeholders', () => {
+            expect(expandTitlePattern('Sprint {number}', '2026-03-02')).toBe('Sprint {number}');
+        });
+    });
+
+    describe('applyCardTemplate', () => {
+        const template = {
+            title_pattern: 'Invoice {month}',
+            priority: 'high',
+            labels: [{ name: 'admin', color: '#10b981' }],
+            checklist: ['Export hours', 'Send'],
+            due_in_days: 3
+        };
+
+        test('sets the due date relative to the day the card is created', () => {
+            const card = applyCardTemplate(template, '2026-01-30');
+
+            expect(card).toEqual({
+                title: 'Invoice January',
+                description: null,
+                priority: 'high',
+                labels: [{ name: 'admin', color: '#10b981' }],
+                due_date: '2026-02-02',
+                checklist: ['Export hours', 'Send']
+            });
+        });
+
+        test('leaves the due date empty without an offset', () => {
+            expect(applyCardTemplate({ ...template, due_in_days: null }, '2026-01-30').due_date).toBeNull();
+            expect(applyCardTemplate({ ...template, due_in_days: 0 }, '2026-01-30').due_date).toBe('2026-01-30');
+        });
+    });
+});
+
+describe('KanbanService Board Template Methods', () => {
+    describe('buildBoardTemplate', () => {
+        const board = {
+            settings: { swimlanes: { field: 'priority', lanes: [] }, labels: [{ name: 'ops', color: '#000000' }] },
+            columns: [
+                { id: 'doing', title: 'Doing', order_index: 4, wip_limit: 3 },
+                { id: 'todo', title: 'To Do', order_index: 1 }
+            ],
+            cards: [
+                { id: 'b', column_id: 'doing', order_index: 0, title: 'Deploy', labels: ['ops', 'release'] },
+                { id: 'a', column_id: 'todo', order_index: 1, title: 'Plan', priority: 'high', labels: [{ name: 'bug', color: '#ff0000' }] },
+                { id: 'c', column_id: 'todo', order_index: 0, title: 'Idea', is_backlog: true }
+            ]
+        };
+
+        test('saves columns in order with WIP limits, labels and swimlanes', () => {
+            const template = buildBoardTemplate(board);
+
+            expect(template.columns).toEqual([
+                { title: 'To Do', order_index: 0, wip_limit: null, lane_wip_limit: null, color: null },
+                { title: 'Doing', order_index: 1, wip_limit: 3, lane_wip_limit: null, color: null }
+            ]);
+            expect(template.labels).toEqual([
+                { name: 'ops', color: '#000000' },
+                { name: 'release', color: DEFAULT_LABEL_COLOR },
+                { name: 'bug', color: '#ff0000' }
+            ]);
+            expect(template.settings).toEqual({ swimlanes: { field: 'priority', lanes: [] } });
+            expect(template.cards).toEqual([]);
+        });
+
+        test('saves board cards by column position with their checklists', () => {
+            const template = buildBoardTemplate(board, { a: ['Scope', 'Estimate'] });
+
+            expect(template.cards.map(card => [card.column_index, card.title, card.checklist])).toEqual([
+                [0, 'Plan', ['Scope', 'Estimate']],
+                [1, 'Deploy', []]
+            ]);
+        });
+    });
+});
+
+describe('KanbanService Estimate Methods', () => {
+    describe('getEstimateUnit', () => {
+        test('defaults to story points', () => {
+            expect(getEstimateUnit({ settings: {} })).toBe('points');
+            expect(getEstimateUnit({ settings: { estimate_unit: 'hours' } })).toBe('points');
+            expect(getEstimateUnit({ settings: { estimate_unit: 'pomodoros' } })).toBe('pomodoros');
+        });
+    });
+
+    describe('getEstimateTotal', () => {
+        test('adds up estimated cards and counts the rest', () => {
+            const cards = [{ estimate: 3 }, { estimate: '0.5' }, { estimate: null }, {}, { estimate: 0 }];
+
+            expect(getEstimateTotal(cards)).toEqual({ total: 3.5, estimated: 3, unestimated: 2 });
+        });
+    });
+
+    describe('compareEstimate', () => {
+        test('compares pomodoro estimates with the sessions done', () => {
+            expect(compareEstimate({ estimate: 4, pomodoro_count: 1 }, 'pomodoros')).toMatchObject({
+                estimatedPomodoros: 4,
+                remainingPomodoros: 3,
+                overEstimate: false
+            });
+            expect(compareEstimate({ estimate: 2, pomodoro_count: 3 }, 'pomodoros')).toMatchObject({
+                remainingPomodoros: 0,
+                overEstimate: true
+            });
+        });
+
+        test('leaves story points out of the pomodoro comparison', () => {
+            expect(compareEstimate({ estimate: 5, pomodoro_count: 8 }, 'points')).toEqual({
+                estimate: 5,
+                estimateUnit: 'points',
+                estimatedPomodoros: null,
+                remainingPomodoros: null,
+                overEstimate: false
+            });
+        });
+    });
+});
+
+describe('KanbanService Archive Operations', () => {
+    let board;
+    let todo;
+    let done;
+
+    async function createCards(column, titles) {
+        const cards = [];
+        for (const title of titles) {
+            cards.push(await kanbanService.createCard(column.id, { title }));
+        }
+        return cards;
+    }
+
+    async function titlesIn(column) {
+        const cards = await dataService.getKanbanCards(board.id);
+        return cards
+            .filter(card => card.column_id === column.id && !card.is_backlog && !card.archived_at)
+            .sort((a, b) => a.order_index - b.order_index)
+            .map(card => card.title);
+    }
+
+    // Pretend a card moved into its column a number of days ago
+    async function backdateMove(card, days) {
+        const createdAt = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+        await dataService.supabase.from('kanban_activity_log').update({ created_at: createdAt }).eq('card_id', card.id);
+    }
+
+    beforeEach(async () => {
+        dataService.supabase = createLocalClient({ persist: false });
+        board = await kanbanService.createBoard({ title: 'Launch' });
+        todo = await kanbanService.createColumn(board.id, { title: 'To Do' });
+        done = await kanbanService.createColumn(board.id, { title: 'Done' });
+    });
+
+    test('archiving a card closes the gap it leaves in its column', async () => {
+        const [, second] = await createCards(todo, ['A', 'B', 'C']);
+
+        await kanbanService.archiveCard(second.id);
+
+        const cards = await dataService.getKanbanCards(board.id);
+        expect(await titlesIn(todo)).toEqual(['A', 'C']);
+        expect(cards.find(card => card.title === 'C').order_index).toBe(1);
+        expect((await kanbanService.getBoard(board.id)).archivedCards.map(card => card.title)).toEqual(['B']);
+    });
+
+    test('restoring a card puts it back at its index and shifts the cards after it', async () => {
+        const [, second] = await createCards(todo, ['A', 'B', 'C', 'D']);
+        await kanbanService.archiveCard(second.id);
+
+        const restored = await kanbanService.restoreCard(second.id);
+
+        expect(restored).toMatchObject({ archived_at: null, column_id: todo.id, order_index: 1 });
+        const cards = await dataService.getKanbanCards(board.id);
+        expect(await titlesIn(todo)).toEqual(['A', 'B', 'C', 'D']);
+        expect(cards.filter(card => card.column_id === todo.id).map(card => card.order_index).sort()).toEqual([0, 1, 2, 3]);
+    });
+
+    test('restoring a card whose column was archived puts it at the end of the first column', async () => {
+        const review = await kanbanService.createColumn(board.id, { title: 'Review' });
+        await createCards(todo, ['A']);
+        const [card] = await createCards(review, ['Proofread']);
+        await kanbanService.archiveCard(card.id);
+        await kanbanService.archiveColumn(review.id);
+
+        const restored = await kanbanService.restoreCard(card.id);
+
+        expect(restored.column_id).toBe(todo.id);
+        expect(await titlesIn(todo)).toEqual(['A', 'Proofread']);
+    });
+
+    test('archiving and restoring a column hides and brings back its cards', async () => {
+        await createCards(done, ['Shipped']);
+
+        await kanbanService.archiveColumn(done.id);
+        const archivedBoard = await kanbanService.getBoard(board.id);
+        expect(archivedBoard.columns.map(column => column.title)).toEqual(['To Do']);
+        expect(archivedBoard.archivedColumns[0].cards.map(card => card.title)).toEqual(['Shipped']);
+
+        await kanbanService.restoreColumn(done.id);
+        const restoredBoard = await kanbanService.getBoard(board.id);
+        expect(restoredBoard.columns.map(column => column.title)).toEqual(['To Do', 'Done']);
+        expect(restoredBoard.cards.map(card => card.title)).toEqual(['Shipped']);
+    });
+
+    test('keeps at least one column on the board', async () => {
+        await kanbanService.archiveColumn(done.id);
+
+        await expect(kanbanService.archiveColumn(todo.id)).rejects.toThrow('A board needs at least one column');
+    });
+
+    test('archives only the cards done for longer than the given number of days', async () => {
+        const [old, recent] = await createCards(todo, ['Old', 'Recent']);
+        await createCards(todo, ['Open']);
+        await kanbanService.moveCard(old.id, done.id, 0);
+        await kanbanService.moveCard(recent.id, done.id, 1);
+        await backdateMove(old, 10);
+        await backdateMove(recent, 2);
+
+        const archived = await kanbanService.archiveDoneCards(board.id, 7);
+
+        expect(archived.map(card => card.title)).toEqual(['Old']);
+        expect(await titlesIn(done)).toEqual(['Recent']);
+        expect(await titlesIn(todo)).toEqual(['Open']);
+    });
+
+    test('rejects a negative number of days', async () => {
+        await expect(kanbanService.archiveDoneCards(board.id, -1)).rejects.toThrow('zero or more');
+    });
+});
+
+describe('KanbanService Dependency Loading', () => {
+    beforeEach(() => {
+        dataService.supabase = createLocalClient({ persist: false });
+    });
+
+    test('finds dependencies on large boards with one short request per batch of cards', async () => {
+        const board = await kanbanService.createBoard({ title: 'Big board' });
+        const column = await kanbanService.createColumn(board.id, { title: 'To Do' });
+        const { data: cards } = await dataService.supabase.from('kanban_cards').insert(
+            Array.from({ length: 150 }, (_, i) => ({ board_id: board.id, column_id: column.id, title: `Card ${i}`, order_index: i }))
+        ).select();
+        await kanbanService.addDependency(cards[140].id, cards[5].id);
+        const from = jest.spyOn(dataService.supabase, 'from');
+
+        const loaded = await kanbanService.getBoard(board.id);
+
+        expect(loaded.dependencies).toEqual([expect.objectContaining({ card_id: cards[140].id, blocker_card_id: cards[5].id })]);
+        expect(from.mock.calls.filter(([table]) => table === 'kanban_card_dependencies')).toHaveLength(2);
+        expect(from.mock.calls.filter(([table]) => table === 'kanban_cards')).toHaveLength(1);
+    });
+});
@@ -0,0 +1,203 @@
+/**
+ * Local Backend Unit Tests
+ * Tests for js/local-backend.js - Supabase-compatible in-memory queries
+ */
+
+import { createLocalClient, LOCAL_USER } from '../js/local-backend.js';
+
+async function seedTimeBlocks(client) {
+    const { data, error } = await client.from('time_blocks').insert([
+        { user_id: LOCAL_USER.id, date: '2026-01-01', start_time: '09:00', activity: 'Write' },
+        { user_id: LOCAL_USER.id, date: '2026-01-02', start_time: '08:00', activity: 'Read' },
+        { user_id: LOCAL_USER.id, date: '2026-01-02', start_time: '07:00', activity: 'Run' },
+        { user_id: LOCAL_USER.id, date: '2026-01-05', start_time: '10:00', activity: 'Plan' }
+    ]).select();
+    expect(error).toBeNull();
+    return data;
+}
+
+describe('LocalBackend', () => {
+    describe('Insert', () => {
+        test('fills in id and timestamps like the database', async () => {
+            const client = createLocalClient({ persist: false });
+
+            const { data, error } = await client.from('annual_goals')
+                .insert([{ title: 'Run a marathon', year: 2026 }])
+                .select();
+
+            expect(error).toBeNull();
+            expect(data).toHaveLength(1);
+            expect(data[0].id).toMatch(/^[0-9a-f-]{36}$/);
+            expect(data[0].created_at).toBeDefined();
+            expect(data[0].updated_at).toBeDefined();
+        });
+
+        test('returns no rows without select()', async () => {
+            const client = createLocalClient({ persist: false });
+
+            const { data, error } = await client.from('annual_goals').insert([{ title: 'A' }]);
+
+            expect(error).toBeNull();
+            expect(data).toBeNull();
+        });
+
+        test('rejects duplicate primary keys', async () => {
+            const client = createLocalClient({ persist: false });
+            await client.from('annual_goals').insert([{ id: 'g1', title: 'A' }]);
+
+            const { error } = await client.from('annual_goals').insert([{ id: 'g1', title: 'B' }]);
+
+            expect(error.code).toBe('23505');
+        });
+    });
+
+    describe('Filters, ordering and ranges', () => {
+        test('applies range filters and orders by several columns', async () => {
+            const client = createLocalClient({ persist: false });
+            await seedTimeBlocks(client);
+
+            const { data } = await client.from('time_blocks')
+                .select('*')
+                .gte('date', '2026-01-02')
+                .lte('date', '2026-01-04')
+                .order('date')
+                .order('start_time');
+
+            expect(data.map(b => b.activity)).toEqual(['Run', 'Read']);
+        });
+
+        test('supports descending order, in() and range()', async () => {
+            const client = createLocalClient({ persist: false });
+            await seedTimeBlocks(client);
+
+            const { data } = await client.from('time_blocks')
+                .select('activity')
+                .in('activity', ['Write', 'Read', 'Plan'])
+                .order('date', { ascending: false })
+                .range(0, 1);
+
+            expect(data).toEqual([{ activity: 'Plan' }, { activity: 'Read' }]);
+        });
+
+        test('sorts nulls last in ascending order', async () => {
+            const client = createLocalClient({ persist: false });
+            await client.from('kanban_cards').insert([
+                { title: 'No date', due_date: null },
+                { title: 'Later', due_date: '2026-02-01' },
+                { title: 'Sooner', due_date: '2026-01-01' }
+            ]);
+
+            const { data } = await client.from('kanban_cards').select('*').order('due_date');
+
+            expect(data.map(c => c.title)).toEqual(['Sooner', 'Later', 'No date']);
+        });
+
+        test('negates filters with not()', async () => {
+            const client = createLocalClient({ persist: false });
+            await client.from('time_blocks').insert([
+                { date: '2026-01-01', activity: 'Once' },
+                { date: '2026-01-01', activity: 'Daily', recurrence_rule: 'FREQ=DAILY' }
+            ]);
+
+            const { data } = await client.from('time_blocks').select('*').not('recurrence_rule', 'is', null);
+
+            expect(data.map(b => b.activity)).toEqual(['Daily']);
+        });
+
+        test('counts rows without returning them', async () => {
+            const client = createLocalClient({ persist: false });
+            await seedTimeBlocks(client);
+
+            const { data, count } = await client.from('time_blocks')
+                .select('*', { count: 'exact', head: true })
+                .eq('date', '2026-01-02');
+
+            expect(data).toBeNull();
+            expect(count).toBe(2);
+        });
+    });
+
+    describe('Single rows', () => {
+        test('single() reports PGRST116 when nothing matches', async () => {
+            const client = createLocalClient({ persist: false });
+
+            const { data, error } = await client.from('profiles').select('*').eq('id', 'missing').single();
+
+            expect(data).toBeNull();
+            expect(error.code).toBe('PGRST116');
+        });
+
+        test('maybeSingle() returns null when nothing matches', async () => {
+            const client = createLocalClient({ persist: false });
+
+            const { data, error } = await client.from('profiles').select('*').eq('id', 'missing').maybeSingle();
+
+            expect(data).toBeNull();
+            expect(error).toBeNull();
+        });
+    });
+
+    describe('Updates and upserts', () => {
+        test('update() changes only matching rows', async () => {
+            const client = createLocalClient({ persist: false });
+            const [first] = await seedTimeBlocks(client);
+
+            const { data } = await client.from('time_blocks')
+                .update({ activity: 'Edit' })
+                .eq('id', first.id)
+                .select();
+            const { data: all } = await client.from('time_blocks').select('*').eq('activity', 'Edit');
+
+            expect(data).toHaveLength(1);
+            expect(data[0].activity).toBe('Edit');
+            expect(all).toHaveLength(1);
+        });
+
+        test('upsert() updates the row matching onConflict columns', async () => {
+            const client = createLocalClient({ persist: false });
+            await client.from('mood_tracker').insert([{ user_id: 'u1', date: '2026-01-01', mood: 'ok' }]);
+
+            await client.from('mood_tracker')
+                .upsert([{ user_id: 'u1', date: '2026-01-01', mood: 'great' }], { onConflict: 'user_id,date' });
+            const { data } = await client.from('mood_tracker').select('*');
+
+            expect(data).toHaveLength(1);
+            expect(data[0].mood).toBe('great');
+        });
+    });
+
+    describe('Deletes', () => {
+        test('cascades to children and nulls optional references', async () => {
+            const client = createLocalClient({ persist: false });
+            const { data: [board] } = await client.from('kanban_boards').insert([{ title: 'Board' }]).select();
+            const { data: [column] } = await client.from('kanban_columns').insert([{ board_id: board.id, title: 'To Do' }]).select();
+            const { data: [card] } = await client.from('kanban_cards')
+                .insert([{ board_id: board.id, column_id: column.id, title: 'Card' }])
+                .select();
+            await client.from('kanban_checklist_items').insert([{ card_id: card.id, text: 'Step' }]);
+
+            await client.from('kanban_columns').delete().eq('id', column.id);
+            const { data: cardsAfterColumnDelete } = await client.from('kanban_cards').select('*');
+
+            await client.from('kanban_boards').delete().eq('id', board.id);
+            const { data: cards } = await client.from('kanban_cards').select('*');
+            const { data: items } = await client.from('kanban_checklist_items').select('*');
+
+            expect(cardsAfterColumnDelete[0].column_id).toBeNull();
+            expect(cards).toHaveLength(0);
+            expect(items).toHaveLength(0);
+        });
+    });
+
+    describe('Auth', () => {
+        test('always has a signed-in local user', async () => {
+            const client = createLocalClient({ persist: false });
+
+            const { data: { user } } = await client.auth.getUser();
+            const { data: { session } } = await client.auth.getSession();
+
+            expect(user.id).toBe(LOCAL_USER.id);
+            expect(session.user.id).toBe(LOCAL_USER.id);
+        });
+    });
+});
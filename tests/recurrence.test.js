@@ -0,0 +1,131 @@
+/**
+ * Recurrence Unit Tests
+ * Tests for js/recurrence.js - RRULE parsing, expansion and series splitting
+ */
+
+import {
+    parseRRule,
+    formatRRule,
+    expandRRule,
+    expandRecurringItems,
+    splitRRule,
+    shiftRecurrence,
+    describeRRule,
+    getOccurrenceId
+} from '../js/recurrence.js';
+
+describe('Recurrence', () => {
+    describe('Parsing', () => {
+        test('parses frequency, interval, days and end conditions', () => {
+            const rule = parseRRule('RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;UNTIL=20261231T235959Z');
+
+            expect(rule.freq).toBe('WEEKLY');
+            expect(rule.interval).toBe(2);
+            expect(rule.byDay).toEqual([{ day: 1, ordinal: null }, { day: 3, ordinal: null }]);
+            expect(rule.until).toBe('2026-12-31');
+            expect(rule.count).toBeNull();
+        });
+
+        test('rejects unsupported frequencies', () => {
+            expect(parseRRule('FREQ=YEARLY')).toBeNull();
+            expect(parseRRule('')).toBeNull();
+        });
+
+        test('formats a parsed rule back to the same string', () => {
+            const rule = 'FREQ=MONTHLY;INTERVAL=3;BYDAY=-1FR;COUNT=4';
+
+            expect(formatRRule(parseRRule(rule))).toBe(rule);
+        });
+    });
+
+    describe('Expansion', () => {
+        test('expands daily rules with an interval', () => {
+            const dates = expandRRule('FREQ=DAILY;INTERVAL=2', '2026-01-01', '2026-01-01', '2026-01-07');
+
+            expect(dates).toEqual(['2026-01-01', '2026-01-03', '2026-01-05', '2026-01-07']);
+        });
+
+        test('expands weekdays and skips exceptions', () => {
+            const dates = expandRRule('FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR', '2026-01-05', '2026-01-05', '2026-01-11', ['2026-01-07']);
+
+            expect(dates).toEqual(['2026-01-05', '2026-01-06', '2026-01-08', '2026-01-09']);
+        });
+
+        test('stops after COUNT occurrences, counting those before the range', () => {
+            const dates = expandRRule('FREQ=WEEKLY;COUNT=3', '2026-01-05', '2026-01-12', '2026-03-01');
+
+            expect(dates).toEqual(['2026-01-12', '2026-01-19']);
+        });
+
+        test('stops at UNTIL', () => {
+            const dates = expandRRule('FREQ=DAILY;UNTIL=20260103', '2026-01-01', '2026-01-01', '2026-01-31');
+
+            expect(dates).toEqual(['2026-01-01', '2026-01-02', '2026-01-03']);
+        });
+
+        test('skips months without the day for monthly rules', () => {
+            const dates = expandRRule('FREQ=MONTHLY', '2026-01-31', '2026-01-01', '2026-05-31');
+
+            expect(dates).toEqual(['2026-01-31', '2026-03-31', '2026-05-31']);
+        });
+
+        test('supports ordinal weekdays in monthly rules', () => {
+            const dates = expandRRule('FREQ=MONTHLY;BYDAY=-1FR', '2026-01-30', '2026-01-01', '2026-03-31');
+
+            expect(dates).toEqual(['2026-01-30', '2026-02-27', '2026-03-27']);
+        });
+
+        test('turns recurring rows into occurrences and keeps plain rows', () => {
+            const rows = [
+                { id: 's1', date: '2026-01-05', activity: 'Standup', recurrence_rule: 'FREQ=DAILY', recurrence_exceptions: ['2026-01-06'] },
+                { id: 'b1', date: '2026-01-06', activity: 'Dentist' },
+                { id: 'b2', date: '2026-02-01', activity: 'Out of range' }
+            ];
+
+            const items = expandRecurringItems(rows, '2026-01-05', '2026-01-07');
+
+            expect(items.map(i => [i.id, i.date])).toEqual([
+                [getOccurrenceId('s1', '2026-01-05'), '2026-01-05'],
+                [getOccurrenceId('s1', '2026-01-07'), '2026-01-07'],
+                ['b1', '2026-01-06']
+            ]);
+            expect(items[0].series_id).toBe('s1');
+            expect(items[0].occurrence_date).toBe('2026-01-05');
+        });
+    });
+
+    describe('Series edits', () => {
+        test('splits a rule into the part before and after a date', () => {
+            const { before, after } = splitRRule('FREQ=DAILY;COUNT=10', '2026-01-01', '2026-01-05');
+
+            expect(before).toBe('FREQ=DAILY;UNTIL=20260104');
+            expect(after).toBe('FREQ=DAILY;COUNT=6');
+        });
+
+        test('returns no following rule when COUNT is used up', () => {
+            const { after } = splitRRule('FREQ=DAILY;COUNT=2', '2026-01-01', '2026-01-05');
+
+            expect(after).toBeNull();
+        });
+
+        test('shifts weekdays and exceptions with the series', () => {
+            const shifted = shiftRecurrence({
+                date: '2026-01-05',
+                recurrence_rule: 'FREQ=WEEKLY;BYDAY=MO,FR',
+                recurrence_exceptions: ['2026-01-09']
+            }, 1);
+
+            expect(shifted.date).toBe('2026-01-06');
+            expect(shifted.recurrence_rule).toBe('FREQ=WEEKLY;BYDAY=TU,SA');
+            expect(shifted.recurrence_exceptions).toEqual(['2026-01-10']);
+        });
+    });
+
+    describe('Descriptions', () => {
+        test('describes common rules in plain language', () => {
+            expect(describeRRule('FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR')).toBe('Every weekday');
+            expect(describeRRule('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO')).toBe('Every 2 weeks on Mon');
+            expect(describeRRule('FREQ=DAILY;COUNT=5')).toBe('Daily, 5 times');
+        });
+    });
+});
@@ -1187,38 +1187,12 @@ runner.test('Property 53: Export completeness - exported data contains all requi
         }
     };
     
-    // Mock all data fetching methods
+    // Mock profile lookup and paged table fetches
     const originalGetUserProfile = dataService.getUserProfile;
-    const originalGetAnnualGoals = dataService.getAnnualGoals;
-    const originalGetReadingList = dataService.getReadingList;
-    const originalGetMonthlyData = dataService.getMonthlyData;
-    const originalGetWeeklyGoals = dataService.getWeeklyGoals;
-    const originalGetTimeBlocksRange = dataService.getTimeBlocksRange;
-    const originalGetDailyEntry = dataService.getDailyEntry;
-    const originalGetDailyHabits = dataService.getDailyHabits;
-    const originalGetDailyHabitCompletions = dataService.getDailyHabitCompletions;
-    const originalGetWeeklyHabits = dataService.getWeeklyHabits;
-    const originalGetWeeklyHabitCompletions = dataService.getWeeklyHabitCompletions;
-    const originalGetMoodEntries = dataService.getMoodEntries;
-    const originalGetSleepEntries = dataService.getSleepEntries;
-    const originalGetWaterEntries = dataService.getWaterEntries;
-    const originalGetActionPlans = dataService.getActionPlans;
+    const originalFetchAllRows = dataService.fetchAllRows;
     
     dataService.getUserProfile = async () => ({ display_name: 'Test User', timezone: 'UTC' });
-    dataService.getAnnualGoals = async () => [];
-    dataService.getReadingList = async () => [];
-    dataService.getMonthlyData = async () => null;
-    dataService.getWeeklyGoals = async () => [];
-    dataService.getTimeBlocksRange = async () => [];
-    dataService.getDailyEntry = async () => null;
-    dataService.getDailyHabits = async () => [];
-    dataService.getDailyHabitCompletions = async () => [];
-    dataService.getWeeklyHabits = async () => [];
-    dataService.getWeeklyHabitCompletions = async () => [];
-    dataService.getMoodEntries = async () => [];
-    dataService.getSleepEntries = async () => [];
-    dataService.getWaterEntries = async () => [];
-    dataService.getActionPlans = async () => [];
+    dataService.fetchAllRows = async () => [];
     
     // Export data
     const exportData = await dataService.exportAllData();
@@ -1250,7 +1224,16 @@ runner.test('Property 53: Export completeness - exported data contains all requi
         'moodEntries',
         'sleepEntries',
         'waterEntries',
-        'actionPlans'
+        'actionPlans',
+        'calendarEvents',
+        'pomodoroSessions',
+        'customCategories',
+        'intervalChallenges',
+        'canvasDocuments',
+        'kanbanBoards',
+        'kanbanCards',
+        'mindmaps',
+        'flowcharts'
     ];
     
     for (const field of requiredFields) {
@@ -1271,20 +1254,7 @@ runner.test('Property 53: Export completeness - exported data contains all requi
     // Restore original methods
     dataService.supabase = originalSupabase;
     dataService.getUserProfile = originalGetUserProfile;
-    dataService.getAnnualGoals = originalGetAnnualGoals;
-    dataService.getReadingList = originalGetReadingList;
-    dataService.getMonthlyData = originalGetMonthlyData;
-    dataService.getWeeklyGoals = originalGetWeeklyGoals;
-    dataService.getTimeBlocksRange = originalGetTimeBlocksRange;
-    dataService.getDailyEntry = originalGetDailyEntry;
-    dataService.getDailyHabits = originalGetDailyHabits;
-    dataService.getDailyHabitCompletions = originalGetDailyHabitCompletions;
-    dataService.getWeeklyHabits = originalGetWeeklyHabits;
-    dataService.getWeeklyHabitCompletions = originalGetWeeklyHabitCompletions;
-    dataService.getMoodEntries = originalGetMoodEntries;
-    dataService.getSleepEntries = originalGetSleepEntries;
-    dataService.getWaterEntries = originalGetWaterEntries;
-    dataService.getActionPlans = originalGetActionPlans;
+    dataService.fetchAllRows = originalFetchAllRows;
 });
 
 runner.test('Property 54: Import validation - invalid formats are rejected', async () => {
@@ -0,0 +1,66 @@
+/**
+ * Storage Service Unit Tests
+ * Tests for js/storage-service.js - calendar feed files in the calendar-feeds bucket
+ */
+
+import { jest } from '@jest/globals';
+
+// Supabase storage bucket API, answering every call without an error by default
+const mockBucket = {
+    upload: jest.fn(async () => ({ data: {}, error: null })),
+    createSignedUrl: jest.fn(async (path) => ({ data: { signedUrl: `https://storage.example.com/${path}?token=signed` }, error: null })),
+    remove: jest.fn(async () => ({ data: [], error: null }))
+};
+const mockStorage = { from: jest.fn(() => mockBucket) };
+
+jest.unstable_mockModule('../js/supabase-client.js', () => ({
+    getSupabaseClient: () => ({ storage: mockStorage }),
+    isLocalBackend: () => false
+}));
+
+const { default: storageService } = await import('../js/storage-service.js');
+
+const PATH = 'user-1/0123456789abcdef0123456789abcdef.ics';
+
+describe('StorageService', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        console.error.mockRestore();
+    });
+
+    describe('Calendar feeds', () => {
+        test('uploads the feed as a replaceable calendar file', async () => {
+            await storageService.uploadCalendarFeed(PATH, 'BEGIN:VCALENDAR');
+
+            expect(mockStorage.from).toHaveBeenCalledWith('calendar-feeds');
+            const [path, file, options] = mockBucket.upload.mock.calls[0];
+            expect(path).toBe(PATH);
+            expect(await file.text()).toBe('BEGIN:VCALENDAR');
+            expect(options).toMatchObject({ contentType: 'text/calendar;charset=utf-8', upsert: true });
+        });
+
+        test('signs the feed URL for ten years', async () => {
+            const url = await storageService.getCalendarFeedUrl(PATH);
+
+            expect(mockBucket.createSignedUrl).toHaveBeenCalledWith(PATH, 10 * 365 * 24 * 60 * 60);
+            expect(url).toBe(`https://storage.example.com/${PATH}?token=signed`);
+        });
+
+        test('deletes the feed file', async () => {
+            await storageService.deleteCalendarFeed(PATH);
+
+            expect(mockStorage.from).toHaveBeenCalledWith('calendar-feeds');
+            expect(mockBucket.remove).toHaveBeenCalledWith([PATH]);
+        });
+
+        test('reports storage errors with the failing operation', async () => {
+            mockBucket.remove.mockResolvedValueOnce({ data: null, error: { message: 'Object not found' } });
+
+            await expect(storageService.deleteCalendarFeed(PATH)).rejects.toThrow('deleteCalendarFeed: Object not found');
+        });
+    });
+});
@@ -6,6 +6,17 @@
 import dataService from '../js/data-service.js';
 import kanbanService from '../js/kanban-service.js';
 import { formatDate } from '../js/utils.js';
+import {
+    HABIT_DAY_STATUSES,
+    getPeriodRange,
+    getPeriodProgress,
+    isFlexibleSchedule,
+    isHabitDueOn,
+    isHabitOpenOn,
+    isOnVacation
+} from '../js/habit-schedule.js';
+import { addDays } from '../js/recurrence.js';
+import { isMeasurableHabit, getCompletionValue, formatTargetProgress } from '../js/habit-targets.js';
 
 /**
  * Base Widget class with error handling
@@ -82,6 +93,8 @@ class TodayOverviewWidget extends BaseWidget {
         this.stateManager = stateManager;
         this.habits = [];
         this.completions = [];
+        this.vacations = [];
+        this.habitsFrom = null;
         this.timeBlocks = [];
         this.wellnessData = { mood: null, sleep: null, water: null };
     }
@@ -89,10 +102,16 @@ class TodayOverviewWidget extends BaseWidget {
     async load() {
         const today = formatDate(new Date());
 
+        // Times-per-period habits need the whole week and month so far
+        const weekStart = getPeriodRange(today, 'week').start;
+        const monthStart = getPeriodRange(today, 'month').start;
+        const habitsFrom = weekStart < monthStart ? weekStart : monthStart;
+
         // Parallel data fetching
-        const [habits, completions, timeBlocks, mood, sleep, water] = await Promise.all([
+        const [habits, completions, vacations, timeBlocks, mood, sleep, water] = await Promise.all([
             this.dataService.getDailyHabits(),
-            this.dataService.getDailyHabitCompletions(today, today),
+            this.dataService.getDailyHabitCompletions(habitsFrom, today),
+            this.dataService.getHabitVacations().catch(() => []),
             this.dataService.getTimeBlocks(today),
             this.dataService.getMoodEntries(today, today).catch(() => []),
             this.dataService.getSleepEntries(today, today).catch(() => []),
@@ -101,6 +120,8 @@ class TodayOverviewWidget extends BaseWidget {
 
         this.habits = habits || [];
         this.completions = completions || [];
+        this.vacations = vacations || [];
+        this.habitsFrom = habitsFrom;
         this.timeBlocks = (timeBlocks || []).sort((a, b) =>
             (a.start_time || '').localeCompare(b.start_time || '')
         );
@@ -111,11 +132,40 @@ class TodayOverviewWidget extends BaseWidget {
         };
     }
 
+    /**
+     * Dates a habit was completed, from the loaded completions
+     */
+    getCompletedDates(habitId) {
+        return new Set(this.completions
+            .filter(c => c.habit_id === habitId && c.completed)
+            .map(c => c.date));
+    }
+
+    /**
+     * Days a habit was skipped or frozen, and vacation days, since the loaded range began
+     */
+    getExcusedDates(habitId) {
+        const excused = new Map();
+        this.completions.forEach(c => {
+            if (c.habit_id === habitId && c.status && !c.completed) excused.set(c.date, c.status);
+        });
+
+        const today = formatDate(new Date());
+        for (let date = this.habitsFrom || today; date <= today; date = addDays(date, 1)) {
+            if (isOnVacation(this.vacations, date)) excused.set(date, HABIT_DAY_STATUSES.VACATION);
+        }
+        return excused;
+    }
+
     renderContent() {
         const today = formatDate(new Date());
-        const completedIds = new Set(this.completions.filter(c => c.completed).map(c => c.habit_id));
-        const completedCount = this.habits.filter(h => completedIds.has(h.id)).length;
-        const totalHabits = this.habits.length;
+        const completedIds = new Set(this.completions.filter(c => c.completed && c.date === today).map(c => c.habit_id));
+
+        // Only habits their schedule asks for today
+        const todaysHabits = this.habits.filter(habit =>
+            isHabitOpenOn(habit, today, this.getCompletedDates(habit.id), this.getExcusedDates(habit.id)));
+        const completedCount = todaysHabits.filter(h => completedIds.has(h.id)).length;
+        const totalHabits = todaysHabits.length;
 
         let html = '<div class="today-overview">';
 
@@ -124,10 +174,22 @@ class TodayOverviewWidget extends BaseWidget {
         html += `<h4>Habits (${completedCount}/${totalHabits})</h4>`;
         if (this.habits.length === 0) {
             html += '<p class="empty-state">No habits to track. <a href="#habits">Add habits</a></p>';
+        } else if (isOnVacation(this.vacations, today)) {
+            html += '<p class="empty-state">🏖️ On vacation - habits are paused.</p>';
+        } else if (todaysHabits.length === 0) {
+            html += '<p class="empty-state">No habits scheduled today.</p>';
         } else {
             html += '<div class="habits-quick-list">';
-            this.habits.slice(0, 5).forEach(habit => {
+            todaysHabits.slice(0, 5).forEach(habit => {
                 const isCompleted = completedIds.has(habit.id);
+                let periodText = '';
+                if (isMeasurableHabit(habit)) {
+                    const completion = this.completions.find(c => c.habit_id === habit.id && c.date === today);
+                    periodText = `<span class="habit-period-progress">${formatTargetProgress(habit, getCompletionValue(completion))}</span>`;
+                } else if (isFlexibleSchedule(habit)) {
+                    const progress = getPeriodProgress(habit, today, this.getCompletedDates(habit.id), null, this.getExcusedDates(habit.id));
+                    periodText = `<span class="habit-period-progress">${progress.done}/${progress.target}</span>`;
+                }
                 html += `
                     <label class="habit-quick-item ${isCompleted ? 'completed' : ''}">
                         <input type="checkbox" 
@@ -135,11 +197,12 @@ class TodayOverviewWidget extends BaseWidget {
                                ${isCompleted ? 'checked' : ''} 
                                class="habit-toggle">
                         <span class="habit-name">${habit.habit_name || 'Unnamed'}</span>
+                        ${periodText}
                     </label>
                 `;
             });
-            if (this.habits.length > 5) {
-                html += `<a href="#habits" class="view-more">+${this.habits.length - 5} more</a>`;
+            if (todaysHabits.length > 5) {
+                html += `<a href="#habits" class="view-more">+${todaysHabits.length - 5} more</a>`;
             }
             html += '</div>';
         }
@@ -696,17 +759,36 @@ class StatisticsSummaryWidget extends BaseWidget {
         try {
             const habits = await this.dataService.getDailyHabits();
             if (!habits || habits.length === 0) return 0;
+            const vacations = await this.dataService.getHabitVacations().catch(() => []);
 
             let streak = 0;
             let checkDate = new Date();
             let firstCheck = true;
+            let daysChecked = 0;
 
             while (streak < 365) {
                 const dateStr = formatDate(checkDate);
-                const completions = await this.dataService.getDailyHabitCompletions(dateStr, dateStr);
-                const completedCount = (completions || []).filter(c => c.completed).length;
+                let dueHabits = isOnVacation(vacations, dateStr) ? [] : habits.filter(habit => isHabitDueOn(habit, dateStr));
+                const completions = dueHabits.length > 0
+                    ? await this.dataService.getDailyHabitCompletions(dateStr, dateStr) || []
+                    : [];
+
+                // Habits skipped or frozen that day are not due either
+                const excusedIds = new Set(completions.filter(c => c.status && !c.completed).map(c => c.habit_id));
+                dueHabits = dueHabits.filter(habit => !excusedIds.has(habit.id));
+
+                if (dueHabits.length === 0) {
+                    // Nothing scheduled that day, so it neither counts nor breaks the streak
+                    checkDate.setDate(checkDate.getDate() - 1);
+                    firstCheck = false;
+                    if (++daysChecked > 365) break;
+                    continue;
+                }
+
+                const completedIds = new Set(completions.filter(c => c.completed).map(c => c.habit_id));
+                const completedCount = dueHabits.filter(habit => completedIds.has(habit.id)).length;
 
-                if (completedCount === habits.length) {
+                if (completedCount === dueHabits.length) {
                     streak++;
                     checkDate.setDate(checkDate.getDate() - 1);
                 } else if (firstCheck) {
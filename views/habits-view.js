@@ -6,7 +6,42 @@
 import dataService from '../js/data-service.js';
 import integrationService from '../js/integration-service.js';
 import kanbanService from '../js/kanban-service.js';
+import habitReminderService from '../js/habit-reminder-service.js';
 import { formatDate, getDaysInMonth, calculateSleepDuration, calculateWaterIntakePercentage } from '../js/utils.js';
+import { addDays } from '../js/recurrence.js';
+import {
+    HABIT_SCHEDULE_TYPES,
+    HABIT_DAY_STATUSES,
+    normalizeSchedule,
+    isHabitActive,
+    isHabitDueOn,
+    isFlexibleSchedule,
+    getScheduleStats,
+    getStreakState,
+    isOnVacation,
+    describeSchedule
+} from '../js/habit-schedule.js';
+import {
+    HABIT_TARGET_COMPARISONS,
+    isMeasurableHabit,
+    getCompletionValue,
+    getTargetCredit,
+    isTargetMet,
+    describeTarget,
+    formatTargetProgress
+} from '../js/habit-targets.js';
+import {
+    buildDayRecords,
+    getWeekdayRates,
+    getPeriodRates,
+    getBestAndWorstPeriods,
+    getRatesBySleep,
+    buildFindings
+} from '../js/habit-analytics.js';
+import { AnalyticsBarChart, AnalyticsLineChart, CHART_THEME } from '../js/analytics-charts.js';
+
+// Streaks and streak freezes are worked out from the completions of this many days up to today
+const STREAK_LOOKBACK_DAYS = 365;
 
 class HabitsView {
     constructor(stateManager) {
@@ -17,11 +52,15 @@ class HabitsView {
 
         this.dailyHabits = [];
         this.dailyHabitCompletions = [];
+        // Completions in the streak window outside the month on screen
+        this.streakHistory = [];
+        this.streakStart = formatDate(new Date());
         this.weeklyHabits = [];
         this.weeklyHabitCompletions = [];
         this.moodEntries = [];
         this.sleepEntries = [];
         this.waterEntries = [];
+        this.habitVacations = [];
         this.intervalChallenges = [];
         this.challengeCompletions = [];
         this.annualGoals = []; // For linking habits to goals
@@ -33,6 +72,8 @@ class HabitsView {
         // Grid display modes
         this.dailyGridMode = 'checklist'; // 'checklist' or 'count'
         this.challengeGridModes = {}; // { challengeId: 'checklist' | 'count' }
+
+        this.insightsCharts = null; // Created on first visit to the Insights tab
     }
 
     /**
@@ -83,6 +124,20 @@ class HabitsView {
         // Habit bundles button
         document.getElementById('habit-bundles-btn')?.addEventListener('click', () => this.openHabitBundlesModal());
 
+        // Vacation mode
+        document.getElementById('habit-vacation-btn')?.addEventListener('click', () => this.openHabitVacationModal());
+        document.getElementById('habit-vacation-form')?.addEventListener('submit', (e) => this.handleAddHabitVacation(e));
+        const vacationModal = document.getElementById('habit-vacation-modal');
+        vacationModal?.querySelectorAll('.modal-close').forEach(btn => {
+            btn.addEventListener('click', () => this.closeHabitVacationModal());
+        });
+        vacationModal?.addEventListener('click', (e) => {
+            if (e.target === vacationModal) this.closeHabitVacationModal();
+        });
+
+        // Insights period
+        document.getElementById('habit-insights-range')?.addEventListener('change', () => this.renderInsights());
+
         // Habit drag and drop reordering in modal
         const habitInputsContainer = document.getElementById('challenge-habits-inputs');
         if (habitInputsContainer) {
@@ -282,7 +337,15 @@ class HabitsView {
 
             // Load completions
             this.dailyHabitCompletions = await dataService.getDailyHabitCompletions(startDate, endDate);
+
+            // Streaks run up to today and usually start before the month on screen
+            const today = formatDate(new Date());
+            this.streakStart = addDays(today, -(STREAK_LOOKBACK_DAYS - 1));
+            const streakCompletions = await dataService.getDailyHabitCompletions(this.streakStart, today) || [];
+            this.streakHistory = streakCompletions.filter(c => c.date < startDate || c.date > endDate);
+
             this.weeklyHabitCompletions = await dataService.getWeeklyHabitCompletions(startDate, endDate);
+            this.habitVacations = await dataService.getHabitVacations() || [];
 
             // Load wellness data
             this.moodEntries = await dataService.getMoodEntries(startDate, endDate);
@@ -312,6 +375,8 @@ class HabitsView {
             this.renderChallenges();
         } else if (this.currentTab === 'wellness') {
             this.renderWellness();
+        } else if (this.currentTab === 'insights') {
+            this.renderInsights();
         }
     }
 
@@ -398,9 +463,12 @@ class HabitsView {
             });
         }
 
-        // Goal linking (only for daily habits)
+        // Goal linking and schedules (only for daily habits)
         if (type === 'daily') {
             this.setupGoalLinking(item, habit);
+            this.setupScheduleEditor(item, habit);
+            this.setupTargetEditor(item, habit);
+            this.setupReminderEditor(item, habit);
 
             // Drag and drop support
             const dragHandle = item.querySelector('.drag-handle');
@@ -649,6 +717,283 @@ class HabitsView {
         }
     }
 
+    /**
+     * Setup the schedule editor for a daily habit item
+     */
+    setupScheduleEditor(item, habit) {
+        const scheduleBtn = item.querySelector('.habit-schedule-btn');
+        const editor = item.querySelector('.habit-schedule-editor');
+        if (!scheduleBtn || !editor) return;
+
+        const typeSelect = editor.querySelector('.habit-schedule-type');
+        const showFields = () => {
+            editor.querySelectorAll('.habit-schedule-field').forEach(field => {
+                field.style.display = field.dataset.scheduleType === typeSelect.value ? 'flex' : 'none';
+            });
+        };
+
+        this.updateHabitBadge(item, habit);
+
+        // Toggle editor, filled in from the saved schedule
+        scheduleBtn.addEventListener('click', () => {
+            const isVisible = editor.style.display === 'block';
+            editor.style.display = isVisible ? 'none' : 'block';
+            if (isVisible) return;
+
+            const schedule = normalizeSchedule(habit.schedule);
+            typeSelect.value = schedule.type;
+            editor.querySelectorAll('.habit-schedule-weekday').forEach(checkbox => {
+                checkbox.checked = schedule.weekdays.includes(parseInt(checkbox.value));
+            });
+            editor.querySelector('.habit-schedule-times').value = schedule.times || 3;
+            editor.querySelector('.habit-schedule-period').value = schedule.period || 'week';
+            editor.querySelector('.habit-schedule-every').value = schedule.every_days || 2;
+            editor.querySelector('.habit-schedule-start').value = schedule.start_date || '';
+            editor.querySelector('.habit-schedule-end').value = schedule.end_date || '';
+            showFields();
+        });
+
+        typeSelect.addEventListener('change', showFields);
+
+        editor.querySelector('.save-schedule-btn').addEventListener('click', async () => {
+            const schedule = this.readScheduleEditor(editor);
+            if (schedule === undefined) return;
+
+            await this.saveHabitSchedule(habit.id, schedule);
+            this.updateHabitBadge(item, habit);
+            editor.style.display = 'none';
+        });
+    }
+
+    /**
+     * Show a habit's schedule and daily target next to its name
+     * Hidden for plain every-day checkbox habits.
+     */
+    updateHabitBadge(item, habit) {
+        const badge = item.querySelector('.habit-schedule-badge');
+        if (!badge) return;
+
+        const schedule = normalizeSchedule(habit.schedule);
+        const isEveryDay = schedule.type === HABIT_SCHEDULE_TYPES.DAILY && !schedule.start_date && !schedule.end_date;
+        const parts = [
+            isEveryDay ? null : describeSchedule(schedule),
+            isMeasurableHabit(habit) ? describeTarget(habit) : null
+        ].filter(Boolean);
+
+        badge.textContent = parts.join(' · ');
+        badge.style.display = parts.length > 0 ? 'inline-block' : 'none';
+    }
+
+    /**
+     * Read a schedule from the editor, or show an error and return undefined
+     * Returns null for an every-day schedule without start or end date.
+     */
+    readScheduleEditor(editor) {
+        const type = editor.querySelector('.habit-schedule-type').value;
+        const startDate = editor.querySelector('.habit-schedule-start').value || null;
+        const endDate = editor.querySelector('.habit-schedule-end').value || null;
+
+        if (startDate && endDate && endDate < startDate) {
+            this.showError('The end date must be on or after the start date');
+            return undefined;
+        }
+
+        const schedule = { type, start_date: startDate, end_date: endDate };
+
+        if (type === HABIT_SCHEDULE_TYPES.WEEKDAYS) {
+            schedule.weekdays = Array.from(editor.querySelectorAll('.habit-schedule-weekday:checked'))
+                .map(checkbox => parseInt(checkbox.value));
+            if (schedule.weekdays.length === 0) {
+                this.showError('Pick at least one weekday');
+                return undefined;
+            }
+        } else if (type === HABIT_SCHEDULE_TYPES.TIMES_PER_PERIOD) {
+            schedule.times = parseInt(editor.querySelector('.habit-schedule-times').value);
+            schedule.period = editor.querySelector('.habit-schedule-period').value;
+            if (!(schedule.times >= 1)) {
+                this.showError('Times per period must be at least 1');
+                return undefined;
+            }
+        } else if (type === HABIT_SCHEDULE_TYPES.INTERVAL) {
+            schedule.every_days = parseInt(editor.querySelector('.habit-schedule-every').value);
+            if (!(schedule.every_days >= 1)) {
+                this.showError('The number of days must be at least 1');
+                return undefined;
+            }
+            // Without a start date the interval counts from the day the habit was created
+        }
+
+        if (type === HABIT_SCHEDULE_TYPES.DAILY && !startDate && !endDate) return null;
+        return normalizeSchedule(schedule);
+    }
+
+    /**
+     * Save a habit's schedule and redraw everything that depends on it
+     */
+    async saveHabitSchedule(habitId, schedule) {
+        await this.updateDailyHabit(habitId, { schedule });
+        this.renderDailyHabitsGrid();
+        this.calculateDailyProgress();
+    }
+
+    /**
+     * Setup the daily target editor for a measurable habit item
+     */
+    setupTargetEditor(item, habit) {
+        const targetBtn = item.querySelector('.habit-target-btn');
+        const editor = item.querySelector('.habit-target-editor');
+        if (!targetBtn || !editor) return;
+
+        const valueInput = editor.querySelector('.habit-target-value');
+        const unitInput = editor.querySelector('.habit-target-unit');
+        const comparisonSelect = editor.querySelector('.habit-target-comparison');
+
+        if (isMeasurableHabit(habit)) {
+            targetBtn.style.opacity = '1';
+            targetBtn.title = `Daily target: ${describeTarget(habit)}`;
+        }
+
+        // Toggle editor, filled in from the saved target
+        targetBtn.addEventListener('click', () => {
+            const isVisible = editor.style.display === 'block';
+            editor.style.display = isVisible ? 'none' : 'block';
+            if (isVisible) return;
+
+            valueInput.value = habit.target_value ?? '';
+            unitInput.value = habit.unit || '';
+            comparisonSelect.value = habit.target_comparison || HABIT_TARGET_COMPARISONS.AT_LEAST;
+            valueInput.focus();
+        });
+
+        editor.querySelector('.save-target-btn').addEventListener('click', async () => {
+            const targetValue = parseFloat(valueInput.value);
+            if (!(targetValue > 0)) {
+                this.showError('The daily target must be a number greater than 0');
+                return;
+            }
+
+            await this.saveHabitTarget(habit.id, {
+                target_value: targetValue,
+                unit: unitInput.value.trim() || null,
+                target_comparison: comparisonSelect.value
+            });
+            editor.style.display = 'none';
+        });
+
+        editor.querySelector('.clear-target-btn').addEventListener('click', async () => {
+            await this.saveHabitTarget(habit.id, { target_value: null, unit: null, target_comparison: null });
+            editor.style.display = 'none';
+        });
+    }
+
+    /**
+     * Setup the reminder time editor for a daily habit item
+     */
+    setupReminderEditor(item, habit) {
+        const reminderBtn = item.querySelector('.habit-reminder-btn');
+        const editor = item.querySelector('.habit-reminder-editor');
+        if (!reminderBtn || !editor) return;
+
+        const timeInput = editor.querySelector('.habit-reminder-time');
+
+        if (habit.reminder_time) {
+            reminderBtn.style.opacity = '1';
+            reminderBtn.title = `Reminder at ${habit.reminder_time.slice(0, 5)}`;
+        }
+
+        reminderBtn.addEventListener('click', () => {
+            const isVisible = editor.style.display === 'block';
+            editor.style.display = isVisible ? 'none' : 'block';
+            if (isVisible) return;
+
+            timeInput.value = habit.reminder_time ? habit.reminder_time.slice(0, 5) : '';
+            timeInput.focus();
+        });
+
+        editor.querySelector('.save-reminder-btn').addEventListener('click', async () => {
+            if (!timeInput.value) {
+                this.showError('Please choose a time for the reminder');
+                return;
+            }
+            await this.saveHabitReminder(habit.id, timeInput.value);
+            editor.style.display = 'none';
+        });
+
+        editor.querySelector('.clear-reminder-btn').addEventListener('click', async () => {
+            await this.saveHabitReminder(habit.id, null);
+            editor.style.display = 'none';
+        });
+    }
+
+    /**
+     * Save a habit's reminder time and redraw the habit list
+     * Points to the settings when reminders are switched off in this browser.
+     */
+    async saveHabitReminder(habitId, reminderTime) {
+        await this.updateDailyHabit(habitId, { reminder_time: reminderTime });
+        this.renderDailyHabits();
+
+        if (reminderTime && !habitReminderService.getSettings().enabled && window.showToast) {
+            window.showToast('Reminder saved. Turn on habit reminders in Settings to get notified.', 'info');
+        }
+    }
+
+    /**
+     * Save a habit's daily target and redraw the habit list, grid and progress
+     */
+    async saveHabitTarget(habitId, target) {
+        await this.updateDailyHabit(habitId, target);
+        this.renderDailyHabits();
+    }
+
+    /**
+     * Mark a grid cell as meeting or partly meeting a measurable habit's target
+     */
+    setTargetCellState(cell, habit, value) {
+        const credit = getTargetCredit(habit, value);
+        cell.classList.toggle('target-met', credit >= 1);
+        cell.classList.toggle('target-partial', credit > 0 && credit < 1);
+        cell.querySelector('.habit-value-input')?.setAttribute('title', formatTargetProgress(habit, value));
+    }
+
+    /**
+     * Log the value of a measurable habit for a date
+     */
+    async saveHabitValue(habit, date, value, cell = null) {
+        try {
+            const completed = isTargetMet(habit, value);
+            await dataService.setDailyHabitValue(habit.id, date, value, completed);
+
+            // Update local state
+            const completion = this.dailyHabitCompletions.find(c => c.habit_id === habit.id && c.date === date);
+            const wasCompleted = completion?.completed || false;
+            const hadStatus = !!completion?.status;
+            if (completion) {
+                completion.count_value = value;
+                completion.completed = completed;
+                completion.status = null;
+            } else {
+                this.dailyHabitCompletions.push({ habit_id: habit.id, date, count_value: value, completed });
+            }
+
+            // Saving clears a skip or freeze, which the grid shows on the cell and in the streak
+            if (hadStatus) {
+                this.renderDailyHabitsGrid();
+            } else if (cell) {
+                this.setTargetCellState(cell, habit, value);
+                if (completed && !wasCompleted) {
+                    this.celebrateCompletion(cell);
+                }
+            }
+
+            // Recalculate progress
+            this.calculateDailyProgress();
+        } catch (error) {
+            console.error('Failed to save habit value:', error);
+            this.showError('Failed to save value. Please try again.');
+        }
+    }
+
     /**
      * Render daily habits grid
      */
@@ -678,16 +1023,9 @@ class HabitsView {
             const row = document.createElement('div');
             row.className = 'habits-grid-row';
 
-            // Calculate percentage
-            let completedDays = 0;
-            for (let day = 1; day <= daysInMonth; day++) {
-                const date = `${this.currentYear}-${String(this.currentMonth).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
-                const completion = this.dailyHabitCompletions.find(c => c.habit_id === habit.id && c.date === date);
-                if (completion && completion.completed) {
-                    completedDays++;
-                }
-            }
-            const percentage = Math.round((completedDays / daysInMonth) * 100);
+            // Calculate percentage of the days the schedule asked for
+            const { completed, expected } = this.getHabitMonthStats(habit);
+            const percentage = expected > 0 ? Math.round((completed / expected) * 100) : 0;
 
             let pColor = 'var(--text-color-muted)';
             if (percentage >= 80) pColor = 'var(--success-color)';
@@ -697,7 +1035,7 @@ class HabitsView {
             const nameCell = document.createElement('div');
             nameCell.className = 'grid-cell habit-name-cell';
             nameCell.innerHTML = `
-                <span class="habit-name-text" style="flex: 1; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">${habit.habit_name || 'Unnamed'}</span>
+                <span class="habit-name-text" style="flex: 1; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;" title="${describeSchedule(habit.schedule)}">${habit.habit_name || 'Unnamed'}</span>
                 <span class="habit-grid-percent" style="font-size: 0.8em; color: ${pColor}; font-weight: bold; margin-left: 8px;">${percentage}%</span>
             `;
             nameCell.style.display = 'flex';
@@ -712,11 +1050,38 @@ class HabitsView {
                 const cell = document.createElement('div');
                 cell.className = 'grid-cell checkbox-cell';
 
-                if (this.dailyGridMode === 'count') {
+                // Days off stay checkable, they just don't count as missed
+                const scheduled = isFlexibleSchedule(habit) ? isHabitActive(habit, date) : isHabitDueOn(habit, date);
+                if (!scheduled) {
+                    cell.classList.add('not-scheduled');
+                }
+                if (isOnVacation(this.habitVacations, date)) {
+                    cell.classList.add('on-vacation');
+                } else if (completion?.status && !completion.completed) {
+                    cell.classList.add(`status-${completion.status}`);
+                }
+
+                if (isMeasurableHabit(habit) && this.dailyGridMode !== 'count') {
+                    // Measurable habits log a number instead of a checkbox
+                    const value = getCompletionValue(completion);
+                    const input = document.createElement('input');
+                    input.type = 'number';
+                    input.min = '0';
+                    input.step = 'any';
+                    input.className = 'habit-value-input';
+                    input.value = value ?? '';
+                    input.setAttribute('aria-label', `${habit.habit_name || 'Habit'} on ${date}`);
+                    input.addEventListener('change', () => {
+                        const newValue = input.value === '' ? null : parseFloat(input.value);
+                        this.saveHabitValue(habit, date, newValue, cell);
+                    });
+                    cell.appendChild(input);
+                    this.setTargetCellState(cell, habit, value);
+                } else if (this.dailyGridMode === 'count') {
                     cell.classList.add('count-mode');
                     // Display count or note snippet
-                    const count = parseFloat(completion?.notes);
-                    if (!isNaN(count)) {
+                    const count = getCompletionValue(completion);
+                    if (count !== null) {
                         cell.textContent = count;
                     } else if (completion?.completed) {
                         cell.textContent = '1'; // Default to 1 if checked but no numeric note
@@ -744,6 +1109,12 @@ class HabitsView {
                     this.showHabitNoteModal(habit, date, completion?.notes || '');
                 });
 
+                // Right-click to skip or freeze the day
+                cell.addEventListener('contextmenu', (e) => {
+                    e.preventDefault();
+                    this.showHabitDayMenu(e, habit, date);
+                });
+
                 row.appendChild(cell);
             }
 
@@ -760,25 +1131,17 @@ class HabitsView {
 
         progressList.innerHTML = '';
 
-        const daysInMonth = getDaysInMonth(this.currentYear, this.currentMonth);
-
         this.dailyHabits.forEach((habit, index) => {
-            let completed = 0;
+            // Count completions against the days this habit was scheduled this month
+            const { completed, expected } = this.getHabitMonthStats(habit);
+            const percentage = (expected > 0 ? (completed / expected) * 100 : 0).toFixed(1);
 
-            // Count completions for this habit in the current month
-            for (let day = 1; day <= daysInMonth; day++) {
-                const dateStr = `${this.currentYear}-${String(this.currentMonth).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
-                const completion = this.dailyHabitCompletions.find(c => c.habit_id === habit.id && c.date === dateStr);
-                if (completion && completion.completed) {
-                    completed++;
-                }
-            }
-
-            const percentage = ((completed / daysInMonth) * 100).toFixed(1);
-
-            // Calculate current streak
-            const streak = this.calculateStreak(habit.id);
+            // Calculate current streak and the freezes it has banked
+            const { streak, freezes } = this.getHabitStreakState(habit);
             const streakBadge = this.getStreakBadge(streak);
+            const freezeBadge = freezes > 0
+                ? `<span class="streak-freezes" title="Streak freezes banked - right-click a missed day to use one">❄️ ${freezes}</span>`
+                : '';
 
             // Generate chain visualization (last 7 days)
             const chainHtml = this.generateChainVisualization(habit.id);
@@ -788,8 +1151,10 @@ class HabitsView {
             progressItem.innerHTML = `
                 <div class="progress-item-header">
                     <span class="progress-item-name">${habit.habit_name || `Habit ${index + 1}`}</span>
+                    <span class="progress-item-schedule">${describeSchedule(habit.schedule)}${isMeasurableHabit(habit) ? ` · ${describeTarget(habit)}` : ''}</span>
                     <div class="progress-item-stats">
                         ${streakBadge}
+                        ${freezeBadge}
                         <span class="progress-value">${percentage}%</span>
                     </div>
                 </div>
@@ -842,7 +1207,8 @@ class HabitsView {
         const completedHabits = this.dailyHabitCompletions.filter(c => c.completed).length;
         points += completedHabits * 10;
 
-        // Bonus points for streaks
+        // Bonus points for streaks; skipped, frozen and vacation days keep a streak
+        // going but earn nothing themselves
         this.dailyHabits.forEach(habit => {
             const streak = this.calculateStreak(habit.id);
             if (streak >= 7) points += 50;   // Week streak bonus
@@ -899,6 +1265,7 @@ class HabitsView {
             { id: 'streak-100', name: 'Century Club', icon: '💯', description: '100-day streak on any habit', check: () => this.getMaxStreak() >= 100 },
             { id: 'perfect-day', name: 'Perfect Day', icon: '⭐', description: 'Complete all habits in one day', check: () => this.hasPerfectDay() },
             { id: 'perfect-week', name: 'Perfect Week', icon: '🌟', description: '7 perfect days in a row', check: () => this.getPerfectDayStreak() >= 7 },
+            { id: 'streak-saver', name: 'Streak Saver', icon: '❄️', description: 'Keep a streak alive with a streak freeze', check: () => this.dailyHabits.some(habit => this.getHabitStreakState(habit).freezesUsed > 0) },
             { id: 'five-habits', name: 'Habit Builder', icon: '🏗️', description: 'Track 5 or more habits', check: () => this.dailyHabits.length >= 5 },
             { id: 'ten-habits', name: 'Habit Master', icon: '🎓', description: 'Track 10 or more habits', check: () => this.dailyHabits.length >= 10 },
             { id: 'early-bird', name: 'Early Bird', icon: '🐦', description: 'Complete a habit before 8 AM', check: () => false }, // Would need timestamp tracking
@@ -924,7 +1291,7 @@ class HabitsView {
     }
 
     /**
-     * Check if there's been a perfect day (all habits completed)
+     * Check if there's been a perfect day (all habits due that day completed)
      */
     hasPerfectDay() {
         if (this.dailyHabits.length === 0) return false;
@@ -932,19 +1299,9 @@ class HabitsView {
         const daysInMonth = getDaysInMonth(this.currentYear, this.currentMonth);
         for (let day = 1; day <= daysInMonth; day++) {
             const dateStr = `${this.currentYear}-${String(this.currentMonth).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
-            let allCompleted = true;
-
-            for (const habit of this.dailyHabits) {
-                const completion = this.dailyHabitCompletions.find(
-                    c => c.habit_id === habit.id && c.date === dateStr && c.completed
-                );
-                if (!completion) {
-                    allCompleted = false;
-                    break;
-                }
-            }
+            const { completed, due } = this.getDayCompletion(dateStr);
 
-            if (allCompleted) return true;
+            if (due > 0 && completed === due) return true;
         }
         return false;
     }
@@ -958,29 +1315,14 @@ class HabitsView {
         let streak = 0;
         let currentDate = new Date();
 
-        while (true) {
+        // Days with nothing due neither extend nor break the streak
+        for (let checked = 0; checked <= 365; checked++) {
             const dateStr = formatDate(currentDate);
-            let allCompleted = true;
+            const { completed, due } = this.getDayCompletion(dateStr);
 
-            for (const habit of this.dailyHabits) {
-                const completion = this.dailyHabitCompletions.find(
-                    c => c.habit_id === habit.id && c.date === dateStr && c.completed
-                );
-                if (!completion) {
-                    allCompleted = false;
-                    break;
-                }
-            }
-
-            if (allCompleted) {
-                streak++;
-                currentDate.setDate(currentDate.getDate() - 1);
-            } else {
-                break;
-            }
-
-            // Safety limit
-            if (streak > 365) break;
+            if (due > 0 && completed < due) break;
+            if (due > 0) streak++;
+            currentDate.setDate(currentDate.getDate() - 1);
         }
 
         return streak;
@@ -1067,48 +1409,137 @@ class HabitsView {
     }
 
     /**
-     * Calculate current streak for a habit
+     * Share of a day's habit that was done: 1 when completed, a fraction for
+     * measurable habits that fell short of their target
      */
-    calculateStreak(habitId) {
-        const today = new Date();
-        let streak = 0;
-        let currentDate = new Date(today);
+    getCompletionCredit(habit, completion) {
+        if (!completion) return 0;
+        if (completion.completed) return 1;
+        return isMeasurableHabit(habit) ? getTargetCredit(habit, getCompletionValue(completion)) : 0;
+    }
 
-        // Check backwards from today
-        while (true) {
-            const dateStr = formatDate(currentDate);
-            const completion = this.dailyHabitCompletions.find(
-                c => c.habit_id === habitId && c.date === dateStr && c.completed
-            );
+    /**
+     * Dates a daily habit was completed, from the month's completions unless others are given
+     * Measurable habits get a Map of date to credit so partial days count in progress.
+     */
+    getCompletedDates(habit, allCompletions = this.dailyHabitCompletions) {
+        const completions = allCompletions.filter(c => c.habit_id === habit.id);
+        if (!isMeasurableHabit(habit)) {
+            return new Set(completions.filter(c => c.completed).map(c => c.date));
+        }
 
-            if (completion) {
-                streak++;
-                currentDate.setDate(currentDate.getDate() - 1);
-            } else {
-                // If today is not completed, check if yesterday was (allow for not yet completing today)
-                if (streak === 0) {
-                    currentDate.setDate(currentDate.getDate() - 1);
-                    const yesterdayStr = formatDate(currentDate);
-                    const yesterdayCompletion = this.dailyHabitCompletions.find(
-                        c => c.habit_id === habitId && c.date === yesterdayStr && c.completed
-                    );
-                    if (yesterdayCompletion) {
-                        streak++;
-                        currentDate.setDate(currentDate.getDate() - 1);
-                        continue;
-                    }
-                }
-                break;
+        const credits = new Map();
+        completions.forEach(completion => {
+            const credit = this.getCompletionCredit(habit, completion);
+            if (credit > 0) credits.set(completion.date, credit);
+        });
+        return credits;
+    }
+
+    /**
+     * Completions a streak is worked out from: the streak window through today
+     */
+    getStreakCompletions() {
+        const today = formatDate(new Date());
+        return this.streakHistory.concat(
+            this.dailyHabitCompletions.filter(c => c.date >= this.streakStart && c.date <= today)
+        );
+    }
+
+    /**
+     * Days a daily habit is excused from: days it was skipped or frozen, and vacation days
+     * Statuses come from the month's completions unless others are given. Vacations are
+     * expanded over the month and the streak window, which runs through today.
+     */
+    getExcusedDates(habit, completions = this.dailyHabitCompletions) {
+        const excused = new Map();
+        completions.forEach(c => {
+            if (c.habit_id === habit.id && c.status && !c.completed) excused.set(c.date, c.status);
+        });
+
+        const month = String(this.currentMonth).padStart(2, '0');
+        const daysInMonth = getDaysInMonth(this.currentYear, this.currentMonth);
+        const monthStart = `${this.currentYear}-${month}-01`;
+        const monthEnd = `${this.currentYear}-${month}-${String(daysInMonth).padStart(2, '0')}`;
+        const today = formatDate(new Date());
+        const start = this.streakStart < monthStart ? this.streakStart : monthStart;
+        const end = today > monthEnd ? today : monthEnd;
+
+        this.habitVacations.forEach(vacation => {
+            const from = vacation.start_date > start ? vacation.start_date : start;
+            const to = vacation.end_date < end ? vacation.end_date : end;
+            for (let date = from; date <= to; date = addDays(date, 1)) {
+                excused.set(date, HABIT_DAY_STATUSES.VACATION);
             }
-        }
+        });
+        return excused;
+    }
 
-        return streak;
+    /**
+     * Completions this month against what the habit's schedule asked for
+     */
+    getHabitMonthStats(habit) {
+        const month = String(this.currentMonth).padStart(2, '0');
+        const daysInMonth = getDaysInMonth(this.currentYear, this.currentMonth);
+        return getScheduleStats(
+            habit,
+            this.getCompletedDates(habit),
+            `${this.currentYear}-${month}-01`,
+            `${this.currentYear}-${month}-${String(daysInMonth).padStart(2, '0')}`,
+            this.getExcusedDates(habit)
+        );
+    }
+
+    /**
+     * Habits due on a date and how many of them were completed
+     * Times-per-period habits only count on days they were done; measurable habits
+     * short of their target add partial credit. Skipped, frozen and vacation days are
+     * not due.
+     */
+    getDayCompletion(dateStr) {
+        let completed = 0;
+        let due = 0;
+        const onVacation = isOnVacation(this.habitVacations, dateStr);
+
+        this.dailyHabits.forEach(habit => {
+            const completion = this.dailyHabitCompletions.find(c => c.habit_id === habit.id && c.date === dateStr);
+            const credit = this.getCompletionCredit(habit, completion);
+            if (credit === 0 && (onVacation || completion?.status)) return;
+            const counts = isFlexibleSchedule(habit) ? credit > 0 && isHabitActive(habit, dateStr) : isHabitDueOn(habit, dateStr);
+            if (!counts) return;
+            due++;
+            completed += credit;
+        });
+
+        return { completed, due };
+    }
+
+    /**
+     * Current streak of a habit and the streak freezes it has banked
+     */
+    getHabitStreakState(habit) {
+        const completions = this.getStreakCompletions();
+        return getStreakState(habit, this.getCompletedDates(habit, completions), formatDate(new Date()),
+            this.getExcusedDates(habit, completions));
+    }
+
+    /**
+     * Calculate current streak for a habit, skipping days its schedule leaves off
+     * and days it was excused from
+     */
+    calculateStreak(habitId) {
+        const habit = this.dailyHabits.find(h => h.id === habitId) || { id: habitId };
+        return this.getHabitStreakState(habit).streak;
     }
 
     /**
      * Generate chain visualization for last 7 days
      */
     generateChainVisualization(habitId) {
+        const habit = this.dailyHabits.find(h => h.id === habitId) || { id: habitId };
+        // The last 7 days can reach back into the previous month
+        const completions = this.getStreakCompletions();
+        const excused = this.getExcusedDates(habit, completions);
         const today = new Date();
         const days = [];
 
@@ -1118,7 +1549,7 @@ class HabitsView {
             date.setDate(date.getDate() - i);
             const dateStr = formatDate(date);
 
-            const completion = this.dailyHabitCompletions.find(
+            const completion = completions.find(
                 c => c.habit_id === habitId && c.date === dateStr && c.completed
             );
 
@@ -1127,20 +1558,25 @@ class HabitsView {
 
             days.push({
                 completed: !!completion,
+                status: completion ? null : excused.get(dateStr),
+                scheduled: isFlexibleSchedule(habit) ? isHabitActive(habit, dateStr) : isHabitDueOn(habit, dateStr),
                 isToday,
                 dayName
             });
         }
 
         // Generate HTML
+        // Excused days hold the chain together without adding to it
+        const statusIcons = { [HABIT_DAY_STATUSES.SKIPPED]: '–', [HABIT_DAY_STATUSES.FROZEN]: '❄', [HABIT_DAY_STATUSES.VACATION]: '☀' };
+        const holds = day => day.completed || !!day.status;
         return days.map((day, index) => {
-            const linkClass = index > 0 ? (days[index - 1].completed && day.completed ? 'chain-link connected' : 'chain-link broken') : '';
-            const circleClass = `chain-circle ${day.completed ? 'completed' : ''} ${day.isToday ? 'today' : ''}`;
+            const linkClass = index > 0 ? (holds(days[index - 1]) && holds(day) ? 'chain-link connected' : 'chain-link broken') : '';
+            const circleClass = `chain-circle ${day.completed ? 'completed' : ''} ${day.status ? `status-${day.status}` : ''} ${day.isToday ? 'today' : ''} ${day.scheduled ? '' : 'not-scheduled'}`;
 
             return `
                 ${index > 0 ? `<span class="${linkClass}"></span>` : ''}
-                <span class="${circleClass}" title="${day.dayName}">
-                    ${day.completed ? '✓' : ''}
+                <span class="${circleClass}" title="${day.dayName}${day.status ? ` (${day.status})` : ''}">
+                    ${day.completed ? '✓' : (statusIcons[day.status] || '')}
                 </span>
             `;
         }).join('');
@@ -1182,25 +1618,18 @@ class HabitsView {
         }
 
         const daysInMonth = getDaysInMonth(this.currentYear, this.currentMonth);
-        const totalHabits = this.dailyHabits.length;
         const today = new Date();
         const todayStr = formatDate(today);
 
-        // Calculate completion percentage for each day
+        // Calculate completion percentage of the habits due each day
         const dayCompletions = [];
         for (let day = 1; day <= daysInMonth; day++) {
             const dateStr = `${this.currentYear}-${String(this.currentMonth).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
-            let completed = 0;
-
-            this.dailyHabits.forEach(habit => {
-                const completion = this.dailyHabitCompletions.find(
-                    c => c.habit_id === habit.id && c.date === dateStr && c.completed
-                );
-                if (completion) completed++;
-            });
+            const { completed, due } = this.getDayCompletion(dateStr);
 
-            const percentage = totalHabits > 0 ? (completed / totalHabits) * 100 : 0;
-            dayCompletions.push({ day, dateStr, percentage, isToday: dateStr === todayStr });
+            const percentage = due > 0 ? (completed / due) * 100 : 0;
+            const onVacation = isOnVacation(this.habitVacations, dateStr);
+            dayCompletions.push({ day, dateStr, percentage, onVacation, isToday: dateStr === todayStr });
         }
 
         // Build heatmap HTML
@@ -1209,7 +1638,7 @@ class HabitsView {
             <div class="heatmap-grid">
         `;
 
-        dayCompletions.forEach(({ day, percentage, isToday }) => {
+        dayCompletions.forEach(({ day, percentage, onVacation, isToday }) => {
             let level = 0;
             if (percentage > 0 && percentage <= 25) level = 1;
             else if (percentage > 25 && percentage <= 50) level = 2;
@@ -1217,7 +1646,9 @@ class HabitsView {
             else if (percentage > 75) level = 4;
 
             const todayClass = isToday ? ' today' : '';
-            heatmapHTML += `<div class="heatmap-cell level-${level}${todayClass}" title="Day ${day}: ${percentage.toFixed(0)}% complete"></div>`;
+            const vacationClass = onVacation ? ' vacation' : '';
+            const title = onVacation && percentage === 0 ? `Day ${day}: on vacation` : `Day ${day}: ${percentage.toFixed(0)}% complete`;
+            heatmapHTML += `<div class="heatmap-cell level-${level}${todayClass}${vacationClass}" title="${title}"></div>`;
         });
 
         heatmapHTML += `
@@ -1249,25 +1680,17 @@ class HabitsView {
         if (!chartContainer || this.dailyHabits.length === 0) return;
 
         const today = new Date();
-        const totalHabits = this.dailyHabits.length;
         const days = 30;
         const data = [];
 
-        // Calculate completion percentage for each of the last 30 days
+        // Calculate completion percentage of the habits due on each of the last 30 days
         for (let i = days - 1; i >= 0; i--) {
             const date = new Date(today);
             date.setDate(date.getDate() - i);
             const dateStr = formatDate(date);
 
-            let completed = 0;
-            this.dailyHabits.forEach(habit => {
-                const completion = this.dailyHabitCompletions.find(
-                    c => c.habit_id === habit.id && c.date === dateStr && c.completed
-                );
-                if (completion) completed++;
-            });
-
-            const percentage = totalHabits > 0 ? (completed / totalHabits) * 100 : 0;
+            const { completed, due } = this.getDayCompletion(dateStr);
+            const percentage = due > 0 ? (completed / due) * 100 : 0;
             data.push({
                 date: dateStr,
                 day: date.getDate(),
@@ -1305,19 +1728,14 @@ class HabitsView {
     calculateOverallProgress() {
         if (this.dailyHabits.length === 0) return 0;
 
-        const daysInMonth = getDaysInMonth(this.currentYear, this.currentMonth);
-        const totalPossible = this.dailyHabits.length * daysInMonth;
+        let totalPossible = 0;
         let totalCompleted = 0;
 
-        for (let day = 1; day <= daysInMonth; day++) {
-            const dateStr = `${this.currentYear}-${String(this.currentMonth).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
-            this.dailyHabits.forEach(habit => {
-                const completion = this.dailyHabitCompletions.find(
-                    c => c.habit_id === habit.id && c.date === dateStr && c.completed
-                );
-                if (completion) totalCompleted++;
-            });
-        }
+        this.dailyHabits.forEach(habit => {
+            const { completed, expected } = this.getHabitMonthStats(habit);
+            totalPossible += expected;
+            totalCompleted += completed;
+        });
 
         return totalPossible > 0 ? (totalCompleted / totalPossible) * 100 : 0;
     }
@@ -1473,6 +1891,128 @@ class HabitsView {
         if (modal) modal.style.display = 'none';
     }
 
+    /**
+     * Open the vacation mode modal
+     */
+    openHabitVacationModal() {
+        const modal = document.getElementById('habit-vacation-modal');
+        if (!modal) return;
+
+        const today = formatDate(new Date());
+        document.getElementById('habit-vacation-start').value = today;
+        document.getElementById('habit-vacation-end').value = today;
+        document.getElementById('habit-vacation-note').value = '';
+
+        this.renderHabitVacations();
+        modal.style.display = 'flex';
+    }
+
+    /**
+     * Close the vacation mode modal
+     */
+    closeHabitVacationModal() {
+        const modal = document.getElementById('habit-vacation-modal');
+        if (modal) modal.style.display = 'none';
+    }
+
+    /**
+     * List the profile's vacations in the vacation modal
+     */
+    renderHabitVacations() {
+        const list = document.getElementById('habit-vacation-list');
+        if (!list) return;
+
+        list.innerHTML = '';
+        if (this.habitVacations.length === 0) {
+            list.innerHTML = '<li class="habit-vacation-empty">No vacations planned</li>';
+            return;
+        }
+
+        this.habitVacations.forEach(vacation => {
+            const item = document.createElement('li');
+            item.className = 'habit-vacation-item';
+
+            const dates = document.createElement('span');
+            dates.className = 'habit-vacation-dates';
+            dates.textContent = vacation.start_date === vacation.end_date
+                ? vacation.start_date
+                : `${vacation.start_date} → ${vacation.end_date}`;
+            item.appendChild(dates);
+
+            if (vacation.note) {
+                const note = document.createElement('span');
+                note.className = 'habit-vacation-note';
+                note.textContent = vacation.note;
+                item.appendChild(note);
+            }
+
+            const deleteBtn = document.createElement('button');
+            deleteBtn.type = 'button';
+            deleteBtn.className = 'delete-habit-btn';
+            deleteBtn.setAttribute('aria-label', 'Delete vacation');
+            deleteBtn.textContent = '×';
+            deleteBtn.addEventListener('click', () => this.deleteHabitVacation(vacation.id));
+            item.appendChild(deleteBtn);
+
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Add a vacation from the vacation modal form
+     */
+    async handleAddHabitVacation(e) {
+        e.preventDefault();
+
+        const startDate = document.getElementById('habit-vacation-start').value;
+        const endDate = document.getElementById('habit-vacation-end').value;
+        const note = document.getElementById('habit-vacation-note').value.trim();
+
+        if (!startDate || !endDate) {
+            this.showError('Please choose the first and last day of the vacation.');
+            return;
+        }
+        if (endDate < startDate) {
+            this.showError('The vacation cannot end before it starts.');
+            return;
+        }
+
+        try {
+            const vacation = await dataService.createHabitVacation({ start_date: startDate, end_date: endDate, note: note || null });
+            this.habitVacations.push(vacation);
+            this.habitVacations.sort((a, b) => a.start_date.localeCompare(b.start_date));
+
+            document.getElementById('habit-vacation-note').value = '';
+            this.renderHabitVacations();
+            this.renderDailyHabitsGrid();
+            this.calculateDailyProgress();
+
+            if (window.showToast) {
+                window.showToast('Vacation added - habits are paused for those days', 'success');
+            }
+        } catch (error) {
+            console.error('Failed to add vacation:', error);
+            this.showError('Failed to add vacation. Please try again.');
+        }
+    }
+
+    /**
+     * Delete a vacation
+     */
+    async deleteHabitVacation(id) {
+        try {
+            await dataService.deleteHabitVacation(id);
+            this.habitVacations = this.habitVacations.filter(v => v.id !== id);
+
+            this.renderHabitVacations();
+            this.renderDailyHabitsGrid();
+            this.calculateDailyProgress();
+        } catch (error) {
+            console.error('Failed to delete vacation:', error);
+            this.showError('Failed to delete vacation. Please try again.');
+        }
+    }
+
     /**
      * Get habit bundle definitions
      */
@@ -1620,14 +2160,19 @@ class HabitsView {
 
             // Update local state
             const existingIndex = this.dailyHabitCompletions.findIndex(c => c.habit_id === habitId && c.date === date);
+            const hadStatus = existingIndex >= 0 && !!this.dailyHabitCompletions[existingIndex].status;
             if (existingIndex >= 0) {
                 this.dailyHabitCompletions[existingIndex].completed = completed;
+                this.dailyHabitCompletions[existingIndex].status = null;
             } else {
                 this.dailyHabitCompletions.push({ habit_id: habitId, date, completed });
             }
 
-            // Add celebration animation if completing
-            if (completed && checkboxCell) {
+            // Saving clears a skip or freeze, which the grid shows on the cell and in the streak
+            if (hadStatus) {
+                this.renderDailyHabitsGrid();
+            } else if (completed && checkboxCell) {
+                // Add celebration animation if completing
                 this.celebrateCompletion(checkboxCell);
             }
 
@@ -1639,6 +2184,92 @@ class HabitsView {
         }
     }
 
+    /**
+     * Show the menu for skipping or freezing a day of a daily habit
+     * @param {MouseEvent} event - Context menu event
+     * @param {Object} habit - Daily habit
+     * @param {string} date - Date in YYYY-MM-DD format
+     */
+    showHabitDayMenu(event, habit, date) {
+        const menu = document.getElementById('habit-day-menu');
+        if (!menu) return;
+
+        const completion = this.dailyHabitCompletions.find(c => c.habit_id === habit.id && c.date === date);
+        const status = completion?.completed ? null : completion?.status;
+
+        // Only fixed-day habits bank freezes; a day that is already frozen can be frozen again for free
+        const freezeItem = menu.querySelector('[data-action="freeze"]');
+        const freezes = isFlexibleSchedule(habit) ? 0 : this.getHabitStreakState(habit).freezes;
+        freezeItem.style.display = isFlexibleSchedule(habit) ? 'none' : '';
+        freezeItem.disabled = freezes === 0 && status !== HABIT_DAY_STATUSES.FROZEN;
+        menu.querySelector('.habit-day-menu-freeze-label').textContent = `Use a streak freeze (${freezes} left)`;
+        menu.querySelector('[data-action="clear"]').disabled = !status;
+
+        // Position menu near the click
+        menu.style.left = `${event.clientX}px`;
+        menu.style.top = `${event.clientY}px`;
+        menu.style.display = 'block';
+
+        const handleMenuClick = (e) => {
+            const action = e.target.closest('.context-menu-item')?.dataset.action;
+            if (!action) return;
+
+            const statuses = { skip: HABIT_DAY_STATUSES.SKIPPED, freeze: HABIT_DAY_STATUSES.FROZEN, clear: null };
+            this.saveHabitDayStatus(habit, date, statuses[action]);
+            this.hideHabitDayMenu();
+        };
+
+        // Remove old listener and add new one
+        menu.removeEventListener('click', menu._clickHandler);
+        menu._clickHandler = handleMenuClick;
+        menu.addEventListener('click', handleMenuClick);
+
+        // Close menu on outside click
+        const closeMenu = (e) => {
+            if (!menu.contains(e.target)) {
+                this.hideHabitDayMenu();
+                document.removeEventListener('click', closeMenu);
+            }
+        };
+        setTimeout(() => document.addEventListener('click', closeMenu), 0);
+    }
+
+    /**
+     * Hide the habit day menu
+     */
+    hideHabitDayMenu() {
+        const menu = document.getElementById('habit-day-menu');
+        if (menu) menu.style.display = 'none';
+    }
+
+    /**
+     * Mark a day of a daily habit as skipped or frozen, or clear the mark
+     * @param {Object} habit - Daily habit
+     * @param {string} date - Date in YYYY-MM-DD format
+     * @param {string|null} status - 'skipped', 'frozen' or null
+     */
+    async saveHabitDayStatus(habit, date, status) {
+        try {
+            await dataService.setDailyHabitStatus(habit.id, date, status);
+
+            // Update local state
+            const completion = this.dailyHabitCompletions.find(c => c.habit_id === habit.id && c.date === date);
+            if (completion) {
+                completion.status = status;
+                completion.completed = false;
+                completion.count_value = null;
+            } else {
+                this.dailyHabitCompletions.push({ habit_id: habit.id, date, status, completed: false });
+            }
+
+            this.renderDailyHabitsGrid();
+            this.calculateDailyProgress();
+        } catch (error) {
+            console.error('Failed to update habit day:', error);
+            this.showError('Failed to update the day. Please try again.');
+        }
+    }
+
     /**
      * Show celebration animation when completing a habit
      */
@@ -2258,6 +2889,154 @@ class HabitsView {
         });
     }
 
+    /**
+     * Render habit insights for the chosen period
+     * Loads its own completions and wellness entries, as the rest of the view only
+     * holds the current month.
+     */
+    async renderInsights() {
+        const days = parseInt(document.getElementById('habit-insights-range')?.value, 10) || 90;
+        const endDate = formatDate(new Date());
+        const startDate = addDays(endDate, -(days - 1));
+
+        try {
+            const [completions, moodEntries, sleepEntries, waterEntries] = await Promise.all([
+                dataService.getDailyHabitCompletions(startDate, endDate),
+                dataService.getMoodEntries(startDate, endDate),
+                dataService.getSleepEntries(startDate, endDate),
+                dataService.getWaterEntries(startDate, endDate)
+            ]);
+
+            const records = buildDayRecords({
+                habits: this.dailyHabits,
+                completions: completions || [],
+                vacations: this.habitVacations,
+                moodEntries: moodEntries || [],
+                sleepEntries: sleepEntries || [],
+                waterEntries: waterEntries || []
+            }, startDate, endDate);
+
+            this.renderInsightsSummary(records);
+            this.renderInsightsFindings(buildFindings(records, this.dailyHabits));
+            this.renderInsightsCharts(records);
+        } catch (error) {
+            console.error('Failed to load habit insights:', error);
+            this.showError('Failed to load insights. Please try again.');
+        }
+    }
+
+    /**
+     * Render the overall completion rate and the best and hardest weeks
+     */
+    renderInsightsSummary(records) {
+        const container = document.getElementById('habit-insights-summary');
+        if (!container) return;
+
+        const activeDays = records.filter(record => record.expected > 0);
+        const completed = activeDays.reduce((sum, record) => sum + record.completed, 0);
+        const expected = activeDays.reduce((sum, record) => sum + record.expected, 0);
+        const { best, worst } = getBestAndWorstPeriods(records);
+        const percent = rate => `${Math.round(rate * 100)}%`;
+
+        const cards = [
+            {
+                label: 'Completion rate',
+                value: expected > 0 ? percent(completed / expected) : '–',
+                detail: `${activeDays.length} days with habits due`
+            },
+            best && { label: 'Best week', value: percent(best.rate), detail: `${best.start} → ${best.end}` },
+            worst && { label: 'Hardest week', value: percent(worst.rate), detail: `${worst.start} → ${worst.end}` }
+        ].filter(Boolean);
+
+        container.innerHTML = '';
+        cards.forEach(({ label, value, detail }) => {
+            const card = document.createElement('div');
+            card.className = 'habit-insights-card';
+
+            [['label', label], ['value', value], ['detail', detail]].forEach(([part, text]) => {
+                const span = document.createElement('span');
+                span.className = `habit-insights-card-${part}`;
+                span.textContent = text;
+                card.appendChild(span);
+            });
+
+            container.appendChild(card);
+        });
+    }
+
+    /**
+     * Render the plain-language findings, strongest first
+     */
+    renderInsightsFindings(findings) {
+        const list = document.getElementById('habit-insights-findings-list');
+        if (!list) return;
+
+        list.innerHTML = '';
+        if (findings.length === 0) {
+            list.innerHTML = '<li class="habit-insights-empty">Nothing stands out yet. Keep logging and check back in a week or two.</li>';
+            return;
+        }
+
+        findings.slice(0, 8).forEach(finding => {
+            const item = document.createElement('li');
+            item.className = `habit-insights-finding finding-${finding.kind}`;
+            item.textContent = finding.text;
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Render completion charts by weekday, week and hours slept
+     */
+    renderInsightsCharts(records) {
+        // Chart.js comes from a CDN and may be missing offline
+        if (typeof Chart === 'undefined') return;
+
+        if (!this.insightsCharts) {
+            this.insightsCharts = {
+                weekday: new AnalyticsBarChart('habit-insights-weekday-chart'),
+                weekly: new AnalyticsLineChart('habit-insights-weekly-chart'),
+                sleep: new AnalyticsBarChart('habit-insights-sleep-chart')
+            };
+        }
+
+        const toPercent = rate => (rate === null ? null : Math.round(rate * 100));
+
+        const weekdays = getWeekdayRates(records);
+        this.insightsCharts.weekday.render(
+            weekdays.map(day => day.name.slice(0, 3)),
+            [{
+                label: 'Completed %',
+                data: weekdays.map(day => toPercent(day.rate)),
+                backgroundColor: CHART_THEME.colors.primary
+            }]
+        );
+
+        const weeks = getPeriodRates(records, 'week');
+        this.insightsCharts.weekly.render(
+            weeks.map(week => week.start),
+            [{
+                label: 'Completed %',
+                data: weeks.map(week => toPercent(week.rate)),
+                borderColor: CHART_THEME.colors.secondary,
+                backgroundColor: CHART_THEME.colors.secondary + '33',
+                fill: true,
+                tension: 0.4,
+                spanGaps: true
+            }]
+        );
+
+        const bySleep = getRatesBySleep(records);
+        this.insightsCharts.sleep.render(
+            bySleep.map(bucket => bucket.label),
+            [{
+                label: 'Completed %',
+                data: bySleep.map(bucket => toPercent(bucket.rate)),
+                backgroundColor: CHART_THEME.colors.info
+            }]
+        );
+    }
+
     /**
      * Show habit note modal for adding/editing notes
      */
@@ -2523,9 +3302,14 @@ class HabitsView {
 
     /**
      * Get habit count value from completion
-     * If notes contain a number, use that; otherwise 1 if completed, 0 if not
+     * Measurable habits chart the logged value whether or not the target was met.
+     * Otherwise a number in the notes is used, or 1 if completed, 0 if not.
      */
-    getHabitCountValue(completion) {
+    getHabitCountValue(completion, habit = null) {
+        if (habit && isMeasurableHabit(habit)) {
+            return getCompletionValue(completion) ?? 0;
+        }
+
         if (!completion || !completion.completed) {
             return 0;
         }
@@ -2556,6 +3340,8 @@ class HabitsView {
         if (!chartLine || !chartArea) return;
 
         const daysInMonth = getDaysInMonth(this.currentYear, this.currentMonth);
+        const habit = this.dailyHabits.find(h => h.id === habitId);
+        const target = habit && isMeasurableHabit(habit) ? Number(habit.target_value) : null;
         const dailyValues = [];
 
         // Calculate values for each day
@@ -2564,7 +3350,7 @@ class HabitsView {
             const completion = this.dailyHabitCompletions.find(
                 c => c.habit_id === habitId && c.date === dateStr
             );
-            const value = this.getHabitCountValue(completion);
+            const value = this.getHabitCountValue(completion, habit);
             dailyValues.push({ day, date: dateStr, value, completion });
         }
 
@@ -2573,7 +3359,8 @@ class HabitsView {
         const daysWithData = dailyValues.filter(d => d.value > 0).length;
         const avg = daysWithData > 0 ? (total / daysWithData).toFixed(1) : 0;
         const maxValue = Math.max(...dailyValues.map(d => d.value));
-        const max = Math.max(maxValue, 1);
+        const max = Math.max(maxValue, target || 0, 1);
+        const unit = habit?.unit ? ` ${habit.unit}` : '';
 
         // Update stats display
         const totalEl = document.getElementById('habit-stat-total');
@@ -2581,9 +3368,9 @@ class HabitsView {
         const maxEl = document.getElementById('habit-stat-max');
         const daysEl = document.getElementById('habit-stat-days');
 
-        if (totalEl) totalEl.textContent = total;
-        if (avgEl) avgEl.textContent = avg;
-        if (maxEl) maxEl.textContent = maxValue;
+        if (totalEl) totalEl.textContent = `${total}${unit}`;
+        if (avgEl) avgEl.textContent = `${avg}${unit}`;
+        if (maxEl) maxEl.textContent = `${maxValue}${unit}`;
         if (daysEl) daysEl.textContent = daysWithData;
 
         // SVG dimensions
@@ -2647,12 +3434,26 @@ class HabitsView {
                 line.setAttribute('class', 'grid-line');
                 chartGrid.appendChild(line);
             }
+
+            // Daily target line for measurable habits
+            if (target) {
+                const y = padding.top + chartHeight - (target / max) * chartHeight;
+                const line = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+                line.setAttribute('x1', padding.left);
+                line.setAttribute('y1', y);
+                line.setAttribute('x2', width - padding.right);
+                line.setAttribute('y2', y);
+                line.setAttribute('class', 'target-line');
+                const title = document.createElementNS('http://www.w3.org/2000/svg', 'title');
+                title.textContent = `Target: ${describeTarget(habit)}`;
+                line.appendChild(title);
+                chartGrid.appendChild(line);
+            }
         }
 
         // Render data points
         if (chartPoints) {
             chartPoints.innerHTML = '';
-            const habit = this.dailyHabits.find(h => h.id === habitId);
 
             points.forEach((p) => {
                 if (p.value > 0) {
@@ -2670,7 +3471,8 @@ class HabitsView {
 
                     // Tooltip
                     const noteText = p.completion?.notes ? ` (${p.completion.notes})` : '';
-                    circle.setAttribute('data-tooltip', `Day ${p.day}: ${p.value}${noteText} `);
+                    const valueText = target ? formatTargetProgress(habit, p.value) : p.value;
+                    circle.setAttribute('data-tooltip', `Day ${p.day}: ${valueText}${noteText} `);
 
                     // Click handler
                     circle.style.cursor = 'pointer';
@@ -6,18 +6,33 @@
  */
 
 import dataService from '../js/data-service.js';
-import kanbanService from '../js/kanban-service.js';
+import kanbanService, { SWIMLANE_FIELDS, AUTOMATION_TRIGGERS, AUTOMATION_ACTIONS, ESTIMATE_UNITS } from '../js/kanban-service.js';
 import analyticsPanel from '../js/analytics-panel.js';
 import integrationService from '../js/integration-service.js';
+import { addDays, describeRRule, formatRRule } from '../js/recurrence.js';
+import { formatDate } from '../js/utils.js';
+import { CSV_FIELDS, guessCSVMapping, mapCSVBoard, parseBoardJSON, parseCSV } from '../js/board-import.js';
 
 // LocalStorage key for persisting last viewed board
 const LAST_VIEWED_BOARD_KEY = 'kanban_last_viewed_board';
 const BACKLOG_EXPANDED_KEY = 'kanban_backlog_expanded';
+const COLLAPSED_LANES_KEY = 'kanban_collapsed_lanes';
+
+// Names of the card fields CSV columns can be mapped to in the import modal
+const CSV_FIELD_LABELS = {
+    title: 'Card title',
+    column: 'Column',
+    description: 'Description',
+    due_date: 'Due date',
+    priority: 'Priority',
+    labels: 'Labels',
+    checklist: 'Checklist'
+};
 
 /**
  * DragDropHandler - Handles drag-and-drop operations for Kanban board
  * Implements card dragging between columns, within columns, to/from backlog,
- * and column reordering.
+ * across swimlanes, and column reordering.
  * 
  * Requirements: 2.4, 3.2, 3.3, 11.3, 11.4
  */
@@ -69,7 +84,7 @@ class DragDropHandler {
         if (cardEl && !columnHeader) {
             this.dragType = 'card';
             this.draggedCard = cardEl;
-            this.sourceColumnId = cardEl.closest('.kanban-column')?.dataset.columnId || null;
+            this.sourceColumnId = cardEl.closest('[data-column-id]')?.dataset.columnId || null;
             this.sourceIsBacklog = cardEl.closest('#backlog-cards') !== null;
 
             // Set drag data
@@ -131,9 +146,9 @@ class DragDropHandler {
      * @param {DragEvent} event - The drag event
      */
     _handleCardDragOver(event) {
-        const columnEl = event.target.closest('.kanban-column');
+        const target = this._getCardDropTarget(event.target);
         const backlogCards = event.target.closest('#backlog-cards');
-        const cardsContainer = columnEl?.querySelector('.column-cards') || backlogCards;
+        const cardsContainer = target?.cardsContainer || backlogCards;
 
         if (!cardsContainer || !this.placeholder) return;
 
@@ -197,7 +212,7 @@ class DragDropHandler {
     _handleDragEnter(event) {
         event.preventDefault();
 
-        const columnEl = event.target.closest('.kanban-column');
+        const columnEl = event.target.closest('.swimlane-cell, .kanban-column');
         const backlogPanel = event.target.closest('#backlog-panel');
 
         if (this.dragType === 'card') {
@@ -216,7 +231,7 @@ class DragDropHandler {
      * @param {DragEvent} event - The drag event
      */
     _handleDragLeave(event) {
-        const columnEl = event.target.closest('.kanban-column');
+        const columnEl = event.target.closest('.swimlane-cell, .kanban-column');
         const backlogPanel = event.target.closest('#backlog-panel');
 
         // Only remove highlight if actually leaving the element
@@ -253,7 +268,7 @@ class DragDropHandler {
      * @param {DragEvent} event - The drag event
      */
     async _handleCardDrop(event) {
-        const columnEl = event.target.closest('.kanban-column');
+        const target = this._getCardDropTarget(event.target);
         const backlogCards = event.target.closest('#backlog-cards');
         const backlogPanel = event.target.closest('#backlog-panel');
 
@@ -278,23 +293,25 @@ class DragDropHandler {
             // Requirement 3.2: Card movement between columns via drag-and-drop
             // Requirement 3.3: Card movement within a column via drag-and-drop
             // Requirement 11.3: Drag card from backlog to column
-            else if (columnEl) {
-                const targetColumnId = columnEl.dataset.columnId;
-                const cardsContainer = columnEl.querySelector('.column-cards');
-                const position = this._getPlaceholderPosition(cardsContainer);
+            else if (target) {
+                const targetColumnId = target.columnId;
+                const position = this._getColumnPosition(target, this._getPlaceholderPosition(target.cardsContainer));
 
                 // Check if moving to a different column or reordering within same column
+                let movedCard;
                 if (this.sourceIsBacklog) {
                     // Moving from backlog to column
-                    await kanbanService.moveCardFromBacklog(cardId, targetColumnId, position);
+                    movedCard = await kanbanService.moveCardFromBacklog(cardId, targetColumnId, position);
                     this.view.showSuccess('Card moved from backlog');
                 } else if (targetColumnId !== this.sourceColumnId) {
                     // Moving between columns
-                    await kanbanService.moveCard(cardId, targetColumnId, position);
+                    movedCard = await kanbanService.moveCard(cardId, targetColumnId, position);
                 } else {
                     // Reordering within the same column
-                    await kanbanService.moveCard(cardId, targetColumnId, position);
+                    movedCard = await kanbanService.moveCard(cardId, targetColumnId, position);
                 }
+                this._warnIfOpenBlockers(movedCard);
+                await this._moveCardToLane(cardId, target);
 
                 // Requirement 4.4: Prompt to update goal's progress when card moved to Done
                 // Check if card is linked to a goal and target column is "Done"
@@ -311,6 +328,94 @@ class DragDropHandler {
         }
     }
 
+    /**
+     * Find where a dragged card would land: a column, or a column's cell in one
+     * swimlane on boards with swimlanes
+     * @param {HTMLElement} element - Element under the pointer
+     * @returns {Object|null} { element, columnId, laneKey, cardsContainer }, laneKey undefined without swimlanes
+     */
+    _getCardDropTarget(element) {
+        const cellEl = element?.closest('.swimlane-cell');
+        if (cellEl) {
+            return {
+                element: cellEl,
+                columnId: cellEl.dataset.columnId,
+                laneKey: cellEl.dataset.laneKey,
+                cardsContainer: cellEl
+            };
+        }
+
+        const columnEl = element?.closest('.kanban-column');
+        if (!columnEl) return null;
+
+        return {
+            element: columnEl,
+            columnId: columnEl.dataset.columnId,
+            laneKey: undefined,
+            cardsContainer: columnEl.querySelector('.column-cards')
+        };
+    }
+
+    /**
+     * Convert a drop position inside a swimlane cell to a position in the whole column,
+     * since a cell only shows the column's cards of one lane
+     * @param {Object} target - Drop target from _getCardDropTarget
+     * @param {number} position - Position among the cell's cards
+     * @returns {number} Position among the column's cards
+     */
+    _getColumnPosition(target, position) {
+        if (target.laneKey === undefined) return position;
+
+        const cardId = this.draggedCard?.dataset.cardId;
+        const columnCardIds = (this.view.currentBoard?.cards || [])
+            .filter(c => c.column_id === target.columnId && !c.is_backlog && c.id !== cardId)
+            .sort((a, b) => a.order_index - b.order_index)
+            .map(c => c.id);
+        const cellCardIds = Array.from(target.cardsContainer.querySelectorAll('.kanban-card:not(.dragging)'))
+            .map(cardEl => cardEl.dataset.cardId);
+
+        if (position < cellCardIds.length) {
+            return columnCardIds.indexOf(cellCardIds[position]);
+        }
+        if (cellCardIds.length > 0) {
+            return columnCardIds.indexOf(cellCardIds[cellCardIds.length - 1]) + 1;
+        }
+        return columnCardIds.length;
+    }
+
+    /**
+     * Put a dropped card into the swimlane it was dropped in, warning when that
+     * leaves the lane over the column's per-lane WIP limit
+     * @param {string} cardId - Card ID
+     * @param {Object} target - Drop target from _getCardDropTarget
+     */
+    async _moveCardToLane(cardId, target) {
+        if (target.laneKey === undefined) return;
+
+        const sourceLaneKey = this.draggedCard?.closest('.swimlane-cell')?.dataset.laneKey;
+        const isNewPlace = this.sourceIsBacklog || target.columnId !== this.sourceColumnId ||
+            sourceLaneKey !== target.laneKey;
+        if (!isNewPlace) return;
+
+        await kanbanService.moveCardToLane(cardId, target.laneKey);
+
+        const wip = await kanbanService.checkWipLimit(target.columnId, this.view.currentBoardId, target.laneKey);
+        if (wip.laneWipLimit && wip.laneCount > wip.laneWipLimit) {
+            this.view.showWarning(`This lane is over its WIP limit in the column (${wip.laneCount}/${wip.laneWipLimit})`);
+        }
+    }
+
+    /**
+     * Warn when a card was moved to a done column before the cards blocking it
+     * @param {Object} movedCard - Card returned by kanbanService.moveCard
+     */
+    _warnIfOpenBlockers(movedCard) {
+        if (!movedCard?.openBlockers) return;
+
+        const titles = movedCard.openBlockers.map(blocker => `"${blocker.title}"`).join(', ');
+        this.view.showWarning(`"${movedCard.title}" is done but still blocked by ${titles}`);
+    }
+
     /**
      * Check if goal progress prompt should be shown
      * Requirement 4.4: Optionally prompt to update goal's progress when card moved to Done
@@ -532,7 +637,7 @@ class DragDropHandler {
             this.touchStartY = touch.clientY;
             this.touchElement = cardEl;
             this.dragType = 'card';
-            this.sourceColumnId = cardEl.closest('.kanban-column')?.dataset.columnId || null;
+            this.sourceColumnId = cardEl.closest('[data-column-id]')?.dataset.columnId || null;
             this.sourceIsBacklog = cardEl.closest('#backlog-cards') !== null;
 
             // Create visual clone for dragging
@@ -549,7 +654,7 @@ class DragDropHandler {
             document.querySelector('.kanban-view')?.classList.add('is-dragging');
 
             event.preventDefault();
-        } else if (columnHeader && columnEl) {
+        } else if (columnHeader && columnEl?.draggable) {
             this.touchStartX = touch.clientX;
             this.touchStartY = touch.clientY;
             this.touchElement = columnEl;
@@ -603,14 +708,14 @@ class DragDropHandler {
      * @param {Touch} touch - Touch object
      */
     _handleTouchCardMove(elementBelow, touch) {
-        const columnEl = elementBelow?.closest('.kanban-column');
+        const target = this._getCardDropTarget(elementBelow);
         const backlogCards = elementBelow?.closest('#backlog-cards');
         const backlogPanel = elementBelow?.closest('#backlog-panel');
-        const cardsContainer = columnEl?.querySelector('.column-cards') || backlogCards;
+        const cardsContainer = target?.cardsContainer || backlogCards;
 
         // Update drag-over highlights
         document.querySelectorAll('.drag-over').forEach(el => el.classList.remove('drag-over'));
-        if (columnEl) columnEl.classList.add('drag-over');
+        if (target) target.element.classList.add('drag-over');
         if (backlogPanel) backlogPanel.classList.add('drag-over');
 
         if (!cardsContainer || !this.placeholder) return;
@@ -720,7 +825,7 @@ class DragDropHandler {
         if (!this.draggedCard) return;
 
         const cardId = this.draggedCard.dataset.cardId;
-        const columnEl = elementBelow?.closest('.kanban-column');
+        const target = this._getCardDropTarget(elementBelow);
         const backlogPanel = elementBelow?.closest('#backlog-panel');
         const backlogCards = elementBelow?.closest('#backlog-cards');
 
@@ -733,17 +838,19 @@ class DragDropHandler {
                 const position = this._getPlaceholderPosition(container);
                 await this._reorderBacklog(cardId, position);
             }
-        } else if (columnEl) {
-            const targetColumnId = columnEl.dataset.columnId;
-            const cardsContainer = columnEl.querySelector('.column-cards');
-            const position = this._getPlaceholderPosition(cardsContainer);
+        } else if (target) {
+            const targetColumnId = target.columnId;
+            const position = this._getColumnPosition(target, this._getPlaceholderPosition(target.cardsContainer));
 
+            let movedCard;
             if (this.sourceIsBacklog) {
-                await kanbanService.moveCardFromBacklog(cardId, targetColumnId, position);
+                movedCard = await kanbanService.moveCardFromBacklog(cardId, targetColumnId, position);
                 this.view.showSuccess('Card moved from backlog');
             } else {
-                await kanbanService.moveCard(cardId, targetColumnId, position);
+                movedCard = await kanbanService.moveCard(cardId, targetColumnId, position);
             }
+            this._warnIfOpenBlockers(movedCard);
+            await this._moveCardToLane(cardId, target);
 
             // Requirement 4.4: Prompt to update goal's progress when card moved to Done
             await this._checkGoalProgressPrompt(cardId, targetColumnId);
@@ -843,6 +950,7 @@ class KanbanView {
         this.filters = {};
         this.categories = [];
         this.annualGoals = [];
+        this.openBlockersByCard = new Map();
         this.container = null;
         this.isBacklogExpanded = true;
         this.dragDropHandler = null;
@@ -899,6 +1007,16 @@ class KanbanView {
      * Setup subscriptions to integration service events
      */
     setupIntegrationEvents() {
+        // Rules can start a Pomodoro, which the view owns
+        this._unsubscribeAutomations = kanbanService.onAutomationRun(({ rule, card, results }) => {
+            if (card.board_id !== this.currentBoardId) return;
+
+            if (results.some(result => result.type === AUTOMATION_ACTIONS.START_POMODORO)) {
+                this.startPomodoroForCard(card);
+            }
+            this.showSuccess(`Rule "${rule.name}" applied to "${card.title}"`);
+        });
+
         // Handle navigation requests (e.g., from Calendar or Monthly view)
         integrationService.on('navigate', (data) => {
             if (data.view === 'kanban') {
@@ -972,6 +1090,7 @@ class KanbanView {
 
         // Board action buttons
         document.getElementById('new-board-btn')?.addEventListener('click', () => this.openBoardModal());
+        document.getElementById('import-board-btn')?.addEventListener('click', () => this.openBoardImportModal());
         document.getElementById('edit-board-btn')?.addEventListener('click', () => this.openBoardModal(this.currentBoard));
         document.getElementById('delete-board-btn')?.addEventListener('click', () => this.confirmDeleteBoard());
         document.getElementById('create-first-board-btn')?.addEventListener('click', () => this.openBoardModal());
@@ -980,6 +1099,11 @@ class KanbanView {
         document.getElementById('add-column-btn')?.addEventListener('click', () => this.openColumnModal());
         document.getElementById('add-column-inline-btn')?.addEventListener('click', () => this.openColumnModal());
         document.getElementById('add-card-btn')?.addEventListener('click', () => this.openCardModal());
+        document.getElementById('recurring-cards-btn')?.addEventListener('click', () => this.openRecurringCardsModal());
+        document.getElementById('archive-btn')?.addEventListener('click', () => this.openArchiveModal());
+        document.getElementById('automations-btn')?.addEventListener('click', () => this.openAutomationsModal());
+        document.getElementById('board-templates-btn')?.addEventListener('click', () => this.openBoardTemplatesModal());
+        document.getElementById('export-board-btn')?.addEventListener('click', () => this.openBoardExportModal());
 
         // Filter panel
         document.getElementById('filter-toggle-btn')?.addEventListener('click', () => this.toggleFilterPanel());
@@ -1018,6 +1142,12 @@ class KanbanView {
                 if (e.target === boardModal) this.closeBoardModal();
             });
             document.getElementById('save-board-btn')?.addEventListener('click', () => this.saveBoard());
+
+            // Custom lanes are named by the user
+            document.getElementById('board-swimlanes')?.addEventListener('change', (e) => {
+                const lanesGroup = document.getElementById('board-lanes-group');
+                if (lanesGroup) lanesGroup.style.display = e.target.value === SWIMLANE_FIELDS.CUSTOM ? 'block' : 'none';
+            });
         }
 
         // Card modal
@@ -1030,7 +1160,8 @@ class KanbanView {
                 if (e.target === cardModal) this.closeCardModal();
             });
             document.getElementById('save-card-btn')?.addEventListener('click', () => this.saveCard());
-            document.getElementById('delete-card-btn')?.addEventListener('click', () => this.confirmDeleteCard());
+            document.getElementById('archive-card-btn')?.addEventListener('click', () => this.archiveEditingCard());
+            document.getElementById('save-card-template-btn')?.addEventListener('click', () => this.saveEditingCardAsTemplate());
         }
 
         // Column modal
@@ -1072,6 +1203,116 @@ class KanbanView {
         // Add label button in card modal
         document.getElementById('add-label-btn')?.addEventListener('click', () => this.openAddLabelModal());
 
+        // Add blocking card button in card modal
+        document.getElementById('add-blocker-btn')?.addEventListener('click', () => this._addCardBlocker());
+
+        // Card template picker in card modal
+        document.getElementById('card-template-select')?.addEventListener('change', (e) => this._applyCardTemplate(e.target.value));
+        document.getElementById('delete-card-template-btn')?.addEventListener('click', () => this._deleteSelectedCardTemplate());
+
+        // Skip occurrence button in card modal
+        document.getElementById('skip-occurrence-btn')?.addEventListener('click', () => this._skipCardOccurrence());
+
+        // Automation rules modal
+        const automationsModal = document.getElementById('automations-modal');
+        if (automationsModal) {
+            automationsModal.querySelectorAll('.modal-close').forEach(btn => {
+                btn.addEventListener('click', () => this.closeAutomationsModal());
+            });
+            automationsModal.addEventListener('click', (e) => {
+                if (e.target === automationsModal) this.closeAutomationsModal();
+            });
+            document.getElementById('save-automation-btn')?.addEventListener('click', () => this.saveAutomationRule());
+            document.getElementById('add-automation-action-btn')?.addEventListener('click', () => this._addAutomationActionRow());
+
+            // Only move and create triggers are tied to a column
+            document.getElementById('automation-trigger')?.addEventListener('change', (e) => {
+                const columnGroup = document.getElementById('automation-trigger-column-group');
+                if (columnGroup) {
+                    columnGroup.style.visibility = [AUTOMATION_TRIGGERS.CARD_MOVED, AUTOMATION_TRIGGERS.CARD_CREATED]
+                        .includes(e.target.value) ? 'visible' : 'hidden';
+                }
+            });
+        }
+
+        // Board import modal
+        const boardImportModal = document.getElementById('board-import-modal');
+        if (boardImportModal) {
+            boardImportModal.querySelectorAll('.modal-close').forEach(btn => {
+                btn.addEventListener('click', () => this.closeBoardImportModal());
+            });
+            boardImportModal.addEventListener('click', (e) => {
+                if (e.target === boardImportModal) this.closeBoardImportModal();
+            });
+            document.getElementById('board-import-file')?.addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                if (file) this._readBoardImportFile(file);
+            });
+            document.getElementById('run-board-import-btn')?.addEventListener('click', () => this.runBoardImport());
+        }
+
+        // Board export modal
+        const boardExportModal = document.getElementById('board-export-modal');
+        if (boardExportModal) {
+            boardExportModal.querySelectorAll('.modal-close').forEach(btn => {
+                btn.addEventListener('click', () => this.closeBoardExportModal());
+            });
+            boardExportModal.addEventListener('click', (e) => {
+                if (e.target === boardExportModal) this.closeBoardExportModal();
+            });
+            document.getElementById('download-board-export-btn')?.addEventListener('click', () => this.downloadBoardExport());
+        }
+
+        // Board templates modal
+        const boardTemplatesModal = document.getElementById('board-templates-modal');
+        if (boardTemplatesModal) {
+            boardTemplatesModal.querySelectorAll('.modal-close').forEach(btn => {
+                btn.addEventListener('click', () => this.closeBoardTemplatesModal());
+            });
+            boardTemplatesModal.addEventListener('click', (e) => {
+                if (e.target === boardTemplatesModal) this.closeBoardTemplatesModal();
+            });
+            document.getElementById('save-board-as-template-btn')?.addEventListener('click', () => this.saveBoardAsTemplate());
+
+            const templateInput = document.getElementById('import-board-template-input');
+            document.getElementById('import-board-template-btn')?.addEventListener('click', () => templateInput?.click());
+            templateInput?.addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                e.target.value = '';
+                if (file) this.importBoardTemplateFile(file);
+            });
+        }
+
+        // Archive modal
+        const archiveModal = document.getElementById('archive-modal');
+        if (archiveModal) {
+            archiveModal.querySelectorAll('.modal-close').forEach(btn => {
+                btn.addEventListener('click', () => this.closeArchiveModal());
+            });
+            archiveModal.addEventListener('click', (e) => {
+                if (e.target === archiveModal) this.closeArchiveModal();
+            });
+            document.getElementById('archive-done-btn')?.addEventListener('click', () => this.archiveDoneCards());
+        }
+
+        // Recurring cards modal
+        const recurringCardsModal = document.getElementById('recurring-cards-modal');
+        if (recurringCardsModal) {
+            recurringCardsModal.querySelectorAll('.modal-close').forEach(btn => {
+                btn.addEventListener('click', () => this.closeRecurringCardsModal());
+            });
+            recurringCardsModal.addEventListener('click', (e) => {
+                if (e.target === recurringCardsModal) this.closeRecurringCardsModal();
+            });
+            document.getElementById('save-recurrence-btn')?.addEventListener('click', () => this.saveRecurrence());
+
+            // Days of the week only apply to weekly rules
+            document.getElementById('recurrence-frequency')?.addEventListener('change', (e) => {
+                const daysGroup = document.getElementById('recurrence-days-group');
+                if (daysGroup) daysGroup.style.display = e.target.value === 'WEEKLY' ? 'block' : 'none';
+            });
+        }
+
         // Goal progress modal
         // Requirement 4.4: Optionally prompt to update goal's progress when card moved to Done
         const goalProgressModal = document.getElementById('goal-progress-modal');
@@ -1160,6 +1401,20 @@ class KanbanView {
         try {
             this.showLoading(true);
 
+            // Recurring cards due since the board was last opened show up on load
+            try {
+                await kanbanService.generateRecurringCards(boardId);
+            } catch (error) {
+                console.warn('Recurring cards could not be created:', error);
+            }
+
+            // So do the automation rules of cards that came due
+            try {
+                await kanbanService.runDueAutomations(boardId);
+            } catch (error) {
+                console.warn('Due date automations could not run:', error);
+            }
+
             // Load board with columns and cards
             this.currentBoard = await kanbanService.getBoard(boardId);
 
@@ -1227,12 +1482,17 @@ class KanbanView {
         const addColumnPlaceholder = document.getElementById('add-column-placeholder');
         if (addColumnPlaceholder) addColumnPlaceholder.style.display = 'flex';
 
+        // Work out which cards are blocked before rendering them
+        this.openBlockersByCard = kanbanService.getOpenBlockersByCard(this.currentBoard);
+
         // Render columns
         this.renderColumns();
 
         // Render backlog
         this.renderBacklog();
 
+        this.renderEstimateTotal();
+
         // Apply any active filters
         if (Object.keys(this.filters).length > 0) {
             this.applyFilters();
@@ -1243,6 +1503,40 @@ class KanbanView {
         this.syncPomodoroIndicator();
     }
 
+    /**
+     * Show the estimate total of the cards on the board (not the backlog) in the header
+     */
+    renderEstimateTotal() {
+        const totalEl = document.getElementById('board-estimate-total');
+        if (!totalEl) return;
+
+        const boardCards = (this.currentBoard?.cards || []).filter(c => !c.is_backlog);
+        const { total, estimated } = kanbanService.getEstimateTotal(boardCards);
+        totalEl.style.display = estimated > 0 ? 'inline-flex' : 'none';
+        if (estimated === 0) return;
+
+        const doneColumnIds = new Set(this.currentBoard.columns
+            .filter(column => kanbanService.isDoneColumn(column))
+            .map(column => column.id));
+        const open = kanbanService.getEstimateTotal(boardCards.filter(c => !doneColumnIds.has(c.column_id))).total;
+
+        totalEl.textContent = `Σ ${this._formatEstimate(total)}`;
+        totalEl.title = `${this._formatEstimate(open)} still open, ${estimated} of ${boardCards.length} cards estimated`;
+    }
+
+    /**
+     * Format an estimate in the current board's unit, e.g. "3 pts" or "4 🍅"
+     * @param {number} value - Estimate
+     * @returns {string} Formatted estimate
+     * @private
+     */
+    _formatEstimate(value) {
+        const rounded = Math.round(Number(value) * 10) / 10;
+        return kanbanService.getEstimateUnit(this.currentBoard) === ESTIMATE_UNITS.POMODOROS
+            ? `${rounded} 🍅`
+            : `${rounded} pt${rounded === 1 ? '' : 's'}`;
+    }
+
     /**
      * Render the board selector dropdown
      */
@@ -1269,19 +1563,27 @@ class KanbanView {
 
     /**
      * Render columns with their cards
+     * On boards with swimlanes the columns only render their headers and the cards
+     * are rendered in lanes below them (see renderSwimlanes).
      */
     renderColumns() {
         const container = document.getElementById('columns-container');
         if (!container || !this.currentBoard) return;
 
-        // Remove existing columns (but keep empty state and add column placeholder)
-        const existingColumns = container.querySelectorAll('.kanban-column');
-        existingColumns.forEach(col => col.remove());
+        // Remove existing columns and lanes (but keep empty state and add column placeholder)
+        this._removeColumnElements(container);
 
         // Get columns sorted by order_index
         const columns = (this.currentBoard.columns || [])
             .sort((a, b) => a.order_index - b.order_index);
 
+        // Columns and lane cells share a grid so every lane lines up with the column headers
+        const lanes = kanbanService.getSwimlanes(this.currentBoard, this.annualGoals);
+        if (lanes.length > 0) {
+            container.classList.add('has-swimlanes');
+            container.style.gridTemplateColumns = `repeat(${columns.length}, minmax(260px, 320px)) auto`;
+        }
+
         // Get the add column placeholder to insert columns before it
         const addColumnPlaceholder = document.getElementById('add-column-placeholder');
 
@@ -1294,6 +1596,122 @@ class KanbanView {
                 container.appendChild(columnEl);
             }
         });
+
+        if (lanes.length > 0) {
+            this.renderSwimlanes(container, columns, lanes);
+        }
+    }
+
+    /**
+     * Render a header row per swimlane followed by one cell per column holding
+     * the lane's cards. Collapsed lanes only render their header.
+     * @param {HTMLElement} container - Columns container
+     * @param {Array} columns - Columns sorted by order_index
+     * @param {Array} lanes - Lanes from kanbanService.getSwimlanes
+     */
+    renderSwimlanes(container, columns, lanes) {
+        const template = document.getElementById('kanban-swimlane-template');
+        const { field } = kanbanService.getSwimlaneSettings(this.currentBoard);
+        const collapsedLanes = this._getCollapsedLanes(this.currentBoardId);
+        const boardCards = (this.currentBoard.cards || [])
+            .filter(c => !c.is_backlog)
+            .sort((a, b) => a.order_index - b.order_index);
+
+        lanes.forEach(lane => {
+            const laneCards = boardCards.filter(card => kanbanService.getCardLaneKey(card, field) === lane.key);
+            const isCollapsed = collapsedLanes.includes(lane.key);
+
+            const headerEl = template.content.cloneNode(true).querySelector('.swimlane-header');
+            headerEl.dataset.laneKey = lane.key;
+            headerEl.classList.toggle('collapsed', isCollapsed);
+            headerEl.querySelector('.swimlane-title').textContent = lane.title;
+            headerEl.querySelector('.swimlane-count').textContent = `(${laneCards.length})`;
+
+            const toggleBtn = headerEl.querySelector('.swimlane-toggle');
+            toggleBtn.textContent = isCollapsed ? '▸' : '▾';
+            toggleBtn.setAttribute('aria-expanded', String(!isCollapsed));
+            toggleBtn.setAttribute('aria-label', `${isCollapsed ? 'Expand' : 'Collapse'} ${lane.title}`);
+            toggleBtn.addEventListener('click', () => this.toggleSwimlane(lane.key));
+
+            // Per-lane WIP counts stay visible in the header while the lane is collapsed
+            const limitedColumns = columns.filter(column => column.lane_wip_limit);
+            const wipEl = headerEl.querySelector('.swimlane-wip');
+            if (wipEl && limitedColumns.length > 0) {
+                const counts = limitedColumns.map(column => ({
+                    column,
+                    count: laneCards.filter(card => card.column_id === column.id).length
+                }));
+                wipEl.textContent = 'WIP: ' + counts
+                    .map(({ column, count }) => `${column.title} ${count}/${column.lane_wip_limit}`)
+                    .join(' · ');
+                wipEl.classList.toggle('wip-over-limit', counts.some(({ column, count }) => count >= column.lane_wip_limit));
+                wipEl.style.display = 'inline-block';
+            }
+
+            container.appendChild(headerEl);
+            if (isCollapsed) return;
+
+            columns.forEach(column => {
+                container.appendChild(this.createSwimlaneCellElement(column, lane,
+                    laneCards.filter(card => card.column_id === column.id)));
+            });
+        });
+    }
+
+    /**
+     * Create the cell of a column in one swimlane
+     * @param {Object} column - Column data
+     * @param {Object} lane - Lane { key, title }
+     * @param {Array} cards - The lane's cards in this column, sorted by order_index
+     * @returns {HTMLElement} Cell element
+     */
+    createSwimlaneCellElement(column, lane, cards) {
+        const cellEl = document.createElement('div');
+        cellEl.className = 'column-cards swimlane-cell';
+        cellEl.dataset.columnId = column.id;
+        cellEl.dataset.laneKey = lane.key;
+        cellEl.tabIndex = -1;
+        cellEl.setAttribute('role', 'list');
+        cellEl.setAttribute('aria-label', `${column.title}, ${lane.title}`);
+
+        if (column.lane_wip_limit) {
+            const wipBadge = document.createElement('span');
+            wipBadge.className = 'wip-limit-badge swimlane-cell-wip';
+            wipBadge.textContent = `WIP: ${cards.length}/${column.lane_wip_limit}`;
+            wipBadge.classList.toggle('wip-over-limit', cards.length >= column.lane_wip_limit);
+            cellEl.appendChild(wipBadge);
+        }
+
+        cards.forEach(card => cellEl.appendChild(this.createCardElement(card)));
+        return cellEl;
+    }
+
+    /**
+     * Collapse or expand a swimlane
+     * @param {string} laneKey - Lane key
+     */
+    toggleSwimlane(laneKey) {
+        const collapsedLanes = this._getCollapsedLanes(this.currentBoardId);
+        const updated = collapsedLanes.includes(laneKey)
+            ? collapsedLanes.filter(key => key !== laneKey)
+            : [...collapsedLanes, laneKey];
+        this._setCollapsedLanes(this.currentBoardId, updated);
+
+        this.renderColumns();
+        if (Object.keys(this.filters).length > 0) {
+            this.applyFilters();
+        }
+    }
+
+    /**
+     * Remove rendered columns and swimlanes from the columns container
+     * @param {HTMLElement} container - Columns container
+     * @private
+     */
+    _removeColumnElements(container) {
+        container.querySelectorAll('.kanban-column, .swimlane-header, .swimlane-cell').forEach(el => el.remove());
+        container.classList.remove('has-swimlanes');
+        container.style.gridTemplateColumns = '';
     }
 
     /**
@@ -1326,6 +1744,15 @@ class KanbanView {
             countEl.textContent = `(${columnCards.length})`;
         }
 
+        // Show the estimate total once any card in the column is estimated
+        const estimateEl = columnEl.querySelector('.column-estimate');
+        const estimate = kanbanService.getEstimateTotal(columnCards);
+        if (estimateEl && estimate.estimated > 0) {
+            estimateEl.textContent = this._formatEstimate(estimate.total);
+            estimateEl.title = `${estimate.estimated} of ${columnCards.length} cards estimated`;
+            estimateEl.style.display = 'inline-block';
+        }
+
         // Show WIP limit badge if set
         const wipBadge = columnEl.querySelector('.wip-limit-badge');
         if (wipBadge && column.wip_limit) {
@@ -1341,8 +1768,13 @@ class KanbanView {
         }
 
         // Render cards in the column
+        // On boards with swimlanes the cards go in the lane cells, and columns can't be
+        // reordered by dragging because their cards are spread over the lanes
         const cardsContainer = columnEl.querySelector('.column-cards');
-        if (cardsContainer) {
+        if (kanbanService.getSwimlaneSettings(this.currentBoard)) {
+            cardsContainer?.remove();
+            columnEl.draggable = false;
+        } else if (cardsContainer) {
             columnCards.forEach(card => {
                 const cardEl = this.createCardElement(card);
                 cardsContainer.appendChild(cardEl);
@@ -1398,6 +1830,19 @@ class KanbanView {
             priorityEl.title = `Priority: ${card.priority}`;
         }
 
+        // Show estimate; pomodoro estimates are flagged once more sessions were spent
+        const estimateEl = cardEl.querySelector('.card-estimate');
+        if (estimateEl && card.estimate !== null && card.estimate !== undefined) {
+            const { estimatedPomodoros, overEstimate } = kanbanService.compareEstimate(
+                card, kanbanService.getEstimateUnit(this.currentBoard));
+            estimateEl.textContent = this._formatEstimate(card.estimate);
+            estimateEl.title = estimatedPomodoros === null
+                ? `Estimate: ${this._formatEstimate(card.estimate)}`
+                : `Estimate: ${estimatedPomodoros} pomodoros, ${card.pomodoro_count || 0} done`;
+            estimateEl.classList.toggle('over-estimate', overEstimate);
+            estimateEl.style.display = 'inline';
+        }
+
         // Show due date with visual indicators for overdue and upcoming dates
         // Requirement 3.6: Display visual indicators for upcoming and overdue dates
         const dueDateEl = cardEl.querySelector('.card-due-date');
@@ -1441,6 +1886,23 @@ class KanbanView {
             pomodoroEl.style.display = 'inline';
         }
 
+        // Show blocked badge while cards this one depends on are not done
+        const blockedEl = cardEl.querySelector('.card-blocked');
+        const openBlockers = this.openBlockersByCard.get(card.id);
+        if (blockedEl && openBlockers) {
+            blockedEl.style.display = 'inline';
+            blockedEl.title = `Blocked by: ${openBlockers.map(blocker => blocker.title).join(', ')}`;
+            cardEl.classList.add('is-blocked');
+        }
+
+        // Show recurring badge on cards created by a recurrence
+        const recurringEl = cardEl.querySelector('.card-recurring');
+        if (recurringEl && card.recurrence_id) {
+            const recurrence = this._getCardRecurrence(card);
+            recurringEl.style.display = 'inline';
+            recurringEl.title = recurrence ? `Recurring: ${describeRRule(recurrence.recurrence_rule)}` : 'Recurring card';
+        }
+
         // Load and display card preview indicators (checklist, attachments, comments)
         // Requirements: 3.2, 6.5, 12.1
         this.loadCardPreviewIndicators(cardEl, card.id);
@@ -1652,11 +2114,17 @@ class KanbanView {
             this.showLoading(true);
 
             const templateId = boardData.template || 'blank';
-            const newBoard = await kanbanService.createBoardFromTemplate(templateId, {
+            let newBoard = await kanbanService.createBoardFromTemplate(templateId, {
                 title: boardData.title,
                 description: boardData.description,
                 category_id: boardData.category_id
             });
+            if (boardData.swimlanes) {
+                newBoard = await kanbanService.updateSwimlaneSettings(newBoard.id, boardData.swimlanes);
+            }
+            if (boardData.estimateUnit && boardData.estimateUnit !== kanbanService.getEstimateUnit(newBoard)) {
+                newBoard = await kanbanService.updateEstimateUnit(newBoard.id, boardData.estimateUnit);
+            }
 
             // Add to boards list
             this.boards.unshift(newBoard);
@@ -1924,7 +2392,22 @@ class KanbanView {
         if (templateGroup) {
             templateGroup.style.display = board ? 'none' : 'block';
         }
-        if (templateSelect && !board) templateSelect.value = 'blank';
+        if (templateSelect && !board) {
+            templateSelect.value = 'blank';
+            this._renderBoardTemplateOptions();
+        }
+
+        // Populate swimlane settings
+        const swimlanes = kanbanService.getSwimlaneSettings(board);
+        const swimlaneSelect = document.getElementById('board-swimlanes');
+        const lanesInput = document.getElementById('board-lanes');
+        const lanesGroup = document.getElementById('board-lanes-group');
+        if (swimlaneSelect) swimlaneSelect.value = swimlanes?.field || '';
+        if (lanesInput) lanesInput.value = swimlanes?.lanes.join(', ') || '';
+        if (lanesGroup) lanesGroup.style.display = swimlanes?.field === SWIMLANE_FIELDS.CUSTOM ? 'block' : 'none';
+
+        const estimateUnitSelect = document.getElementById('board-estimate-unit');
+        if (estimateUnitSelect) estimateUnitSelect.value = kanbanService.getEstimateUnit(board);
 
         // Update save button text
         if (saveBtn) {
@@ -1970,10 +2453,25 @@ class KanbanView {
             template: templateSelect?.value || 'blank'
         };
 
+        const swimlaneField = document.getElementById('board-swimlanes')?.value;
+        const swimlanes = swimlaneField ? {
+            field: swimlaneField,
+            lanes: (document.getElementById('board-lanes')?.value || '').split(',')
+        } : null;
+        const estimateUnit = document.getElementById('board-estimate-unit')?.value || ESTIMATE_UNITS.POINTS;
+
         if (this._editingBoard) {
             // Update existing board
             try {
                 await kanbanService.updateBoard(this._editingBoard.id, boardData);
+                if (!this._isSameSwimlanes(kanbanService.getSwimlaneSettings(this._editingBoard), swimlanes)) {
+                    const updatedBoard = await kanbanService.updateSwimlaneSettings(this._editingBoard.id, swimlanes);
+                    boardData.settings = updatedBoard.settings;
+                }
+                if (kanbanService.getEstimateUnit(this._editingBoard) !== estimateUnit) {
+                    const updatedBoard = await kanbanService.updateEstimateUnit(this._editingBoard.id, estimateUnit);
+                    boardData.settings = updatedBoard.settings;
+                }
 
                 // Update local state
                 const boardIndex = this.boards.findIndex(b => b.id === this._editingBoard.id);
@@ -1985,6 +2483,9 @@ class KanbanView {
                 }
 
                 this.renderBoardSelector();
+                if (this.currentBoard?.id === this._editingBoard.id) {
+                    this.render();
+                }
                 this.showSuccess('Board updated successfully');
             } catch (error) {
                 console.error('Failed to update board:', error);
@@ -1993,12 +2494,28 @@ class KanbanView {
             }
         } else {
             // Create new board
-            await this.createBoard(boardData);
+            await this.createBoard({ ...boardData, swimlanes, estimateUnit });
         }
 
         this.closeBoardModal();
     }
 
+    /**
+     * Check whether two swimlane settings group cards the same way
+     * @param {Object|null} current - Settings from kanbanService.getSwimlaneSettings
+     * @param {Object|null} updated - Settings from the board modal
+     * @returns {boolean} True if nothing changed
+     * @private
+     */
+    _isSameSwimlanes(current, updated) {
+        if (!current || !updated) return !current && !updated;
+        if (current.field !== updated.field) return false;
+        if (current.field !== SWIMLANE_FIELDS.CUSTOM) return true;
+
+        const lanes = updated.lanes.map(lane => lane.trim()).filter(Boolean);
+        return lanes.join('\n') === current.lanes.join('\n');
+    }
+
     /**
      * Open card creation/edit modal
      * Requirements: 3.4, 4.1, 4.2, 12.2 - Modal with editable fields, goal link selector, tabbed interface
@@ -2016,9 +2533,13 @@ class KanbanView {
         const dueDateInput = document.getElementById('card-due-date');
         const goalSelect = document.getElementById('card-goal');
         const habitSelect = document.getElementById('card-habit');
-        const deleteBtn = document.getElementById('delete-card-btn');
+        const archiveBtn = document.getElementById('archive-card-btn');
+        const saveTemplateBtn = document.getElementById('save-card-template-btn');
+        const estimateInput = document.getElementById('card-estimate');
+        const estimateLabel = document.getElementById('card-estimate-label');
         const pomodoroStats = document.getElementById('card-pomodoro-stats');
         const pomodoroTotal = document.getElementById('card-pomodoro-total');
+        const pomodoroEstimate = document.getElementById('card-pomodoro-estimate');
         const labelsContainer = document.getElementById('card-labels-container');
         const tabsContainer = document.getElementById('card-modal-tabs');
 
@@ -2075,22 +2596,70 @@ class KanbanView {
         if (descInput) descInput.value = card?.description || '';
         if (prioritySelect) prioritySelect.value = card?.priority || '';
         if (dueDateInput) dueDateInput.value = card?.due_date || preFill?.due_date || '';
+        if (estimateInput) estimateInput.value = card?.estimate ?? '';
+        if (estimateLabel) {
+            const isPomodoros = kanbanService.getEstimateUnit(this.currentBoard) === ESTIMATE_UNITS.POMODOROS;
+            estimateLabel.textContent = `Estimate (${isPomodoros ? 'pomodoros' : 'points'})`;
+        }
         if (goalSelect) goalSelect.value = card?.linked_goal_id || preFill?.linked_goal_id || '';
         if (habitSelect) habitSelect.value = card?.linked_habit_id || preFill?.linked_habit_id || '';
 
-        // Show/hide delete button
-        if (deleteBtn) {
-            deleteBtn.style.display = card ? 'inline-block' : 'none';
+        // Custom swimlanes are picked per card; other lanes follow from the fields above
+        const swimlanes = kanbanService.getSwimlaneSettings(this.currentBoard);
+        const isCustomLanes = swimlanes?.field === SWIMLANE_FIELDS.CUSTOM;
+        const laneGroup = document.getElementById('card-lane-group');
+        const laneInput = document.getElementById('card-lane');
+        const laneOptions = document.getElementById('card-lane-options');
+        if (laneGroup) laneGroup.style.display = isCustomLanes ? 'block' : 'none';
+        if (laneInput) laneInput.value = card?.swimlane || preFill?.swimlane || '';
+        if (laneOptions && isCustomLanes) {
+            laneOptions.innerHTML = '';
+            kanbanService.getSwimlanes(this.currentBoard)
+                .filter(lane => lane.key)
+                .forEach(lane => {
+                    const option = document.createElement('option');
+                    option.value = lane.key;
+                    laneOptions.appendChild(option);
+                });
+        }
+
+        // Show/hide the archive button; cards are only deleted from the archive
+        if (archiveBtn) {
+            archiveBtn.style.display = card ? 'inline-block' : 'none';
+        }
+        if (saveTemplateBtn) {
+            saveTemplateBtn.style.display = card ? 'inline-block' : 'none';
         }
 
-        // Show pomodoro stats for existing cards
+        // Dependencies can only be added once the card exists
+        this._renderCardBlockers(card);
+        this._renderCardRecurrence(card);
+
+        // Templates are picked when creating a card
+        this._templateChecklist = [];
+        this._renderCardTemplatePicker(card, preFill?.template_id);
+
+        // Show pomodoro stats for existing cards, against the estimate on boards that estimate in pomodoros
         if (pomodoroStats && pomodoroTotal) {
-            if (card && card.pomodoro_count > 0) {
-                pomodoroTotal.textContent = card.pomodoro_count;
+            const { estimatedPomodoros, remainingPomodoros, overEstimate } = card
+                ? kanbanService.compareEstimate(card, kanbanService.getEstimateUnit(this.currentBoard))
+                : {};
+            if (card && (card.pomodoro_count > 0 || estimatedPomodoros !== null)) {
+                pomodoroTotal.textContent = card.pomodoro_count || 0;
                 pomodoroStats.style.display = 'block';
             } else {
                 pomodoroStats.style.display = 'none';
             }
+            if (pomodoroEstimate) {
+                if (!card || estimatedPomodoros === null || estimatedPomodoros === undefined) {
+                    pomodoroEstimate.textContent = '';
+                } else if (overEstimate) {
+                    pomodoroEstimate.textContent = `(${card.pomodoro_count - estimatedPomodoros} over the estimate of ${estimatedPomodoros})`;
+                } else {
+                    pomodoroEstimate.textContent = `of ${estimatedPomodoros} estimated (${remainingPomodoros} left)`;
+                }
+                pomodoroEstimate.classList.toggle('over-estimate', !!overEstimate);
+            }
         }
 
         // Store editing state
@@ -2329,83 +2898,1501 @@ class KanbanView {
         const commentsContainer = document.getElementById('card-tab-comments');
         const activityContainer = document.getElementById('card-tab-activity');
 
-        if (checklistContainer) checklistContainer.innerHTML = '';
-        if (attachmentsContainer) attachmentsContainer.innerHTML = '';
-        if (commentsContainer) commentsContainer.innerHTML = '';
-        if (activityContainer) activityContainer.innerHTML = '';
+        if (checklistContainer) checklistContainer.innerHTML = '';
+        if (attachmentsContainer) attachmentsContainer.innerHTML = '';
+        if (commentsContainer) commentsContainer.innerHTML = '';
+        if (activityContainer) activityContainer.innerHTML = '';
+    }
+
+    /**
+     * Get all unique labels from the current board
+     * @returns {Array<{name: string, color: string}>} Array of unique labels
+     */
+    _getAllBoardLabels() {
+        const labelsMap = new Map();
+
+        if (!this.currentBoard) return [];
+
+        // Labels the board was created with from a template, before any card uses them
+        (this.currentBoard.settings?.labels || []).forEach(label => {
+            if (label.name && !labelsMap.has(label.name)) {
+                labelsMap.set(label.name, { name: label.name, color: label.color || '#6366f1' });
+            }
+        });
+
+        // Collect labels from all cards in columns
+        const columns = this.currentBoard.columns || [];
+        columns.forEach(column => {
+            const cards = column.cards || [];
+            cards.forEach(card => {
+                if (card.labels && Array.isArray(card.labels)) {
+                    card.labels.forEach(label => {
+                        const labelName = typeof label === 'string' ? label : label.name;
+                        const labelColor = typeof label === 'string' ? '#6366f1' : (label.color || '#6366f1');
+                        if (labelName && !labelsMap.has(labelName)) {
+                            labelsMap.set(labelName, { name: labelName, color: labelColor });
+                        }
+                    });
+                }
+            });
+        });
+
+        // Collect labels from backlog cards
+        const backlogCards = this.currentBoard.backlog || [];
+        backlogCards.forEach(card => {
+            if (card.labels && Array.isArray(card.labels)) {
+                card.labels.forEach(label => {
+                    const labelName = typeof label === 'string' ? label : label.name;
+                    const labelColor = typeof label === 'string' ? '#6366f1' : (label.color || '#6366f1');
+                    if (labelName && !labelsMap.has(labelName)) {
+                        labelsMap.set(labelName, { name: labelName, color: labelColor });
+                    }
+                });
+            }
+        });
+
+        return Array.from(labelsMap.values());
+    }
+
+    /**
+     * Populate the labels container with checkboxes
+     * @param {HTMLElement} container - The labels container element
+     * @param {Array} selectedLabels - Currently selected labels for the card
+     */
+    _populateLabelsContainer(container, selectedLabels) {
+        container.innerHTML = '';
+
+        // Get all unique labels from the board
+        const allLabels = this._getAllBoardLabels();
+
+        // Normalize selected labels to array of names
+        const selectedLabelNames = (selectedLabels || []).map(label =>
+            typeof label === 'string' ? label : label.name
+        );
+
+        // Create checkbox for each existing label
+        allLabels.forEach(label => {
+            const labelItem = this._createLabelCheckbox(label, selectedLabelNames.includes(label.name));
+            container.appendChild(labelItem);
+        });
+
+        // If no labels exist, show a hint
+        if (allLabels.length === 0) {
+            const hint = document.createElement('p');
+            hint.className = 'form-hint';
+            hint.textContent = 'No labels yet. Click "Add New Label" to create one.';
+            container.appendChild(hint);
+        }
+    }
+
+    /**
+     * Render the cards the edited card depends on, with a picker for adding more
+     * @param {Object|null} card - Card being edited, or null for a new card
+     */
+    async _renderCardBlockers(card) {
+        const group = document.getElementById('card-blockers-group');
+        const list = document.getElementById('card-blockers-list');
+        const select = document.getElementById('card-blocker-select');
+        if (!group || !list || !select) return;
+
+        group.style.display = card ? 'block' : 'none';
+        if (!card) return;
+
+        try {
+            const blockers = await kanbanService.getBlockers(card.id);
+
+            list.innerHTML = '';
+            blockers.forEach(blocker => {
+                const item = document.createElement('li');
+                item.className = 'card-blocker-item' + (blocker.is_done ? ' done' : '');
+
+                const titleEl = document.createElement('span');
+                titleEl.textContent = `${blocker.is_done ? '✅' : '⛔'} ${blocker.title}`;
+                item.appendChild(titleEl);
+
+                const removeBtn = document.createElement('button');
+                removeBtn.type = 'button';
+                removeBtn.className = 'btn-icon-small';
+                removeBtn.textContent = '×';
+                removeBtn.setAttribute('aria-label', `Remove dependency on ${blocker.title}`);
+                removeBtn.addEventListener('click', () => this._removeCardBlocker(blocker.id));
+                item.appendChild(removeBtn);
+
+                list.appendChild(item);
+            });
+
+            // Offer the other cards of the board that aren't blockers yet
+            const blockerIds = new Set(blockers.map(blocker => blocker.id));
+            select.innerHTML = '<option value="">-- Add a blocking card --</option>';
+            (this.currentBoard?.cards || [])
+                .filter(c => c.id !== card.id && !blockerIds.has(c.id))
+                .forEach(c => {
+                    const option = document.createElement('option');
+                    option.value = c.id;
+                    option.textContent = c.title;
+                    select.appendChild(option);
+                });
+        } catch (error) {
+            console.error('Failed to load card dependencies:', error);
+        }
+    }
+
+    /**
+     * Make the edited card depend on the card picked in the modal
+     */
+    async _addCardBlocker() {
+        const select = document.getElementById('card-blocker-select');
+        const card = this._editingCard;
+        if (!card || !select?.value) return;
+
+        try {
+            await kanbanService.addDependency(card.id, select.value);
+            await this.loadBoard(this.currentBoardId);
+            await this._renderCardBlockers(card);
+        } catch (error) {
+            console.error('Failed to add dependency:', error);
+            this.showError(error.message);
+        }
+    }
+
+    /**
+     * Remove one of the edited card's dependencies
+     * @param {string} blockerId - Blocking card ID
+     */
+    async _removeCardBlocker(blockerId) {
+        const card = this._editingCard;
+        if (!card) return;
+
+        try {
+            await kanbanService.removeDependency(card.id, blockerId);
+            await this.loadBoard(this.currentBoardId);
+            await this._renderCardBlockers(card);
+        } catch (error) {
+            console.error('Failed to remove dependency:', error);
+            this.showError('Failed to remove dependency. Please try again.');
+        }
+    }
+
+    // ==================== AUTOMATION RULES ====================
+
+    /**
+     * Open the automation rules of the current board
+     */
+    openAutomationsModal() {
+        const modal = document.getElementById('automations-modal');
+        if (!modal || !this.currentBoard) return;
+
+        this._resetAutomationForm();
+        this.renderAutomationList();
+
+        modal.style.display = 'flex';
+        document.getElementById('automation-name')?.focus();
+    }
+
+    /**
+     * Close the automation rules modal
+     */
+    closeAutomationsModal() {
+        const modal = document.getElementById('automations-modal');
+        if (modal) modal.style.display = 'none';
+    }
+
+    /**
+     * Render the automation rules of the current board
+     */
+    renderAutomationList() {
+        const list = document.getElementById('automation-list');
+        const emptyEl = document.getElementById('automation-empty');
+        if (!list) return;
+
+        const rules = kanbanService.getAutomationRules(this.currentBoard);
+
+        list.innerHTML = '';
+        if (emptyEl) emptyEl.style.display = rules.length ? 'none' : 'block';
+
+        rules.forEach(rule => {
+            const item = document.createElement('li');
+            item.className = 'automation-item' + (rule.enabled ? '' : ' disabled');
+
+            const toggle = document.createElement('input');
+            toggle.type = 'checkbox';
+            toggle.checked = rule.enabled;
+            toggle.setAttribute('aria-label', `Enable ${rule.name}`);
+            toggle.addEventListener('change', () => this._toggleAutomationRule(rule, toggle.checked));
+            item.appendChild(toggle);
+
+            const details = document.createElement('div');
+            details.className = 'automation-details';
+
+            const nameEl = document.createElement('strong');
+            nameEl.textContent = rule.name;
+            details.appendChild(nameEl);
+
+            const summaryEl = document.createElement('span');
+            summaryEl.className = 'automation-summary';
+            summaryEl.textContent = this._describeAutomationRule(rule);
+            details.appendChild(summaryEl);
+            item.appendChild(details);
+
+            const deleteBtn = document.createElement('button');
+            deleteBtn.type = 'button';
+            deleteBtn.className = 'btn-icon-small';
+            deleteBtn.textContent = '×';
+            deleteBtn.setAttribute('aria-label', `Delete rule ${rule.name}`);
+            deleteBtn.addEventListener('click', () => this._deleteAutomationRule(rule));
+            item.appendChild(deleteBtn);
+
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Describe a rule in one line, e.g. "When moved to Done: complete checklist"
+     * @param {Object} rule - Rule
+     * @returns {string} Description
+     * @private
+     */
+    _describeAutomationRule(rule) {
+        const columnTitle = (id) => (this.currentBoard?.columns || []).find(c => c.id === id)?.title || 'a deleted column';
+
+        const triggers = {
+            [AUTOMATION_TRIGGERS.CARD_MOVED]: rule.trigger.column_id ? `When moved to ${columnTitle(rule.trigger.column_id)}` : 'When moved',
+            [AUTOMATION_TRIGGERS.CARD_CREATED]: rule.trigger.column_id ? `When created in ${columnTitle(rule.trigger.column_id)}` : 'When created',
+            [AUTOMATION_TRIGGERS.CARD_DUE]: 'When due',
+            [AUTOMATION_TRIGGERS.CHECKLIST_COMPLETED]: 'When checklist is completed'
+        };
+
+        const conditions = [];
+        if (rule.conditions?.column_id) conditions.push(`in ${columnTitle(rule.conditions.column_id)}`);
+        if (rule.conditions?.priority) conditions.push(`${rule.conditions.priority} priority`);
+        if (rule.conditions?.labels?.length) conditions.push(`labelled ${rule.conditions.labels.join(', ')}`);
+
+        const actions = rule.actions.map(action => {
+            switch (action.type) {
+                case AUTOMATION_ACTIONS.MOVE:
+                    return `move to ${columnTitle(action.column_id)}`;
+                case AUTOMATION_ACTIONS.SET_FIELD:
+                    if (action.field === 'due_date') {
+                        return action.value === null ? 'clear due date' : `set due in ${action.value} day(s)`;
+                    }
+                    return action.value ? `set priority ${action.value}` : 'clear priority';
+                case AUTOMATION_ACTIONS.ADD_LABEL:
+                    return `add label ${action.label}`;
+                case AUTOMATION_ACTIONS.ADD_CHECKLIST:
+                    return `add ${action.items.length} checklist item(s)`;
+                case AUTOMATION_ACTIONS.COMPLETE_CHECKLIST:
+                    return 'complete checklist';
+                case AUTOMATION_ACTIONS.START_POMODORO:
+                    return 'start a Pomodoro';
+                default:
+                    return action.type;
+            }
+        });
+
+        const when = triggers[rule.trigger.type] + (conditions.length ? ` (${conditions.join(', ')})` : '');
+        return `${when}: ${actions.join(', ')}`;
+    }
+
+    /**
+     * Clear the new rule form
+     * @private
+     */
+    _resetAutomationForm() {
+        const nameInput = document.getElementById('automation-name');
+        const triggerSelect = document.getElementById('automation-trigger');
+        const prioritySelect = document.getElementById('automation-condition-priority');
+        const labelsInput = document.getElementById('automation-condition-labels');
+        const actionsContainer = document.getElementById('automation-actions');
+        const columnGroup = document.getElementById('automation-trigger-column-group');
+
+        if (nameInput) nameInput.value = '';
+        if (triggerSelect) triggerSelect.value = AUTOMATION_TRIGGERS.CARD_MOVED;
+        if (prioritySelect) prioritySelect.value = '';
+        if (labelsInput) labelsInput.value = '';
+        if (columnGroup) columnGroup.style.visibility = 'visible';
+
+        this._fillColumnSelect(document.getElementById('automation-trigger-column'), 'Any column');
+        this._fillColumnSelect(document.getElementById('automation-condition-column'), 'Any column');
+
+        if (actionsContainer) {
+            actionsContainer.innerHTML = '';
+            this._addAutomationActionRow();
+        }
+    }
+
+    /**
+     * Fill a select with the columns of the current board
+     * @param {HTMLSelectElement|null} select - Select element
+     * @param {string|null} emptyLabel - Label of a leading empty option, or null for none
+     * @private
+     */
+    _fillColumnSelect(select, emptyLabel = null) {
+        if (!select) return;
+
+        select.innerHTML = '';
+        if (emptyLabel) {
+            const option = document.createElement('option');
+            option.value = '';
+            option.textContent = emptyLabel;
+            select.appendChild(option);
+        }
+        (this.currentBoard?.columns || []).forEach(column => {
+            const option = document.createElement('option');
+            option.value = column.id;
+            option.textContent = column.title;
+            select.appendChild(option);
+        });
+    }
+
+    /**
+     * Add an action row to the new rule form
+     * @private
+     */
+    _addAutomationActionRow() {
+        const container = document.getElementById('automation-actions');
+        if (!container) return;
+
+        const row = document.createElement('div');
+        row.className = 'automation-action-row';
+
+        const typeSelect = document.createElement('select');
+        typeSelect.className = 'form-select automation-action-type';
+        typeSelect.setAttribute('aria-label', 'Action');
+        [
+            [AUTOMATION_ACTIONS.MOVE, 'Move to column'],
+            [AUTOMATION_ACTIONS.SET_FIELD, 'Set field'],
+            [AUTOMATION_ACTIONS.ADD_LABEL, 'Add label'],
+            [AUTOMATION_ACTIONS.ADD_CHECKLIST, 'Add checklist items'],
+            [AUTOMATION_ACTIONS.COMPLETE_CHECKLIST, 'Complete checklist'],
+            [AUTOMATION_ACTIONS.START_POMODORO, 'Start Pomodoro']
+        ].forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            typeSelect.appendChild(option);
+        });
+        row.appendChild(typeSelect);
+
+        const params = document.createElement('div');
+        params.className = 'automation-action-params';
+        row.appendChild(params);
+
+        const removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.className = 'btn-icon-small';
+        removeBtn.textContent = '×';
+        removeBtn.setAttribute('aria-label', 'Remove action');
+        removeBtn.addEventListener('click', () => row.remove());
+        row.appendChild(removeBtn);
+
+        typeSelect.addEventListener('change', () => this._renderAutomationActionParams(row));
+        container.appendChild(row);
+        this._renderAutomationActionParams(row);
+    }
+
+    /**
+     * Show the inputs the chosen action of a row needs
+     * @param {HTMLElement} row - Action row
+     * @private
+     */
+    _renderAutomationActionParams(row) {
+        const type = row.querySelector('.automation-action-type').value;
+        const params = row.querySelector('.automation-action-params');
+        params.innerHTML = '';
+
+        switch (type) {
+            case AUTOMATION_ACTIONS.MOVE: {
+                const select = document.createElement('select');
+                select.className = 'form-select';
+                select.dataset.param = 'column_id';
+                select.setAttribute('aria-label', 'Column');
+                this._fillColumnSelect(select);
+                params.appendChild(select);
+                break;
+            }
+            case AUTOMATION_ACTIONS.SET_FIELD: {
+                const fieldSelect = document.createElement('select');
+                fieldSelect.className = 'form-select';
+                fieldSelect.dataset.param = 'field';
+                fieldSelect.setAttribute('aria-label', 'Field');
+                fieldSelect.innerHTML = '<option value="priority">Priority</option><option value="due_date">Due in (days)</option>';
+
+                const renderValue = () => {
+                    const input = fieldSelect.value === 'due_date'
+                        ? Object.assign(document.createElement('input'), { type: 'number', min: 0, value: 0, placeholder: 'Days' })
+                        : Object.assign(document.createElement('select'), {
+                            innerHTML: '<option value="high">🔴 High</option><option value="medium">🟡 Medium</option><option value="low">🟢 Low</option><option value="">No Priority</option>'
+                        });
+                    input.className = fieldSelect.value === 'due_date' ? 'form-input' : 'form-select';
+                    input.dataset.param = 'value';
+                    input.setAttribute('aria-label', 'Value');
+                    const current = params.querySelector('[data-param="value"]');
+                    if (current) current.replaceWith(input);
+                    else params.appendChild(input);
+                };
+                fieldSelect.addEventListener('change', renderValue);
+                params.appendChild(fieldSelect);
+                renderValue();
+                break;
+            }
+            case AUTOMATION_ACTIONS.ADD_LABEL: {
+                const input = document.createElement('input');
+                input.type = 'text';
+                input.className = 'form-input';
+                input.dataset.param = 'label';
+                input.placeholder = 'Label';
+                input.setAttribute('aria-label', 'Label');
+                params.appendChild(input);
+                break;
+            }
+            case AUTOMATION_ACTIONS.ADD_CHECKLIST: {
+                const textarea = document.createElement('textarea');
+                textarea.className = 'form-textarea';
+                textarea.rows = 2;
+                textarea.dataset.param = 'items';
+                textarea.placeholder = 'One item per line';
+                textarea.setAttribute('aria-label', 'Checklist items');
+                params.appendChild(textarea);
+                break;
+            }
+        }
+    }
+
+    /**
+     * Read the action of a form row
+     * @param {HTMLElement} row - Action row
+     * @returns {Object} Action
+     * @private
+     */
+    _readAutomationAction(row) {
+        const type = row.querySelector('.automation-action-type').value;
+        const param = (name) => row.querySelector(`[data-param="${name}"]`)?.value ?? '';
+
+        switch (type) {
+            case AUTOMATION_ACTIONS.MOVE:
+                return { type, column_id: param('column_id') };
+            case AUTOMATION_ACTIONS.SET_FIELD: {
+                const field = param('field');
+                const value = param('value');
+                return { type, field, value: value === '' ? null : (field === 'due_date' ? Number(value) : value) };
+            }
+            case AUTOMATION_ACTIONS.ADD_LABEL:
+                return { type, label: param('label').trim() };
+            case AUTOMATION_ACTIONS.ADD_CHECKLIST:
+                return { type, items: param('items').split('\n').map(text => text.trim()).filter(Boolean) };
+            default:
+                return { type };
+        }
+    }
+
+    /**
+     * Save the new rule from the modal
+     */
+    async saveAutomationRule() {
+        const name = document.getElementById('automation-name')?.value.trim();
+        const triggerType = document.getElementById('automation-trigger')?.value;
+        const hasTriggerColumn = [AUTOMATION_TRIGGERS.CARD_MOVED, AUTOMATION_TRIGGERS.CARD_CREATED].includes(triggerType);
+        const labels = (document.getElementById('automation-condition-labels')?.value || '')
+            .split(',')
+            .map(label => label.trim())
+            .filter(Boolean);
+
+        if (!name) {
+            this.showError('Please enter a name for the rule');
+            return;
+        }
+
+        try {
+            await kanbanService.saveAutomationRule(this.currentBoardId, {
+                name,
+                trigger: {
+                    type: triggerType,
+                    column_id: hasTriggerColumn ? document.getElementById('automation-trigger-column')?.value || null : null
+                },
+                conditions: {
+                    column_id: document.getElementById('automation-condition-column')?.value || null,
+                    priority: document.getElementById('automation-condition-priority')?.value || null,
+                    labels
+                },
+                actions: Array.from(document.querySelectorAll('#automation-actions .automation-action-row'))
+                    .map(row => this._readAutomationAction(row))
+            });
+
+            await this.loadBoard(this.currentBoardId);
+            this._resetAutomationForm();
+            this.renderAutomationList();
+            this.showSuccess('Rule added');
+        } catch (error) {
+            console.error('Failed to save automation rule:', error);
+            this.showError(error.message);
+        }
+    }
+
+    /**
+     * Turn a rule on or off
+     * @param {Object} rule - Rule
+     * @param {boolean} enabled - Whether the rule runs
+     * @private
+     */
+    async _toggleAutomationRule(rule, enabled) {
+        try {
+            await kanbanService.saveAutomationRule(this.currentBoardId, { ...rule, enabled });
+            await this.loadBoard(this.currentBoardId);
+            this.renderAutomationList();
+        } catch (error) {
+            console.error('Failed to update automation rule:', error);
+            this.showError(error.message);
+        }
+    }
+
+    /**
+     * Delete a rule
+     * @param {Object} rule - Rule
+     * @private
+     */
+    async _deleteAutomationRule(rule) {
+        if (!confirm(`Delete the rule "${rule.name}"?`)) return;
+
+        try {
+            await kanbanService.deleteAutomationRule(this.currentBoardId, rule.id);
+            await this.loadBoard(this.currentBoardId);
+            this.renderAutomationList();
+        } catch (error) {
+            console.error('Failed to delete automation rule:', error);
+            this.showError(error.message);
+        }
+    }
+
+    // ==================== BOARD IMPORT ====================
+
+    /**
+     * Open the modal for importing a board from Trello or CSV
+     */
+    openBoardImportModal() {
+        const modal = document.getElementById('board-import-modal');
+        if (!modal) return;
+
+        const fileInput = document.getElementById('board-import-file');
+        const titleInput = document.getElementById('board-import-title');
+        if (fileInput) fileInput.value = '';
+        if (titleInput) titleInput.value = '';
+        this._boardImport = null;
+        this._renderBoardImportMapping();
+        this._showBoardImportReport(null);
+
+        modal.style.display = 'flex';
+        fileInput?.focus();
+    }
+
+    /**
+     * Close the board import modal
+     */
+    closeBoardImportModal() {
+        const modal = document.getElementById('board-import-modal');
+        if (modal) modal.style.display = 'none';
+        this._boardImport = null;
+    }
+
+    /**
+     * Read a chosen import file and preview it
+     * JSON files are read as board exports from the planner or Trello, anything else as CSV.
+     * @param {File} file - File chosen by the user
+     */
+    async _readBoardImportFile(file) {
+        const titleInput = document.getElementById('board-import-title');
+
+        try {
+            const text = await file.text();
+            if (file.name.toLowerCase().endsWith('.json') || text.trimStart().startsWith('{')) {
+                const json = parseBoardJSON(text);
+                this._boardImport = { json };
+                if (titleInput) titleInput.value = json.board.title;
+            } else {
+                const csv = parseCSV(text);
+                this._boardImport = { csv, mapping: guessCSVMapping(csv.headers) };
+                if (titleInput) titleInput.value = file.name.replace(/\.[^.]+$/, '');
+            }
+        } catch (error) {
+            this._boardImport = null;
+            this.showError(error.message);
+        }
+
+        this._renderBoardImportMapping();
+        await this._previewBoardImport();
+    }
+
+    /**
+     * Get the board to import from the chosen file and, for CSV, the column mapping
+     * @returns {Object} { board, warnings } (see js/board-import.js)
+     */
+    _getBoardImport() {
+        const { json, csv, mapping } = this._boardImport;
+        if (json) return json;
+
+        const title = document.getElementById('board-import-title')?.value?.trim();
+        return mapCSVBoard(csv, mapping, { title: title || undefined });
+    }
+
+    /**
+     * Show which CSV column feeds each card field, so the guess can be corrected
+     */
+    _renderBoardImportMapping() {
+        const section = document.getElementById('board-import-mapping');
+        const fields = document.getElementById('board-import-mapping-fields');
+        if (!section || !fields) return;
+
+        const csv = this._boardImport?.csv;
+        section.style.display = csv ? 'block' : 'none';
+        fields.innerHTML = '';
+        if (!csv) return;
+
+        CSV_FIELDS.forEach(field => {
+            const label = document.createElement('label');
+            label.htmlFor = `board-import-field-${field}`;
+            label.textContent = CSV_FIELD_LABELS[field];
+
+            const select = document.createElement('select');
+            select.id = `board-import-field-${field}`;
+            select.className = 'form-select';
+            select.innerHTML = '<option value="">-- Not imported --</option>';
+            csv.headers.forEach((header, index) => {
+                const option = document.createElement('option');
+                option.value = String(index);
+                option.textContent = header || `Column ${index + 1}`;
+                select.appendChild(option);
+            });
+            select.value = this._boardImport.mapping[field] !== undefined ? String(this._boardImport.mapping[field]) : '';
+
+            select.addEventListener('change', () => {
+                if (select.value === '') {
+                    delete this._boardImport.mapping[field];
+                } else {
+                    this._boardImport.mapping[field] = Number(select.value);
+                }
+                this._previewBoardImport();
+            });
+
+            fields.appendChild(label);
+            fields.appendChild(select);
+        });
+    }
+
+    /**
+     * Count what the import would create and list what it leaves out
+     */
+    async _previewBoardImport() {
+        const runBtn = document.getElementById('run-board-import-btn');
+        if (runBtn) runBtn.disabled = true;
+        if (!this._boardImport) {
+            this._showBoardImportReport(null);
+            return;
+        }
+
+        try {
+            const title = document.getElementById('board-import-title')?.value?.trim();
+            const stats = await kanbanService.importBoard(this._getBoardImport(), {
+                title: title || 'Imported board',
+                dryRun: true
+            });
+            this._showBoardImportReport(stats);
+            if (runBtn) runBtn.disabled = stats.cards === 0 && stats.columns === 0;
+        } catch (error) {
+            this._showBoardImportReport({ message: error.message, warnings: [], errors: [] });
+        }
+    }
+
+    /**
+     * Show the preview or result of an import
+     * @param {Object|null} stats - Stats from KanbanService.importBoard, { message } for a
+     *   problem with the file, or null to hide the report
+     */
+    _showBoardImportReport(stats) {
+        const preview = document.getElementById('board-import-preview');
+        const summary = document.getElementById('board-import-summary');
+        const list = document.getElementById('board-import-warnings');
+        if (!preview || !summary || !list) return;
+
+        preview.style.display = stats ? 'block' : 'none';
+        list.innerHTML = '';
+        if (!stats) return;
+
+        const plural = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`;
+        const counts = stats.message ? '' : [
+            plural(stats.columns, 'column'),
+            plural(stats.cards, 'card'),
+            plural(stats.checklistItems, 'checklist item'),
+            plural(stats.comments, 'comment')
+        ].join(', ');
+        summary.textContent = stats.message
+            || (stats.dryRun ? `Will create ${counts}.` : `Created ${counts}.`);
+
+        [...stats.errors.map(text => ({ text, isError: true })), ...stats.warnings.map(text => ({ text }))]
+            .forEach(({ text, isError }) => {
+                const item = document.createElement('li');
+                item.textContent = text;
+                if (isError) item.className = 'board-import-error';
+                list.appendChild(item);
+            });
+    }
+
+    /**
+     * Create the board from the chosen file
+     * The modal stays open with the error report when some cards could not be imported.
+     */
+    async runBoardImport() {
+        const title = document.getElementById('board-import-title')?.value?.trim();
+        if (!this._boardImport) return;
+        if (!title) {
+            this.showError('Board title is required');
+            return;
+        }
+
+        const runBtn = document.getElementById('run-board-import-btn');
+        if (runBtn) runBtn.disabled = true;
+
+        try {
+            this.showLoading(true);
+            const stats = await kanbanService.importBoard(this._getBoardImport(), { title });
+
+            this.boards.unshift(stats.board);
+            this.renderBoardSelector();
+            await this.loadBoard(stats.board.id);
+
+            if (stats.errors.length > 0) {
+                this._boardImport = null;
+                this._showBoardImportReport(stats);
+                this.showError(`${stats.errors.length} card${stats.errors.length === 1 ? '' : 's'} could not be imported`);
+            } else {
+                this.closeBoardImportModal();
+                this.showSuccess(`Imported "${title}" with ${stats.cards} card${stats.cards === 1 ? '' : 's'}`);
+            }
+        } catch (error) {
+            console.error('Failed to import board:', error);
+            this.showError(error.message);
+            if (runBtn) runBtn.disabled = false;
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    // ==================== BOARD EXPORT ====================
+
+    /**
+     * Open the modal for exporting the current board
+     */
+    openBoardExportModal() {
+        if (!this.currentBoard) return;
+        const modal = document.getElementById('board-export-modal');
+        if (modal) modal.style.display = 'flex';
+    }
+
+    /**
+     * Close the board export modal
+     */
+    closeBoardExportModal() {
+        const modal = document.getElementById('board-export-modal');
+        if (modal) modal.style.display = 'none';
+    }
+
+    /**
+     * Download the current board in the chosen format
+     */
+    async downloadBoardExport() {
+        if (!this.currentBoard) return;
+        const format = document.querySelector('input[name="board-export-format"]:checked')?.value || 'csv';
+
+        try {
+            this.showLoading(true);
+            const { content, filename, mimeType } = await kanbanService.exportBoard(this.currentBoard.id, format);
+            dataService.downloadTextFile(content, filename, mimeType);
+            this.closeBoardExportModal();
+        } catch (error) {
+            console.error('Failed to export board:', error);
+            this.showError('Failed to export board');
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    // ==================== BOARD TEMPLATES ====================
+
+    /**
+     * Add the user's saved templates to the template picker of the board modal
+     */
+    async _renderBoardTemplateOptions() {
+        const select = document.getElementById('board-template');
+        if (!select) return;
+
+        select.querySelector('optgroup')?.remove();
+
+        const templates = await kanbanService.getTemplates();
+        const saved = Object.entries(templates).filter(([, template]) => template.is_custom);
+        if (saved.length === 0) return;
+
+        const group = document.createElement('optgroup');
+        group.label = 'My Templates';
+        saved.forEach(([id, template]) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = template.title;
+            group.appendChild(option);
+        });
+        select.appendChild(group);
+    }
+
+    /**
+     * Open the board templates modal for the current board
+     */
+    openBoardTemplatesModal() {
+        const modal = document.getElementById('board-templates-modal');
+        if (!modal || !this.currentBoard) return;
+
+        const nameInput = document.getElementById('board-template-name');
+        const descInput = document.getElementById('board-template-description');
+        const includeCards = document.getElementById('board-template-include-cards');
+        if (nameInput) nameInput.value = this.currentBoard.title || '';
+        if (descInput) descInput.value = '';
+        if (includeCards) includeCards.checked = false;
+
+        this.renderBoardTemplateList();
+
+        modal.style.display = 'flex';
+        nameInput?.focus();
+    }
+
+    /**
+     * Close the board templates modal
+     */
+    closeBoardTemplatesModal() {
+        const modal = document.getElementById('board-templates-modal');
+        if (modal) modal.style.display = 'none';
+    }
+
+    /**
+     * Render the user's saved board templates
+     */
+    async renderBoardTemplateList() {
+        const list = document.getElementById('board-template-list');
+        const emptyEl = document.getElementById('board-template-empty');
+        if (!list) return;
+
+        const templates = Object.entries(await kanbanService.getTemplates())
+            .filter(([, template]) => template.is_custom);
+
+        list.innerHTML = '';
+        if (emptyEl) emptyEl.style.display = templates.length ? 'none' : 'block';
+
+        templates.forEach(([id, template]) => {
+            const item = document.createElement('li');
+            item.className = 'board-template-item';
+
+            const details = document.createElement('div');
+            details.className = 'board-template-details';
+
+            const titleEl = document.createElement('strong');
+            titleEl.textContent = template.title;
+            details.appendChild(titleEl);
+
+            const cardCount = template.cards?.length || 0;
+            const summary = [`${template.columns.length} column${template.columns.length === 1 ? '' : 's'}`];
+            if (cardCount > 0) summary.push(`${cardCount} card${cardCount === 1 ? '' : 's'}`);
+            if (template.description) summary.push(template.description);
+
+            const summaryEl = document.createElement('span');
+            summaryEl.className = 'board-template-summary';
+            summaryEl.textContent = summary.join(' · ');
+            details.appendChild(summaryEl);
+            item.appendChild(details);
+
+            const exportBtn = document.createElement('button');
+            exportBtn.type = 'button';
+            exportBtn.className = 'btn-ghost btn-small';
+            exportBtn.textContent = 'Export';
+            exportBtn.addEventListener('click', () => this._exportBoardTemplate(id));
+            item.appendChild(exportBtn);
+
+            const deleteBtn = document.createElement('button');
+            deleteBtn.type = 'button';
+            deleteBtn.className = 'btn-icon-small';
+            deleteBtn.textContent = '×';
+            deleteBtn.setAttribute('aria-label', `Delete template ${template.title}`);
+            deleteBtn.addEventListener('click', () => this._deleteBoardTemplate(id, template.title));
+            item.appendChild(deleteBtn);
+
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Save the current board as a template from the modal form
+     */
+    async saveBoardAsTemplate() {
+        const name = document.getElementById('board-template-name')?.value?.trim();
+        if (!name) {
+            this.showError('Template name is required');
+            return;
+        }
+
+        try {
+            await kanbanService.saveBoardAsTemplate(this.currentBoardId, {
+                name,
+                description: document.getElementById('board-template-description')?.value,
+                includeCards: document.getElementById('board-template-include-cards')?.checked
+            });
+            await this.renderBoardTemplateList();
+            this.showSuccess(`Template "${name}" saved`);
+        } catch (error) {
+            console.error('Failed to save board template:', error);
+            this.showError(error.message);
+        }
+    }
+
+    /**
+     * Download a saved template as a JSON file others can import
+     * @param {string} templateId - Template ID
+     */
+    async _exportBoardTemplate(templateId) {
+        try {
+            const file = await kanbanService.exportBoardTemplate(templateId);
+            const slug = file.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'board';
+            dataService.downloadExportFile(file, `board-template-${slug}.json`);
+        } catch (error) {
+            console.error('Failed to export board template:', error);
+            this.showError(error.message);
+        }
+    }
+
+    /**
+     * Save a template from a JSON file exported by another user
+     * @param {File} file - Template file chosen by the user
+     */
+    async importBoardTemplateFile(file) {
+        try {
+            const template = await kanbanService.importBoardTemplate(await file.text());
+            await this.renderBoardTemplateList();
+            this.showSuccess(`Template "${template.name}" imported`);
+        } catch (error) {
+            console.error('Failed to import board template:', error);
+            this.showError(error.message);
+        }
+    }
+
+    /**
+     * Delete a saved board template after confirmation
+     * @param {string} templateId - Template ID
+     * @param {string} name - Template name
+     */
+    async _deleteBoardTemplate(templateId, name) {
+        if (!confirm(`Delete the template "${name}"? Boards created from it are kept.`)) return;
+
+        try {
+            await kanbanService.deleteBoardTemplate(templateId);
+            await this.renderBoardTemplateList();
+            this.showSuccess('Template deleted');
+        } catch (error) {
+            console.error('Failed to delete board template:', error);
+            this.showError(error.message);
+        }
+    }
+
+    // ==================== ARCHIVE ====================
+
+    /**
+     * Archive the card open in the card modal
+     * This is how cards leave the board; permanent deletion happens in the archive.
+     */
+    async archiveEditingCard() {
+        const card = this._editingCard;
+        if (!card) return;
+
+        try {
+            await kanbanService.archiveCard(card.id);
+            this.closeCardModal();
+            await this.loadBoard(this.currentBoardId);
+
+            // Archived cards leave the calendar views too
+            integrationService.emit('cardUpdated', {
+                cardId: card.id,
+                boardId: this.currentBoardId
+            });
+
+            this.showSuccess(`"${card.title}" archived`);
+        } catch (error) {
+            console.error('Failed to archive card:', error);
+            this.showError('Failed to archive card. Please try again.');
+        }
+    }
+
+    /**
+     * Archive a column with its cards
+     * @param {Object} column - Column to archive
+     */
+    async archiveColumn(column) {
+        try {
+            await kanbanService.archiveColumn(column.id);
+            await this.loadBoard(this.currentBoardId);
+            this.showSuccess(`"${column.title}" archived`);
+        } catch (error) {
+            console.error('Failed to archive column:', error);
+            this.showError(error.message);
+        }
+    }
+
+    /**
+     * Open the archive browser of the current board
+     */
+    openArchiveModal() {
+        const modal = document.getElementById('archive-modal');
+        if (!modal || !this.currentBoard) return;
+
+        this.renderArchive();
+        modal.style.display = 'flex';
+    }
+
+    /**
+     * Close the archive browser
+     */
+    closeArchiveModal() {
+        const modal = document.getElementById('archive-modal');
+        if (modal) modal.style.display = 'none';
+    }
+
+    /**
+     * Render the archived cards and columns of the current board
+     */
+    renderArchive() {
+        const cardsList = document.getElementById('archived-cards-list');
+        const cardsEmpty = document.getElementById('archived-cards-empty');
+        const columnsList = document.getElementById('archived-columns-list');
+        const columnsEmpty = document.getElementById('archived-columns-empty');
+        if (!cardsList || !columnsList) return;
+
+        const board = this.currentBoard || {};
+        const archivedCards = [...(board.archivedCards || [])]
+            .sort((a, b) => new Date(b.archived_at) - new Date(a.archived_at));
+        const archivedColumns = board.archivedColumns || [];
+        const allColumns = [...(board.columns || []), ...archivedColumns];
+
+        cardsList.innerHTML = '';
+        if (cardsEmpty) cardsEmpty.style.display = archivedCards.length ? 'none' : 'block';
+
+        archivedCards.forEach(card => {
+            const column = allColumns.find(c => c.id === card.column_id);
+            const from = card.is_backlog ? 'Backlog' : (column?.title || 'Deleted column');
+
+            const item = this._createArchiveItem(card.title,
+                `${from} · archived ${new Date(card.archived_at).toLocaleDateString()}`);
+
+            item.appendChild(this._createArchiveButton('Restore', `Restore ${card.title}`,
+                () => this._restoreArchivedCard(card)));
+
+            const deleteBtn = this._createArchiveButton('×', `Delete ${card.title} permanently`,
+                () => this._deleteArchivedCard(card));
+            deleteBtn.className = 'btn-icon-small';
+            item.appendChild(deleteBtn);
+
+            cardsList.appendChild(item);
+        });
+
+        columnsList.innerHTML = '';
+        if (columnsEmpty) columnsEmpty.style.display = archivedColumns.length ? 'none' : 'block';
+
+        archivedColumns.forEach(column => {
+            const item = this._createArchiveItem(column.title,
+                `${column.cards.length} card(s) · archived ${new Date(column.archived_at).toLocaleDateString()}`);
+
+            item.appendChild(this._createArchiveButton('Restore', `Restore ${column.title}`,
+                () => this._restoreArchivedColumn(column)));
+
+            columnsList.appendChild(item);
+        });
+    }
+
+    /**
+     * Create an archive list item with a title and details line
+     * @param {string} title - Item title
+     * @param {string} details - Details text
+     * @returns {HTMLElement} List item
+     * @private
+     */
+    _createArchiveItem(title, details) {
+        const item = document.createElement('li');
+        item.className = 'archive-item';
+
+        const info = document.createElement('div');
+        info.className = 'archive-item-info';
+
+        const titleEl = document.createElement('strong');
+        titleEl.textContent = title;
+        info.appendChild(titleEl);
+
+        const detailsEl = document.createElement('span');
+        detailsEl.className = 'archive-item-details';
+        detailsEl.textContent = details;
+        info.appendChild(detailsEl);
+
+        item.appendChild(info);
+        return item;
+    }
+
+    /**
+     * Create a button for an archive list item
+     * @param {string} text - Button text
+     * @param {string} label - Accessible label
+     * @param {Function} onClick - Click handler
+     * @returns {HTMLButtonElement} Button
+     * @private
+     */
+    _createArchiveButton(text, label, onClick) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'btn-ghost btn-small';
+        button.textContent = text;
+        button.setAttribute('aria-label', label);
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    /**
+     * Restore an archived card to the board
+     * @param {Object} card - Archived card
+     * @private
+     */
+    async _restoreArchivedCard(card) {
+        try {
+            await kanbanService.restoreCard(card.id);
+            await this.loadBoard(this.currentBoardId);
+            this.renderArchive();
+            this.showSuccess(`"${card.title}" restored`);
+        } catch (error) {
+            console.error('Failed to restore card:', error);
+            this.showError(error.message);
+        }
+    }
+
+    /**
+     * Permanently delete an archived card
+     * @param {Object} card - Archived card
+     * @private
+     */
+    async _deleteArchivedCard(card) {
+        if (!confirm(`Delete "${card.title}" permanently? This action cannot be undone.`)) return;
+
+        try {
+            await kanbanService.deleteCard(card.id);
+            await this.loadBoard(this.currentBoardId);
+            this.renderArchive();
+
+            integrationService.emit('cardDeleted', {
+                cardId: card.id,
+                boardId: this.currentBoardId
+            });
+        } catch (error) {
+            console.error('Failed to delete card:', error);
+            this.showError('Failed to delete card. Please try again.');
+        }
+    }
+
+    /**
+     * Restore an archived column with its cards
+     * @param {Object} column - Archived column
+     * @private
+     */
+    async _restoreArchivedColumn(column) {
+        try {
+            await kanbanService.restoreColumn(column.id);
+            await this.loadBoard(this.currentBoardId);
+            this.renderArchive();
+            this.showSuccess(`"${column.title}" restored`);
+        } catch (error) {
+            console.error('Failed to restore column:', error);
+            this.showError(error.message);
+        }
+    }
+
+    /**
+     * Archive the cards that have been done for longer than the chosen number of days
+     */
+    async archiveDoneCards() {
+        const days = parseInt(document.getElementById('archive-done-days')?.value, 10);
+        if (Number.isNaN(days) || days < 0) {
+            this.showError('Please enter a number of days');
+            return;
+        }
+
+        try {
+            const archived = await kanbanService.archiveDoneCards(this.currentBoardId, days);
+            await this.loadBoard(this.currentBoardId);
+            this.renderArchive();
+            this.showSuccess(archived.length
+                ? `Archived ${archived.length} finished card(s)`
+                : 'No finished cards to archive');
+        } catch (error) {
+            console.error('Failed to archive finished cards:', error);
+            this.showError(error.message);
+        }
+    }
+
+    // ==================== RECURRING CARDS ====================
+
+    /**
+     * Find the recurrence a card was created from
+     * @param {Object} card - Card
+     * @returns {Object|null} Recurrence, or null if unknown or deleted
+     */
+    _getCardRecurrence(card) {
+        if (!card?.recurrence_id) return null;
+        return (this.currentBoard?.recurrences || []).find(r => r.id === card.recurrence_id) || null;
+    }
+
+    /**
+     * Format an occurrence date for display
+     * @param {string} date - Date (YYYY-MM-DD)
+     * @returns {string} Localized date
+     */
+    _formatOccurrenceDate(date) {
+        return new Date(`${date}T00:00:00`).toLocaleDateString();
+    }
+
+    /**
+     * Show which recurrence the edited card belongs to, with a way to skip it
+     * @param {Object|null} card - Card being edited, or null for a new card
+     */
+    _renderCardRecurrence(card) {
+        const group = document.getElementById('card-recurrence-group');
+        const info = document.getElementById('card-recurrence-info');
+        if (!group || !info) return;
+
+        group.style.display = card?.recurrence_id ? 'block' : 'none';
+        if (!card?.recurrence_id) return;
+
+        const recurrence = this._getCardRecurrence(card);
+        const parts = [recurrence ? describeRRule(recurrence.recurrence_rule) : 'Recurring card'];
+        if (card.recurrence_date) {
+            parts.push(`occurrence of ${this._formatOccurrenceDate(card.recurrence_date)}`);
+        }
+        info.textContent = parts.join(' · ');
+
+        const skipBtn = document.getElementById('skip-occurrence-btn');
+        if (skipBtn) skipBtn.style.display = recurrence && card.recurrence_date ? 'inline-block' : 'none';
+    }
+
+    /**
+     * Skip the occurrence of the edited card, deleting the card
+     */
+    async _skipCardOccurrence() {
+        const card = this._editingCard;
+        if (!card?.recurrence_id || !card.recurrence_date) return;
+
+        try {
+            await kanbanService.skipOccurrence(card.recurrence_id, card.recurrence_date);
+            this.closeCardModal();
+            await this.loadBoard(this.currentBoardId);
+            this.showSuccess('Occurrence skipped');
+        } catch (error) {
+            console.error('Failed to skip occurrence:', error);
+            this.showError(error.message);
+        }
+    }
+
+    /**
+     * Open the recurring cards modal for the current board
+     */
+    openRecurringCardsModal() {
+        const modal = document.getElementById('recurring-cards-modal');
+        if (!modal || !this.currentBoard) return;
+
+        this._resetRecurrenceForm();
+        this.renderRecurrenceList();
+
+        modal.style.display = 'flex';
+        document.getElementById('recurrence-title')?.focus();
     }
 
     /**
-     * Get all unique labels from the current board
-     * @returns {Array<{name: string, color: string}>} Array of unique labels
+     * Close the recurring cards modal
      */
-    _getAllBoardLabels() {
-        const labelsMap = new Map();
+    closeRecurringCardsModal() {
+        const modal = document.getElementById('recurring-cards-modal');
+        if (modal) modal.style.display = 'none';
+    }
 
-        if (!this.currentBoard) return [];
+    /**
+     * Clear the new recurring card form
+     * @private
+     */
+    _resetRecurrenceForm() {
+        const titleInput = document.getElementById('recurrence-title');
+        const frequencySelect = document.getElementById('recurrence-frequency');
+        const intervalInput = document.getElementById('recurrence-interval');
+        const startInput = document.getElementById('recurrence-start-date');
+        const columnSelect = document.getElementById('recurrence-column');
+        const prioritySelect = document.getElementById('recurrence-priority');
+        const checklistInput = document.getElementById('recurrence-checklist');
+        const daysGroup = document.getElementById('recurrence-days-group');
+
+        if (titleInput) titleInput.value = '';
+        if (frequencySelect) frequencySelect.value = 'WEEKLY';
+        if (intervalInput) intervalInput.value = '1';
+        if (startInput) startInput.value = formatDate(new Date());
+        if (prioritySelect) prioritySelect.value = '';
+        if (checklistInput) checklistInput.value = '';
+        if (daysGroup) daysGroup.style.display = 'block';
+        document.querySelectorAll('.recurrence-day-checkbox').forEach(checkbox => {
+            checkbox.checked = false;
+        });
 
-        // Collect labels from all cards in columns
-        const columns = this.currentBoard.columns || [];
-        columns.forEach(column => {
-            const cards = column.cards || [];
-            cards.forEach(card => {
-                if (card.labels && Array.isArray(card.labels)) {
-                    card.labels.forEach(label => {
-                        const labelName = typeof label === 'string' ? label : label.name;
-                        const labelColor = typeof label === 'string' ? '#6366f1' : (label.color || '#6366f1');
-                        if (labelName && !labelsMap.has(labelName)) {
-                            labelsMap.set(labelName, { name: labelName, color: labelColor });
-                        }
-                    });
-                }
+        if (columnSelect) {
+            columnSelect.innerHTML = '';
+            (this.currentBoard?.columns || []).forEach(column => {
+                const option = document.createElement('option');
+                option.value = column.id;
+                option.textContent = column.title;
+                columnSelect.appendChild(option);
             });
-        });
+        }
+    }
 
-        // Collect labels from backlog cards
-        const backlogCards = this.currentBoard.backlog || [];
-        backlogCards.forEach(card => {
-            if (card.labels && Array.isArray(card.labels)) {
-                card.labels.forEach(label => {
-                    const labelName = typeof label === 'string' ? label : label.name;
-                    const labelColor = typeof label === 'string' ? '#6366f1' : (label.color || '#6366f1');
-                    if (labelName && !labelsMap.has(labelName)) {
-                        labelsMap.set(labelName, { name: labelName, color: labelColor });
-                    }
-                });
+    /**
+     * Render the recurring cards of the current board
+     */
+    renderRecurrenceList() {
+        const list = document.getElementById('recurrence-list');
+        const emptyEl = document.getElementById('recurrence-empty');
+        if (!list) return;
+
+        const recurrences = this.currentBoard?.recurrences || [];
+        const columns = this.currentBoard?.columns || [];
+
+        list.innerHTML = '';
+        if (emptyEl) emptyEl.style.display = recurrences.length ? 'none' : 'block';
+
+        recurrences.forEach(recurrence => {
+            const item = document.createElement('li');
+            item.className = 'recurrence-item';
+
+            const details = document.createElement('div');
+            details.className = 'recurrence-details';
+
+            const titleEl = document.createElement('strong');
+            titleEl.textContent = recurrence.title;
+            details.appendChild(titleEl);
+
+            const column = columns.find(c => c.id === recurrence.column_id) || columns[0];
+            const next = kanbanService.getNextOccurrence(recurrence);
+            const summary = [describeRRule(recurrence.recurrence_rule)];
+            if (column) summary.push(`into ${column.title}`);
+            summary.push(next ? `next ${this._formatOccurrenceDate(next)}` : 'ended');
+
+            const summaryEl = document.createElement('span');
+            summaryEl.className = 'recurrence-summary';
+            summaryEl.textContent = summary.join(' · ');
+            details.appendChild(summaryEl);
+            item.appendChild(details);
+
+            if (next) {
+                const skipBtn = document.createElement('button');
+                skipBtn.type = 'button';
+                skipBtn.className = 'btn-ghost btn-small';
+                skipBtn.textContent = 'Skip next';
+                skipBtn.addEventListener('click', () => this._skipNextOccurrence(recurrence.id));
+                item.appendChild(skipBtn);
             }
-        });
 
-        return Array.from(labelsMap.values());
+            const deleteBtn = document.createElement('button');
+            deleteBtn.type = 'button';
+            deleteBtn.className = 'btn-icon-small';
+            deleteBtn.textContent = '×';
+            deleteBtn.setAttribute('aria-label', `Delete recurring card ${recurrence.title}`);
+            deleteBtn.addEventListener('click', () => this._deleteRecurrence(recurrence));
+            item.appendChild(deleteBtn);
+
+            list.appendChild(item);
+        });
     }
 
     /**
-     * Populate the labels container with checkboxes
-     * @param {HTMLElement} container - The labels container element
-     * @param {Array} selectedLabels - Currently selected labels for the card
+     * Save the new recurring card from the modal
      */
-    _populateLabelsContainer(container, selectedLabels) {
-        container.innerHTML = '';
+    async saveRecurrence() {
+        const title = document.getElementById('recurrence-title')?.value.trim();
+        const freq = document.getElementById('recurrence-frequency')?.value || 'WEEKLY';
+        const interval = parseInt(document.getElementById('recurrence-interval')?.value, 10) || 1;
+        let startDate = document.getElementById('recurrence-start-date')?.value || formatDate(new Date());
 
-        // Get all unique labels from the board
-        const allLabels = this._getAllBoardLabels();
+        if (!title) {
+            this.showError('Please enter a title for the recurring card');
+            return;
+        }
 
-        // Normalize selected labels to array of names
-        const selectedLabelNames = (selectedLabels || []).map(label =>
-            typeof label === 'string' ? label : label.name
-        );
+        let byDay = [];
+        if (freq === 'WEEKLY') {
+            const days = Array.from(document.querySelectorAll('.recurrence-day-checkbox:checked'))
+                .map(checkbox => parseInt(checkbox.value, 10));
+            if (days.length) {
+                byDay = days.map(day => ({ day, ordinal: null }));
+                // Start on the first selected day so the start date is an occurrence
+                while (!days.includes(new Date(`${startDate}T00:00:00`).getDay())) {
+                    startDate = addDays(startDate, 1);
+                }
+            }
+        }
 
-        // Create checkbox for each existing label
-        allLabels.forEach(label => {
-            const labelItem = this._createLabelCheckbox(label, selectedLabelNames.includes(label.name));
-            container.appendChild(labelItem);
-        });
+        const checklist = (document.getElementById('recurrence-checklist')?.value || '').split('\n');
 
-        // If no labels exist, show a hint
-        if (allLabels.length === 0) {
-            const hint = document.createElement('p');
-            hint.className = 'form-hint';
-            hint.textContent = 'No labels yet. Click "Add New Label" to create one.';
-            container.appendChild(hint);
+        try {
+            await kanbanService.createRecurrence(this.currentBoardId, {
+                title,
+                priority: document.getElementById('recurrence-priority')?.value || null,
+                column_id: document.getElementById('recurrence-column')?.value || null,
+                recurrence_rule: formatRRule({ freq, interval, byDay, byMonthDay: [] }),
+                start_date: startDate,
+                checklist
+            });
+
+            // Reloading creates the cards that are already due
+            await this.loadBoard(this.currentBoardId);
+            this._resetRecurrenceForm();
+            this.renderRecurrenceList();
+            this.showSuccess('Recurring card added');
+        } catch (error) {
+            console.error('Failed to save recurring card:', error);
+            this.showError(error.message);
+        }
+    }
+
+    /**
+     * Skip the next occurrence of a recurring card
+     * @param {string} recurrenceId - Recurrence ID
+     * @private
+     */
+    async _skipNextOccurrence(recurrenceId) {
+        try {
+            const date = await kanbanService.skipNextOccurrence(recurrenceId);
+            await this.loadBoard(this.currentBoardId);
+            this.renderRecurrenceList();
+            if (date) this.showSuccess(`Skipped ${this._formatOccurrenceDate(date)}`);
+        } catch (error) {
+            console.error('Failed to skip occurrence:', error);
+            this.showError(error.message);
+        }
+    }
+
+    /**
+     * Delete a recurring card; cards it already created stay on the board
+     * @param {Object} recurrence - Recurrence
+     * @private
+     */
+    async _deleteRecurrence(recurrence) {
+        if (!confirm(`Stop repeating "${recurrence.title}"? Cards already created are kept.`)) return;
+
+        try {
+            await kanbanService.deleteRecurrence(recurrence.id);
+            await this.loadBoard(this.currentBoardId);
+            this.renderRecurrenceList();
+        } catch (error) {
+            console.error('Failed to delete recurring card:', error);
+            this.showError(error.message);
         }
     }
 
@@ -2535,6 +4522,7 @@ class KanbanView {
         this._editingCard = null;
         this._newCardIsBacklog = false;
         this._newCardColumnId = null;
+        this._templateChecklist = [];
     }
 
     /**
@@ -2548,6 +4536,7 @@ class KanbanView {
         const dueDateInput = document.getElementById('card-due-date');
         const goalSelect = document.getElementById('card-goal');
         const habitSelect = document.getElementById('card-habit');
+        const estimateInput = document.getElementById('card-estimate');
 
         const title = titleInput?.value?.trim();
         if (!title) {
@@ -2555,6 +4544,13 @@ class KanbanView {
             return;
         }
 
+        const estimateText = estimateInput?.value?.trim() || '';
+        const estimate = estimateText === '' ? null : Number(estimateText);
+        if (estimate !== null && (!Number.isFinite(estimate) || estimate < 0)) {
+            this.showError('Estimate must be a number of 0 or more');
+            return;
+        }
+
         // Get selected labels
         const labels = this._getSelectedLabels();
 
@@ -2565,9 +4561,14 @@ class KanbanView {
             due_date: dueDateInput?.value || null,
             linked_goal_id: goalSelect?.value || null,
             linked_habit_id: habitSelect?.value || null,
-            labels: labels
+            labels: labels,
+            estimate
         };
 
+        if (kanbanService.getSwimlaneSettings(this.currentBoard)?.field === SWIMLANE_FIELDS.CUSTOM) {
+            cardData.swimlane = document.getElementById('card-lane')?.value?.trim() || null;
+        }
+
         try {
             let savedCardId = this._editingCard?.id;
 
@@ -2576,7 +4577,11 @@ class KanbanView {
                 await kanbanService.updateCard(this._editingCard.id, cardData);
                 this.showSuccess('Card updated successfully');
             } else {
-                // Create new card
+                // Create new card, with the checklist of the template it was started from
+                if (this._templateChecklist?.length) {
+                    cardData.checklist = this._templateChecklist;
+                }
+
                 let newCard;
                 if (this._newCardIsBacklog) {
                     // Add to backlog - need to create card then move to backlog
@@ -2636,6 +4641,14 @@ class KanbanView {
         if (wipInput) wipInput.value = column?.wip_limit || '';
         if (colorInput) colorInput.value = column?.color || '#6366f1';
 
+        // Per-lane limits only apply to boards with swimlanes
+        const laneWipGroup = document.getElementById('column-lane-wip-group');
+        const laneWipInput = document.getElementById('column-lane-wip-limit');
+        if (laneWipGroup) {
+            laneWipGroup.style.display = kanbanService.getSwimlaneSettings(this.currentBoard) ? 'block' : 'none';
+        }
+        if (laneWipInput) laneWipInput.value = column?.lane_wip_limit || '';
+
         // Show/hide delete button
         if (deleteBtn) {
             deleteBtn.style.display = column ? 'inline-block' : 'none';
@@ -2678,6 +4691,11 @@ class KanbanView {
             color: colorInput?.value || null
         };
 
+        if (kanbanService.getSwimlaneSettings(this.currentBoard)) {
+            const laneWipInput = document.getElementById('column-lane-wip-limit');
+            columnData.lane_wip_limit = laneWipInput?.value ? parseInt(laneWipInput.value) : null;
+        }
+
         try {
             if (this._editingColumn) {
                 // Update existing column
@@ -2733,6 +4751,9 @@ class KanbanView {
                 case 'move-right':
                     this.moveColumn(column, 1);
                     break;
+                case 'archive':
+                    this.archiveColumn(column);
+                    break;
                 case 'delete':
                     this._editingColumn = column;
                     this.confirmDeleteColumn();
@@ -2793,72 +4814,159 @@ class KanbanView {
         }
     }
 
-    // ==================== DELETE CONFIRMATIONS ====================
+    // ==================== CARD TEMPLATES ====================
 
     /**
-     * Show delete confirmation for board
+     * Fill the template picker of the card modal
+     * Only shown for new cards; the user's templates are loaded each time so
+     * templates saved on another board show up.
+     * @param {Object|null} card - Card being edited, or null for a new card
+     * @param {string} [templateId] - Template to apply straight away
      */
-    confirmDeleteBoard() {
-        const modal = document.getElementById('delete-confirm-modal');
-        const message = document.getElementById('delete-confirm-message');
-        const confirmBtn = document.getElementById('confirm-delete-btn');
-        const columnOptions = document.getElementById('delete-column-options');
+    async _renderCardTemplatePicker(card, templateId = null) {
+        const group = document.getElementById('card-template-group');
+        const select = document.getElementById('card-template-select');
+        const hint = document.getElementById('card-template-hint');
+        const deleteBtn = document.getElementById('delete-card-template-btn');
+        if (!group || !select) return;
 
-        if (!modal) return;
+        select.value = '';
+        if (hint) hint.textContent = '';
+        if (deleteBtn) deleteBtn.style.display = 'none';
+        group.style.display = 'none';
+        if (card) return;
 
-        if (message) {
-            message.textContent = `Are you sure you want to delete "${this.currentBoard?.title}"? This will delete all columns and cards in this board. This action cannot be undone.`;
+        try {
+            this.cardTemplates = await kanbanService.getCardTemplates() || [];
+        } catch (error) {
+            console.warn('Failed to load card templates:', error);
+            this.cardTemplates = [];
         }
-        if (columnOptions) columnOptions.style.display = 'none';
 
-        // Setup confirm handler
-        const handleConfirm = async () => {
-            await this.deleteBoard();
-            this.closeDeleteModal();
-            confirmBtn?.removeEventListener('click', handleConfirm);
-        };
+        // The modal may have been closed or switched to a card while loading
+        if (this._editingCard) return;
 
-        confirmBtn?.removeEventListener('click', confirmBtn._handler);
-        confirmBtn._handler = handleConfirm;
-        confirmBtn?.addEventListener('click', handleConfirm);
+        select.innerHTML = '<option value="">-- No Template --</option>';
+        this.cardTemplates.forEach(template => {
+            const option = document.createElement('option');
+            option.value = template.id;
+            option.textContent = template.name;
+            select.appendChild(option);
+        });
 
-        modal.style.display = 'flex';
+        group.style.display = this.cardTemplates.length > 0 ? 'block' : 'none';
+        if (templateId && this.cardTemplates.some(t => t.id === templateId)) {
+            select.value = templateId;
+            this._applyCardTemplate(templateId);
+        }
+    }
+
+    /**
+     * Fill the card modal from a template
+     * Clearing the picker keeps the filled-in fields but drops the checklist.
+     * @param {string} templateId - Template ID, or '' for no template
+     */
+    _applyCardTemplate(templateId) {
+        const hint = document.getElementById('card-template-hint');
+        const deleteBtn = document.getElementById('delete-card-template-btn');
+        const template = (this.cardTemplates || []).find(t => t.id === templateId);
+
+        this._templateChecklist = [];
+        if (deleteBtn) deleteBtn.style.display = template ? 'inline-block' : 'none';
+        if (hint) hint.textContent = '';
+        if (!template) return;
+
+        const data = kanbanService.applyCardTemplate(template);
+        const titleInput = document.getElementById('card-title');
+        const descInput = document.getElementById('card-description');
+        const prioritySelect = document.getElementById('card-priority');
+        const dueDateInput = document.getElementById('card-due-date');
+        const labelsContainer = document.getElementById('card-labels-container');
+
+        if (titleInput) titleInput.value = data.title;
+        if (descInput) descInput.value = data.description || '';
+        if (prioritySelect) prioritySelect.value = data.priority || '';
+        if (dueDateInput) dueDateInput.value = data.due_date || '';
+
+        // Template labels that no card on this board uses yet are added as new labels
+        if (labelsContainer) {
+            this._populateLabelsContainer(labelsContainer, data.labels);
+            const boardLabelNames = this._getAllBoardLabels().map(label => label.name);
+            data.labels
+                .map(label => typeof label === 'string' ? { name: label, color: '#6366f1' } : label)
+                .filter(label => label.name && !boardLabelNames.includes(label.name))
+                .forEach(label => {
+                    labelsContainer.querySelector('.form-hint')?.remove();
+                    labelsContainer.appendChild(this._createLabelCheckbox(label, true));
+                });
+        }
+
+        this._templateChecklist = data.checklist;
+        if (hint && data.checklist.length > 0) {
+            hint.textContent = `The card starts with ${data.checklist.length} checklist item${data.checklist.length === 1 ? '' : 's'}.`;
+        }
+    }
+
+    /**
+     * Delete the template selected in the card modal
+     */
+    async _deleteSelectedCardTemplate() {
+        const select = document.getElementById('card-template-select');
+        const template = (this.cardTemplates || []).find(t => t.id === select?.value);
+        if (!template) return;
+        if (!confirm(`Delete the template "${template.name}"? Cards created from it are kept.`)) return;
+
+        try {
+            await kanbanService.deleteCardTemplate(template.id);
+            this._templateChecklist = [];
+            await this._renderCardTemplatePicker(null);
+            this.showSuccess('Template deleted');
+        } catch (error) {
+            console.error('Failed to delete card template:', error);
+            this.showError(error.message);
+        }
+    }
+
+    /**
+     * Save the card being edited, as last saved, as a reusable template
+     */
+    async saveEditingCardAsTemplate() {
+        const card = this._editingCard;
+        if (!card) return;
+
+        const name = prompt('Template name:', card.title)?.trim();
+        if (!name) return;
+
+        try {
+            await kanbanService.createTemplateFromCard(card.id, name);
+            this.showSuccess(`Template "${name}" saved`);
+        } catch (error) {
+            console.error('Failed to save card template:', error);
+            this.showError(error.message);
+        }
     }
 
+    // ==================== DELETE CONFIRMATIONS ====================
+
     /**
-     * Show delete confirmation for card
+     * Show delete confirmation for board
      */
-    confirmDeleteCard() {
+    confirmDeleteBoard() {
         const modal = document.getElementById('delete-confirm-modal');
         const message = document.getElementById('delete-confirm-message');
         const confirmBtn = document.getElementById('confirm-delete-btn');
         const columnOptions = document.getElementById('delete-column-options');
 
-        if (!modal || !this._editingCard) return;
+        if (!modal) return;
 
         if (message) {
-            message.textContent = `Are you sure you want to delete "${this._editingCard.title}"? This action cannot be undone.`;
+            message.textContent = `Are you sure you want to delete "${this.currentBoard?.title}"? This will delete all columns and cards in this board. This action cannot be undone.`;
         }
         if (columnOptions) columnOptions.style.display = 'none';
 
         // Setup confirm handler
         const handleConfirm = async () => {
-            try {
-                await kanbanService.deleteCard(this._editingCard.id);
-                this.showSuccess('Card deleted successfully');
-                await this.loadBoard(this.currentBoardId);
-
-                // Notify other components that a card has been deleted
-                integrationService.emit('cardDeleted', {
-                    cardId: this._editingCard.id,
-                    boardId: this.currentBoardId
-                });
-
-                this.closeCardModal();
-            } catch (error) {
-                console.error('Failed to delete card:', error);
-                this.showError('Failed to delete card. Please try again.');
-            }
+            await this.deleteBoard();
             this.closeDeleteModal();
             confirmBtn?.removeEventListener('click', handleConfirm);
         };
@@ -3129,11 +5237,21 @@ class KanbanView {
         const deleteBtn = document.getElementById('delete-board-btn');
         const addColumnBtn = document.getElementById('add-column-btn');
         const addCardBtn = document.getElementById('add-card-btn');
+        const recurringCardsBtn = document.getElementById('recurring-cards-btn');
+        const archiveBtn = document.getElementById('archive-btn');
+        const automationsBtn = document.getElementById('automations-btn');
+        const boardTemplatesBtn = document.getElementById('board-templates-btn');
+        const exportBoardBtn = document.getElementById('export-board-btn');
 
         if (editBtn) editBtn.style.display = show ? 'inline-flex' : 'none';
         if (deleteBtn) deleteBtn.style.display = show ? 'inline-flex' : 'none';
         if (addColumnBtn) addColumnBtn.style.display = show ? 'inline-flex' : 'none';
         if (addCardBtn) addCardBtn.style.display = show ? 'inline-flex' : 'none';
+        if (recurringCardsBtn) recurringCardsBtn.style.display = show ? 'inline-flex' : 'none';
+        if (archiveBtn) archiveBtn.style.display = show ? 'inline-flex' : 'none';
+        if (automationsBtn) automationsBtn.style.display = show ? 'inline-flex' : 'none';
+        if (boardTemplatesBtn) boardTemplatesBtn.style.display = show ? 'inline-flex' : 'none';
+        if (exportBoardBtn) exportBoardBtn.style.display = show ? 'inline-flex' : 'none';
     }
 
     /**
@@ -3146,8 +5264,7 @@ class KanbanView {
 
         // Remove existing columns
         if (columnsContainer) {
-            const existingColumns = columnsContainer.querySelectorAll('.kanban-column');
-            existingColumns.forEach(col => col.remove());
+            this._removeColumnElements(columnsContainer);
         }
 
         if (emptyState) emptyState.style.display = 'flex';
@@ -3209,6 +5326,20 @@ class KanbanView {
         }
     }
 
+    /**
+     * Show warning toast message
+     * @param {string} message - Warning message
+     */
+    showWarning(message) {
+        if (window.showToast) {
+            window.showToast(message, 'warning');
+        } else if (window.Toast) {
+            window.Toast.warning(message);
+        } else {
+            console.warn('Warning:', message);
+        }
+    }
+
     /**
      * Format due date for display
      * @param {string} dateStr - Date string (YYYY-MM-DD)
@@ -3309,6 +5440,42 @@ class KanbanView {
         }
     }
 
+    /**
+     * Get the collapsed swimlanes of a board from localStorage
+     * @param {string} boardId - Board ID
+     * @returns {Array<string>} Keys of collapsed lanes
+     * @private
+     */
+    _getCollapsedLanes(boardId) {
+        try {
+            const stored = JSON.parse(localStorage.getItem(COLLAPSED_LANES_KEY) || '{}');
+            return stored[boardId] || [];
+        } catch (e) {
+            console.warn('Failed to read from localStorage:', e);
+            return [];
+        }
+    }
+
+    /**
+     * Set the collapsed swimlanes of a board in localStorage
+     * @param {string} boardId - Board ID
+     * @param {Array<string>} laneKeys - Keys of collapsed lanes
+     * @private
+     */
+    _setCollapsedLanes(boardId, laneKeys) {
+        try {
+            const stored = JSON.parse(localStorage.getItem(COLLAPSED_LANES_KEY) || '{}');
+            if (laneKeys.length > 0) {
+                stored[boardId] = laneKeys;
+            } else {
+                delete stored[boardId];
+            }
+            localStorage.setItem(COLLAPSED_LANES_KEY, JSON.stringify(stored));
+        } catch (e) {
+            console.warn('Failed to write to localStorage:', e);
+        }
+    }
+
     // ==================== KEYBOARD NAVIGATION ====================
     // Requirement 9.5: Keyboard navigation support
 
@@ -3348,7 +5515,7 @@ class KanbanView {
         }
 
         const focusedCard = this.container.querySelector('.kanban-card:focus');
-        const focusedColumn = this.container.querySelector('.kanban-column:focus');
+        const focusedColumn = this.container.querySelector('.kanban-column:focus, .swimlane-cell:focus');
 
         switch (event.key) {
             case 'ArrowRight':
@@ -3463,12 +5630,36 @@ class KanbanView {
         }
     }
 
+    /**
+     * Get the column holding a card, or its swimlane cell on boards with swimlanes
+     * @param {HTMLElement} cardEl - Card element
+     * @returns {HTMLElement|null} Column or swimlane cell
+     * @private
+     */
+    _getCardGroup(cardEl) {
+        return cardEl.closest('.swimlane-cell, .kanban-column');
+    }
+
+    /**
+     * Get the columns in board order, or for a swimlane cell the cells of its lane
+     * @param {HTMLElement} group - Column or swimlane cell
+     * @returns {Array<HTMLElement>} Columns or cells, left to right
+     * @private
+     */
+    _getSiblingCardGroups(group) {
+        if (group.classList.contains('swimlane-cell')) {
+            const laneKey = CSS.escape(group.dataset.laneKey);
+            return Array.from(this.container.querySelectorAll(`.swimlane-cell[data-lane-key="${laneKey}"]`));
+        }
+        return Array.from(this.container.querySelectorAll('.kanban-column'));
+    }
+
     /**
      * Navigate to the next card in the same column
      * @param {HTMLElement} currentCard - Currently focused card
      */
     navigateToNextCard(currentCard) {
-        const column = currentCard.closest('.kanban-column');
+        const column = this._getCardGroup(currentCard);
         const backlogPanel = currentCard.closest('#backlog-panel');
 
         let cards;
@@ -3494,7 +5685,7 @@ class KanbanView {
      * @param {HTMLElement} currentCard - Currently focused card
      */
     navigateToPreviousCard(currentCard) {
-        const column = currentCard.closest('.kanban-column');
+        const column = this._getCardGroup(currentCard);
         const backlogPanel = currentCard.closest('#backlog-panel');
 
         let cards;
@@ -3520,10 +5711,10 @@ class KanbanView {
      * @param {HTMLElement} currentCard - Currently focused card
      */
     navigateToNextColumn(currentCard) {
-        const currentColumn = currentCard.closest('.kanban-column');
+        const currentColumn = this._getCardGroup(currentCard);
         if (!currentColumn) return;
 
-        const columns = Array.from(this.container.querySelectorAll('.kanban-column'));
+        const columns = this._getSiblingCardGroups(currentColumn);
         const currentColumnIndex = columns.indexOf(currentColumn);
         const nextColumn = columns[currentColumnIndex + 1];
 
@@ -3549,10 +5740,10 @@ class KanbanView {
      * @param {HTMLElement} currentCard - Currently focused card
      */
     navigateToPreviousColumn(currentCard) {
-        const currentColumn = currentCard.closest('.kanban-column');
+        const currentColumn = this._getCardGroup(currentCard);
         if (!currentColumn) return;
 
-        const columns = Array.from(this.container.querySelectorAll('.kanban-column'));
+        const columns = this._getSiblingCardGroups(currentColumn);
         const currentColumnIndex = columns.indexOf(currentColumn);
         const prevColumn = columns[currentColumnIndex - 1];
 
@@ -3578,7 +5769,7 @@ class KanbanView {
      * @param {HTMLElement} currentColumn - Currently focused column
      */
     focusNextColumn(currentColumn) {
-        const columns = Array.from(this.container.querySelectorAll('.kanban-column'));
+        const columns = this._getSiblingCardGroups(currentColumn);
         const currentIndex = columns.indexOf(currentColumn);
         const nextColumn = columns[currentIndex + 1];
 
@@ -3597,7 +5788,7 @@ class KanbanView {
      * @param {HTMLElement} currentColumn - Currently focused column
      */
     focusPreviousColumn(currentColumn) {
-        const columns = Array.from(this.container.querySelectorAll('.kanban-column'));
+        const columns = this._getSiblingCardGroups(currentColumn);
         const currentIndex = columns.indexOf(currentColumn);
         const prevColumn = columns[currentIndex - 1];
 
@@ -3634,6 +5825,11 @@ class KanbanView {
             this._keyboardHandler = null;
         }
 
+        if (this._unsubscribeAutomations) {
+            this._unsubscribeAutomations();
+            this._unsubscribeAutomations = null;
+        }
+
         // Clear state
         this.currentBoardId = null;
         this.currentBoard = null;
@@ -6705,6 +8901,41 @@ class ActivityLogComponent {
             case 'comment_deleted':
                 return 'Deleted a <strong>comment</strong>';
 
+            case 'dependency_added':
+                return `Blocked by <strong>${this._escapeHtml(actionData.blocker_title || 'a card')}</strong>`;
+
+            case 'dependency_removed':
+                return `No longer blocked by <strong>${this._escapeHtml(actionData.blocker_title || 'a card')}</strong>`;
+
+            case 'card_blocked':
+                return 'Card became <strong>blocked</strong>';
+
+            case 'card_unblocked':
+                return 'Card was <strong>unblocked</strong>';
+
+            case 'automation_applied':
+                return `Rule <strong>${this._escapeHtml(actionData.rule_name || 'automation')}</strong> was applied`;
+
+            case 'card_estimated':
+                if (actionData.to === null || actionData.to === undefined) return 'Removed the <strong>estimate</strong>';
+                return actionData.from === null || actionData.from === undefined
+                    ? `Estimated at <strong>${this._escapeHtml(this._formatEstimate(actionData.to))}</strong>`
+                    : `Changed the estimate from ${this._escapeHtml(this._formatEstimate(actionData.from))} to <strong>${this._escapeHtml(this._formatEstimate(actionData.to))}</strong>`;
+
+            case 'card_archived':
+                return 'Card was <strong>archived</strong>';
+
+            case 'card_restored':
+                return `Restored to <strong>${this._escapeHtml(actionData.column_title || 'the board')}</strong>`;
+
+            case 'recurring_card_created':
+                return actionData.missed
+                    ? `Created from a <strong>recurring card</strong> for the missed ${this._escapeHtml(this._formatOccurrenceDate(actionData.occurrence_date))} occurrence`
+                    : 'Created from a <strong>recurring card</strong>';
+
+            case 'occurrence_skipped':
+                return `Skipped the <strong>${this._escapeHtml(this._formatOccurrenceDate(actionData.occurrence_date))}</strong> occurrence`;
+
             default:
                 return `Activity: <strong>${this._escapeHtml(entry.action_type)}</strong>`;
         }
@@ -6728,7 +8959,17 @@ class ActivityLogComponent {
             'attachment_deleted': '📎',
             'comment_added': '💬',
             'comment_edited': '💬',
-            'comment_deleted': '💬'
+            'comment_deleted': '💬',
+            'dependency_added': '🔗',
+            'dependency_removed': '🔗',
+            'card_blocked': '⛔',
+            'card_unblocked': '🟢',
+            'automation_applied': '⚡',
+            'card_estimated': '📏',
+            'card_archived': '🗄️',
+            'card_restored': '♻️',
+            'recurring_card_created': '↻',
+            'occurrence_skipped': '⏭️'
         };
         return icons[actionType] || '📝';
     }
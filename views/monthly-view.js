@@ -5,7 +5,14 @@
 
 import dataService from '../js/data-service.js';
 import integrationService from '../js/integration-service.js';
-import { getDaysInMonth, formatDate } from '../js/utils.js';
+import { getDaysInMonth, formatDate, escapeHtml } from '../js/utils.js';
+import {
+    RECURRENCE_SCOPES,
+    RECURRENCE_SCOPE_CHOICES,
+    describeRRule,
+    formatRRule,
+    isRecurring
+} from '../js/recurrence.js';
 
 // Category color mapping
 const CATEGORY_COLORS = {
@@ -111,6 +118,15 @@ class MonthlyView {
         document.getElementById('next-month-btn')?.addEventListener('click', () => this.changeMonth(1));
         document.getElementById('today-month-btn')?.addEventListener('click', () => this.goToToday());
 
+        // Calendar (.ics) import
+        const icsInput = document.getElementById('import-ics-input');
+        document.getElementById('import-ics-btn')?.addEventListener('click', () => icsInput?.click());
+        icsInput?.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) this.importICalFile(file);
+        });
+
         // Add checklist item button
         document.getElementById('add-checklist-item-btn')?.addEventListener('click', () => this.addChecklistItem());
 
@@ -717,6 +733,15 @@ class MonthlyView {
                             e.stopPropagation();
                             integrationService.navigateToCard(event.boardId, event.id);
                         });
+                    } else if (event.id) {
+                        if (isRecurring(event)) {
+                            eventEl.classList.add('recurring');
+                            eventEl.title = describeRRule(event.recurrence_rule) || 'Recurring';
+                        }
+                        eventEl.addEventListener('click', (e) => {
+                            e.stopPropagation();
+                            this.showEditEventModal(event);
+                        });
                     }
 
                     eventsContainer.appendChild(eventEl);
@@ -829,6 +854,22 @@ class MonthlyView {
                             ${categoryOptions}
                         </select>
                     </div>
+                    <div id="repeat-fields" class="form-row">
+                        <div class="form-group">
+                            <label for="event-repeat">Repeat</label>
+                            <select id="event-repeat">
+                                <option value="">Does not repeat</option>
+                                <option value="daily">Daily</option>
+                                <option value="weekdays">Every weekday</option>
+                                <option value="weekly">Weekly on ${dayNames[date.getDay()]}</option>
+                                <option value="monthly">Monthly on day ${date.getDate()}</option>
+                            </select>
+                        </div>
+                        <div class="form-group">
+                            <label for="event-repeat-until">Until (optional)</label>
+                            <input type="date" id="event-repeat-until" min="${dateStr}" />
+                        </div>
+                    </div>
                     <div class="form-group">
                         <label for="event-notes">Notes (optional)</label>
                         <textarea id="event-notes" rows="2" placeholder="Additional details..."></textarea>
@@ -854,6 +895,7 @@ class MonthlyView {
                 // Toggle time fields based on event type
                 const eventTypeRadios = document.querySelectorAll('input[name="event-type"]');
                 const timeFields = document.getElementById('time-fields');
+                const repeatFields = document.getElementById('repeat-fields');
 
                 eventTypeRadios.forEach(radio => {
                     radio.addEventListener('change', (e) => {
@@ -862,6 +904,7 @@ class MonthlyView {
                         } else {
                             timeFields.style.display = 'flex';
                         }
+                        repeatFields.style.display = e.target.value === 'kanban-card' ? 'none' : 'flex';
                     });
                 });
             }, 100);
@@ -884,6 +927,11 @@ class MonthlyView {
         const endTime = document.getElementById('event-end-time')?.value;
         const category = document.getElementById('event-category')?.value;
         const notes = document.getElementById('event-notes')?.value?.trim();
+        const recurrenceRule = this.buildRepeatRule(
+            document.getElementById('event-repeat')?.value,
+            dateStr,
+            document.getElementById('event-repeat-until')?.value
+        );
 
         if (!title) {
             if (window.showToast) {
@@ -903,26 +951,31 @@ class MonthlyView {
         try {
             if (eventType === 'calendar-event') {
                 // Create unscheduled/all-day calendar event
-                await dataService.createCalendarEvent({
+                const created = await dataService.createCalendarEvent({
                     date: dateStr,
                     title: title,
                     description: notes || null,
                     category: category,
-                    is_all_day: true
+                    is_all_day: true,
+                    ...(recurrenceRule && { recurrence_rule: recurrenceRule, recurrence_exceptions: [] })
                 });
 
-                // Update local data
-                if (!this.calendarEventsData) {
-                    this.calendarEventsData = {};
-                }
-                if (!this.calendarEventsData[dateStr]) {
-                    this.calendarEventsData[dateStr] = [];
+                // Update local data (recurring events span other days, so reload them)
+                if (recurrenceRule) {
+                    await this.loadCalendarData();
+                } else {
+                    if (!this.calendarEventsData) {
+                        this.calendarEventsData = {};
+                    }
+                    if (!this.calendarEventsData[dateStr]) {
+                        this.calendarEventsData[dateStr] = [];
+                    }
+                    this.calendarEventsData[dateStr].push(created || {
+                        date: dateStr,
+                        title: title,
+                        category: category
+                    });
                 }
-                this.calendarEventsData[dateStr].push({
-                    date: dateStr,
-                    title: title,
-                    category: category
-                });
 
                 if (window.showToast) {
                     window.showToast(`"${title}" added as unscheduled event`, 'success');
@@ -951,20 +1004,25 @@ class MonthlyView {
                     end_time: endTime,
                     activity: title,
                     category: category,
-                    notes: notes || null
+                    notes: notes || null,
+                    ...(recurrenceRule && { recurrence_rule: recurrenceRule, recurrence_exceptions: [] })
                 });
 
                 // Update local data
-                if (!this.timeBlocksData[dateStr]) {
-                    this.timeBlocksData[dateStr] = [];
+                if (recurrenceRule) {
+                    await this.loadCalendarData();
+                } else {
+                    if (!this.timeBlocksData[dateStr]) {
+                        this.timeBlocksData[dateStr] = [];
+                    }
+                    this.timeBlocksData[dateStr].push({
+                        date: dateStr,
+                        start_time: startTime,
+                        end_time: endTime,
+                        activity: title,
+                        category: category
+                    });
                 }
-                this.timeBlocksData[dateStr].push({
-                    date: dateStr,
-                    start_time: startTime,
-                    end_time: endTime,
-                    activity: title,
-                    category: category
-                });
 
                 if (window.showToast) {
                     window.showToast(`"${title}" added to weekly schedule`, 'success');
@@ -990,6 +1048,237 @@ class MonthlyView {
         }
     }
 
+    /**
+     * Preview an .ics file and import it after confirmation
+     * @param {File} file - Calendar file chosen by the user
+     */
+    async importICalFile(file) {
+        try {
+            const text = await file.text();
+            const defaultCategory = this.categories[0]?.name || 'Personal';
+            const preview = await dataService.importICal(text, { defaultCategory, dryRun: true });
+
+            if (preview.created + preview.updated === 0) {
+                if (window.showToast) {
+                    window.showToast('Your planner already has every event in this calendar', 'info');
+                }
+                return;
+            }
+
+            const runImport = async () => {
+                try {
+                    const stats = await dataService.importICal(text, { defaultCategory });
+                    window.Modal?.close();
+                    await this.loadCalendarData();
+                    this.renderCalendar();
+                    await this.updateSummaryDashboard();
+
+                    if (window.showToast) {
+                        const failed = stats.errors.length ? `, ${stats.errors.length} failed` : '';
+                        window.showToast(`Calendar imported: ${stats.created} new, ${stats.updated} updated${failed}`,
+                            stats.errors.length ? 'warning' : 'success');
+                    }
+                } catch (error) {
+                    console.error('Failed to import calendar:', error);
+                    if (window.showToast) {
+                        window.showToast('Failed to import calendar. Please try again.', 'error');
+                    }
+                }
+            };
+
+            if (!window.Modal) {
+                if (confirm(`Import ${preview.created} new and ${preview.updated} updated events from ${file.name}?`)) {
+                    await runImport();
+                }
+                return;
+            }
+
+            const warnings = preview.warnings.map(w => `<li>${escapeHtml(w)}</li>`).join('');
+            window.Modal.show({
+                title: `Import ${escapeHtml(file.name)}`,
+                content: `
+                    <p>${preview.events} events found:</p>
+                    <ul>
+                        <li>${preview.timeBlocks} time blocks and ${preview.calendarEvents} all-day events to save</li>
+                        <li>${preview.created} new, ${preview.updated} updated, ${preview.skipped} unchanged</li>
+                    </ul>
+                    <p>Events without a matching category are filed under <strong>${escapeHtml(defaultCategory)}</strong>.</p>
+                    ${warnings ? `<ul class="import-warnings">${warnings}</ul>` : ''}
+                `,
+                buttons: [
+                    { text: 'Cancel', className: 'btn-secondary', action: 'cancel' },
+                    {
+                        text: 'Import',
+                        className: 'btn-primary',
+                        action: 'import',
+                        primary: true,
+                        onClick: runImport,
+                        closeOnClick: false
+                    }
+                ]
+            });
+        } catch (error) {
+            console.error('Failed to read calendar file:', error);
+            if (window.showToast) {
+                window.showToast(`Could not import calendar: ${error.message}`, 'error');
+            }
+        }
+    }
+
+    /**
+     * Build the recurrence rule chosen in the add event modal
+     * @param {string} repeat - '', 'daily', 'weekdays', 'weekly' or 'monthly'
+     * @param {string} dateStr - First occurrence (YYYY-MM-DD)
+     * @param {string} until - Optional last date (YYYY-MM-DD)
+     * @returns {string|null} RRULE string, or null for one-off events
+     */
+    buildRepeatRule(repeat, dateStr, until) {
+        if (!repeat) return null;
+
+        const weekday = new Date(`${dateStr}T00:00:00`).getDay();
+        const rules = {
+            daily: { freq: 'DAILY', byDay: [] },
+            weekdays: { freq: 'WEEKLY', byDay: [1, 2, 3, 4, 5].map(day => ({ day, ordinal: null })) },
+            weekly: { freq: 'WEEKLY', byDay: [{ day: weekday, ordinal: null }] },
+            monthly: { freq: 'MONTHLY', byDay: [] }
+        };
+
+        return formatRRule({
+            ...rules[repeat],
+            interval: 1,
+            byMonthDay: [],
+            until: until && until >= dateStr ? until : null,
+            count: null
+        });
+    }
+
+    /**
+     * Show modal to edit or delete a calendar event.
+     * Recurring events ask which occurrences the change applies to.
+     */
+    showEditEventModal(event) {
+        if (!window.Modal) return;
+
+        const recurring = isRecurring(event);
+        const pattern = describeRRule(event.recurrence_rule);
+        const categoryOptions = this.categories.map(c =>
+            `<option value="${c.name}" ${c.name === event.category ? 'selected' : ''}>${c.name}</option>`
+        ).join('');
+        const scopeOptions = RECURRENCE_SCOPE_CHOICES.map(choice => `
+            <label class="recurrence-scope-option">
+                <input type="radio" name="event-scope" value="${choice.value}"
+                    ${choice.value === RECURRENCE_SCOPES.THIS ? 'checked' : ''} />
+                ${choice.label}
+            </label>
+        `).join('');
+
+        window.Modal.show({
+            title: recurring ? 'Edit Recurring Event' : 'Edit Event',
+            content: `
+                <div class="form-group">
+                    <label for="edit-event-title">Event Title *</label>
+                    <input type="text" id="edit-event-title" value="${escapeHtml(event.title || '')}" />
+                </div>
+                <div class="form-group">
+                    <label for="edit-event-category">Category</label>
+                    <select id="edit-event-category">
+                        ${categoryOptions}
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label for="edit-event-notes">Notes (optional)</label>
+                    <textarea id="edit-event-notes" rows="2">${escapeHtml(event.description || '')}</textarea>
+                </div>
+                ${recurring ? `
+                    <div class="form-group">
+                        <label>Apply to${pattern ? ` <small>(${pattern})</small>` : ''}</label>
+                        <div class="recurrence-scope-selector">${scopeOptions}</div>
+                    </div>
+                ` : ''}
+            `,
+            buttons: [
+                {
+                    text: 'Delete',
+                    className: 'btn-danger',
+                    action: 'delete',
+                    onClick: () => this.deleteEventFromModal(event),
+                    closeOnClick: false
+                },
+                { text: 'Cancel', className: 'btn-secondary', action: 'cancel' },
+                {
+                    text: 'Save',
+                    className: 'btn-primary',
+                    action: 'save',
+                    primary: true,
+                    onClick: () => this.updateEventFromModal(event),
+                    closeOnClick: false
+                }
+            ]
+        });
+    }
+
+    /**
+     * Save changes from the edit event modal
+     */
+    async updateEventFromModal(event) {
+        const title = document.getElementById('edit-event-title')?.value?.trim();
+        const category = document.getElementById('edit-event-category')?.value;
+        const notes = document.getElementById('edit-event-notes')?.value?.trim();
+        const scope = document.querySelector('input[name="event-scope"]:checked')?.value || RECURRENCE_SCOPES.ALL;
+
+        if (!title) {
+            if (window.showToast) {
+                window.showToast('Please enter an event title', 'error');
+            }
+            return;
+        }
+
+        try {
+            await dataService.updateCalendarEventOccurrence(event, {
+                title,
+                category,
+                description: notes || null
+            }, scope);
+
+            window.Modal.close();
+            await this.loadCalendarData();
+            this.renderCalendar();
+
+            if (window.showToast) {
+                window.showToast(`"${title}" updated`, 'success');
+            }
+        } catch (error) {
+            console.error('Failed to update event:', error);
+            if (window.showToast) {
+                window.showToast('Failed to update event. Please try again.', 'error');
+            }
+        }
+    }
+
+    /**
+     * Delete the event shown in the edit event modal
+     */
+    async deleteEventFromModal(event) {
+        const scope = document.querySelector('input[name="event-scope"]:checked')?.value || RECURRENCE_SCOPES.ALL;
+
+        try {
+            await dataService.deleteCalendarEventOccurrence(event, scope);
+
+            window.Modal.close();
+            await this.loadCalendarData();
+            this.renderCalendar();
+
+            if (window.showToast) {
+                window.showToast(`"${event.title}" deleted`, 'success');
+            }
+        } catch (error) {
+            console.error('Failed to delete event:', error);
+            if (window.showToast) {
+                window.showToast('Failed to delete event. Please try again.', 'error');
+            }
+        }
+    }
+
     /**
      * Create quick event (fallback without modal)
      */
@@ -1012,7 +1012,8 @@ class PomodoroView {
         } else if (type === 'timeblock') {
             this.timeBlocks.forEach(block => {
                 const option = document.createElement('option');
-                option.value = `timeblock:${block.id}`;
+                // Occurrences of recurring blocks link to their series row
+                option.value = `timeblock:${block.series_id || block.id}`;
                 option.textContent = `${block.start_time?.slice(0, 5)} - ${block.activity}`;
                 linkedItem.appendChild(option);
             });
@@ -4,8 +4,13 @@
  */
 
 import dataService from '../js/data-service.js';
+import cacheService, { SYNC_STATUS } from '../js/cache-service.js';
 import { AI_PROVIDERS, AI_DEFAULT_CONFIG } from '../js/config.js';
 import aiService from '../js/ai-service.js';
+import integrationService, { CALENDAR_EXPORT_SOURCES } from '../js/integration-service.js';
+import calendarFeedService from '../js/calendar-feed-service.js';
+import habitReminderService from '../js/habit-reminder-service.js';
+import { formatDate, escapeHtml } from '../js/utils.js';
 
 const AI_SETTINGS_KEY = 'stillmove_ai_settings';
 const AI_APIKEY_KEY = 'stillmove_ai_apikey';
@@ -25,6 +30,8 @@ class SettingsView {
     constructor() {
         this.container = null;
         this.selectedFile = null;
+        this.selectedICalFile = null;
+        this.unsubscribeSync = null;
     }
 
     /**
@@ -37,6 +44,9 @@ class SettingsView {
         this.attachEventListeners();
         await this.loadProfile();
         await this.loadProfilesTab();
+        await this.loadSyncStatus();
+        await this.loadCalendarFeed();
+        this.unsubscribeSync = cacheService.onSyncStatusChange(() => this.loadSyncStatus());
     }
 
     /**
@@ -105,6 +115,43 @@ class SettingsView {
             importBtn.addEventListener('click', () => this.handleImport());
         }
 
+        // Calendar (.ics) export
+        this.setupICalExport();
+        const icalExportBtn = document.getElementById('ical-export-btn');
+        if (icalExportBtn) {
+            icalExportBtn.addEventListener('click', () => this.handleICalExport());
+        }
+
+        // Calendar feed
+        document.getElementById('calendar-feed-enabled')
+            ?.addEventListener('change', (e) => this.handleCalendarFeedToggle(e.target.checked));
+        document.getElementById('calendar-feed-save-btn')
+            ?.addEventListener('click', () => this.handleCalendarFeedSave());
+        document.getElementById('calendar-feed-copy-btn')
+            ?.addEventListener('click', () => this.handleCalendarFeedCopy());
+        document.getElementById('calendar-feed-rotate-btn')
+            ?.addEventListener('click', () => this.handleCalendarFeedRotate());
+
+        // Calendar (.ics) import
+        const icalFileBtn = document.getElementById('ical-file-btn');
+        const icalFileInput = document.getElementById('ical-file-input');
+
+        if (icalFileBtn && icalFileInput) {
+            icalFileBtn.addEventListener('click', () => icalFileInput.click());
+            icalFileInput.addEventListener('change', (e) => this.handleICalFileSelect(e));
+        }
+
+        const icalImportBtn = document.getElementById('ical-import-btn');
+        if (icalImportBtn) {
+            icalImportBtn.addEventListener('click', () => this.handleICalImport());
+        }
+
+        // Sync now button
+        const syncNowBtn = document.getElementById('sync-now-btn');
+        if (syncNowBtn) {
+            syncNowBtn.addEventListener('click', () => cacheService.syncWithServer());
+        }
+
         // Save profile button
         const saveProfileBtn = document.getElementById('save-profile-btn');
         if (saveProfileBtn) {
@@ -131,6 +178,12 @@ class SettingsView {
             saveDisplayBtn.addEventListener('click', () => this.handleSaveDisplaySettings());
         }
 
+        // Save habit reminder settings button
+        const saveRemindersBtn = document.getElementById('save-reminders-btn');
+        if (saveRemindersBtn) {
+            saveRemindersBtn.addEventListener('click', () => this.handleSaveReminderSettings());
+        }
+
         // Add Profile button
         const addProfileBtn = document.getElementById('add-profile-btn');
         if (addProfileBtn) {
@@ -191,6 +244,81 @@ class SettingsView {
         if (timeFormatSelect && prefs.timeFormat) {
             timeFormatSelect.value = prefs.timeFormat;
         }
+
+        this.loadReminderSettings();
+    }
+
+    /**
+     * Load habit reminder settings into the form
+     */
+    loadReminderSettings() {
+        const settings = habitReminderService.getSettings();
+
+        const enabledToggle = document.getElementById('habit-reminders-enabled');
+        if (!enabledToggle) return;
+
+        // Reminders only work while notifications are allowed
+        const permission = habitReminderService.isSupported() ? Notification.permission : 'unsupported';
+        enabledToggle.checked = settings.enabled && permission === 'granted';
+        enabledToggle.disabled = permission === 'unsupported';
+
+        document.getElementById('habit-summary-enabled').checked = settings.summaryEnabled;
+        document.getElementById('habit-summary-time').value = settings.summaryTime;
+        document.getElementById('quiet-hours-start').value = settings.quietHoursStart;
+        document.getElementById('quiet-hours-end').value = settings.quietHoursEnd;
+    }
+
+    /**
+     * Handle save habit reminder settings
+     * Turning reminders on asks for notification permission first.
+     */
+    async handleSaveReminderSettings() {
+        const statusDiv = document.getElementById('reminders-status');
+        const enabledToggle = document.getElementById('habit-reminders-enabled');
+        const summaryTime = document.getElementById('habit-summary-time').value;
+        const quietHoursStart = document.getElementById('quiet-hours-start').value;
+        const quietHoursEnd = document.getElementById('quiet-hours-end').value;
+
+        if (!summaryTime || !quietHoursStart || !quietHoursEnd) {
+            statusDiv.textContent = 'Please fill in the summary time and quiet hours.';
+            statusDiv.className = 'status-message error';
+            return;
+        }
+
+        let enabled = enabledToggle.checked;
+        let blockedMessage = null;
+        if (enabled) {
+            const permission = await habitReminderService.requestPermission();
+            if (permission !== 'granted') {
+                enabled = false;
+                enabledToggle.checked = false;
+                blockedMessage = permission === 'unsupported'
+                    ? 'This browser cannot show notifications.'
+                    : 'Notifications are blocked. Allow them for this site in your browser settings.';
+            }
+        }
+
+        habitReminderService.saveSettings({
+            enabled,
+            summaryEnabled: document.getElementById('habit-summary-enabled').checked,
+            summaryTime,
+            quietHoursStart,
+            quietHoursEnd
+        });
+
+        if (blockedMessage) {
+            statusDiv.textContent = blockedMessage;
+            statusDiv.className = 'status-message error';
+            return;
+        }
+
+        statusDiv.textContent = 'Reminder settings saved!';
+        statusDiv.className = 'status-message success';
+        showToast('Reminder settings saved', 'success');
+        setTimeout(() => {
+            statusDiv.textContent = '';
+            statusDiv.className = 'status-message';
+        }, 3000);
     }
     
     /**
@@ -299,13 +427,16 @@ class SettingsView {
             statusDiv.className = 'status-message info';
 
             // Export data
-            const exportData = await dataService.exportAllData();
+            const exportData = await dataService.exportAllData(({ index, total }) => {
+                statusDiv.textContent = `Exporting data... (${index + 1}/${total})`;
+            });
             
             // Download file
             dataService.downloadExportFile(exportData);
             
             // Show success message
-            statusDiv.textContent = 'Export successful! File downloaded.';
+            const totalItems = Object.values(exportData.counts || {}).reduce((sum, n) => sum + n, 0);
+            statusDiv.textContent = `Export successful! ${totalItems} items downloaded.`;
             statusDiv.className = 'status-message success';
             showToast('Data exported successfully', 'success');
             
@@ -327,6 +458,244 @@ class SettingsView {
         }
     }
 
+    /**
+     * Fill in the calendar export sources and default date range
+     * (three months back to a year ahead)
+     */
+    setupICalExport() {
+        const sourcesDiv = document.getElementById('ical-export-sources');
+        if (!sourcesDiv) return;
+
+        sourcesDiv.innerHTML = CALENDAR_EXPORT_SOURCES.map(source => `
+            <label><input type="checkbox" value="${source.value}" checked> ${source.label}</label>
+        `).join('');
+
+        const start = new Date();
+        start.setMonth(start.getMonth() - 3);
+        const end = new Date();
+        end.setFullYear(end.getFullYear() + 1);
+        document.getElementById('ical-export-start').value = formatDate(start);
+        document.getElementById('ical-export-end').value = formatDate(end);
+    }
+
+    /**
+     * Export the selected sources in the chosen date range as an .ics file
+     */
+    async handleICalExport() {
+        const exportBtn = document.getElementById('ical-export-btn');
+        const statusDiv = document.getElementById('ical-export-status');
+        const sources = Array.from(document.querySelectorAll('#ical-export-sources input:checked'))
+            .map(input => input.value);
+        const startDate = document.getElementById('ical-export-start').value;
+        const endDate = document.getElementById('ical-export-end').value;
+
+        if (sources.length === 0) {
+            showToast('Choose at least one thing to export', 'warning');
+            return;
+        }
+        if (!startDate || !endDate || startDate > endDate) {
+            showToast('Choose a valid date range', 'warning');
+            return;
+        }
+
+        try {
+            exportBtn.disabled = true;
+            exportBtn.textContent = 'Exporting...';
+            statusDiv.textContent = 'Preparing calendar...';
+            statusDiv.className = 'status-message info';
+
+            const { content, counts } = await integrationService.buildCalendarICal({ sources, startDate, endDate });
+            const total = Object.values(counts).reduce((sum, n) => sum + n, 0);
+
+            if (total === 0) {
+                statusDiv.textContent = 'Nothing to export in this date range.';
+                statusDiv.className = 'status-message';
+                return;
+            }
+
+            dataService.downloadICalFile(content, `planner-calendar-${startDate}-to-${endDate}.ics`);
+
+            const summary = CALENDAR_EXPORT_SOURCES
+                .filter(source => sources.includes(source.value))
+                .map(source => `${counts[source.value]} ${source.label.toLowerCase()}`)
+                .join(', ');
+            statusDiv.textContent = `Calendar exported: ${summary}.`;
+            statusDiv.className = 'status-message success';
+            showToast('Calendar exported successfully', 'success');
+        } catch (error) {
+            console.error('Calendar export error:', error);
+            statusDiv.textContent = `Export failed: ${error.message}`;
+            statusDiv.className = 'status-message error';
+            showToast('Export failed: ' + error.message, 'error');
+        } finally {
+            exportBtn.disabled = false;
+            exportBtn.innerHTML = '<span class="btn-icon">🗓️</span> Export Calendar';
+        }
+    }
+
+    /**
+     * Load the calendar feed settings into the form
+     */
+    async loadCalendarFeed() {
+        const toggle = document.getElementById('calendar-feed-enabled');
+        const statusDiv = document.getElementById('calendar-feed-status');
+        if (!toggle) return;
+
+        if (!calendarFeedService.isAvailable()) {
+            toggle.disabled = true;
+            statusDiv.textContent = 'Calendar feeds need the online (Supabase) storage backend.';
+            statusDiv.className = 'status-message info';
+            return;
+        }
+
+        let feed = null;
+        let categories = [];
+        try {
+            [feed, categories] = await Promise.all([
+                calendarFeedService.getFeed(),
+                dataService.getCustomCategories()
+            ]);
+        } catch (error) {
+            console.warn('Could not load calendar feed:', error);
+            toggle.disabled = true;
+            statusDiv.textContent = 'Calendar feed unavailable. Run database/add-calendar-feeds-table.sql to set it up.';
+            statusDiv.className = 'status-message warning';
+            return;
+        }
+
+        const sources = feed?.sources || CALENDAR_EXPORT_SOURCES.map(source => source.value);
+        document.getElementById('calendar-feed-sources').innerHTML = CALENDAR_EXPORT_SOURCES.map(source => `
+            <label><input type="checkbox" value="${source.value}" ${sources.includes(source.value) ? 'checked' : ''}> ${source.label}</label>
+        `).join('');
+
+        const names = categories?.length ? categories.map(c => c.name) : ['Personal', 'Work'];
+        document.getElementById('calendar-feed-categories').innerHTML = names.map(name => `
+            <label><input type="checkbox" value="${escapeHtml(name)}" ${!feed?.categories || feed.categories.includes(name) ? 'checked' : ''}> ${escapeHtml(name)}</label>
+        `).join('');
+
+        this.renderCalendarFeed(feed);
+    }
+
+    /**
+     * Show the feed's state, URL and last update
+     * @param {Object|null} feed - Feed row
+     */
+    renderCalendarFeed(feed) {
+        const enabled = Boolean(feed?.enabled);
+        document.getElementById('calendar-feed-enabled').checked = enabled;
+        document.getElementById('calendar-feed-options').style.display = enabled ? 'block' : 'none';
+        document.getElementById('calendar-feed-url').value = feed?.feed_url || '';
+        document.getElementById('calendar-feed-updated').textContent = feed?.last_generated_at
+            ? `Last updated ${new Date(feed.last_generated_at).toLocaleString()}`
+            : '';
+    }
+
+    /**
+     * Read the feed sources and categories from the form
+     * @returns {{sources: Array<string>, categories: Array<string>|null}} categories is null when all are checked
+     */
+    getCalendarFeedSettings() {
+        const checked = selector => Array.from(document.querySelectorAll(`${selector} input:checked`)).map(input => input.value);
+        const allCategories = document.querySelectorAll('#calendar-feed-categories input');
+        const categories = checked('#calendar-feed-categories');
+
+        return {
+            sources: checked('#calendar-feed-sources'),
+            categories: categories.length === allCategories.length ? null : categories
+        };
+    }
+
+    /**
+     * Run a calendar feed action, showing progress and errors in the feed section
+     * @param {string} message - Progress message
+     * @param {Function} action - Async action returning the feed row
+     * @param {string} successMessage - Shown when the action succeeds
+     */
+    async runCalendarFeedAction(message, action, successMessage) {
+        const statusDiv = document.getElementById('calendar-feed-status');
+        const controls = document.querySelectorAll('#calendar-feed-enabled, #calendar-feed-options button');
+
+        try {
+            controls.forEach(control => { control.disabled = true; });
+            statusDiv.textContent = message;
+            statusDiv.className = 'status-message info';
+
+            this.renderCalendarFeed(await action());
+
+            statusDiv.textContent = successMessage;
+            statusDiv.className = 'status-message success';
+        } catch (error) {
+            console.error('Calendar feed error:', error);
+            statusDiv.textContent = `Calendar feed failed: ${error.message}`;
+            statusDiv.className = 'status-message error';
+            this.renderCalendarFeed(calendarFeedService.feed);
+        } finally {
+            controls.forEach(control => { control.disabled = false; });
+        }
+    }
+
+    /**
+     * Turn the calendar feed on or off
+     * @param {boolean} enabled - New state
+     */
+    async handleCalendarFeedToggle(enabled) {
+        if (enabled) {
+            const settings = this.getCalendarFeedSettings();
+            if (settings.sources.length === 0) settings.sources = CALENDAR_EXPORT_SOURCES.map(source => source.value);
+            await this.runCalendarFeedAction('Publishing calendar feed...',
+                () => calendarFeedService.enableFeed(settings),
+                'Calendar feed published. Copy the URL into your calendar app.');
+        } else {
+            await this.runCalendarFeedAction('Turning off calendar feed...',
+                () => calendarFeedService.disableFeed(),
+                'Calendar feed turned off. Its URL no longer works.');
+        }
+    }
+
+    /**
+     * Save the feed's sources and categories and republish it
+     */
+    async handleCalendarFeedSave() {
+        const settings = this.getCalendarFeedSettings();
+        if (settings.sources.length === 0 || settings.categories?.length === 0) {
+            showToast('Choose at least one item type and category', 'warning');
+            return;
+        }
+
+        await this.runCalendarFeedAction('Updating calendar feed...',
+            () => calendarFeedService.updateFeed(settings),
+            'Calendar feed updated.');
+    }
+
+    /**
+     * Copy the feed URL to the clipboard
+     */
+    async handleCalendarFeedCopy() {
+        const input = document.getElementById('calendar-feed-url');
+        if (!input.value) return;
+
+        try {
+            await navigator.clipboard.writeText(input.value);
+            showToast('Feed URL copied', 'success');
+        } catch (error) {
+            input.select();
+            showToast('Press Ctrl+C to copy the feed URL', 'info');
+        }
+    }
+
+    /**
+     * Replace the feed URL, e.g. after sharing it by mistake
+     */
+    async handleCalendarFeedRotate() {
+        if (!confirm('Create a new feed URL? Calendars subscribed to the current URL will stop updating.')) {
+            return;
+        }
+
+        await this.runCalendarFeedAction('Creating a new feed URL...',
+            () => calendarFeedService.rotateSecret(),
+            'New feed URL created. Update your calendar subscriptions.');
+    }
+
     /**
      * Handle file selection for import
      */
@@ -335,6 +704,8 @@ class SettingsView {
         const fileNameSpan = document.getElementById('selected-file-name');
         const importModeSection = document.getElementById('import-mode-section');
         
+        this.clearImportPreview();
+
         if (file) {
             this.selectedFile = file;
             fileNameSpan.textContent = file.name;
@@ -391,10 +762,16 @@ class SettingsView {
                 showToast(`Warning: ${validation.warnings.length} data issues found`, 'warning');
             }
 
+            // Preview what the import would change before writing anything
+            statusDiv.textContent = 'Preparing preview...';
+            const preview = await dataService.importData(importData, mode, { dryRun: true });
+            this.renderImportPreview(preview, mode);
+
             // Confirm with user
+            const summary = `${preview.imported} new, ${preview.updated} updated, ${preview.skipped} skipped`;
             const confirmMessage = mode === 'replace' 
-                ? 'This will replace all existing data. Are you sure?'
-                : 'This will merge the imported data with your existing data. Continue?';
+                ? `This will delete ${preview.removed} existing items and import ${summary}. Are you sure?`
+                : `This will merge the imported data with your existing data (${summary}). Continue?`;
             
             if (!confirm(confirmMessage)) {
                 statusDiv.textContent = 'Import cancelled';
@@ -428,6 +805,12 @@ class SettingsView {
             
             // Show success message
             let message = `Import complete! Imported ${stats.imported} items.`;
+            if (stats.updated > 0) {
+                message += ` ${stats.updated} items updated.`;
+            }
+            if (stats.skipped > 0) {
+                message += ` ${stats.skipped} items skipped.`;
+            }
             if (stats.errors.length > 0) {
                 message += ` ${stats.errors.length} errors occurred.`;
             }
@@ -441,6 +824,7 @@ class SettingsView {
             document.getElementById('selected-file-name').textContent = '';
             document.getElementById('import-mode-section').style.display = 'none';
             document.getElementById('import-file-input').value = '';
+            this.clearImportPreview();
             
         } catch (error) {
             console.error('Import error:', error);
@@ -460,6 +844,168 @@ class SettingsView {
         }
     }
 
+    /**
+     * Render the per-table dry-run counts of a pending import
+     * @param {Object} preview - Stats returned by importData with dryRun
+     * @param {string} mode - Import mode: 'merge' or 'replace'
+     */
+    renderImportPreview(preview, mode) {
+        const previewDiv = document.getElementById('import-preview');
+        if (!previewDiv) return;
+
+        const rows = Object.entries(preview.tables)
+            .filter(([, t]) => t.created || t.updated || t.skipped || t.removed)
+            .map(([key, t]) => {
+                // camelCase export key -> readable label
+                const label = key.replace(/([A-Z])/g, ' $1').replace(/^./, c => c.toUpperCase());
+                return `<tr>
+                    <td>${label}</td>
+                    <td>${t.created}</td>
+                    <td>${t.updated}</td>
+                    <td>${t.skipped}</td>
+                    ${mode === 'replace' ? `<td>${t.removed}</td>` : ''}
+                </tr>`;
+            });
+
+        if (rows.length === 0) {
+            previewDiv.innerHTML = '<p>Nothing to import.</p>';
+        } else {
+            previewDiv.innerHTML = `
+                <table class="import-preview-table">
+                    <thead>
+                        <tr>
+                            <th>Data</th>
+                            <th>New</th>
+                            <th>Updated</th>
+                            <th>Skipped</th>
+                            ${mode === 'replace' ? '<th>Removed</th>' : ''}
+                        </tr>
+                    </thead>
+                    <tbody>${rows.join('')}</tbody>
+                </table>
+            `;
+        }
+        previewDiv.style.display = 'block';
+    }
+
+    /**
+     * Hide the import preview
+     */
+    clearImportPreview() {
+        const previewDiv = document.getElementById('import-preview');
+        if (!previewDiv) return;
+        previewDiv.innerHTML = '';
+        previewDiv.style.display = 'none';
+    }
+
+    /**
+     * Handle .ics file selection
+     */
+    async handleICalFileSelect(event) {
+        const file = event.target.files[0];
+        const optionsSection = document.getElementById('ical-options-section');
+        const previewDiv = document.getElementById('ical-preview');
+
+        previewDiv.style.display = 'none';
+        this.selectedICalFile = file || null;
+        document.getElementById('ical-file-name').textContent = file ? file.name : '';
+        optionsSection.style.display = file ? 'block' : 'none';
+
+        if (!file) return;
+
+        const select = document.getElementById('ical-default-category');
+        try {
+            const categories = await dataService.getCustomCategories();
+            const names = categories?.length ? categories.map(c => c.name) : ['Personal', 'Work'];
+            select.innerHTML = names.map(name => `<option value="${name}">${name}</option>`).join('');
+        } catch (error) {
+            console.warn('Could not load categories:', error);
+            select.innerHTML = '<option value="Personal">Personal</option>';
+        }
+    }
+
+    /**
+     * Import the selected .ics file after previewing what it will change
+     */
+    async handleICalImport() {
+        if (!this.selectedICalFile) {
+            showToast('Please select a calendar file to import', 'warning');
+            return;
+        }
+
+        const importBtn = document.getElementById('ical-import-btn');
+        const statusDiv = document.getElementById('ical-status');
+        const previewDiv = document.getElementById('ical-preview');
+        const defaultCategory = document.getElementById('ical-default-category').value || 'Personal';
+
+        try {
+            importBtn.disabled = true;
+            importBtn.textContent = 'Importing...';
+            statusDiv.textContent = 'Reading calendar...';
+            statusDiv.className = 'status-message info';
+
+            const text = await this.selectedICalFile.text();
+            const preview = await dataService.importICal(text, { defaultCategory, dryRun: true });
+
+            previewDiv.innerHTML = `
+                <table class="import-preview-table">
+                    <thead>
+                        <tr><th>Events</th><th>New</th><th>Updated</th><th>Unchanged</th></tr>
+                    </thead>
+                    <tbody>
+                        <tr>
+                            <td>${preview.events}</td>
+                            <td>${preview.created}</td>
+                            <td>${preview.updated}</td>
+                            <td>${preview.skipped}</td>
+                        </tr>
+                    </tbody>
+                </table>
+                ${preview.warnings.length ? `<ul class="import-warnings">${preview.warnings.map(w => `<li>${escapeHtml(w)}</li>`).join('')}</ul>` : ''}
+            `;
+            previewDiv.style.display = 'block';
+
+            if (preview.created + preview.updated === 0) {
+                statusDiv.textContent = 'Your planner already has every event in this calendar.';
+                statusDiv.className = 'status-message';
+                return;
+            }
+
+            const summary = `${preview.timeBlocks} time blocks and ${preview.calendarEvents} calendar events`;
+            if (!confirm(`Import ${summary} (${preview.created} new, ${preview.updated} updated)?`)) {
+                statusDiv.textContent = 'Import cancelled';
+                statusDiv.className = 'status-message';
+                return;
+            }
+
+            statusDiv.textContent = 'Importing events...';
+            const stats = await dataService.importICal(text, { defaultCategory });
+
+            let message = `Calendar imported! ${stats.created} new, ${stats.updated} updated.`;
+            if (stats.errors.length > 0) {
+                message += ` ${stats.errors.length} events failed.`;
+                console.warn('Calendar import errors:', stats.errors);
+            }
+
+            statusDiv.textContent = message;
+            statusDiv.className = stats.errors.length > 0 ? 'status-message warning' : 'status-message success';
+            showToast(message, stats.errors.length > 0 ? 'warning' : 'success');
+
+            this.selectedICalFile = null;
+            document.getElementById('ical-file-name').textContent = '';
+            document.getElementById('ical-options-section').style.display = 'none';
+            document.getElementById('ical-file-input').value = '';
+        } catch (error) {
+            console.error('Calendar import error:', error);
+            statusDiv.textContent = `Import failed: ${error.message}`;
+            statusDiv.className = 'status-message error';
+            showToast('Import failed: ' + error.message, 'error');
+        } finally {
+            importBtn.disabled = false;
+            importBtn.textContent = 'Import Calendar';
+        }
+    }
+
     /**
      * Handle save profile
      */
@@ -861,6 +1407,90 @@ class SettingsView {
         }
     }
 
+    /**
+     * Render the sync queue summary and the operations waiting on the user
+     */
+    async loadSyncStatus() {
+        const summaryEl = document.getElementById('sync-status-summary');
+        const listEl = document.getElementById('sync-issues-list');
+        if (!summaryEl || !listEl) return;
+
+        try {
+            const status = await cacheService.getSyncStatus();
+            const issues = await cacheService.getSyncIssues();
+
+            const parts = [status.online ? '🟢 Online' : '🔴 Offline'];
+            if (status.syncing) parts.push('syncing...');
+            parts.push(`${status.pending} pending`);
+            if (status.conflicts > 0) parts.push(`${status.conflicts} conflicts`);
+            if (status.failed > 0) parts.push(`${status.failed} failed`);
+            if (status.blocked > 0) parts.push(`${status.blocked} blocked`);
+            parts.push(`last sync: ${status.lastSync ? new Date(status.lastSync).toLocaleString() : 'never'}`);
+            summaryEl.textContent = parts.join(' · ');
+
+            if (issues.length === 0) {
+                listEl.innerHTML = '';
+                return;
+            }
+
+            listEl.innerHTML = issues.map(op => {
+                const isConflict = op.status === SYNC_STATUS.conflict;
+                const isBlocked = op.status === SYNC_STATUS.blocked;
+                let detail = isConflict
+                    ? `Conflict: ${op.conflict?.reason || 'changed on server'}`
+                    : `Failed after ${op.attempts} attempts: ${op.lastError || 'unknown error'}`;
+                if (isBlocked) {
+                    detail = op.blockedBy
+                        ? 'Waiting on an offline change above that could not sync'
+                        : 'Waiting on an offline change that is no longer queued';
+                }
+                const table = op.store.replace(/_/g, ' ');
+
+                // A blocked change can only be kept by resolving the change it waits on
+                const actions = isBlocked
+                    ? `<button class="btn btn-secondary btn-sm" data-op-id="${op.id}" data-choice="server">Discard</button>`
+                    : `<button class="btn btn-primary btn-sm" data-op-id="${op.id}" data-choice="mine">Keep mine</button>
+                            <button class="btn btn-secondary btn-sm" data-op-id="${op.id}" data-choice="server">Keep server</button>`;
+
+                return `
+                    <div class="sync-issue-item ${op.status}">
+                        <div class="sync-issue-info">
+                            <span class="sync-issue-title">${op.type} · ${table}</span>
+                            <span class="sync-issue-detail">${escapeHtml(detail)}</span>
+                            <span class="sync-issue-time">Queued ${new Date(op.timestamp).toLocaleString()}</span>
+                        </div>
+                        <div class="sync-issue-actions">
+                            ${actions}
+                        </div>
+                    </div>
+                `;
+            }).join('');
+
+            listEl.querySelectorAll('[data-op-id]').forEach(btn => {
+                btn.addEventListener('click', () => this.handleResolveSyncIssue(btn.dataset.opId, btn.dataset.choice));
+            });
+        } catch (error) {
+            console.error('Error loading sync status:', error);
+            listEl.innerHTML = '<p class="status-message error">Failed to load sync status</p>';
+        }
+    }
+
+    /**
+     * Resolve a stuck sync operation
+     * @param {string} id - Pending operation ID
+     * @param {string} choice - 'mine' or 'server'
+     */
+    async handleResolveSyncIssue(id, choice) {
+        try {
+            await cacheService.resolveSyncIssue(id, choice);
+            showToast(choice === 'mine' ? 'Your change was saved' : 'Server version kept', 'success');
+        } catch (error) {
+            console.error('Failed to resolve sync issue:', error);
+            showToast('Failed to resolve: ' + error.message, 'error');
+        }
+        await this.loadSyncStatus();
+    }
+
     /**
      * Handle clear cache
      */
@@ -1166,6 +1796,10 @@ class SettingsView {
      */
     destroy() {
         // Remove event listeners if needed
+        if (this.unsubscribeSync) {
+            this.unsubscribeSync();
+            this.unsubscribeSync = null;
+        }
         this.container = null;
         this.selectedFile = null;
     }
@@ -7,6 +7,14 @@ import dataService from '../js/data-service.js';
 import integrationService from '../js/integration-service.js';
 import { formatDate, getCategoryColor, getCategoryGradient } from '../js/utils.js';
 import aiService from '../js/ai-service.js';
+import {
+    RECURRENCE_SCOPES,
+    RECURRENCE_SCOPE_CHOICES,
+    addDays,
+    describeRRule,
+    formatRRule,
+    isRecurring
+} from '../js/recurrence.js';
 
 // Time slot configuration (4:00 to 23:00 in 30-minute increments)
 const START_HOUR = 4;
@@ -171,6 +179,9 @@ class WeeklyView {
 
         saveButton?.addEventListener('click', () => this.saveRecurringBlocks());
 
+        document.getElementById('recurring-frequency')?.addEventListener('change', () => this.updateRecurringFields());
+        document.getElementById('recurring-end-type')?.addEventListener('change', () => this.updateRecurringFields());
+
         modal.addEventListener('click', (e) => {
             if (e.target === modal) {
                 this.closeRecurringModal();
@@ -309,17 +320,24 @@ class WeeklyView {
     }
 
     /**
-     * Export current week's time blocks to iCal
+     * Export the current week (time blocks, events, card due dates and goal deadlines) to iCal
      */
-    exportToICal() {
-        if (this.timeBlocks.length === 0) {
-            this.showError('No time blocks to export');
-            return;
-        }
+    async exportToICal() {
+        const weekEnd = new Date(this.weekStart);
+        weekEnd.setDate(weekEnd.getDate() + 6);
+        const startDate = formatDate(this.weekStart);
+        const endDate = formatDate(weekEnd);
 
         try {
-            dataService.exportToICal(this.timeBlocks);
-            this.showSuccess('Schedule exported to iCal');
+            const { content, counts } = await integrationService.buildCalendarICal({ startDate, endDate });
+
+            if (Object.values(counts).every(count => count === 0)) {
+                this.showError('Nothing scheduled this week to export');
+                return;
+            }
+
+            dataService.downloadICalFile(content, `planner-week-${startDate}.ics`);
+            this.showSuccess('Week exported to iCal');
         } catch (error) {
             console.error('Failed to export iCal:', error);
             this.showError('Failed to export schedule');
@@ -983,6 +1001,13 @@ class WeeklyView {
                     // Add category icon
                     const icon = this.getCategoryIcon(block.category);
                     contentDiv.innerHTML = `<span class="block-icon">${icon}</span> ${block.activity}`;
+                    if (isRecurring(block)) {
+                        const repeatIcon = document.createElement('span');
+                        repeatIcon.className = 'block-recurring-icon';
+                        repeatIcon.textContent = '🔁';
+                        repeatIcon.title = describeRRule(block.recurrence_rule) || 'Recurring';
+                        contentDiv.appendChild(repeatIcon);
+                    }
                     slot.appendChild(contentDiv);
                 }
 
@@ -1133,7 +1158,7 @@ class WeeklyView {
         const deleteBtn = document.getElementById('delete-time-block-btn');
         const duplicateBtn = document.getElementById('duplicate-time-block-btn');
 
-        title.textContent = 'Edit Time Block';
+        title.textContent = isRecurring(block) ? 'Edit Recurring Time Block' : 'Edit Time Block';
         deleteBtn.style.display = 'block';
         if (duplicateBtn) duplicateBtn.style.display = 'block';
 
@@ -1198,7 +1223,15 @@ class WeeklyView {
                 category
             };
 
-            if (this.editingBlock) {
+            if (this.editingBlock && isRecurring(this.editingBlock)) {
+                const scope = await this.askRecurrenceScope(this.editingBlock, 'Edit');
+                if (!scope) return;
+
+                await dataService.updateTimeBlockOccurrence(this.editingBlock, blockData, scope);
+                this.closeModal();
+                await this.loadData();
+                return;
+            } else if (this.editingBlock) {
                 // Update existing block
                 await dataService.updateTimeBlock(this.editingBlock.id, blockData);
                 Object.assign(this.editingBlock, blockData);
@@ -1236,6 +1269,11 @@ class WeeklyView {
     async deleteTimeBlock() {
         if (!this.editingBlock) return;
 
+        if (isRecurring(this.editingBlock)) {
+            await this.deleteRecurringBlock(this.editingBlock);
+            return;
+        }
+
         // Store the block for potential undo
         const deletedBlock = { ...this.editingBlock };
 
@@ -1265,6 +1303,41 @@ class WeeklyView {
         }
     }
 
+    /**
+     * Delete one, the following or all occurrences of a recurring block
+     */
+    async deleteRecurringBlock(block) {
+        const scope = await this.askRecurrenceScope(block, 'Delete');
+        if (!scope) return;
+
+        try {
+            await dataService.deleteTimeBlockOccurrence(block, scope);
+            this.closeModal();
+            await this.loadData();
+            this.showSuccess(scope === RECURRENCE_SCOPES.THIS ? 'Occurrence deleted' : 'Recurring time blocks deleted');
+        } catch (error) {
+            console.error('Failed to delete recurring time block:', error);
+            this.showError('Failed to delete time block. Please try again.');
+        }
+    }
+
+    /**
+     * Ask which occurrences of a recurring block an edit applies to
+     * @param {Object} block - Occurrence or edited occurrence
+     * @param {string} action - 'Edit', 'Move', 'Resize' or 'Delete'
+     * @returns {Promise<string|null>} Scope, or null if cancelled
+     */
+    async askRecurrenceScope(block, action) {
+        if (!window.Modal) return RECURRENCE_SCOPES.THIS;
+
+        const pattern = describeRRule(block.recurrence_rule);
+        return window.Modal.choose({
+            title: `${action} recurring time block`,
+            message: `"${block.activity}" repeats${pattern ? ` (${pattern.toLowerCase()})` : ''}. Which occurrences should change?`,
+            choices: RECURRENCE_SCOPE_CHOICES
+        });
+    }
+
     /**
      * Show toast with undo action
      */
@@ -2084,6 +2157,15 @@ class WeeklyView {
         const endMin = endTotalMinutes % 60;
         const newEndTime = `${String(endHour).padStart(2, '0')}:${String(endMin).padStart(2, '0')}`;
 
+        if (isRecurring(blockToMove)) {
+            await this.updateRecurringBlock(blockToMove, {
+                date: formatDate(newDate),
+                start_time: newStartTime,
+                end_time: newEndTime
+            }, 'Move');
+            return;
+        }
+
         try {
             // Update the block in database
             await dataService.updateTimeBlock(blockId, {
@@ -2109,6 +2191,26 @@ class WeeklyView {
         }
     }
 
+    /**
+     * Move or resize a recurring block after asking which occurrences to change
+     */
+    async updateRecurringBlock(block, updates, action) {
+        const scope = await this.askRecurrenceScope(block, action);
+        if (!scope) {
+            this.renderTimeBlocks();
+            return;
+        }
+
+        try {
+            await dataService.updateTimeBlockOccurrence(block, updates, scope);
+            await this.loadData();
+            this.showSuccess(action === 'Move' ? 'Time block moved' : 'Time block resized');
+        } catch (error) {
+            console.error(`Failed to ${action.toLowerCase()} recurring time block:`, error);
+            this.showError(`Failed to ${action.toLowerCase()} time block`);
+        }
+    }
+
     // ==================== RESIZE TIME BLOCKS ====================
 
     /**
@@ -2244,7 +2346,9 @@ class WeeklyView {
         const newEndTime = `${String(endHour).padStart(2, '0')}:${String(endMinute).padStart(2, '0')}`;
 
         // Only update if changed
-        if (newEndTime !== this.resizingBlock.end_time) {
+        if (newEndTime !== this.resizingBlock.end_time && isRecurring(this.resizingBlock)) {
+            await this.updateRecurringBlock(this.resizingBlock, { end_time: newEndTime }, 'Resize');
+        } else if (newEndTime !== this.resizingBlock.end_time) {
             try {
                 const blockId = this.resizingBlock.id;
                 await dataService.updateTimeBlock(blockId, { end_time: newEndTime });
@@ -2281,15 +2385,35 @@ class WeeklyView {
         document.getElementById('recurring-category').value = this.selectedCategory || 'Personal';
         document.getElementById('recurring-start-time').value = '09:00';
         document.getElementById('recurring-end-time').value = '10:00';
+        document.getElementById('recurring-frequency').value = 'WEEKLY';
+        document.getElementById('recurring-interval').value = 1;
+        document.getElementById('recurring-start-date').value = formatDate(this.weekStart);
+        document.getElementById('recurring-end-type').value = 'never';
+        document.getElementById('recurring-until').value = '';
+        document.getElementById('recurring-count').value = 10;
 
         // Reset day checkboxes
         document.querySelectorAll('.recurring-day-checkbox').forEach(cb => {
             cb.checked = false;
         });
 
+        this.updateRecurringFields();
         modal.style.display = 'flex';
     }
 
+    /**
+     * Show the fields that apply to the selected frequency and end condition
+     */
+    updateRecurringFields() {
+        const isWeekly = document.getElementById('recurring-frequency').value === 'WEEKLY';
+        const endType = document.getElementById('recurring-end-type').value;
+
+        document.getElementById('recurring-days-group').style.display = isWeekly ? 'block' : 'none';
+        document.querySelector('#recurring-modal .recurring-quick-select').style.display = isWeekly ? 'flex' : 'none';
+        document.getElementById('recurring-until').disabled = endType !== 'until';
+        document.getElementById('recurring-count').disabled = endType !== 'count';
+    }
+
     /**
      * Close recurring modal
      */
@@ -2301,56 +2425,75 @@ class WeeklyView {
     }
 
     /**
-     * Save recurring time blocks
+     * Save a recurring time block as a single row with a recurrence rule
      */
     async saveRecurringBlocks() {
         const activity = document.getElementById('recurring-activity').value.trim();
         const category = document.getElementById('recurring-category').value;
         const startTime = document.getElementById('recurring-start-time').value;
         const endTime = document.getElementById('recurring-end-time').value;
-
-        if (!activity || !startTime) {
-            this.showError('Please fill in activity and start time');
+        const freq = document.getElementById('recurring-frequency').value;
+        const interval = parseInt(document.getElementById('recurring-interval').value, 10) || 1;
+        const startDate = document.getElementById('recurring-start-date').value;
+        const endType = document.getElementById('recurring-end-type').value;
+        const until = document.getElementById('recurring-until').value;
+        const count = parseInt(document.getElementById('recurring-count').value, 10);
+
+        if (!activity || !startTime || !startDate) {
+            this.showError('Please fill in activity, start time and start date');
             return;
         }
 
-        // Get selected days
+        // Selected days use 0 = Monday ... 6 = Sunday
         const selectedDays = [];
         document.querySelectorAll('.recurring-day-checkbox:checked').forEach(cb => {
             selectedDays.push(parseInt(cb.value));
         });
 
-        if (selectedDays.length === 0) {
+        if (freq === 'WEEKLY' && selectedDays.length === 0) {
             this.showError('Please select at least one day');
             return;
         }
 
-        try {
-            const createdBlocks = [];
+        if (endType === 'until' && (!until || until < startDate)) {
+            this.showError('Please choose an end date after the start date');
+            return;
+        }
 
-            for (const dayOffset of selectedDays) {
-                const date = new Date(this.weekStart);
-                date.setDate(date.getDate() + dayOffset);
+        // The series starts on its first matching day
+        let firstDate = startDate;
+        if (freq === 'WEEKLY') {
+            while (!selectedDays.includes((new Date(`${firstDate}T00:00:00`).getDay() + 6) % 7)) {
+                firstDate = addDays(firstDate, 1);
+            }
+        }
 
-                const blockData = {
-                    date: formatDate(date),
-                    start_time: startTime,
-                    end_time: endTime || null,
-                    activity,
-                    category
-                };
+        const rule = formatRRule({
+            freq,
+            interval,
+            byDay: freq === 'WEEKLY' ? selectedDays.map(day => ({ day: (day + 1) % 7, ordinal: null })) : [],
+            byMonthDay: [],
+            until: endType === 'until' ? until : null,
+            count: endType === 'count' && count > 0 ? count : null
+        });
 
-                const created = await dataService.createTimeBlock(blockData);
-                createdBlocks.push(created);
-                this.timeBlocks.push(created);
-            }
+        try {
+            await dataService.createTimeBlock({
+                date: firstDate,
+                start_time: startTime,
+                end_time: endTime || null,
+                activity,
+                category,
+                recurrence_rule: rule,
+                recurrence_exceptions: []
+            });
 
-            this.renderTimeBlocks();
             this.closeRecurringModal();
-            this.showSuccess(`Created ${createdBlocks.length} recurring time blocks`);
+            await this.loadData();
+            this.showSuccess(`Created recurring time block: ${describeRRule(rule)}`);
         } catch (error) {
-            console.error('Failed to create recurring blocks:', error);
-            this.showError('Failed to create recurring time blocks');
+            console.error('Failed to create recurring block:', error);
+            this.showError('Failed to create recurring time block');
         }
     }
 
@@ -2503,7 +2646,11 @@ class WeeklyView {
             // If replacing, delete existing blocks first
             if (replaceExisting) {
                 for (const block of this.timeBlocks) {
-                    await dataService.deleteTimeBlock(block.id);
+                    if (isRecurring(block)) {
+                        await dataService.deleteTimeBlockOccurrence(block, RECURRENCE_SCOPES.THIS);
+                    } else {
+                        await dataService.deleteTimeBlock(block.id);
+                    }
                 }
                 this.timeBlocks = [];
             }